@@ -0,0 +1,348 @@
+/**
+ * @file src/background/catalog-sync.js
+ * @description Keeps the supported-brand catalog up to date without shipping a new build.
+ *
+ * The background script owns the catalog: it periodically fetches a versioned JSON catalog
+ * from the ChaChing endpoint, validates it, stores it in `chrome.storage.local` and matches
+ * content scripts' pages against it through the `LOOKUP_BRANDS` message. When no valid remote
+ * catalog has ever been stored (first run while offline, a bad endpoint, ...), the bundled
+ * `BrandList.csv` is used instead.
+ *
+ * Either way, the catalog is compiled by `compileBrandCatalog()` (brands.js) and indexed here,
+ * once per version, and tabs only receive the few brands their page names (`matchBrands()`), so
+ * no tab parses CSV, holds the whole catalog or builds its index. The bundled list is compiled at
+ * build time into `src/data/brand-index.json` by `scripts/build-brand-index.js`; a remote catalog
+ * is compiled here.
+ *
+ * The remote catalog is JSON with the same columns as `BrandList.csv`:
+ *
+ *   {
+ *     "version": 42,
+ *     "brands": [
+ *       { "brand_name": "NIKE", "aliases": "Nike Inc.", "domains": "nike.com", "cashback_rate": 8 }
+ *     ]
+ *   }
+ *
+ * `aliases` and `domains` may be `|`-separated strings or arrays. A catalog only replaces the
+ * stored one when its `version` is higher, so a stale CDN edge can never roll the list back.
+ * Requests carry `If-None-Match` with the last ETag, and a `304` only records the check.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Defaults for the catalog updater. Each can be overridden through the constructor;
+ * the endpoint can also be overridden at runtime via `chrome.storage.local`.
+ * @const {Object}
+ */
+const BRAND_CATALOG_CONFIG = {
+  ENDPOINT: 'https://chaching.me/api/extension/brand-catalog.json',
+  ENDPOINT_OVERRIDE_KEY: 'brandCatalogEndpoint', // chrome.storage.local key for a staging/test endpoint.
+  BUNDLED_INDEX_PATH: 'src/data/brand-index.json', // Written by scripts/build-brand-index.js.
+  BUNDLED_CSV_PATH: 'BrandList.csv',             // Compiled here if the build step didn't run.
+  STORAGE_KEY: 'brandCatalog',                  // The stored catalog: { version, etag, fetchedAt, brands }.
+  CHECKED_AT_KEY: 'brandCatalogCheckedAt',      // Kept apart so a 304 doesn't rewrite the whole catalog.
+  REFRESH_INTERVAL_MS: 6 * 60 * 60 * 1000,      // How stale the last check may get before re-fetching.
+  REQUEST_TIMEOUT_MS: 15 * 1000,
+  MIN_BRANDS: 100                               // Reject truncated exports rather than shrink the list.
+};
+
+/**
+ * Fetches, validates, stores and serves the remote brand catalog.
+ * @class BrandCatalogSync
+ */
+class BrandCatalogSync {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - The catalog URL. Defaults to `BRAND_CATALOG_CONFIG.ENDPOINT`.
+   * @param {number} [options.refreshIntervalMs] - Minimum time between checks.
+   * @param {number} [options.requestTimeoutMs] - Abort a request after this long.
+   * @param {number} [options.minBrands] - The smallest catalog that will be accepted.
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || null;
+    this.refreshIntervalMs = options.refreshIntervalMs ?? BRAND_CATALOG_CONFIG.REFRESH_INTERVAL_MS;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? BRAND_CATALOG_CONFIG.REQUEST_TIMEOUT_MS;
+    this.minBrands = options.minBrands ?? BRAND_CATALOG_CONFIG.MIN_BRANDS;
+
+    /**
+     * In-memory copy of the stored catalog, so content scripts don't each hit storage.
+     * `undefined` until storage has been read; `null` when nothing valid is stored.
+     * @type {Object|null|undefined}
+     */
+    this.cachedCatalog = undefined;
+
+    /**
+     * The compiled catalog tabs are matched against, with the catalog version it was compiled from.
+     * @type {{ key: string, promise: Promise<Object> }|null}
+     */
+    this.compiledCatalog = null;
+
+    /**
+     * The lookups over `compiledCatalog` (see `indexBrands()`), with the catalog they were built from.
+     * @type {{ catalog: Object, byName: Map, byDomain: Map, index: BrandIndex }|null}
+     */
+    this.brandLookups = null;
+
+    /**
+     * The sync currently in flight, shared by concurrent callers.
+     * @type {Promise<Object>|null}
+     */
+    this.pendingSync = null;
+
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Runs a sync if the last check is stale, then keeps checking on an interval.
+   */
+  start() {
+    this.syncIfStale();
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.syncIfStale(), this.refreshIntervalMs);
+    }
+  }
+
+  /**
+   * Resolves the endpoint: the constructor option, then the storage override, then the default.
+   * @returns {Promise<string>} The catalog URL.
+   */
+  async getEndpoint() {
+    if (this.endpoint) return this.endpoint;
+    const stored = await chrome.storage.local.get(BRAND_CATALOG_CONFIG.ENDPOINT_OVERRIDE_KEY);
+    return stored[BRAND_CATALOG_CONFIG.ENDPOINT_OVERRIDE_KEY] || BRAND_CATALOG_CONFIG.ENDPOINT;
+  }
+
+  /**
+   * Returns the stored catalog for content scripts.
+   *
+   * @returns {Promise<Object|null>} `{ source: 'remote', version, brands }`, or null when content
+   * scripts should use the bundled `BrandList.csv`.
+   */
+  async getCatalog() {
+    if (this.cachedCatalog === undefined) {
+      const stored = await chrome.storage.local.get(BRAND_CATALOG_CONFIG.STORAGE_KEY);
+      const catalog = stored[BRAND_CATALOG_CONFIG.STORAGE_KEY];
+      this.cachedCatalog = catalog && this.validateCatalog(catalog).valid ? catalog : null;
+    }
+    if (!this.cachedCatalog) return null;
+    return { source: 'remote', version: this.cachedCatalog.version, brands: this.cachedCatalog.brands };
+  }
+
+  /**
+   * Returns the catalog tabs are matched against, compiled: the stored remote catalog if there
+   * is one, otherwise the bundled list. Compiling happens once per catalog version.
+   *
+   * @returns {Promise<Object>} `{ source: 'remote'|'bundled', version, compiled }`.
+   */
+  async getCompiledCatalog() {
+    const catalog = await this.getCatalog();
+    const key = catalog ? `remote:${catalog.version}` : 'bundled';
+
+    if (this.compiledCatalog?.key !== key) {
+      const promise = catalog
+        ? Promise.resolve({ source: 'remote', version: catalog.version, compiled: compileBrandCatalog(catalog.brands) })
+        : this.loadBundledCatalog();
+      this.compiledCatalog = { key, promise };
+      // Don't cache a failure; the next tab retries.
+      promise.catch(() => {
+        if (this.compiledCatalog?.promise === promise) this.compiledCatalog = null;
+      });
+    }
+    return this.compiledCatalog.promise;
+  }
+
+  /**
+   * Matches a page against the catalog (see `getCompiledCatalog()`). The catalog is expanded and
+   * indexed once per version, so each lookup is a few map reads and one pass over the title.
+   *
+   * @param {Object} query - `{ names, title, hostname }` from `BrandDetector.getBrandQuery()`.
+   * @returns {Promise<Object>} `{ source, version, format, brands }`, with the matching brands
+   * compiled by `compileBrand()`.
+   */
+  async lookupBrands(query) {
+    const catalog = await this.getCompiledCatalog();
+    if (this.brandLookups?.catalog !== catalog) {
+      const { brands, index } = expandBrandCatalog(catalog.compiled);
+      this.brandLookups = { catalog, ...indexBrands(brands, index) };
+    }
+    return {
+      source: catalog.source,
+      version: catalog.version,
+      format: catalog.compiled.format,
+      brands: matchBrands(this.brandLookups, query).map(compileBrand)
+    };
+  }
+
+  /**
+   * Describes the catalog being served, for the options page.
+   *
+   * @returns {Promise<Object>} `{ source, version, brandCount, fetchedAt, checkedAt }`, where
+   * `fetchedAt` (remote catalogs only) and `checkedAt` (the last sync attempt) are ISO dates or null.
+   */
+  async getCatalogInfo() {
+    const { source, version, compiled } = await this.getCompiledCatalog();
+    const stored = await chrome.storage.local.get(BRAND_CATALOG_CONFIG.CHECKED_AT_KEY);
+    const checkedAt = stored[BRAND_CATALOG_CONFIG.CHECKED_AT_KEY];
+    return {
+      source,
+      version,
+      brandCount: compiled.brandCount,
+      fetchedAt: source === 'remote' ? this.cachedCatalog?.fetchedAt || null : null,
+      checkedAt: checkedAt ? new Date(checkedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Loads the bundled catalog as compiled at build time, or compiles `BrandList.csv`
+   * when the build step hasn't produced (or produced an outdated) `brand-index.json`.
+   *
+   * @returns {Promise<Object>} `{ source: 'bundled', version, compiled }`.
+   */
+  async loadBundledCatalog() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(BRAND_CATALOG_CONFIG.BUNDLED_INDEX_PATH));
+      const bundled = await response.json();
+      if (bundled?.compiled?.format === BRAND_CATALOG_FORMAT) {
+        return { source: 'bundled', version: bundled.version, compiled: bundled.compiled };
+      }
+      console.warn('[CatalogSync] The bundled brand index has an unexpected format; compiling BrandList.csv instead.');
+    } catch (error) {
+      console.warn('[CatalogSync] No bundled brand index; compiling BrandList.csv instead.', error);
+    }
+
+    const response = await fetch(chrome.runtime.getURL(BRAND_CATALOG_CONFIG.BUNDLED_CSV_PATH));
+    const rows = ChachingUtils.parseCsv(await response.text());
+    return { source: 'bundled', version: 'bundled', compiled: compileBrandCatalog(rows) };
+  }
+
+  /**
+   * Syncs only if the catalog hasn't been checked within the refresh interval.
+   * @returns {Promise<Object>} The sync outcome (see `sync()`), or `{ status: 'fresh' }`.
+   */
+  async syncIfStale() {
+    const stored = await chrome.storage.local.get(BRAND_CATALOG_CONFIG.CHECKED_AT_KEY);
+    const checkedAt = stored[BRAND_CATALOG_CONFIG.CHECKED_AT_KEY] || 0;
+    if (Date.now() - checkedAt < this.refreshIntervalMs) return { status: 'fresh' };
+    return this.sync();
+  }
+
+  /**
+   * Fetches the catalog and stores it if it is valid and newer than the stored one.
+   * Concurrent calls share the same request. Never throws: failures keep the stored catalog.
+   *
+   * @returns {Promise<Object>} `{ status, version?, error? }` where status is one of
+   * `updated`, `not-modified`, `outdated`, `invalid` or `failed`.
+   */
+  sync() {
+    if (!this.pendingSync) {
+      this.pendingSync = this.runSync().finally(() => { this.pendingSync = null; });
+    }
+    return this.pendingSync;
+  }
+
+  /**
+   * The body of `sync()`.
+   * @returns {Promise<Object>} The sync outcome.
+   */
+  async runSync() {
+    const endpoint = await this.getEndpoint();
+    const stored = (await chrome.storage.local.get(BRAND_CATALOG_CONFIG.STORAGE_KEY))[BRAND_CATALOG_CONFIG.STORAGE_KEY];
+    const headers = { Accept: 'application/json' };
+    if (stored?.etag) headers['If-None-Match'] = stored.etag;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+
+    let result;
+    try {
+      const response = await fetch(endpoint, { headers, cache: 'no-cache', signal: controller.signal });
+
+      if (response.status === 304) {
+        result = { status: 'not-modified', version: stored?.version };
+      } else if (!response.ok) {
+        result = { status: 'failed', error: `HTTP ${response.status}` };
+      } else {
+        result = await this.storeCatalog(await response.json(), response.headers.get('ETag'), stored);
+      }
+    } catch (error) {
+      // Offline, timed out or not JSON: keep whatever we have.
+      result = { status: 'failed', error: error.name === 'AbortError' ? 'timeout' : error.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    // Failed checks are not recorded, so the next interval retries.
+    if (result.status !== 'failed') {
+      await chrome.storage.local.set({ [BRAND_CATALOG_CONFIG.CHECKED_AT_KEY]: Date.now() });
+    }
+
+    const log = result.status === 'failed' || result.status === 'invalid' ? console.warn : console.log;
+    log(`[CatalogSync] Brand catalog sync from ${endpoint}: ${result.status}`, result);
+    return result;
+  }
+
+  /**
+   * Validates a downloaded catalog and stores it if it is newer than the stored one.
+   *
+   * @param {*} payload - The parsed response body.
+   * @param {string|null} etag - The response's ETag header.
+   * @param {Object} [stored] - The catalog currently in storage.
+   * @returns {Promise<Object>} The sync outcome.
+   */
+  async storeCatalog(payload, etag, stored) {
+    const { valid, error } = this.validateCatalog(payload);
+    if (!valid) return { status: 'invalid', error };
+
+    if (stored && payload.version <= stored.version) {
+      return { status: 'outdated', version: stored.version };
+    }
+
+    const catalog = {
+      version: payload.version,
+      etag: etag || null,
+      fetchedAt: new Date().toISOString(),
+      brands: payload.brands
+    };
+    await chrome.storage.local.set({ [BRAND_CATALOG_CONFIG.STORAGE_KEY]: catalog });
+    this.cachedCatalog = catalog;
+    return { status: 'updated', version: catalog.version };
+  }
+
+  /**
+   * Checks a catalog's shape. One bad entry rejects the whole catalog, since a
+   * partially-valid export usually means a broken pipeline upstream.
+   *
+   * @param {*} catalog - The catalog to check.
+   * @returns {{ valid: boolean, error?: string }} The verdict, with the first problem found.
+   */
+  validateCatalog(catalog) {
+    if (!catalog || typeof catalog !== 'object') return { valid: false, error: 'Catalog is not an object' };
+    if (!Number.isInteger(catalog.version) || catalog.version < 1) {
+      return { valid: false, error: 'Catalog version must be a positive integer' };
+    }
+    if (!Array.isArray(catalog.brands)) return { valid: false, error: 'Catalog has no brands array' };
+    if (catalog.brands.length < this.minBrands) {
+      return { valid: false, error: `Catalog has ${catalog.brands.length} brands, expected at least ${this.minBrands}` };
+    }
+
+    const isText = value => value === undefined || value === null || typeof value === 'string';
+    const isList = value => isText(value) || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+    for (const [index, brand] of catalog.brands.entries()) {
+      const ok = brand && typeof brand === 'object' &&
+        typeof brand.brand_name === 'string' && brand.brand_name.trim() !== '' &&
+        isList(brand.aliases) && isList(brand.domains) &&
+        isText(brand.parent_brand) && isText(brand.rate_type) && isText(brand.category) && isText(brand.expires) &&
+        (isText(brand.cashback_rate) || typeof brand.cashback_rate === 'number');
+      if (!ok) return { valid: false, error: `Invalid brand entry at index ${index}` };
+    }
+
+    return { valid: true };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.BrandCatalogSync = BrandCatalogSync;
+  window.BRAND_CATALOG_CONFIG = BRAND_CATALOG_CONFIG;
+}
@@ -0,0 +1,109 @@
+/**
+ * @file src/background/compat.js
+ * @description Smooths over the differences between the browsers the extension ships to,
+ * so the rest of the background code can be written once against the `chrome.*` API.
+ *
+ * The same sources run as:
+ * - **Safari**: a background page listing every script in `background.scripts`.
+ * - **Chrome**: a service worker (`service-worker.js`, generated by the build) that loads the
+ *   same scripts with `importScripts()`. Workers have no `window`, which the shared scripts use
+ *   to publish their globals, so it is aliased to the worker's global scope.
+ * - **Firefox**: an event page listing the scripts, like Safari.
+ *
+ * Loaded before every other background script.
+ *
+ * @version 1.0.0
+ */
+
+// Firefox always provides `browser`; make sure `chrome` is there too.
+if (typeof chrome === 'undefined' && typeof browser !== 'undefined') {
+  self.chrome = browser;
+}
+
+// In Chrome's service worker, let `window.X = X` exports land on the global scope.
+if (typeof window === 'undefined' && typeof self !== 'undefined') {
+  self.window = self;
+}
+
+/**
+ * Extension URL schemes and the browser each belongs to.
+ * @const {Object<string, string>}
+ */
+const EXTENSION_URL_SCHEMES = {
+  'chrome-extension:': 'chrome',
+  'moz-extension:': 'firefox',
+  'safari-web-extension:': 'safari'
+};
+
+/**
+ * Browser-specific behavior, in one place.
+ * @namespace ExtensionCompat
+ */
+const ExtensionCompat = {
+  /**
+   * Identifies the browser from the extension's own URL scheme, which is more
+   * reliable than the user agent (Safari and Chrome both claim "Safari").
+   *
+   * @returns {string} `safari`, `chrome`, `firefox` or `unknown`.
+   */
+  getBrowser() {
+    const scheme = chrome.runtime.getURL('').split('//')[0];
+    return EXTENSION_URL_SCHEMES[scheme] || 'unknown';
+  },
+
+  /**
+   * Decides whether a `tabs.onUpdated` event means a page is ready for detection.
+   * Safari doesn't always report `status: 'complete'`, so there a URL change counts too;
+   * elsewhere that would run detection twice per navigation (on `loading` and on `complete`).
+   *
+   * @param {Object} changeInfo - The event's change info.
+   * @returns {boolean} True if detection should run.
+   */
+  isPageReady(changeInfo) {
+    if (changeInfo.status === 'complete') return true;
+    return this.getBrowser() === 'safari' && !!changeInfo.url;
+  },
+
+  /**
+   * Shows a notification with an optional action. Safari has no notifications API, so the
+   * action's URL is opened instead; Firefox has no notification buttons, so a click on the
+   * notification itself triggers the action (see `onNotificationAction()`).
+   *
+   * @param {string} id - The notification ID.
+   * @param {Object} options - `chrome.notifications.create()` options.
+   * @param {string} [fallbackUrl] - Opened when notifications aren't supported.
+   */
+  showNotification(id, options, fallbackUrl) {
+    if (!chrome.notifications?.create) {
+      if (fallbackUrl) chrome.tabs.create({ url: fallbackUrl });
+      return;
+    }
+    const supported = { ...options };
+    if (this.getBrowser() === 'firefox') delete supported.buttons;
+    chrome.notifications.create(id, supported);
+  },
+
+  /**
+   * Runs `listener` when the user acts on a notification: its first button where buttons
+   * are supported, or a click on the notification where they aren't.
+   *
+   * @param {string} id - The notification ID.
+   * @param {Function} listener - Called with no arguments.
+   */
+  onNotificationAction(id, listener) {
+    if (!chrome.notifications) return;
+    if (chrome.notifications.onButtonClicked && this.getBrowser() !== 'firefox') {
+      chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+        if (notificationId === id && buttonIndex === 0) listener();
+      });
+    } else if (chrome.notifications.onClicked) {
+      chrome.notifications.onClicked.addListener((notificationId) => {
+        if (notificationId === id) listener();
+      });
+    }
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.ExtensionCompat = ExtensionCompat;
+}
@@ -10,20 +10,24 @@ console.log("[Background] Script loaded at", new Date().toISOString());
  * Key Responsibilities:
  * - Handling extension lifecycle events (onInstalled, onUpdated).
  * - Listening for tab updates to trigger the injection flow.
- * - Programmatically injecting detector scripts onto a page.
+ * - Programmatically injecting detector scripts onto a page, once per page (see tab-state.js).
  * - Conditionally injecting the UI (content script and CSS) if a supported brand is found.
  * - Storing tab-specific data (e.g., the detected brand) for the popup.
+ * - Keeping the brand catalog up to date and serving it to content scripts (see catalog-sync.js).
  * - Creating the right-click context menu.
  * - Aggregating analytics events.
  *
- * @version 2.2.0
+ * Browser differences (Safari, Chrome's service worker, Firefox) are handled by compat.js,
+ * which loads first.
+ *
+ * @version 2.4.0
  */
 
 /**
  * A central configuration object for settings used throughout the background script.
  * @const {Object}
  */
-const CONFIG = {
+const BACKGROUND_CONFIG = {
   ANALYTICS_ENABLED: true, // A global flag to enable or disable analytics logging.
   BADGE_COLORS: {
     DETECTED: '#4CAF50', // The color for the badge when a product is found.
@@ -32,12 +36,19 @@ const CONFIG = {
 };
 
 /**
- * A Map to store product detection data on a per-tab basis.
- * The key is the tab ID (number), and the value is the detection result object.
- * This is used to pass data to the popup when it opens.
- * @type {Map<number, Object>}
+ * Product detection data on a per-tab basis, for the popup. Kept in `chrome.storage.session`
+ * (see tab-results.js) so it survives the background being stopped and restarted.
+ * @type {TabResultStore}
+ */
+const detectedProducts = new TabResultStore();
+
+/**
+ * Where each tab is in the detection flow (idle → injecting → detected/not-detected).
+ * Exposed on the global scope for debugging from the background console.
+ * @type {TabDetectionStates}
  */
-const detectedProducts = new Map();
+const tabDetectionStates = new TabDetectionStates();
+window.tabDetectionStates = tabDetectionStates;
 
 /**
  * A list of domains to exclude from script injection.
@@ -71,8 +82,95 @@ async function loadExcludedDomains() {
   }
 }
 
-// Load excluded domains when service worker starts
-loadExcludedDomains();
+/**
+ * Resolves once `EXCLUDED_DOMAINS` is loaded. Tab updates wait for it, so a page opened
+ * right as the service worker starts can't slip past the exclusion list.
+ * @type {Promise<void>}
+ */
+const excludedDomainsLoaded = loadExcludedDomains();
+
+/**
+ * Checks whether a URL is on the exclusion list.
+ * @param {string} url - The page URL.
+ * @returns {boolean} True if scripts should never be injected there.
+ */
+function isExcludedUrl(url) {
+  const { hostname } = new URL(url);
+  return EXCLUDED_DOMAINS.some(domain => hostname.includes(domain));
+}
+
+/**
+ * The user's preferences (see `CONFIG.DEFAULT_PREFERENCES` in utils.js), kept current by the
+ * `storage.onChanged` listener below, so tab updates don't each read storage.
+ * @type {Object}
+ */
+let userPreferences = { ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES };
+
+/**
+ * Load the user's preferences from sync storage
+ */
+async function loadPreferences() {
+  try {
+    userPreferences = await chrome.storage.sync.get(ChachingUtils.CONFIG.DEFAULT_PREFERENCES);
+    console.log('[Background] Preferences loaded:', userPreferences);
+  } catch (error) {
+    console.error('[Background] Failed to load preferences, using the defaults:', error);
+  }
+}
+
+/**
+ * Resolves once `userPreferences` is loaded.
+ * @type {Promise<void>}
+ */
+const preferencesLoaded = loadPreferences();
+
+/**
+ * Checks whether the user wants ChaChing on a page: the extension is on and the site isn't
+ * blocked or snoozed (see site-rules.js).
+ *
+ * @param {string} url - The page URL.
+ * @param {Object} [preferences] - The preferences to check against. Defaults to the current ones.
+ * @returns {boolean} True if detection and notifications should run there.
+ */
+function isActiveOn(url, preferences = userPreferences) {
+  try {
+    return SiteRules.isActive(preferences, new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Finds the confidence a detection needs on a page: the user's `minConfidence`, or less on
+ * sites they chose to always see offers on (see site-rules.js).
+ *
+ * @param {string} url - The page URL.
+ * @param {Object} [preferences] - The preferences to check against. Defaults to the current ones.
+ * @returns {number} The 0-100 threshold.
+ */
+function getMinConfidenceFor(url, preferences = userPreferences) {
+  try {
+    return SiteRules.getMinConfidence(preferences, new URL(url).hostname);
+  } catch (error) {
+    return ChachingUtils.resolveMinConfidence(preferences.minConfidence);
+  }
+}
+
+/**
+ * The remote brand catalog updater (defined in catalog-sync.js, which loads before this script).
+ * @type {BrandCatalogSync}
+ */
+const brandCatalog = new BrandCatalogSync();
+
+// Check for a newer catalog when the service worker starts, then periodically.
+brandCatalog.start();
+
+/**
+ * Dismissed offers and the banner cap for every tab (defined in dismissal-store.js). Kept here
+ * so its queued writes serialize the tabs' updates.
+ * @type {DismissalStore}
+ */
+const dismissals = new DismissalStore();
 
 /**
 * Listens for the `onInstalled` event, which fires when the extension is first
@@ -88,10 +186,7 @@ chrome.runtime.onInstalled.addListener((details) => {
       if (!result.installDate) {
         // First time install - set preferences and open welcome page
         chrome.storage.sync.set({
-          enabled: true,
-          autoShow: true,
-          minConfidence: 50,
-          blacklistedDomains: [],
+          ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES,
           installDate: new Date().toISOString(),
           version: chrome.runtime.getManifest().version
         }, () => {
@@ -138,31 +233,56 @@ chrome.runtime.onInstalled.addListener((details) => {
  * @param {chrome.tabs.Tab} tab - The tab that sent the message
  */
 async function handleDetectionComplete(data, tab) {
-  const { brandResult, isPdp } = data;
+  const { brandResult, isPdp, pdpSignals, pdpConfidence, confidence } = data;
   const tabId = tab.id;
+
+  // Show the notification when the user wants ChaChing here and the weaker of the brand and
+  // PDP confidences reaches their bar (by default the PDP detector's own threshold, lower on
+  // "always" sites).
+  await preferencesLoaded;
+  const minConfidence = getMinConfidenceFor(data.url || tab.url);
+  const active = isActiveOn(data.url || tab.url);
+  const shouldNotify = !!(active && brandResult && brandResult.isSupported &&
+    ChachingUtils.meetsMinConfidence(confidence, minConfidence));
+
+  // After an SPA navigation this is the new URL, which the tab state follows.
+  tabDetectionStates.setResult(tabId, data.url || tab.url, shouldNotify);
   
-  if (brandResult && brandResult.isSupported && isPdp) {
-    console.log(`[Background] Supported brand "${brandResult.brand}" found on PDP for tab ${tabId}. Injecting UI...`);
+  if (shouldNotify) {
+    console.log(`[Background] Supported brand "${brandResult.productInfo?.brand}" found for tab ${tabId} with confidence ${confidence}. Injecting UI...`);
     
-    // Store the result for the popup
-    detectedProducts.set(tabId, {
+    // Store the result for the popup. `confidence` becomes the overall one; the brand's is kept apart.
+    await detectedProducts.set(tabId, {
       ...brandResult,
+      brandConfidence: brandResult.confidence,
+      confidence: confidence,
       isPdp: isPdp,
+      pdpConfidence: pdpConfidence,
+      pdpSignals: pdpSignals || {},
       detectedAt: new Date().toISOString(),
       tabId: tabId,
       domain: new URL(tab.url).hostname
     });
     
     try {
-      // Inject the UI (CSS and main content script)
-      await chrome.scripting.insertCSS({
+      // Inject the UI. It loads content_styles.css into its own shadow root, so no page-wide CSS.
+      // After an SPA navigation the UI is already in the page; loading it twice would throw.
+      const [probe] = await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ["content_styles.css"],
+        func: () => !!window.chachingContentScript,
       });
+      if (!probe?.result) {
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: ["content_main.js"],
+        });
+      }
 
+      // Hand the UI the runner's result, so it shows exactly what was decided here.
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ["content_main.js"],
+        func: (detection) => window.chachingContentScript?.present(detection),
+        args: [data],
       });
       
       console.log(`[Background] UI injected successfully for tab ${tabId}`);
@@ -170,15 +290,15 @@ async function handleDetectionComplete(data, tab) {
       console.error(`[Background] Failed to inject UI for tab ${tabId}:`, error);
     }
   } else {
-    if (brandResult && brandResult.isSupported && !isPdp) {
-      console.log(`[Background] Supported brand found but NOT on a PDP for tab ${tabId}. Skipping UI injection.`);
+    if (!active) {
+      console.log(`[Background] ChaChing is turned off or snoozed for tab ${tabId}'s site. Skipping UI injection.`);
+    } else if (brandResult && brandResult.isSupported) {
+      console.log(`[Background] Supported brand found on tab ${tabId}, but the confidence (${confidence}; brand ${brandResult.confidence}, PDP ${pdpConfidence}) is below ${minConfidence} for this site. Skipping UI injection.`);
     } else {
       console.log(`[Background] No supported brand found on tab ${tabId}.`);
     }
     // Clear any old data for this tab
-    if (detectedProducts.has(tabId)) {
-      detectedProducts.delete(tabId);
-    }
+    await detectedProducts.delete(tabId);
   }
 }
 
@@ -199,6 +319,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Detection encountered an error
     case 'DETECTION_ERROR':
       console.error('[Background] Detection error:', request.error);
+      // Let the next update for this tab try again.
+      if (sender.tab) tabDetectionStates.reset(sender.tab.id);
       sendResponse({ success: true });
       break;
     
@@ -208,12 +330,98 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
-    // The popup is requesting the data for its current tab.
+    // brands.js is asking which brands its page names, matched against the synced
+    // remote catalog if there is one, otherwise the bundled BrandList.csv. A null `data`
+    // means neither could be loaded and the tab should parse the CSV itself.
+    case 'LOOKUP_BRANDS':
+      brandCatalog.lookupBrands(request.query)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => {
+          console.error('[Background] Failed to look up brands:', error);
+          sendResponse({ success: true, data: null });
+        });
+      break;
+
+    // The popup is requesting the data for its current tab. The popup isn't a tab,
+    // so it names one with `tabId`; content scripts get their own.
     case 'GET_TAB_DATA':
-      const tabData = detectedProducts.get(sender.tab?.id);
-      sendResponse({ success: true, data: tabData });
+      detectedProducts.get(request.tabId ?? sender.tab?.id)
+        .then(tabData => sendResponse({ success: true, data: tabData }))
+        .catch(error => {
+          console.error('[Background] Failed to read the tab data:', error);
+          sendResponse({ success: false, error: error.message });
+        });
       break;
-      
+
+    // Debugging: where a tab (or, without `tabId`, every tab) is in the detection flow.
+    case 'GET_TAB_STATE':
+      sendResponse({
+        success: true,
+        data: request.tabId !== undefined ? tabDetectionStates.get(request.tabId) : tabDetectionStates.snapshot()
+      });
+      break;
+
+    // content_main.js asks whether it may show a banner, and counts it if so. The store
+    // lives here, so tabs asking at once are answered one after another.
+    case 'CLAIM_BANNER':
+      dismissals.claimBanner(request.productInfo, { capped: request.capped !== false })
+        .then(verdict => sendResponse({ success: true, data: verdict }))
+        .catch(error => {
+          console.error('[Background] Failed to check the dismissals:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // content_main.js claimed a banner but didn't show it: the page moved on in the meantime.
+    case 'RELEASE_BANNER':
+      dismissals.releaseBanner(request.shownAt)
+        .then(released => sendResponse({ success: true, data: released }))
+        .catch(error => {
+          console.error('[Background] Failed to release the banner:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // The user closed (or opened) an offer.
+    case 'RECORD_DISMISSAL':
+      dismissals.recordDismissal(request.productInfo, { engaged: !!request.engaged })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error('[Background] Failed to save the dismissal:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // The options page shows how many offers are held back, and can clear them. Clearing goes
+    // through the same store as the claims and dismissals, so none of them can undo it.
+    case 'COUNT_DISMISSALS':
+      dismissals.countActive()
+        .then(count => sendResponse({ success: true, data: count }))
+        .catch(error => {
+          console.error('[Background] Failed to count the dismissals:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    case 'CLEAR_DISMISSALS':
+      dismissals.clear()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error('[Background] Failed to clear the dismissals:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
+    // The options page shows which brand catalog is in use.
+    case 'GET_CATALOG_INFO':
+      brandCatalog.getCatalogInfo()
+        .then(info => sendResponse({ success: true, data: info }))
+        .catch(error => {
+          console.error('[Background] Failed to describe the brand catalog:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      break;
+
     default:
       console.warn('[Background] Received an unknown message type:', request.type);
       sendResponse({ success: false, error: 'Unknown message type' });
@@ -230,10 +438,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   console.log('[Background] Tab update detected:', { tabId, changeInfo, url: tab?.url });
   console.log('[Background] Tab onUpdated fired! TabId:', tabId, 'ChangeInfo:', JSON.stringify(changeInfo), 'Tab URL:', tab?.url);
+
+  // A new document is loading; whatever was injected into the old one is gone.
+  if (changeInfo.status === 'loading') {
+    tabDetectionStates.reset(tabId);
+  }
   
-  // Safari doesn't always provide changeInfo.status, so we need to check for URL changes too
-  // We want to run when status is 'complete' OR when the URL has changed (Safari behavior)
-  if (changeInfo.status !== 'complete' && !changeInfo.url) {
+  // Safari doesn't always provide changeInfo.status, so there a URL change counts too (see compat.js).
+  if (!ExtensionCompat.isPageReady(changeInfo)) {
     console.log('[Background] Skipping - status:', changeInfo.status, 'url:', changeInfo.url);
     return;
   }
@@ -247,11 +459,19 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
     
     // Check if the URL's domain is on our exclusion list.
+    await excludedDomainsLoaded;
     const url = new URL(tabInfo.url);
-    if (EXCLUDED_DOMAINS.some(domain => url.hostname.includes(domain))) {
+    if (isExcludedUrl(tabInfo.url)) {
       console.log(`[Background] Skipping tab ${tabId} on excluded domain: ${url.hostname}`);
       return;
     }
+
+    // Or the user has turned ChaChing off, everywhere or for this site, or snoozed it here.
+    await preferencesLoaded;
+    if (!isActiveOn(tabInfo.url)) {
+      console.log(`[Background] Skipping tab ${tabId}: ChaChing is turned off or snoozed on ${url.hostname}.`);
+      return;
+    }
     
     // Update tab object with the URL for the rest of the function
     tab = tabInfo;
@@ -260,17 +480,85 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     return;
   }
 
+  await injectDetectionScripts(tabId, tab.url);
+});
+
+/**
+ * Injects the detection scripts into a tab, once per URL (see tab-state.js). runner.js reports
+ * back with `DETECTION_COMPLETE`.
+ *
+ * @param {number} tabId - The tab.
+ * @param {string} url - The tab's URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.rerun=false] - If the scripts are already in the page, analyze it again
+ *   rather than leave it to the page's watcher (which skips URLs it has handled). Used when the
+ *   user turns ChaChing back on for a page that is already open.
+ */
+async function injectDetectionScripts(tabId, url, { rerun = false } = {}) {
+  // Safari and SPAs can report the same page several times; inject once per URL.
+  if (!tabDetectionStates.beginInjection(tabId, url)) {
+    console.log(`[Background] Skipping tab ${tabId}: already ${tabDetectionStates.get(tabId).state} for this URL.`);
+    return;
+  }
+
   console.log(`[Background] Tab ${tabId} updated to complete status. Running detector...`);
 
   try {
+    // The detection scripts may already be in this document (e.g. a same-document navigation
+    // seen here before the tab state caught up). Then the page's NavigationWatcher takes it
+    // from here; it ignores URLs it has already handled, so a rerun goes to the runner directly.
+    // The probe also claims the history hooks for this document (see below).
+    const [probe] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: (rerun) => {
+        const watcher = window.chachingNavigationWatcher;
+        if (watcher && rerun) window.runDetection();
+        else if (watcher) watcher.handleLocationChange();
+        const hooked = !!window.chachingHistoryHooked;
+        window.chachingHistoryHooked = true;
+        return { loaded: !!watcher, hooked };
+      },
+      args: [rerun],
+    });
+    if (probe?.result?.loaded) {
+      console.log(`[Background] Detection scripts already loaded in tab ${tabId}; left to the page's watcher.`);
+      return;
+    }
+
+    // Hook pushState/replaceState in the page's own world so SPA navigations are noticed
+    // (see history-hooks.js). Without it, only back/forward navigations are. A retry after a
+    // failed injection below mustn't wrap them twice, so whether this document is hooked is
+    // kept in the content scripts' world, where the page can't see it, and not in the page's.
+    if (!probe?.result?.hooked) {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        world: "MAIN",
+        files: ["history-hooks.js"],
+      }).catch(async (error) => {
+        console.warn(`[Background] Could not hook SPA navigation in tab ${tabId}:`, error.message);
+        // Let the next injection try again.
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          func: () => { delete window.chachingHistoryHooked; },
+        }).catch(() => {});
+      });
+    }
+
     // Inject all detection scripts including runner.js which will orchestrate the detection
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
       files: [
         "utils.js",
+        "src/data/public-suffix-list.js",
+        "public-suffix.js",
+        "site-rules.js",
+        "brand-index.js",
         "brands.js",
+        "product-extractor.js",
         "brand-detector.js",
         "pdp-detector.js",
+        "detection-pipeline.js",
+        "navigation-watcher.js",
         "runner.js"
       ],
     });
@@ -282,16 +570,65 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // This can happen if the page is a special Chrome page, has content security
     // policies that block injection, or has already been invalidated (e.g., user navigated away).
     console.warn(`[Background] Could not inject scripts into tab ${tabId}:`, error.message);
+    tabDetectionStates.reset(tabId);
+  }
+}
+
+/**
+ * Follows preference changes from the popup, the notification, the options page or another
+ * device. Turning ChaChing off (everywhere or for a site) or snoozing a site stops injection
+ * there, and open pages hide their notification themselves (see content_main.js). Turning it
+ * back on, or lowering a site's confidence bar, analyzes the open tabs it now applies to
+ * again, without a reload.
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  const defaults = ChachingUtils.CONFIG.DEFAULT_PREFERENCES;
+  const changedKeys = Object.keys(changes).filter(key => key in defaults);
+  if (changedKeys.length === 0) return;
+
+  await preferencesLoaded;
+  const previous = userPreferences;
+  userPreferences = { ...previous };
+  for (const key of changedKeys) {
+    userPreferences[key] = changes[key].newValue ?? defaults[key];
+  }
+  console.log('[Background] Preferences changed:', changedKeys.join(', '));
+
+  if (changedKeys.includes('autoShow') && changedKeys.length === 1) return;
+
+  await excludedDomainsLoaded;
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (!/^https?:/.test(tab.url || '') || isExcludedUrl(tab.url)) continue;
+
+    const wasActive = isActiveOn(tab.url, previous);
+    const nowActive = isActiveOn(tab.url);
+    // A page that fell short of the old bar may pass the new one.
+    const { state } = tabDetectionStates.get(tab.id);
+    const barLowered = wasActive && nowActive &&
+      getMinConfidenceFor(tab.url) < getMinConfidenceFor(tab.url, previous) &&
+      state !== TAB_DETECTION_STATES.DETECTED && state !== TAB_DETECTION_STATES.INJECTING;
+
+    if (wasActive && !nowActive) {
+      // The popup shouldn't offer what the page no longer shows.
+      await detectedProducts.delete(tab.id);
+    } else if ((!wasActive && nowActive) || barLowered) {
+      console.log(`[Background] ChaChing now applies to tab ${tab.id}. Running detector...`);
+      tabDetectionStates.reset(tab.id);
+      injectDetectionScripts(tab.id, tab.url, { rerun: true });
+    }
   }
 });
 
 /**
  * Listens for when a tab is closed. We use this to perform garbage collection
- * and remove the data for the closed tab from our `detectedProducts` Map.
+ * and remove the data for the closed tab from `detectedProducts`.
  */
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (detectedProducts.has(tabId)) {
-    detectedProducts.delete(tabId);
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  tabDetectionStates.reset(tabId);
+  if (await detectedProducts.delete(tabId)) {
     console.log(`[Background] Cleaned up data for closed tab: ${tabId}`);
   }
 });
@@ -304,7 +641,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
  * @param {Object} eventData - The event data to be logged.
  */
 function trackAnalyticsEvent(eventData) {
-  if (!CONFIG.ANALYTICS_ENABLED) return;
+  if (!BACKGROUND_CONFIG.ANALYTICS_ENABLED) return;
   
   // Enrich the event data with common properties for better context.
   const enrichedData = {
@@ -326,34 +663,25 @@ function trackAnalyticsEvent(eventData) {
  * @param {string} version - The new version number to display in the message.
  */
 function showUpdateNotification(version) {
-  // Safari doesn't support chrome.notifications API
-  if (chrome.notifications && chrome.notifications.create) {
-    chrome.notifications.create('update-notification', {
-      type: 'basic',
-      iconUrl: chrome.runtime.getURL('ChaChing_Logo.png'),
-      title: 'ChaChing Searcher Updated!',
-      message: `Extension updated to version ${version}. Click to see what's new!`,
-      buttons: [{ title: 'View Changes' }],
-      priority: 1
-    });
-  } else {
-    // Fallback: just open the changelog page directly for Safari
-    console.log(`[Background] Extension updated to version ${version}. Opening changelog.`);
-    chrome.tabs.create({ url: 'https://chaching.me/extension-changelog' });
-  }
+  console.log(`[Background] Extension updated to version ${version}.`);
+  // Safari has no notifications API, so the changelog is opened directly there.
+  ExtensionCompat.showNotification('update-notification', {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('ChaChing_Logo.png'),
+    title: 'ChaChing Searcher Updated!',
+    message: `Extension updated to version ${version}. Click to see what's new!`,
+    buttons: [{ title: 'View Changes' }],
+    priority: 1
+  }, 'https://chaching.me/extension-changelog');
 }
 
 /**
- * Listens for clicks on buttons within our created notifications.
+ * Opens the changelog when the user acts on the update notification
+ * (its "View Changes" button, or the notification itself where buttons aren't supported).
  */
-if (chrome.notifications && chrome.notifications.onButtonClicked) {
-  chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
-    if (notificationId === 'update-notification' && buttonIndex === 0) {
-      // Open the changelog page when the "View Changes" button is clicked.
-      chrome.tabs.create({ url: 'https://chaching.me/extension-changelog' });
-    }
-  });
-}
+ExtensionCompat.onNotificationAction('update-notification', () => {
+  chrome.tabs.create({ url: 'https://chaching.me/extension-changelog' });
+});
 
 /**
  * Listens for clicks on the context menu item we created.
@@ -380,22 +708,17 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 });
 
 /**
- * A periodic task that runs to clean up any stale data from the `detectedProducts` Map.
- * This is a safeguard against memory leaks if the `onRemoved` or `onUpdated` tab
- * listeners were to fail for any reason.
+ * A periodic task that runs to clean up any stale data from `detectedProducts`.
+ * This is a safeguard against leaks if the `onRemoved` or `onUpdated` tab
+ * listeners were to fail for any reason (or fired while the background was stopped).
  */
-setInterval(() => {
-  const now = Date.now();
-  const MAX_AGE = 30 * 60 * 1000; // 30 minutes in milliseconds.
-  
-  for (const [tabId, data] of detectedProducts.entries()) {
-    const detectedTime = new Date(data.detectedAt).getTime();
-    if (now - detectedTime > MAX_AGE) {
-      detectedProducts.delete(tabId);
-      console.log(`[Background] Cleaned up stale data for tab (via setInterval): ${tabId}`);
-    }
-  }
-}, 5 * 60 * 1000); // Run this cleanup task every 5 minutes.
+function pruneDetectedProducts() {
+  detectedProducts.prune().then(tabIds => {
+    tabIds.forEach(tabId => console.log(`[Background] Cleaned up stale data for tab: ${tabId}`));
+  });
+}
+pruneDetectedProducts();
+setInterval(pruneDetectedProducts, 5 * 60 * 1000); // Run this cleanup task every 5 minutes.
 
 console.log('[Background] Service worker initialized successfully.');
 
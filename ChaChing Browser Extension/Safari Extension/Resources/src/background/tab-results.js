@@ -0,0 +1,152 @@
+/**
+ * @file src/background/tab-results.js
+ * @description Keeps each tab's detection result where a restarted background can find it.
+ *
+ * An MV3 background (Chrome's service worker, Safari's and Firefox's non-persistent pages) is
+ * stopped when idle, taking every in-memory `Map` with it, so results live in
+ * `chrome.storage.session`: kept for the browser session, cleared when it ends, never written
+ * to disk. An in-memory cache saves a storage round trip per read; it is filled from
+ * storage on first use after a (re)start.
+ *
+ * Where `storage.session` is unavailable the cache is all there is, as before.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Tab result store settings.
+ * @const {Object}
+ */
+const TAB_RESULTS_CONFIG = {
+  KEY_PREFIX: 'tabResult_',     // Followed by the tab ID.
+  MAX_AGE_MS: 30 * 60 * 1000    // Results older than this are pruned.
+};
+
+/**
+ * Per-tab detection results, cached in memory and persisted to `chrome.storage.session`.
+ * @class TabResultStore
+ */
+class TabResultStore {
+  /**
+   * @param {Object} [storageArea] - Where to persist results. Defaults to `chrome.storage.session`;
+   *   pass null to keep them in memory only.
+   */
+  constructor(storageArea = chrome.storage?.session || null) {
+    this.storage = storageArea;
+
+    /**
+     * Tab ID to result.
+     * @type {Map<number, Object>}
+     */
+    this.cache = new Map();
+
+    /**
+     * Resolves once the cache holds everything in storage.
+     * @type {Promise<void>|null}
+     */
+    this.loading = null;
+  }
+
+  /**
+   * The storage key for a tab.
+   * @param {number} tabId - The tab.
+   * @returns {string} The key.
+   */
+  static keyFor(tabId) {
+    return `${TAB_RESULTS_CONFIG.KEY_PREFIX}${tabId}`;
+  }
+
+  /**
+   * Fills the cache from storage, once per background start.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) this.loading = this.loadFromStorage();
+    return this.loading;
+  }
+
+  /**
+   * The body of `load()`.
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    if (!this.storage) return;
+    try {
+      const items = await this.storage.get(null);
+      for (const [key, value] of Object.entries(items || {})) {
+        if (!key.startsWith(TAB_RESULTS_CONFIG.KEY_PREFIX)) continue;
+        const tabId = Number(key.slice(TAB_RESULTS_CONFIG.KEY_PREFIX.length));
+        // Anything written since the start wins over what was stored before it.
+        if (!this.cache.has(tabId)) this.cache.set(tabId, value);
+      }
+      console.log(`[Background] Restored ${this.cache.size} tab result(s) from session storage.`);
+    } catch (error) {
+      console.warn('[Background] Could not read tab results from session storage:', error);
+    }
+  }
+
+  /**
+   * Gets a tab's result.
+   * @param {number} tabId - The tab.
+   * @returns {Promise<Object|undefined>} The result, if there is one.
+   */
+  async get(tabId) {
+    await this.load();
+    return this.cache.get(tabId);
+  }
+
+  /**
+   * Stores a tab's result.
+   * @param {number} tabId - The tab.
+   * @param {Object} result - The result.
+   * @returns {Promise<void>}
+   */
+  async set(tabId, result) {
+    this.cache.set(tabId, result);
+    if (!this.storage) return;
+    try {
+      await this.storage.set({ [TabResultStore.keyFor(tabId)]: result });
+    } catch (error) {
+      console.warn(`[Background] Could not persist the result for tab ${tabId}:`, error);
+    }
+  }
+
+  /**
+   * Forgets a tab's result.
+   * @param {number} tabId - The tab.
+   * @returns {Promise<boolean>} True if there was one.
+   */
+  async delete(tabId) {
+    await this.load();
+    const existed = this.cache.delete(tabId);
+    if (existed && this.storage) {
+      try {
+        await this.storage.remove(TabResultStore.keyFor(tabId));
+      } catch (error) {
+        console.warn(`[Background] Could not remove the result for tab ${tabId}:`, error);
+      }
+    }
+    return existed;
+  }
+
+  /**
+   * Drops results older than `maxAgeMs`, a safeguard in case a tab's removal was missed.
+   *
+   * @param {number} [maxAgeMs] - The oldest result to keep.
+   * @returns {Promise<number[]>} The tabs whose results were dropped.
+   */
+  async prune(maxAgeMs = TAB_RESULTS_CONFIG.MAX_AGE_MS) {
+    await this.load();
+    const now = Date.now();
+    const stale = [...this.cache]
+      .filter(([, result]) => now - new Date(result.detectedAt).getTime() > maxAgeMs)
+      .map(([tabId]) => tabId);
+    for (const tabId of stale) await this.delete(tabId);
+    return stale;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.TAB_RESULTS_CONFIG = TAB_RESULTS_CONFIG;
+  window.TabResultStore = TabResultStore;
+}
@@ -0,0 +1,125 @@
+/**
+ * @file src/background/tab-state.js
+ * @description Tracks where each tab is in the detection flow, so scripts are injected once per page.
+ *
+ * `tabs.onUpdated` fires several times per load (in Safari a URL change counts as ready too,
+ * see compat.js), and every event used to inject the detection scripts again. Each tab now
+ * moves through:
+ *
+ *   idle ──▶ injecting ──▶ detected
+ *                      └─▶ not-detected
+ *
+ * keyed by the tab's URL (without the `#fragment`). An update for a URL that is already
+ * injecting or has a result is skipped; a new document (`status: 'loading'`), an injection
+ * failure or a detection error returns the tab to idle. SPA navigations report results for
+ * their new URL, which moves the state along without re-injecting anything.
+ *
+ * The states can be inspected with the `GET_TAB_STATE` message or, from the background
+ * console, `tabDetectionStates.snapshot()`.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * The states a tab can be in.
+ * @const {Object<string, string>}
+ */
+const TAB_DETECTION_STATES = {
+  IDLE: 'idle',                 // Nothing injected for the current URL (yet).
+  INJECTING: 'injecting',       // Scripts injected; waiting for DETECTION_COMPLETE.
+  DETECTED: 'detected',         // A supported brand on a product page; the UI was injected.
+  NOT_DETECTED: 'not-detected'  // Detection ran and found nothing to show.
+};
+
+/**
+ * Per-tab detection state.
+ * @class TabDetectionStates
+ */
+class TabDetectionStates {
+  constructor() {
+    /**
+     * The state of every tab that has left idle.
+     * @type {Map<number, { url: string, state: string, updatedAt: string }>}
+     */
+    this.tabs = new Map();
+  }
+
+  /**
+   * Normalizes a URL into the key states are tracked by.
+   * @param {string} url - The tab's URL.
+   * @returns {string} The URL without its fragment.
+   */
+  static urlKey(url) {
+    return (url || '').split('#')[0];
+  }
+
+  /**
+   * Gets a tab's current state.
+   * @param {number} tabId - The tab.
+   * @returns {{ url: string|null, state: string, updatedAt: string|null }} The state (idle if untracked).
+   */
+  get(tabId) {
+    return this.tabs.get(tabId) || { url: null, state: TAB_DETECTION_STATES.IDLE, updatedAt: null };
+  }
+
+  /**
+   * Moves a tab to a new state.
+   * @param {number} tabId - The tab.
+   * @param {string} url - The URL the state applies to.
+   * @param {string} state - One of `TAB_DETECTION_STATES`.
+   */
+  set(tabId, url, state) {
+    if (state === TAB_DETECTION_STATES.IDLE) {
+      this.tabs.delete(tabId);
+      return;
+    }
+    this.tabs.set(tabId, { url: TabDetectionStates.urlKey(url), state, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Claims a tab for injection, unless its URL is already being or has been handled.
+   *
+   * @param {number} tabId - The tab.
+   * @param {string} url - The tab's URL.
+   * @returns {boolean} True if the caller should inject; the tab is then `injecting`.
+   */
+  beginInjection(tabId, url) {
+    const current = this.get(tabId);
+    if (current.state !== TAB_DETECTION_STATES.IDLE && current.url === TabDetectionStates.urlKey(url)) {
+      return false;
+    }
+    this.set(tabId, url, TAB_DETECTION_STATES.INJECTING);
+    return true;
+  }
+
+  /**
+   * Records a detection result.
+   * @param {number} tabId - The tab.
+   * @param {string} url - The URL that was analyzed.
+   * @param {boolean} detected - Whether the UI was shown.
+   */
+  setResult(tabId, url, detected) {
+    this.set(tabId, url, detected ? TAB_DETECTION_STATES.DETECTED : TAB_DETECTION_STATES.NOT_DETECTED);
+  }
+
+  /**
+   * Returns a tab to idle, so its next update injects again.
+   * @param {number} tabId - The tab.
+   */
+  reset(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  /**
+   * Lists every tracked tab's state, for debugging.
+   * @returns {Object<number, Object>} Tab ID to state.
+   */
+  snapshot() {
+    return Object.fromEntries(this.tabs);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.TAB_DETECTION_STATES = TAB_DETECTION_STATES;
+  window.TabDetectionStates = TabDetectionStates;
+}
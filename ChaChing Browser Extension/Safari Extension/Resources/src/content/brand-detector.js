@@ -2,94 +2,171 @@
  * @file src/content/brand-detector.js
  * @description The brand detection engine for the ChaChing Extension.
  *
- * This module uses a pure "voting" system to determine the most likely supported brand on a page.
- * It finds all potential brand candidates using various robust strategies, then tallies "votes"
+ * This module uses a weighted "voting" system to determine the most likely supported brand on a page.
+ * It finds all potential brand candidates using various robust strategies, then tallies votes
  * for each of our officially supported brands based on **exact, whole-word matches** with the candidates.
- * The supported brand with the most votes wins.
+ * Each vote is weighted by how reliable its source is (see `BRAND_SOURCE_WEIGHTS`), so on multi-brand
+ * retailers the product's own brand (JSON-LD, itemprop) outweighs the store's site name and domain.
+ * The supported brand with the highest weighted score wins; ties are broken explicitly.
  *
- * @version 2.5.1
+ * @version 2.6.0
  */
+
+/**
+ * How much a single candidate from each source counts toward a brand's score.
+ * Sources that describe the product itself rank above ones that describe the site.
+ * @const {Object<string, number>}
+ */
+const BRAND_SOURCE_WEIGHTS = {
+  structuredData: 10, // JSON-LD Product.brand
+  metaBrand: 8,       // product:brand / og:brand meta tags
+  itemprop: 7,        // Microdata itemprop="brand"
+  brandLabel: 5,      // Visible "Brand: Nike" label/value pairs
+  brandElement: 4,    // Brand-like data attributes and class names
+  title: 3,           // Whole-word match in the product title
+  breadcrumb: 2,      // Second-to-last breadcrumb
+  officialDomain: 6,  // The site is one of the brand's official domains in BrandList.csv
+  siteName: 1,        // og:site_name - usually the store, not the product
+  domain: 1           // The site's domain - usually the store, not the product
+};
+
+/**
+ * A brand score at or above this value counts as full-strength evidence when
+ * computing confidence (one structured-data vote reaches it on its own). Weaker
+ * evidence, such as a title match alone, still wins the vote and lands at 50 or above.
+ * @const {number}
+ */
+const BRAND_STRONG_EVIDENCE_SCORE = 10;
+
+/**
+ * Partner stores where cashback applies to the whole site rather than to particular brands,
+ * so any page on them counts as supported even when no brand wins the vote.
+ * @const {string[]}
+ */
+const SPECIAL_MERCHANT_DOMAINS = ['steals.com', 'beachcamera.com', 'videoshops.com', 'salonhq.com', 'pedalelectric.com'];
+
 class BrandDetector {
   /**
    * The main detection method. It orchestrates the brand discovery, voting, and validation.
    *
    * @returns {Object|null} If a supported brand wins the vote, it returns a result object, otherwise null.
-   * The result object includes `isSupported`, and `productInfo` which contains the `brand`, `title`, and `cashback`.
+   * The result object includes:
+   *   - isSupported {boolean} Always true
+   *   - confidence {number} 50-100, how strong and uncontested the winning brand's evidence is
+   *   - evidence {Object[]} The candidates that voted for the winner: `{ source, value, weight }`
+   *   - productInfo {Object} The canonical `brand`, its `parentBrand`, the `title`, `cashback` and the structured product fields from
+   *     `ProductExtractor` (`price`, `currency`, `gtin`, `mpn`, `sku`, `availability`, `image`, `url`)
    */
   detectBrandOnPage() {
     ChachingUtils.log('info', 'Detector', 'Starting brand detection...');
-    
+
     // Step 1: Gather all possible brand mentions from the page.
     const candidates = this.findAllBrandCandidates();
-    // Step 2: Tally votes and determine the winning *supported* brand.
-    const bestBrand = this.determineBestBrandByVotes(candidates);
-    
-    if (bestBrand) {
-      // The winner is now the full brand object from our map.
-      ChachingUtils.log('info', 'Detector', `SUCCESS: Determined best brand is "${bestBrand.name}".`);
+    // Step 2: Tally weighted votes and determine the winning *supported* brand.
+    const vote = this.scoreBrandCandidates(candidates);
+
+    if (vote) {
+      const bestBrand = vote.brand;
+      // The winner is the full brand object from our map.
+      ChachingUtils.log('info', 'Detector', `SUCCESS: Determined best brand is "${bestBrand.name}" (confidence ${vote.confidence}).`);
       const title = this.extractProductTitle();
+      const product = new ProductExtractor(document).extract();
       return {
         isSupported: true,
+        confidence: vote.confidence,
+        evidence: vote.evidence,
         productInfo: { 
           brand: bestBrand.name, 
           title: title,
-          cashback: bestBrand.cashback // Pass cashback level
+          cashback: bestBrand.cashback, // Pass cashback level
+          parentBrand: bestBrand.parentBrand,
+          price: product.price,
+          currency: product.currency,
+          gtin: product.gtin,
+          mpn: product.mpn,
+          sku: product.sku,
+          availability: product.availability,
+          image: product.image,
+          url: product.url
         }
       };
     }
-    
+
     ChachingUtils.log('info', 'Detector', 'No supported brand won the vote on this page.');
     return null;
   }
-  
+
+  /**
+   * Recognizes the partner stores in `SPECIAL_MERCHANT_DOMAINS`, whose offer covers the whole site.
+   *
+   * @param {string} hostname - The page's hostname.
+   * @returns {Object|null} A supported result with `isSpecialMerchant: true`, or null on any other site.
+   */
+  detectSpecialMerchant(hostname) {
+    const currentHostname = (hostname || '').toLowerCase();
+    const matchedMerchant = SPECIAL_MERCHANT_DOMAINS.find(merchant => currentHostname.includes(merchant));
+    if (!matchedMerchant) return null;
+
+    ChachingUtils.log('info', 'Detector', `On a special merchant site: ${matchedMerchant}.`);
+    // Merchants listed in BrandList.csv (by official domain) carry their own rate.
+    const merchantBrand = findBrandByDomain(currentHostname);
+    const cashback = ChachingUtils.getActiveCashback(merchantBrand?.cashback);
+    return {
+      isSupported: true,
+      isSpecialMerchant: true,
+      confidence: 100, // The whole site is a partner; there is no brand to be unsure about.
+      productInfo: {
+        brand: matchedMerchant,
+        title: `Up to ${ChachingUtils.formatCashback(cashback)} cash back at ${matchedMerchant}`,
+        cashback
+      }
+    };
+  }
+
   /**
    * Aggregates all potential brand candidates from a product detail page using multiple strategies.
-   * This function's sole purpose is to gather as much evidence as possible.
+   * This function's sole purpose is to gather as much evidence as possible, tagged with where it came from.
    *
-   * @returns {string[]} An array of all found brand name candidates, including duplicates.
+   * @returns {Object[]} All found candidates, including duplicates, as `{ name, source, weight }`
+   * where `source` is a key of `BRAND_SOURCE_WEIGHTS`.
    */
   findAllBrandCandidates() {
-    let candidates = [];
-
-    // Strategy 1: Structured Data (JSON-LD)
-    const structuredDataScript = document.querySelector('script[type="application/ld+json"]');
-    if (structuredDataScript) {
-        try {
-            const data = JSON.parse(structuredDataScript.textContent);
-            const brand = data.brand?.name || data.brand;
-            if (typeof brand === 'string' && brand.trim()) candidates.push(brand.trim());
-        } catch (e) { /* Ignore */ }
+    const candidates = [];
+    const add = (name, source) => {
+      if (typeof name !== 'string' || !name.trim()) return;
+      candidates.push({ name: name.trim(), source, weight: BRAND_SOURCE_WEIGHTS[source] });
+    };
+
+    // Strategy 1: Structured Data (JSON-LD) - the brand of every product node on the page.
+    const extractor = new ProductExtractor(document);
+    for (const product of extractor.getJsonLdProducts()) {
+      add(extractor.asText(product.brand?.name ?? product.brand), 'structuredData');
     }
 
-    // Strategy 2: Title Search (Using word boundaries for accuracy)
+    // Strategy 2: Title Search (whole-word matches from the prebuilt brand index)
     const productTitle = this.extractProductTitle();
     if (productTitle) {
-      const lowerCaseTitle = productTitle.toLowerCase();
-      SUPPORTED_BRANDS_ARRAY.forEach(brand => {
-        // Use a regex with word boundaries (\\b) to ensure whole-word matching.
-        // This prevents 'levis' from matching inside 'levinson'.
-        const brandRegex = new RegExp(`\\b${brand}\\b`, 'i'); // Case-insensitive regex
-        if (brandRegex.test(lowerCaseTitle)) {
-          const match = lowerCaseTitle.match(brandRegex);
-          if (match) {
-            // Find the original casing from the title for accuracy.
-            const originalCasingBrand = productTitle.substring(match.index, match.index + match[0].length);
-            candidates.push(originalCasingBrand);
-            ChachingUtils.log('info', 'Detector', `Found candidate from title via regex: "${originalCasingBrand}"`);
-          }
-        }
-      });
+      for (const name of this.findTitleCandidates(productTitle)) {
+        add(name, 'title');
+        ChachingUtils.log('info', 'Detector', `Found candidate from title: "${name}"`);
+      }
     }
 
     // Strategy 3: Open Graph Meta Tags
     const ogBrandElement = document.querySelector('meta[property="product:brand"], meta[property="og:brand"]');
-    if (ogBrandElement && ogBrandElement.content) candidates.push(ogBrandElement.content.trim());
+    if (ogBrandElement && ogBrandElement.content) add(ogBrandElement.content, 'metaBrand');
 
-    // Strategy 4: Semantic HTML - Check for common data attributes and class names.
-    const brandSelectors = ['[itemprop="brand"] [itemprop="name"]', '[itemprop="brand"]', '[data-product-brand]', '.product-brand', '[class*="brand-name"]'];
-    for (const selector of brandSelectors) {
+    // Strategy 4: Semantic HTML - Check for microdata, then common data attributes and class names.
+    const brandSelectors = [
+      ['[itemprop="brand"] [itemprop="name"]', 'itemprop'],
+      ['[itemprop="brand"]', 'itemprop'],
+      ['[data-product-brand]', 'brandElement'],
+      ['.product-brand', 'brandElement'],
+      ['[class*="brand-name"]', 'brandElement']
+    ];
+    for (const [selector, source] of brandSelectors) {
       const element = document.querySelector(selector);
-      if (element && element.innerText?.trim()) candidates.push(element.innerText.trim());
+      if (element && element.innerText?.trim()) add(element.innerText, source);
     }
 
     // Strategy 5: Look for visible key-value pairs (e.g., "Brand: Nike").
@@ -100,7 +177,7 @@ class BrandDetector {
             // Robustly find the value, even if it's not an immediate sibling.
             if (!valueElement && label.parentElement) valueElement = label.parentElement.nextElementSibling;
             if (valueElement?.firstElementChild) valueElement = valueElement.firstElementChild; // Handle nested values.
-            if (valueElement && valueElement.innerText?.trim()) candidates.push(valueElement.innerText.trim());
+            if (valueElement && valueElement.innerText?.trim()) add(valueElement.innerText, 'brandLabel');
         }
     }
 
@@ -109,25 +186,66 @@ class BrandDetector {
     if (breadcrumbItems.length > 1) {
       const brandCandidate = breadcrumbItems[breadcrumbItems.length - 2].innerText.trim();
       if (brandCandidate.length > 2 && !['home', 'products', 'shop'].includes(brandCandidate.toLowerCase())) {
-        candidates.push(brandCandidate);
+        add(brandCandidate, 'breadcrumb');
       }
     }
 
     // Strategy 7: Open Graph Site Name
     const ogSiteName = document.querySelector('meta[property="og:site_name"]');
-    if (ogSiteName && ogSiteName.content) candidates.push(ogSiteName.content.trim());
-    
-    // Strategy 8: Domain Name (Robust Extraction)
+    if (ogSiteName && ogSiteName.content) add(ogSiteName.content, 'siteName');
+
+    // Strategy 8: Domain Name - a brand's own official domain is strong evidence; any other
+    // domain (usually the store) only counts as a weak candidate.
+    const officialBrand = findBrandByDomain(window.location.hostname);
     const domain = this.extractMainDomain(window.location.hostname);
-    if (domain) {
-        candidates.push(domain);
+    if (officialBrand) {
+        add(officialBrand.name, 'officialDomain');
+        ChachingUtils.log('info', 'Detector', `Found candidate from official domain: "${officialBrand.name}"`);
+    } else if (domain) {
+        add(domain, 'domain');
         ChachingUtils.log('info', 'Detector', `Found candidate from domain: "${domain}"`);
     }
-    
-    ChachingUtils.log('info', 'Detector', `Found ${candidates.length} total brand candidates:`, candidates);
+
+    ChachingUtils.log('info', 'Detector', `Found ${candidates.length} total brand candidates:`, candidates.map(c => `${c.name} (${c.source})`));
     return candidates;
   }
 
+  /**
+   * Describes what on this page could name a brand, for `loadBrands()`: the candidates found so
+   * far, the product title and the hostname. The background matches them against the whole
+   * catalog, title and official domain included, so the brands loaded are exactly the ones the
+   * vote can pick from.
+   *
+   * @returns {{ names: string[], title: string|null, hostname: string }} The query.
+   */
+  getBrandQuery() {
+    return {
+      names: [...new Set(this.findAllBrandCandidates().map(candidate => candidate.name))],
+      title: this.extractProductTitle(),
+      hostname: window.location.hostname
+    };
+  }
+
+  /**
+   * Finds every supported brand named in a title, as whole words, using `SUPPORTED_BRANDS_INDEX`.
+   * This prevents 'levis' from matching inside 'levinson', and is a single pass over the title
+   * however many brands are loaded. Nothing matches before the brands are loaded.
+   *
+   * @param {string} title - The product title.
+   * @returns {string[]} Each matched brand once, spelled as in the title.
+   */
+  findTitleCandidates(title) {
+    const seen = new Set();
+    const names = [];
+    if (!window.SUPPORTED_BRANDS_INDEX) return names;
+    for (const match of SUPPORTED_BRANDS_INDEX.findAll(title)) {
+      if (seen.has(match.brand)) continue;
+      seen.add(match.brand);
+      names.push(match.text);
+    }
+    return names;
+  }
+
   /**
    * Extracts the main part of a domain name, ignoring subdomains and TLDs.
    * e.g., 'www.levi.co.uk' becomes 'levi'.
@@ -147,51 +265,84 @@ class BrandDetector {
   }
 
   /**
-   * Determines the most likely brand by counting which supported brand appears most often
-   * within a list of candidates found on the page.
+   * Tallies weighted votes for every supported brand that matches a candidate exactly
+   * (after normalization) and picks the winner. Aliases ("Levis", "Levi Strauss & Co.")
+   * resolve to their canonical brand, so they all vote for the same brand.
    *
-   * @param {string[]} candidates - An array of potential brand names found on the page.
-   * @returns {Object|null} The winning brand object (including name and cashback) from our supported list, or null.
+   * Ties on total score are broken, in order, by:
+   * 1. the most reliable single piece of evidence (e.g. JSON-LD beats two weak votes),
+   * 2. the number of distinct sources that agree,
+   * 3. the brand that was found first on the page.
+   *
+   * @param {Array<Object|string>} candidates - Candidates from `findAllBrandCandidates()`. Plain strings
+   *   are accepted and count with a weight of 1.
+   * @returns {Object|null} `{ brand, score, confidence, evidence, ranking }` for the winning brand, or null
+   *   if no candidate matches a supported brand. `ranking` lists every matched brand as `{ name, score }`.
    */
-  determineBestBrandByVotes(candidates) {
+  scoreBrandCandidates(candidates) {
     if (!candidates || candidates.length === 0) return null;
 
-    const voteCounts = new Map();
+    const tallies = new Map();
 
-    // For each of our officially supported brands, count how many times it appears
-    // within the candidates gathered from the page.
-    for (const supportedBrandName of SUPPORTED_BRANDS_MAP.keys()) {
-      candidates.forEach(candidate => {
-        // Perform a strict, case-insensitive equality check for whole-word matching.
-        if (normalizeBrand(candidate) === supportedBrandName) {
-          // If it matches exactly, cast a vote for that SUPPORTED brand.
-          voteCounts.set(supportedBrandName, (voteCounts.get(supportedBrandName) || 0) + 1);
-        }
-      });
-    }
+    candidates.forEach((candidate, position) => {
+      const { name, source = 'unknown', weight = 1 } = typeof candidate === 'string' ? { name: candidate } : candidate;
+      // Perform a strict, case-insensitive equality check for whole-word matching.
+      const brand = resolveBrand(name);
+      if (!brand) return;
+      const key = brand.key;
+
+      if (!tallies.has(key)) {
+        tallies.set(key, { key, brand, score: 0, maxWeight: 0, sources: new Set(), firstSeen: position, evidence: [] });
+      }
+      const tally = tallies.get(key);
+      tally.score += weight;
+      tally.maxWeight = Math.max(tally.maxWeight, weight);
+      tally.sources.add(source);
+      tally.evidence.push({ source, value: name, weight });
+    });
 
-    if (voteCounts.size === 0) {
+    if (tallies.size === 0) {
       ChachingUtils.log('info', 'Detector', 'No supported brands were found within any of the page candidates.');
       return null;
     }
 
-    // Find the supported brand that received the most votes.
-    let maxVotes = 0;
-    let winningBrandName = null;
-    for (const [brandName, votes] of voteCounts.entries()) {
-      if (votes > maxVotes) {
-        maxVotes = votes;
-        winningBrandName = brandName;
-      }
-    }
-    
-    if (winningBrandName) {
-      ChachingUtils.log('info', 'Detector', `Votes tallied. Winning brand is "${winningBrandName}" with ${maxVotes} votes.`);
-      // Return the full brand object from the map.
-      return SUPPORTED_BRANDS_MAP.get(winningBrandName);
-    }
+    const ranking = Array.from(tallies.values()).sort((a, b) =>
+      (b.score - a.score) ||
+      (b.maxWeight - a.maxWeight) ||
+      (b.sources.size - a.sources.size) ||
+      (a.firstSeen - b.firstSeen)
+    );
 
-    return null;
+    const winner = ranking[0];
+    const totalScore = ranking.reduce((sum, tally) => sum + tally.score, 0);
+    // Winning the vote is what makes a brand supported, so a winner starts at 50, like a page
+    // at the PDP threshold (see PdpDetector.normalizeScore). How strong and how uncontested its
+    // evidence is fills the rest, up to 100.
+    const strength = Math.min(1, winner.score / BRAND_STRONG_EVIDENCE_SCORE);
+    const share = winner.score / totalScore;
+    const confidence = Math.round(50 + 50 * strength * share);
+
+    ChachingUtils.log('info', 'Detector', `Votes tallied. Winning brand is "${winner.brand.name}" with a score of ${winner.score}.`,
+      ranking.map(tally => `${tally.brand.name}: ${tally.score}`));
+
+    return {
+      brand: winner.brand,
+      score: winner.score,
+      confidence,
+      evidence: winner.evidence,
+      ranking: ranking.map(tally => ({ name: tally.brand.name, score: tally.score }))
+    };
+  }
+
+  /**
+   * Determines the most likely brand from the weighted candidates found on the page.
+   *
+   * @param {Array<Object|string>} candidates - Candidates from `findAllBrandCandidates()`.
+   * @returns {Object|null} The winning brand object (including name and cashback) from our supported list, or null.
+   */
+  determineBestBrandByVotes(candidates) {
+    const vote = this.scoreBrandCandidates(candidates);
+    return vote ? vote.brand : null;
   }
 
   /**
@@ -215,4 +366,4 @@ class BrandDetector {
 // Export the detector class instance for use in content.js
 if (typeof window !== 'undefined') {
   window.BrandDetector = BrandDetector;
-} 
\ No newline at end of file
+} 
@@ -0,0 +1,213 @@
+/**
+ * @file src/content/brand-index.js
+ * @description A prebuilt index for finding supported brand names inside page text.
+ *
+ * Every brand name and alias is split into normalized words ("The North Face" becomes
+ * `the` `north` `face`) and added to a word trie with Aho-Corasick failure links. Scanning a
+ * text is then a single pass over its words, however many brands are indexed, and matches
+ * are always whole words, so "levis" never matches inside "levinson".
+ *
+ * No regular expressions are built from brand names, so names containing regex
+ * metacharacters ("10.Deep", "A+", "Levi's(r) Premium") need no escaping.
+ *
+ * The trie is plain JSON-friendly data, so it can be compiled once (at build time by
+ * `scripts/build-brand-index.js`, or by the background script) and rebuilt in a tab with
+ * `BrandIndex.fromJSON()` without re-tokenizing any brand names.
+ *
+ * Usage:
+ * ```javascript
+ * const index = new BrandIndex(brands);
+ * index.findAll('The North Face Nuptse Jacket');
+ * // [{ brand: { name: 'THE NORTH FACE', ... }, text: 'The North Face', start: 0, end: 3 }]
+ * ```
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Characters that separate words, besides whitespace. Punctuation inside a word
+ * (apostrophes, dots, hyphens, "+") is kept and handled by `normalizeBrand()`.
+ * @const {RegExp}
+ */
+const BRAND_WORD_SEPARATORS = /[\s\/|()\[\]{}<>:;!?"“”«»]+/;
+
+/**
+ * Looks up a word in a trie node's children. Children are plain objects so the trie survives
+ * JSON, which means inherited keys such as "constructor" must not count as children.
+ *
+ * @param {Object} node - A trie node.
+ * @param {string} word - A normalized word.
+ * @returns {number|undefined} The child node's index.
+ */
+function brandIndexChild(node, word) {
+  return Object.prototype.hasOwnProperty.call(node.next, word) ? node.next[word] : undefined;
+}
+
+/**
+ * An Aho-Corasick automaton over normalized words.
+ * @class BrandIndex
+ */
+class BrandIndex {
+  /**
+   * Splits text into words, keeping each word's original spelling and its normalized form.
+   * Words that normalize to nothing (e.g. "&" or "-") are dropped.
+   *
+   * @param {string} text - Any text.
+   * @returns {Array<{ raw: string, word: string }>} The words, in order.
+   */
+  static tokenize(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text
+      .split(BRAND_WORD_SEPARATORS)
+      .map(raw => ({ raw, word: ChachingUtils.normalizeBrand(raw) }))
+      .filter(token => token.word);
+  }
+
+  /**
+   * Builds the index for a list of brands.
+   *
+   * @param {Object[]} brands - Brand objects from brands.js (`{ name, aliases, ... }`).
+   */
+  constructor(brands = []) {
+    /**
+     * The trie. Node 0 is the root; each node is `{ next: { word: node }, fail, output }`,
+     * where `output` holds `{ brand, length }` for every name (in words) that ends at this node.
+     * @type {Object[]}
+     */
+    this.nodes = [{ next: {}, fail: 0, output: [] }];
+
+    /**
+     * The number of names and aliases indexed.
+     * @type {number}
+     */
+    this.size = 0;
+
+    for (const brand of brands) {
+      for (const name of [brand.name, ...(brand.aliases || [])]) this.add(name, brand);
+    }
+    this.buildFailureLinks();
+  }
+
+  /**
+   * Adds one name for a brand to the trie.
+   *
+   * @param {string} name - The brand name or alias.
+   * @param {Object} brand - The brand it resolves to.
+   */
+  add(name, brand) {
+    const words = BrandIndex.tokenize(name).map(token => token.word);
+    if (words.length === 0) return;
+
+    let node = 0;
+    for (const word of words) {
+      let child = brandIndexChild(this.nodes[node], word);
+      if (child === undefined) {
+        child = this.nodes.length;
+        this.nodes.push({ next: {}, fail: 0, output: [] });
+        this.nodes[node].next[word] = child;
+      }
+      node = child;
+    }
+    this.addOutput(node, { brand, length: words.length });
+    this.size++;
+  }
+
+  /**
+   * Records that a name ends at a node, once per brand and length.
+   *
+   * @param {number} node - The node index.
+   * @param {{ brand: Object, length: number }} entry - The brand and its name's length in words.
+   */
+  addOutput(node, entry) {
+    const output = this.nodes[node].output;
+    if (!output.some(existing => existing.brand === entry.brand && existing.length === entry.length)) output.push(entry);
+  }
+
+  /**
+   * Links every node to the longest proper suffix of its word path that is also in the trie,
+   * breadth first, and merges the suffix's outputs so each node reports every brand ending there.
+   */
+  buildFailureLinks() {
+    const queue = [];
+    for (const child of Object.values(this.nodes[0].next)) queue.push(child);
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const [word, child] of Object.entries(this.nodes[current].next)) {
+        let fallback = this.nodes[current].fail;
+        while (fallback !== 0 && brandIndexChild(this.nodes[fallback], word) === undefined) fallback = this.nodes[fallback].fail;
+        const target = brandIndexChild(this.nodes[fallback], word);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        for (const entry of this.nodes[this.nodes[child].fail].output) this.addOutput(child, entry);
+        queue.push(child);
+      }
+    }
+  }
+
+  /**
+   * Finds every indexed brand name that appears in the text as whole words.
+   *
+   * @param {string} text - The text to scan, e.g. a product title.
+   * @returns {Array<{ brand: Object, text: string, start: number, end: number }>} One entry per
+   * occurrence: the brand, the words as written in the text, and the word range `[start, end)`.
+   */
+  findAll(text) {
+    const tokens = BrandIndex.tokenize(text);
+    const matches = [];
+    let node = 0;
+
+    tokens.forEach((token, position) => {
+      while (node !== 0 && brandIndexChild(this.nodes[node], token.word) === undefined) node = this.nodes[node].fail;
+      node = brandIndexChild(this.nodes[node], token.word) ?? 0;
+
+      for (const { brand, length } of this.nodes[node].output) {
+        const start = position + 1 - length;
+        matches.push({ brand, text: tokens.slice(start, position + 1).map(t => t.raw).join(' '), start, end: position + 1 });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Serializes the trie, referring to brands by their position in `brands`.
+   *
+   * @param {Object[]} brands - The brand list the index was built from.
+   * @returns {{ size: number, nodes: Array }} The name count and one `[next, fail, outputs]` entry
+   * per node, where `outputs` is a flat `[brandPosition, length, ...]` list.
+   */
+  toJSON(brands) {
+    const positions = new Map(brands.map((brand, position) => [brand, position]));
+    return {
+      size: this.size,
+      nodes: this.nodes.map(node => [
+        node.next,
+        node.fail,
+        node.output.flatMap(({ brand, length }) => [positions.get(brand), length])
+      ])
+    };
+  }
+
+  /**
+   * Rebuilds an index from `toJSON()` output without re-tokenizing any names.
+   *
+   * @param {{ size: number, nodes: Array }} data - The serialized index.
+   * @param {Object[]} brands - The same brand list, in the same order, it was serialized with.
+   * @returns {BrandIndex} The index.
+   */
+  static fromJSON(data, brands) {
+    const index = new BrandIndex([]);
+    index.size = data.size;
+    index.nodes = data.nodes.map(([next, fail, outputs]) => {
+      const output = [];
+      for (let i = 0; i < outputs.length; i += 2) output.push({ brand: brands[outputs[i]], length: outputs[i + 1] });
+      return { next, fail, output };
+    });
+    return index;
+  }
+}
+
+// Export the index class for brands.js and the detectors.
+if (typeof window !== 'undefined') {
+  window.BrandIndex = BrandIndex;
+}
@@ -2,50 +2,350 @@
  * brands.js - Dynamically loads and manages the list of supported brands.
  *
  * This module fetches the `BrandList.csv` file, parses it, and creates a global,
- * quickly-searchable Map of supported brands. It also assigns a static cashback
- * percentage to each brand as it's loaded.
+ * quickly-searchable Map of supported brands, each carrying its own cashback offer.
  *
- * This asynchronous loading ensures that the brand list can be updated easily
- * by modifying the CSV file without needing to redeploy the entire extension.
+ * Besides `brand_name`, each CSV row may carry:
+ *   - `aliases`      Other names for the brand, separated by `|` (e.g. `Levis|Levi Strauss & Co.`)
+ *   - `parent_brand` The brand that owns this one (e.g. `Levi's` for `DENIZEN from Levi's`)
+ *   - `domains`      The brand's official sites, separated by `|` (e.g. `levi.com|levistrauss.com`)
+ *   - `cashback_rate` The cashback amount, e.g. `8` (brands without one get `CONFIG.DEFAULT_CASHBACK`)
+ *   - `rate_type`    `percent` (default) or `flat` (a fixed dollar amount)
+ *   - `category`     The merchant category, e.g. `Shoes`
+ *   - `expires`      Optional ISO date after which the default rate applies again
+ * Rows that normalize to the same name are merged: the last row's name is displayed,
+ * and aliases and domains are combined.
+ *
+ * The full list lives in the background script, already compiled (see `compileBrandCatalog()`):
+ * either the synced remote catalog (see `src/background/catalog-sync.js`), so it can be updated
+ * without redeploying the extension, or the bundled `BrandList.csv` as compiled at build time
+ * by `scripts/build-brand-index.js`. A tab sends what its page names and gets back only the
+ * brands that match (see `matchBrands()`), so no tab holds or indexes the whole catalog. If the
+ * background can't be reached, the tab parses the bundled CSV itself.
  *
  * @module brands
  */
 
-async function loadBrands() {
+/**
+ * Splits a `|`-separated CSV cell into its trimmed, non-empty values.
+ * @param {string} value - The raw cell.
+ * @returns {string[]} The values.
+ */
+function splitBrandList(value) {
+  // Remote catalogs may send arrays instead of `|`-separated strings.
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return (value || '').split('|').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a row's cashback columns. Missing or malformed values fall back to the default offer.
+ *
+ * @param {Object} row - A parsed `BrandList.csv` row.
+ * @returns {Object} `{ rate, type, category, expires }`
+ */
+function parseBrandCashback(row) {
+  const defaults = ChachingUtils.CONFIG.DEFAULT_CASHBACK;
+  const rate = parseFloat(row.cashback_rate);
+  const type = (row.rate_type || '').toLowerCase();
+  const expires = row.expires && !Number.isNaN(Date.parse(row.expires)) ? row.expires : null;
+
+  return {
+    rate: rate > 0 ? rate : defaults.rate,
+    type: rate > 0 && ['percent', 'flat'].includes(type) ? type : defaults.type,
+    category: row.category || null,
+    expires: rate > 0 ? expires : null
+  };
+}
+
+/**
+ * Turns parsed `BrandList.csv` rows into canonical brand objects, merging rows that
+ * normalize to the same name.
+ *
+ * @param {Object[]} rows - Rows from `ChachingUtils.parseCsv()`.
+ * @returns {Object[]} Brand objects: `{ key, name, cashback, aliases, parentBrand, domains }`, where
+ *   `cashback` is `{ rate, type, category, expires }`.
+ */
+function buildBrandList(rows) {
+  const brandsByKey = new Map();
+
+  for (const row of rows) {
+    const name = row.brand_name;
+    const key = ChachingUtils.normalizeBrand(name);
+    if (!key) continue;
+
+    const brand = brandsByKey.get(key) || { key, name, cashback: null, aliases: [], parentBrand: null, domains: [] };
+    // Later rows win the display name, matching how duplicates have always resolved.
+    brand.name = name;
+    // A duplicate row without a rate keeps the rate an earlier row gave.
+    if (!brand.cashback || row.cashback_rate) brand.cashback = parseBrandCashback(row);
+    brand.parentBrand = row.parent_brand || brand.parentBrand;
+    for (const alias of splitBrandList(row.aliases)) {
+      if (!brand.aliases.includes(alias)) brand.aliases.push(alias);
+    }
+    for (const domain of splitBrandList(row.domains)) {
+      const host = domain.toLowerCase().replace(/^www\./, '');
+      if (!brand.domains.includes(host)) brand.domains.push(host);
+    }
+    brandsByKey.set(key, brand);
+  }
+
+  return Array.from(brandsByKey.values());
+}
+
+/**
+ * The version of the compiled catalog format produced by `compileBrandCatalog()`.
+ * Bump it whenever the layout changes so stale compiled files are ignored.
+ * @const {number}
+ */
+const BRAND_CATALOG_FORMAT = 1;
+
+/**
+ * Packs a brand object into its compiled form, `[key, name, aliases, parentBrand, domains, cashback]`,
+ * where `cashback` is `[rate, type, category, expires]` or null for the default offer.
+ *
+ * @param {Object} brand - A brand object from `buildBrandList()`.
+ * @returns {Array} The compiled brand.
+ */
+function compileBrand(brand) {
+  const defaults = ChachingUtils.CONFIG.DEFAULT_CASHBACK;
+  const { rate, type, category, expires } = brand.cashback;
+  const isDefaultOffer = rate === defaults.rate && type === defaults.type && !category && !expires;
+  return [brand.key, brand.name, brand.aliases, brand.parentBrand, brand.domains, isDefaultOffer ? null : [rate, type, category, expires]];
+}
+
+/**
+ * Unpacks a brand compiled by `compileBrand()`.
+ *
+ * @param {Array} compiled - The compiled brand.
+ * @returns {Object} The brand object.
+ */
+function expandBrand([key, name, aliases, parentBrand, domains, cashback]) {
+  return {
+    key,
+    name,
+    cashback: cashback
+      ? { rate: cashback[0], type: cashback[1], category: cashback[2], expires: cashback[3] }
+      : parseBrandCashback({}),
+    aliases,
+    parentBrand,
+    domains
+  };
+}
+
+/**
+ * Compiles brand rows into the compact, JSON-friendly form that `scripts/build-brand-index.js`
+ * writes at build time and the background script loads. It can be loaded without parsing CSV,
+ * merging duplicates or tokenizing names.
+ *
+ * @param {Object[]} rows - `BrandList.csv`-style rows.
+ * @returns {Object} `{ format, brandCount, brands, index }`, where each brand is compiled by
+ * `compileBrand()`.
+ */
+function compileBrandCatalog(rows) {
+  const brands = buildBrandList(rows);
+  return {
+    format: BRAND_CATALOG_FORMAT,
+    brandCount: brands.length,
+    brands: brands.map(compileBrand),
+    index: new BrandIndex(brands).toJSON(brands)
+  };
+}
+
+/**
+ * Turns a compiled catalog back into brand objects and their index.
+ *
+ * @param {Object} compiled - Output of `compileBrandCatalog()`.
+ * @returns {{ brands: Object[], index: BrandIndex }} The brands and the rebuilt index.
+ */
+function expandBrandCatalog(compiled) {
+  const brands = compiled.brands.map(expandBrand);
+  return { brands, index: BrandIndex.fromJSON(compiled.index, brands) };
+}
+
+/**
+ * Builds the lookups over a brand list: every normalized name and alias, and every official domain.
+ *
+ * @param {Object[]} brands - Brand objects.
+ * @param {BrandIndex} index - The word index over the same brands.
+ * @returns {{ byName: Map<string, Object>, byDomain: Map<string, Object>, index: BrandIndex }} The lookups.
+ */
+function indexBrands(brands, index) {
+  // We use a Map for O(1) lookups, mapping a normalized version of the name
+  // to the full brand object (which contains the original name for display).
+  // Aliases map to the same object; a brand's own name always beats another brand's alias.
+  const byName = new Map(brands.map(brand => [brand.key, brand]));
+  for (const brand of brands) {
+    for (const alias of brand.aliases) {
+      const aliasKey = ChachingUtils.normalizeBrand(alias);
+      if (aliasKey && !byName.has(aliasKey)) byName.set(aliasKey, brand);
+    }
+  }
+
+  const byDomain = new Map();
+  for (const brand of brands) {
+    for (const domain of brand.domains) byDomain.set(domain, brand);
+  }
+  return { byName, byDomain, index };
+}
+
+/**
+ * Picks out the brands a page could name: those its candidate names resolve to, those named in
+ * its title and the one whose official site it is. The background runs this against the full
+ * catalog, so a tab only receives (and indexes) these.
+ *
+ * @param {Object} lookups - From `indexBrands()`.
+ * @param {Object} [query] - `{ names, title, hostname }`, see `BrandDetector.getBrandQuery()`.
+ * @returns {Object[]} The matching brand objects, each once.
+ */
+function matchBrands(lookups, { names = [], title = '', hostname = '' } = {}) {
+  const matched = new Set();
+  for (const name of names) {
+    const brand = resolveBrand(name, lookups.byName);
+    if (brand) matched.add(brand);
+  }
+  if (title) {
+    for (const match of lookups.index.findAll(title)) matched.add(match.brand);
+  }
+  const officialBrand = findBrandByDomain(hostname, lookups.byDomain);
+  if (officialBrand) matched.add(officialBrand);
+  return Array.from(matched);
+}
+
+/**
+ * Asks the background script which brands the page could name, matched against the synced
+ * remote catalog or the bundled one compiled at build time.
+ *
+ * @param {Object} query - See `matchBrands()`.
+ * @returns {Promise<Object|null>} `{ source, version, format, brands }` with the brands compiled by
+ * `compileBrand()`, or null if there is no catalog (or the background can't be reached).
+ */
+async function requestBrandMatches(query) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LOOKUP_BRANDS', query });
+    const result = response?.data;
+    return result?.format === BRAND_CATALOG_FORMAT && Array.isArray(result.brands) ? result : null;
+  } catch (error) {
+    ChachingUtils.log('warn', 'Brands', 'Could not reach the background for the brand catalog.', error);
+    return null;
+  }
+}
+
+/**
+ * Reads the bundled `BrandList.csv` into rows.
+ * @returns {Promise<Object[]>} The parsed rows.
+ */
+async function fetchBundledBrandRows() {
+  const response = await fetch(chrome.runtime.getURL('BrandList.csv'));
+  if (!response.ok) throw new Error(`BrandList.csv: HTTP ${response.status}`);
+  return ChachingUtils.parseCsv(await response.text());
+}
+
+/**
+ * Parses the bundled `BrandList.csv` into brands and their index, once per page. Only used
+ * when the background can't answer; a failure isn't kept, so the next detection retries.
+ *
+ * @returns {Promise<{ brands: Object[], index: BrandIndex }>} The whole bundled list.
+ */
+function loadBundledBrands() {
+  if (!loadBundledBrands.pending) {
+    const pending = fetchBundledBrandRows().then(rows => {
+      const brands = buildBrandList(rows);
+      return { brands, index: new BrandIndex(brands) };
+    });
+    pending.catch(() => {
+      if (loadBundledBrands.pending === pending) loadBundledBrands.pending = null;
+    });
+    loadBundledBrands.pending = pending;
+  }
+  return loadBundledBrands.pending;
+}
+
+/**
+ * Publishes a brand list as the page-wide lookup structures the detectors use.
+ *
+ * @param {Object[]} brands - Brand objects.
+ * @param {BrandIndex} index - The word index over the same brands.
+ */
+function installBrands(brands, index) {
+  const { byName, byDomain } = indexBrands(brands, index);
+  window.SUPPORTED_BRANDS_MAP = byName;
+
+  // We also expose an array of every normalized name and alias (the keys) for matching operations.
+  window.SUPPORTED_BRANDS_ARRAY = Array.from(byName.keys());
+
+  // A word index of every name and alias, for finding brands inside titles in a single pass.
+  window.SUPPORTED_BRANDS_INDEX = index;
+
+  // Official domains, for recognizing a brand's own store from the hostname.
+  window.SUPPORTED_BRANDS_BY_DOMAIN = byDomain;
+}
+
+/**
+ * Loads the brands this page could name into the page, before each detection: a page (or an
+ * SPA navigation) only ever needs the handful of brands it mentions, which the background
+ * picks out of the full catalog (see `matchBrands()`).
+ *
+ * @param {Object} [query] - What the page names, from `BrandDetector.getBrandQuery()`.
+ * @returns {Promise<void>}
+ */
+async function loadBrands(query = {}) {
   try {
-    const response = await fetch(chrome.runtime.getURL('BrandList.csv'));
-    const csvText = await response.text();
-    
-    // Parse CSV: skip header, trim whitespace, remove quotes, and filter out empty lines.
-    const brandNames = csvText
-      .split('\n')
-      .slice(1) 
-      .map(name => name.trim().replace(/"/g, ''))
-      .filter(Boolean);
-
-    // Create brand objects with a static cashback value
-    const brands = brandNames.map(name => ({
-      name,
-      cashback: 33
-    }));
-
-    // We use a Map for O(1) lookups, mapping a normalized version of the name
-    // to the full brand object (which contains the original name for display).
-    window.SUPPORTED_BRANDS_MAP = new Map(brands.map(brand => [normalizeBrand(brand.name), brand]));
-
-    // We also expose an array of just the normalized brand names (the keys) for matching operations.
-    window.SUPPORTED_BRANDS_ARRAY = Array.from(window.SUPPORTED_BRANDS_MAP.keys());
-
-    ChachingUtils.log('info', 'Brands', `${window.SUPPORTED_BRANDS_ARRAY.length} brands loaded successfully.`);
+    // Prefer the background's match; parsing the whole CSV here is the slow fallback
+    // for when the background can't be reached.
+    const match = await requestBrandMatches(query);
+    let brands;
+    let index;
+    if (match) {
+      brands = match.brands.map(expandBrand);
+      index = new BrandIndex(brands);
+      window.BRAND_CATALOG_VERSION = match.version;
+    } else {
+      ({ brands, index } = await loadBundledBrands());
+      window.BRAND_CATALOG_VERSION = 'bundled';
+    }
+
+    installBrands(brands, index);
+
+    ChachingUtils.log('info', 'Brands', `${brands.length} brands (${window.SUPPORTED_BRANDS_ARRAY.length - brands.length} aliases) loaded successfully from catalog ${window.BRAND_CATALOG_VERSION}.`);
   } catch (error) {
-    ChachingUtils.log('error', 'Brands', 'Failed to load or parse BrandList.csv.', error);
-    // Initialize with empty data to prevent errors in other scripts
-    window.SUPPORTED_BRANDS_MAP = new Map();
-    window.SUPPORTED_BRANDS_ARRAY = [];
+    ChachingUtils.log('error', 'Brands', 'Failed to load or parse the brand catalog.', error);
+    // Detect without brands this time, rather than leave other scripts with no data.
+    installBrands([], new BrandIndex([]));
   }
 }
 
-// Making the load function available to other scripts.
+/**
+ * Resolves any brand name or alias to its canonical brand object.
+ *
+ * @param {string} name - A brand name as it appears on a page, e.g. "Levi Strauss & Co.".
+ * @param {Map<string, Object>} [byName] - The names to search. Defaults to the page's brands.
+ * @returns {Object|null} The canonical brand object, or null if it is not a supported brand.
+ */
+function resolveBrand(name, byName = window.SUPPORTED_BRANDS_MAP) {
+  return (byName && byName.get(ChachingUtils.normalizeBrand(name))) || null;
+}
+
+/**
+ * Finds the brand whose official site the given hostname belongs to (subdomains included).
+ *
+ * @param {string} hostname - e.g. "www.levi.com" or "eu.levi.com".
+ * @param {Map<string, Object>} [byDomain] - The domains to search. Defaults to the page's brands.
+ * @returns {Object|null} The brand object, or null if the host is not a known official domain.
+ */
+function findBrandByDomain(hostname, byDomain = window.SUPPORTED_BRANDS_BY_DOMAIN) {
+  if (!byDomain || !hostname) return null;
+  const parts = hostname.toLowerCase().split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const brand = byDomain.get(parts.slice(i).join('.'));
+    if (brand) return brand;
+  }
+  return null;
+}
+
+// Making the load function (and, for the background, the compiler) available to other scripts.
 if (typeof window !== 'undefined') {
   window.loadBrands = loadBrands;
-} 
\ No newline at end of file
+  window.compileBrandCatalog = compileBrandCatalog;
+  window.BRAND_CATALOG_FORMAT = BRAND_CATALOG_FORMAT;
+  window.resolveBrand = resolveBrand;
+  window.findBrandByDomain = findBrandByDomain;
+}
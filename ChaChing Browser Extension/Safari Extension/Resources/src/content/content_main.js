@@ -2,14 +2,52 @@
  * @file src/content/main.js
  * @description The main content script, which acts as the on-page coordinator.
  *
- * This script is injected into every page and is responsible for:
- * 1.  Orchestrating the brand detection process.
- * 2.  Managing the state and display of the on-page notification UI.
- * 3.  Communicating with the background script to log events.
- * 4.  Handling dynamic page changes in Single-Page Applications (SPAs).
+ * The background injects this script once it has decided, from runner.js's `DETECTION_COMPLETE`
+ * report, that the page deserves a notification, then hands it that same detection result
+ * (see `present()`). This script never analyzes the page itself; it is responsible for:
+ * 1.  Managing the state and display of the on-page notification UI.
+ * 2.  Communicating with the background script to log events.
+ * 3.  Asking runner.js to analyze the page again on request. Single-Page Application (SPA)
+ *     navigations are handled by runner.js's `NavigationWatcher`, which calls `reset()`.
+ * 4.  Hiding or showing the notification as soon as the user's preferences change.
+ * 5.  Offering the per-site controls (snooze, never here, always here) from the notification;
+ *     see site-rules.js.
+ * 6.  Remembering dismissed offers by product and brand, and capping how many banners are
+ *     shown, through the background's dismissal store; see dismissal-store.js.
  *
- * @version 2.5.0
+ * The notification is rendered inside a closed shadow root on a `<chaching-notification>`
+ * host, styled by content_styles.css, so the page's CSS and scripts can't reach into it and
+ * its styles can't leak out. Where the Popover API is available the host is shown in the
+ * top layer, above anything the page stacks with z-index; elsewhere it takes the highest
+ * z-index there is.
+ *
+ * @version 2.12.0
+ */
+
+/**
+ * The notification's host element. An undefined custom element, so page rules written for
+ * `div`s don't match it.
+ * @const {string}
+ */
+const NOTIFICATION_TAG = 'chaching-notification';
+
+/**
+ * Creates an element for the notification. Text is set with `textContent` and attributes
+ * with `setAttribute()`, so strings from the page can't add markup.
+ *
+ * @param {string} tag - The tag name, e.g. `div`.
+ * @param {Object} [properties] - `className`, `text`, and any other attributes by name.
+ * @param {Node[]} [children] - Child nodes, appended in order.
+ * @returns {HTMLElement} The element.
  */
+function createElement(tag, { className, text, ...attributes } = {}, children = []) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+  element.append(...children);
+  return element;
+}
 
 /**
  * Manages all content script logic, state, and UI interactions.
@@ -19,20 +57,9 @@
 class ChachingContentScript {
   constructor() {
     /**
-     * An instance of the BrandDetector class, used to analyze the current page.
-     * @type {BrandDetector}
-     */
-    this.brandDetector = new BrandDetector();
-
-    /**
-     * An instance of the PdpDetector class, used to determine if a page is a PDP.
-     * @type {PdpDetector}
-     */
-    this.pdpDetector = new PdpDetector();
-
-    /**
-     * Stores the most recent detection result from the detector.
-     * This object contains the confidence score, whether it's a product page, and the product info.
+     * The detection result the background handed over: the brand detector's result plus
+     * `isPdp`, the PDP signals (`pdpSignals`) and the overall `confidence` (the brand's own
+     * is kept as `brandConfidence`).
      * @type {Object|null}
      */
     this.detectionResult = null;
@@ -47,45 +74,40 @@ class ChachingContentScript {
      * A cache for user preferences, loaded from `chrome.storage.sync`.
      * @type {Object}
      */
-    this.preferences = {
-      enabled: true,
-      autoShow: true,
-      minConfidence: 50,
-      blacklistedDomains: []
-    };
-
-    // The entry point for the script's execution.
-    this.init();
+    this.preferences = { ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES };
+
+    /**
+     * The detection result whose banner was last counted towards the cap, so showing it again
+     * (e.g. after a preference change) doesn't count twice.
+     * @type {Object|null}
+     */
+    this.countedResult = null;
+
+    /**
+     * The closed shadow root of each notification host; the page can't get at them.
+     * @type {WeakMap<HTMLElement, ShadowRoot>}
+     */
+    this.shadowRoots = new WeakMap();
+
+    /**
+     * The notification's styles, loaded once (see `loadStyles()`).
+     * @type {Promise<CSSStyleSheet|string>|null}
+     */
+    this.styles = null;
+
+    // The entry point for the script's execution. `present()` waits for it.
+    this.ready = this.init();
   }
 
   /**
    * Initializes the content script. This is the main entry point.
-   * It loads user preferences, checks if the extension should run on the
-   * current domain, and sets up listeners for page loads and messages.
+   * It loads user preferences and sets up the listener for messages.
    */
   async init() {
     try {
-      // Asynchronously load brands from the CSV file. This must complete first.
-      await window.loadBrands();
-
       // Asynchronously load preferences from storage.
       await this.loadPreferences();
 
-      // Check if the user has disabled the extension or blacklisted the current site.
-      if (!this.isEnabledForCurrentDomain()) {
-        ChachingUtils.log('info', 'ContentScript', 'Extension is disabled for this domain.');
-        return; // Stop execution if disabled.
-      }
-
-      // The detection logic should only run after the DOM is fully loaded.
-      if (document.readyState === 'loading') {
-        // If the DOM is still loading, wait for the DOMContentLoaded event.
-        document.addEventListener('DOMContentLoaded', () => this.startDetection());
-      } else {
-        // If the DOM is already loaded, we can start immediately.
-        this.startDetection();
-      }
-
       // Set up a listener to handle messages from other parts of the extension
       // (like the popup or background script).
       chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -93,8 +115,8 @@ class ChachingContentScript {
         return true; // `return true` is required for asynchronous sendResponse calls.
       });
 
-      // Set up a listener for URL changes to support Single-Page Applications (SPAs).
-      this.observeUrlChanges();
+      // Preferences changed in the popup, the options page or another device apply right away.
+      chrome.storage.onChanged.addListener((changes, areaName) => this.handleStorageChange(changes, areaName));
 
     } catch (error) {
       ChachingUtils.log('error', 'ContentScript', 'Initialization failed.', error);
@@ -116,261 +138,349 @@ class ChachingContentScript {
   }
 
   /**
-   * Checks if the extension is globally enabled and if the current website's
-   * domain has not been blacklisted by the user.
+   * Applies changed preferences to this page without a reload: turning the extension off,
+   * blocking this site or turning auto-show off hides the notification; undoing that shows
+   * it again for the result already on hand. Whether detection runs at all is the
+   * background's side (see its own `storage.onChanged` listener).
+   *
+   * @param {Object<string, chrome.storage.StorageChange>} changes - The changed keys.
+   * @param {string} areaName - The storage area, e.g. `sync`.
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+
+    const defaults = ChachingUtils.CONFIG.DEFAULT_PREFERENCES;
+    const changedKeys = Object.keys(changes).filter(key => key in defaults);
+    if (changedKeys.length === 0) return;
+
+    for (const key of changedKeys) {
+      this.preferences[key] = changes[key].newValue ?? defaults[key];
+    }
+    ChachingUtils.log('info', 'ContentScript', `Preferences changed: ${changedKeys.join(', ')}.`, this.preferences);
+
+    if (!this.isEnabledForCurrentDomain() || !this.preferences.autoShow) {
+      this.hideNotifications();
+    } else if (this.detectionResult && !this.notificationShown) {
+      this.showNotification();
+    }
+  }
+
+  /**
+   * Checks if the extension is globally enabled and the user has neither blocked nor
+   * snoozed the current site.
    *
    * @returns {boolean} True if the extension should be active on the current domain.
    */
   isEnabledForCurrentDomain() {
-    const currentDomain = ChachingUtils.extractDomain(window.location.href);
-    return this.preferences.enabled && !this.preferences.blacklistedDomains.includes(currentDomain);
+    return SiteRules.isActive(this.preferences, window.location.hostname);
   }
 
   /**
-   * Kicks off the product detection process. It uses a debounced function
-   * to prevent it from running too frequently, which can happen during
-   * rapid DOM changes on modern websites.
+   * Takes over the detection result the background acted on and shows the notification
+   * for it, unless the user has disabled the extension here or turned off auto-show.
+   *
+   * @param {Object} detection - runner.js's `DETECTION_COMPLETE` data (see `analyzePage()`).
    */
-  startDetection() {
-    const detectPage = (isRetry = false) => {
-      ChachingUtils.log('info', 'ContentScript', `Running detection... (Attempt: ${isRetry ? '2' : '1'})`);
-
-      // We no longer check for PDP first. We check for brands on any page.
-      this.detectionResult = this.brandDetector.detectBrandOnPage();
-      
-      // If a supported brand was found on the page...
-      if (this.detectionResult && this.detectionResult.isSupported) {
-        
-        ChachingUtils.log('info', 'ContentScript', 'Supported brand detected on page.', this.detectionResult);
-
-        if (this.preferences.autoShow && !this.notificationShown) {
-          this.showNotification();
-        }
-        this.notifyBackgroundScript();
-      } else {
-        const currentHostname = window.location.hostname.toLowerCase();
-        const specialMerchants = ['steals.com', 'beachcamera.com', 'videoshops.com', 'salonhq.com', 'pedalelectric.com'];
-        const matchedMerchant = specialMerchants.find(merchant => currentHostname.includes(merchant));
-
-        if (matchedMerchant) {
-            ChachingUtils.log('info', 'ContentScript', `On a special merchant site: ${matchedMerchant}.`);
-            this.detectionResult = {
-                isSupported: true,
-                isSpecialMerchant: true,
-                productInfo: {
-                    brand: matchedMerchant, 
-                    title: `Up to 33% cash back at ${matchedMerchant}`,
-                    cashback: 33
-                }
-            };
-            if (this.preferences.autoShow && !this.notificationShown) {
-                this.showNotification();
-            }
-            this.notifyBackgroundScript();
-        } else if (!isRetry) {
-          ChachingUtils.log('info', 'ContentScript', 'No supported brand found on first attempt. Scheduling a retry.');
-          setTimeout(() => detectPage(true), 3000); // 3-second delay for the retry.
-        } else {
-          ChachingUtils.log('info', 'ContentScript', 'No supported brand was found on this page after retry.');
-        }
-      }
-    };
+  async present(detection) {
+    await this.ready;
+
+    const { brandResult, isPdp, pdpSignals, confidence } = detection || {};
+    if (!brandResult?.isSupported) return;
+
+    this.detectionResult = { ...brandResult, brandConfidence: brandResult.confidence, confidence, isPdp, pdpSignals };
+    ChachingUtils.log('info', 'ContentScript', 'Detection result received from the background.', this.detectionResult);
 
-    // Use a debounced function for the initial call to avoid running during rapid DOM changes.
-    const debouncedDetect = ChachingUtils.debounce(() => detectPage(false), 500);
-    debouncedDetect();
+    // Check if the user has disabled the extension or blacklisted the current site.
+    if (!this.isEnabledForCurrentDomain()) {
+      ChachingUtils.log('info', 'ContentScript', 'Extension is disabled for this domain.');
+      return;
+    }
+
+    if (this.preferences.autoShow && !this.notificationShown) {
+      await this.showNotification();
+    }
+  }
+
+  /**
+   * Forgets the current page's result and hides its notification, e.g. when an SPA
+   * navigates away from it.
+   */
+  reset() {
+    this.detectionResult = null;
+    this.hideNotifications();
   }
 
   /**
-   * Handles showing the on-page notification. It first checks if the user has
-   * dismissed a notification on the exact same URL within the last 15 minutes.
+   * Hides every notification on the page (without recording a dismissal), so one can be shown again.
+   */
+  hideNotifications() {
+    this.notificationShown = false;
+    document.querySelectorAll(NOTIFICATION_TAG).forEach(host => this.hideNotification(host));
+  }
+
+  /**
+   * Clears the current page's state and asks runner.js to analyze the page again,
+   * so the background makes a fresh decision.
+   */
+  redetect() {
+    this.reset();
+    window.runDetection();
+  }
+
+  /**
+   * Handles showing the on-page notification. It first checks the dismissal store: the
+   * product or its brand may be on cooldown, or the hourly/daily banner cap reached.
    * The notification is designed to be persistent and must be manually dismissed.
    */
   async showNotification() {
-    // Prevent duplicate notifications
+    // Prevent duplicate notifications. Claimed before the dismissal lookup below, so a
+    // preference change and the background's `present()` arriving together show one.
     if (this.notificationShown || !this.detectionResult?.productInfo?.title) {
       return;
     }
+    this.notificationShown = true;
+    const result = this.detectionResult;
+
+    // The styles load while the background checks the dismissals. It checks and counts the
+    // banner in one step, so two tabs can't both take the last one under the cap.
+    const capped = this.countedResult !== result;
+    const [verdict, styles] = await Promise.all([
+      this.claimBanner(result.productInfo, capped),
+      this.loadStyles()
+    ]);
+
+    // The page was reset or the notification turned off while the background answered. The
+    // banner won't show, so it mustn't count against the cap.
+    if (this.detectionResult !== result || !this.notificationShown) {
+      if (verdict.shownAt) this.releaseBanner(verdict.shownAt);
+      return;
+    }
+    if (verdict.shownAt) this.countedResult = result;
 
-    // Check if notification was dismissed recently on this specific URL (within 15 minutes)
-    const dismissalKey = `dismissal_${window.location.href}`;
-    const dismissalData = await this.getStorageData(dismissalKey);
-    
-    if (dismissalData) {
-      const dismissalTime = new Date(dismissalData.timestamp).getTime();
-      const currentTime = new Date().getTime();
-      const fifteenMinutes = 15 * 60 * 1000; // 15 minutes in milliseconds
-      
-      if (currentTime - dismissalTime < fifteenMinutes) {
-        ChachingUtils.log('info', 'ContentScript', 'Notification dismissed recently for this URL, skipping.');
-        return;
-      }
+    if (!verdict.allowed) {
+      ChachingUtils.log('info', 'ContentScript', `Notification held back (${verdict.reason}) until ${new Date(verdict.until).toISOString()}.`);
+      this.notificationShown = false;
+      return;
     }
 
     // Create notification element
-    const notification = this.createNotificationElement();
-
-    const setZIndex = (nodes) => {
-      const highestZ = this.getHighestZIndex(nodes);
-      // Ensure we don't accidentally lower our z-index if it's already high
-      const currentZ = parseInt(notification.style.zIndex, 10) || 0;
-      if (highestZ + 1 > currentZ) {
-        notification.style.zIndex = highestZ + 1;
-        ChachingUtils.log('info', 'ContentScript', `Dynamically set z-index to ${highestZ + 1}.`);
-      }
-    };
+    const host = this.createNotificationElement(styles);
 
-    // Set z-index immediately on creation
-    setZIndex();
-    
-    // Add to page
-    document.body.appendChild(notification);
-    this.notificationShown = true;
+    // Add to page, above everything else where the top layer is available.
+    document.body.appendChild(host);
+    this.showInTopLayer(host);
 
     // Animate in
+    const notification = this.shadowRoots.get(host).querySelector('.chaching-notification');
     setTimeout(() => {
       notification.classList.add('chaching-show');
     }, 100);
 
-    // Re-check z-index after short delays to win wars against late-loading scripts.
-    setTimeout(setZIndex, 500);
-    setTimeout(setZIndex, 1500);
-
-    // Use a MutationObserver to watch for other elements being added to the page
-    // and re-assert our z-index if needed.
-    const observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          // A new node was added. We check its z-index and its children's to ensure we stay on top.
-          // A small delay allows the new element to be fully rendered before we check it.
-          setTimeout(() => setZIndex(mutation.addedNodes), 100);
-          return; // No need to check other mutations in this batch
-        }
-      }
-    });
-
-    observer.observe(document.body, { childList: true, subtree: true });
+    // NO AUTO-HIDE - notification stays until dismissed
+  }
 
-    // Store the observer on the notification element so we can disconnect it later
-    notification.chachingObserver = observer;
+  /**
+   * Loads content_styles.css for the notification's shadow root, once per page. Where
+   * supported it becomes a constructed stylesheet, which the page's Content Security Policy
+   * doesn't apply to; otherwise its text goes into a `<style>`.
+   *
+   * @returns {Promise<CSSStyleSheet|string>} The stylesheet or its text; '' if it couldn't be loaded.
+   */
+  loadStyles() {
+    if (!this.styles) {
+      this.styles = fetch(chrome.runtime.getURL('content_styles.css'))
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then(css => {
+          if (typeof CSSStyleSheet !== 'function' || !('replaceSync' in CSSStyleSheet.prototype) ||
+              !('adoptedStyleSheets' in ShadowRoot.prototype)) {
+            return css;
+          }
+          const sheet = new CSSStyleSheet();
+          sheet.replaceSync(css);
+          return sheet;
+        })
+        .catch(error => {
+          ChachingUtils.log('error', 'ContentScript', 'Failed to load the notification styles.', error);
+          this.styles = null; // Try again next time.
+          return '';
+        });
+    }
+    return this.styles;
+  }
 
-    // NO AUTO-HIDE - notification stays until dismissed
+  /**
+   * Shows a notification host in the top layer as a manual popover, so no page z-index or
+   * stacking context can cover it. Without the Popover API, the stylesheet's maximum
+   * z-index on `:host` applies instead.
+   *
+   * @param {HTMLElement} host - The notification host, already in the document.
+   */
+  showInTopLayer(host) {
+    if (typeof host.showPopover !== 'function') return;
+    try {
+      host.setAttribute('popover', 'manual');
+      host.showPopover();
+    } catch (error) {
+      ChachingUtils.log('warn', 'ContentScript', 'Could not show the notification in the top layer.', error);
+    }
   }
 
   /**
-   * Creates the HTML structure for the notification element.
-   * This now dynamically inserts the brand name and cashback percentage.
+   * Creates the notification: its content, inside a closed shadow root on a
+   * `<chaching-notification>` host.
+   * This now dynamically inserts the brand name and the brand's own cashback rate.
    *
-   * @returns {HTMLElement} The fully-formed, but not-yet-inserted, notification element.
+   * @param {CSSStyleSheet|string} styles - The notification styles (see `loadStyles()`).
+   * @returns {HTMLElement} The fully-formed, but not-yet-inserted, host element.
    */
-  createNotificationElement() {
-    const notification = document.createElement('div');
-    notification.className = 'chaching-notification';
+  createNotificationElement(styles) {
+    const host = document.createElement(NOTIFICATION_TAG);
+    const root = host.attachShadow({ mode: 'closed' });
+    if (typeof styles === 'string') {
+      const style = document.createElement('style');
+      style.textContent = styles;
+      root.appendChild(style);
+    } else {
+      root.adoptedStyleSheets = [styles];
+    }
+    this.shadowRoots.set(host, root);
+
+    const cashbackAmount = ChachingUtils.formatCashback(this.detectionResult?.productInfo?.cashback);
 
+    // The merchant and brand names come from the page and the brand catalog; they are only
+    // ever set as text (see `createElement()`), never parsed as markup.
+    let lines;
+    let actionLabel;
     if (this.detectionResult?.isSpecialMerchant) {
-      const merchantName = this.detectionResult.productInfo.brand;
-      notification.innerHTML = `
-        <button class="chaching-btn chaching-btn-secondary" id="chaching-close">✕</button>
-        <div class="chaching-notification-content">
-          <div class="chaching-icon">
-            <img src="${chrome.runtime.getURL('ChaChing_Logo.png')}" alt="ChaChing Logo" />
-          </div>
-          <div class="chaching-text">
-            <div class="chaching-title">Get up to 33% Cash Back!</div>
-            <div class="chaching-subtitle">Earn cashback at ${merchantName} when you shop through ChaChing.</div>
-          </div>
-          <div class="chaching-actions">
-            <button class="chaching-btn chaching-btn-primary" id="chaching-search">
-              Activate Cashback
-            </button>
-          </div>
-        </div>
-      `;
+      const merchantName = String(this.detectionResult.productInfo.brand);
+      lines = [
+        ['chaching-title', `Get up to ${cashbackAmount} Cash Back!`],
+        ['chaching-subtitle', `Earn cashback at ${merchantName} when you shop through ChaChing.`]
+      ];
+      actionLabel = 'Activate Cashback';
     } else {
       // The notification now focuses on the brand.
-      const brandName = this.detectionResult?.productInfo?.brand || 'top brands';
+      const brandName = String(this.detectionResult?.productInfo?.brand || 'top brands');
       // For display purposes only, capitalize the first letter of the brand name.
       const displayBrandName = brandName.charAt(0).toUpperCase() + brandName.slice(1);
-
-      notification.innerHTML = `
-        <button class="chaching-btn chaching-btn-secondary" id="chaching-close">✕</button>
-        <div class="chaching-notification-content">
-          <div class="chaching-icon">
-            <img src="${chrome.runtime.getURL('ChaChing_Logo.png')}" alt="ChaChing Logo" />
-          </div>
-          <div class="chaching-text">
-            <div class="chaching-title">Up to 33% Cash Back - Big, Fast, Reliable</div>
-            <div class="chaching-subtitle">On ${displayBrandName} products TODAY from a similar store</div>
-            <div class="chaching-benchmark">Beat Amazon prices BEFORE Cash Back?! Discounts & coupons can also be further applied.</div>
-          </div>
-          <div class="chaching-actions">
-            <button class="chaching-btn chaching-btn-primary" id="chaching-search">
-              See it
-            </button>
-          </div>
-        </div>
-      `;
+      lines = [
+        ['chaching-title', `Up to ${cashbackAmount} Cash Back - Big, Fast, Reliable`],
+        ['chaching-subtitle', `On ${displayBrandName} products TODAY from a similar store`],
+        ['chaching-benchmark', 'Beat Amazon prices BEFORE Cash Back?! Discounts & coupons can also be further applied.']
+      ];
+      actionLabel = 'See it';
     }
 
+    const notification = createElement('div', { className: 'chaching-notification' }, [
+      createElement('button', { className: 'chaching-btn chaching-btn-secondary', id: 'chaching-close', text: '✕' }),
+      createElement('div', { className: 'chaching-notification-content' }, [
+        createElement('div', { className: 'chaching-icon' }, [
+          createElement('img', { src: chrome.runtime.getURL('ChaChing_Logo.png'), alt: 'ChaChing Logo' })
+        ]),
+        createElement('div', { className: 'chaching-text' }, lines.map(([className, text]) => createElement('div', { className, text }))),
+        createElement('div', { className: 'chaching-actions' }, [
+          createElement('button', { className: 'chaching-btn chaching-btn-primary', id: 'chaching-search', text: actionLabel })
+        ])
+      ])
+    ]);
+
     // Add event listeners. Note the close button is now at the top level.
     notification.querySelector('#chaching-search').addEventListener('click', () => {
-      this.saveDismissalTime(); // Also save when searching
+      this.recordDismissal({ engaged: true }); // Don't offer the product again right away.
       this.searchOnChaching();
-      this.hideNotification(notification);
+      this.hideNotification(host);
     });
 
     notification.querySelector('#chaching-close').addEventListener('click', () => {
-      this.saveDismissalTime();
-      this.hideNotification(notification);
+      this.recordDismissal();
+      this.hideNotification(host);
     });
 
+    notification.appendChild(this.createSiteControls());
+    root.appendChild(notification);
+
     // No hover tracking needed since we don't auto-hide
 
-    return notification;
+    return host;
   }
 
   /**
-   * Finds the highest z-index on the page to ensure the notification is on top.
-   * This function is robust, checking for newly added nodes and searching inside open Shadow DOMs.
-   * @param {NodeList} [nodes] - An optional list of new nodes to check directly. If not provided, it scans the whole page.
-   * @returns {number} The highest z-index found.
+   * Creates the notification's per-site controls: a "this site" toggle that opens a row of
+   * snooze, never and always buttons. Choosing one saves it for the whole site (see
+   * `applySiteRule()`); snoozing and blocking then hide the notification through
+   * `handleStorageChange()`.
+   *
+   * @returns {HTMLElement} The controls.
    */
-  getHighestZIndex(nodes) {
-    let highestIndex = 0;
-
-    const elements = nodes || document.querySelectorAll('*');
+  createSiteControls() {
+    const site = SiteRules.getSiteKey(window.location.hostname);
+    const controls = document.createElement('div');
+    controls.className = 'chaching-site-controls';
+
+    const menu = document.createElement('div');
+    menu.className = 'chaching-site-menu';
+    menu.id = 'chaching-site-menu';
+    menu.hidden = true;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'chaching-site-toggle';
+    toggle.textContent = `Options for ${site}`;
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', menu.id);
+    toggle.addEventListener('click', () => {
+      menu.hidden = !menu.hidden;
+      toggle.setAttribute('aria-expanded', String(!menu.hidden));
+    });
 
-    // Recursive function to find the max z-index in a node tree (including open shadow DOMs)
-    const findHighestZ = (nodeList) => {
-      for (const element of nodeList) {
-        if (element.nodeType !== Node.ELEMENT_NODE) {
-          continue;
-        }
-        
-        // Skip our own notification elements to avoid an infinite loop
-        if (element.classList && element.classList.contains('chaching-notification')) {
-          continue;
-        }
+    const choices = [
+      { label: 'Snooze 1 hour', action: 'snooze', duration: '1h' },
+      { label: 'Snooze 1 day', action: 'snooze', duration: '1d' },
+      { label: 'Snooze 1 week', action: 'snooze', duration: '1w' },
+      { label: 'Never on this site', action: 'never' },
+      { label: 'Always show here', action: 'always' }
+    ];
+    for (const { label, action, duration } of choices) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chaching-site-btn';
+      button.textContent = label;
+      button.dataset.action = action;
+      if (duration) button.dataset.duration = duration;
+      button.addEventListener('click', async () => {
+        await this.applySiteRule(action, duration);
+        menu.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+      });
+      menu.appendChild(button);
+    }
 
-        const style = window.getComputedStyle(element);
-        const zIndex = parseInt(style.zIndex, 10);
-        
-        if (zIndex > highestIndex) {
-          highestIndex = zIndex;
-        }
-        
-        // If the element has a shadow root, and it's open, recursively search inside it.
-        // We cannot search closed shadow roots, so we rely on checking the host element's z-index.
-        if (element.shadowRoot && element.shadowRoot.mode === 'open') {
-          findHighestZ(element.shadowRoot.querySelectorAll('*'));
-        }
-      }
-    };
+    controls.append(toggle, menu);
+    return controls;
+  }
 
-    findHighestZ(elements);
-    
-    // If no z-index is found, default to a very high number as a safety net.
-    return Math.max(highestIndex, 2147483640);
+  /**
+   * Saves a per-site rule for the current site.
+   *
+   * @param {string} action - `snooze`, `never` or `always` (see `SiteRules.applyRule()`).
+   * @param {string} [duration] - For `snooze`: `1h`, `1d` or `1w`.
+   */
+  async applySiteRule(action, duration) {
+    try {
+      const changes = SiteRules.applyRule(this.preferences, window.location.hostname, action, { duration });
+      await chrome.storage.sync.set(changes);
+      ChachingUtils.log('info', 'ContentScript', `Site rule saved: ${action}${duration ? ` (${duration})` : ''}.`);
+      this.trackEvent('site_rule_set', {
+        action,
+        duration: duration || null,
+        site: SiteRules.getSiteKey(window.location.hostname)
+      });
+    } catch (error) {
+      ChachingUtils.log('error', 'ContentScript', 'Failed to save the site rule.', error);
+    }
   }
 
   /**
@@ -386,43 +496,46 @@ class ChachingContentScript {
   }
 
   /**
-   * Hides and removes the notification element from the DOM with a fade-out animation.
+   * Hides and removes a notification from the DOM with a fade-out animation.
    *
-   * @param {HTMLElement} notification - The notification element to be removed.
+   * @param {HTMLElement} host - The notification's host element.
    */
-  hideNotification(notification) {
-    // Disconnect the observer to prevent memory leaks when the notification is hidden.
-    if (notification.chachingObserver) {
-      notification.chachingObserver.disconnect();
-    }
+  hideNotification(host) {
+    const notification = this.shadowRoots.get(host)?.querySelector('.chaching-notification');
+    notification?.classList.remove('chaching-show');
+    notification?.classList.add('chaching-hide');
 
-    notification.classList.remove('chaching-show');
-    notification.classList.add('chaching-hide');
-    
-    // Wait for the CSS fade-out animation to complete before removing from the DOM.
+    // Wait for the CSS fade-out animation to complete before removing from the DOM
+    // (which also takes it out of the top layer).
     setTimeout(() => {
-      notification.remove();
+      host.remove();
     }, 300);
   }
 
   /**
-   * Opens the chaching.me search results page in a new tab for the detected brand.
+   * Opens the chaching.me search results page in a new tab for the detected product.
+   * When the page exposes a GTIN or MPN the URL carries it (with brand, title and price)
+   * so ChaChing can match the exact product; otherwise it searches by brand, then title.
    */
   searchOnChaching() {
-    // The search is now based on the brand, if available. Fallback to title.
-    const searchQuery = this.detectionResult?.productInfo?.brand || this.detectionResult?.productInfo?.title;
+    const productInfo = this.detectionResult?.productInfo;
+    // The search is based on the brand, if available. Fallback to title.
+    const searchQuery = productInfo?.brand || productInfo?.title;
 
     if (!searchQuery) {
       ChachingUtils.log('error', 'ContentScript', 'Cannot search, no brand or title available.');
       return;
     }
 
-    const chachingUrl = ChachingUtils.generateChachingUrl(searchQuery);
-    
+    const hasIdentifier = !!(productInfo.gtin || productInfo.mpn);
+    const chachingUrl = hasIdentifier
+      ? ChachingUtils.generateChachingProductUrl(productInfo)
+      : ChachingUtils.generateChachingUrl(searchQuery);
+
     // Log this action for analytics.
     this.trackEvent('search_initiated_from_notification', {
       query: searchQuery,
-      type: this.detectionResult?.productInfo?.brand ? 'brand' : 'title',
+      type: hasIdentifier ? 'identifier' : (productInfo.brand ? 'brand' : 'title'),
       source_domain: window.location.hostname
     });
 
@@ -430,20 +543,6 @@ class ChachingContentScript {
     window.open(chachingUrl, '_blank');
   }
 
-  /**
-   * Sends a message to the background script containing the details of the detected product.
-   */
-  notifyBackgroundScript() {
-    chrome.runtime.sendMessage({
-      type: 'BRAND_DETECTED', // Changed message type for clarity
-      data: {
-        url: window.location.href,
-        brand: this.detectionResult.productInfo.brand,
-        title: this.detectionResult.productInfo.title
-      }
-    });
-  }
-
   /**
    * Handles incoming messages from other parts of the extension (popup, background).
    * This acts as the API for the content script.
@@ -465,16 +564,16 @@ class ChachingContentScript {
 
       // The popup wants to manually trigger the notification.
       case 'SHOW_NOTIFICATION':
-        if (!this.notificationShown && this.detectionResult?.isProductPage) {
+        // Only set once the background decided this page warrants a notification.
+        if (!this.notificationShown && this.detectionResult) {
           this.showNotification();
         }
         sendResponse({ success: true });
         break;
-      
+
       // The user has requested a re-scan of the page.
       case 'RE_DETECT':
-        this.notificationShown = false;
-        this.startDetection();
+        this.redetect();
         sendResponse({ success: true });
         break;
 
@@ -484,33 +583,6 @@ class ChachingContentScript {
     }
   }
 
-  /**
-   * Sets up an interval to check for URL changes. This is crucial for Single-Page
-   * Applications (SPAs) where navigation doesn't trigger a full page reload.
-   */
-  observeUrlChanges() {
-    let lastUrl = window.location.href;
-    
-    // Every second, check if the URL has changed.
-    setInterval(() => {
-      const currentUrl = window.location.href;
-      if (currentUrl !== lastUrl) {
-        lastUrl = currentUrl;
-        ChachingUtils.log('info', 'ContentScript', 'URL change detected (SPA navigation), re-running detection.');
-        
-        // Reset the state for the new "page".
-        this.notificationShown = false;
-        this.detectionResult = null;
-        
-        // Clean up any old notifications that might still be on the page.
-        document.querySelectorAll('.chaching-notification').forEach(el => el.remove());
-        
-        // Re-run the detection logic for the new content.
-        setTimeout(() => this.startDetection(), 1000); // Wait a moment for the SPA to render.
-      }
-    }, 1000);
-  }
-
   /**
    * A wrapper for sending analytics events to the background script.
    *
@@ -529,41 +601,58 @@ class ChachingContentScript {
   }
 
   /**
-   * Saves the dismissal timestamp to storage for the current, specific URL.
+   * Asks the background whether the offer may be shown, counting it towards the banner cap if so
+   * (see `DismissalStore.claimBanner()`).
+   *
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @param {boolean} capped - Apply the banner cap; off for a banner that was already counted.
+   * @returns {Promise<Object>} The verdict, `{ allowed, reason, until, shownAt }`. Allowed, and not
+   *   counted, if the background can't answer.
    */
-  async saveDismissalTime() {
-    const dismissalKey = `dismissal_${window.location.href}`;
-    const dismissalData = {
-      timestamp: new Date().toISOString(),
-      // Log both brand and title for better context.
-      brand: this.detectionResult?.productInfo?.brand || 'Unknown',
-      productTitle: this.detectionResult?.productInfo?.title || 'Unknown'
-    };
-    
+  async claimBanner(productInfo, capped) {
     try {
-      await chrome.storage.local.set({ [dismissalKey]: dismissalData });
-      ChachingUtils.log('info', 'ContentScript', 'Dismissal time saved for this URL.', dismissalData);
+      const response = await chrome.runtime.sendMessage({ type: 'CLAIM_BANNER', productInfo, capped });
+      if (response?.data) return response.data;
+      ChachingUtils.log('warn', 'ContentScript', 'Could not read the dismissals; showing the notification.', response?.error);
     } catch (error) {
-      ChachingUtils.log('error', 'ContentScript', 'Failed to save dismissal time.', error);
+      ChachingUtils.log('warn', 'ContentScript', 'Could not read the dismissals; showing the notification.', error);
     }
+    return { allowed: true, reason: null, until: null, shownAt: null };
   }
 
   /**
-   * Gets data from Chrome storage
-   * 
-   * @param {string} key - Storage key
-   * @returns {Promise<any>} The stored data or null
+   * Gives a banner `claimBanner()` counted back to the cap, when it ended up not being shown.
+   *
+   * @param {number} shownAt - The claim's `shownAt`.
    */
-  async getStorageData(key) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(key, (result) => {
-        resolve(result[key] || null);
-      });
-    });
+  async releaseBanner(shownAt) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RELEASE_BANNER', shownAt });
+      if (!response?.success) throw new Error(response?.error || 'No reply');
+    } catch (error) {
+      ChachingUtils.log('warn', 'ContentScript', 'Could not release the unshown banner.', error);
+    }
+  }
+
+  /**
+   * Remembers that the user closed (or opened) the current offer, for its product and brand.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.engaged=false] - The user opened the offer rather than closing it.
+   */
+  async recordDismissal({ engaged = false } = {}) {
+    const productInfo = this.detectionResult?.productInfo;
+    if (!productInfo) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RECORD_DISMISSAL', productInfo, engaged });
+      if (!response?.success) throw new Error(response?.error || 'No reply');
+      ChachingUtils.log('info', 'ContentScript', `${engaged ? 'Opened' : 'Dismissed'} offer remembered for ${productInfo.brand}.`);
+    } catch (error) {
+      ChachingUtils.log('error', 'ContentScript', 'Failed to save the dismissal.', error);
+    }
   }
 }
 
 // Initialize the content script when the extension loads
-if (typeof window !== 'undefined' && !window.chachingContentScript) {
-  window.chachingContentScript = new ChachingContentScript();
-} 
\ No newline at end of file
+window.chachingContentScript = new ChachingContentScript();
@@ -0,0 +1,52 @@
+/**
+ * @file src/content/detection-pipeline.js
+ * @description The one place a page is analyzed.
+ *
+ * `analyzePage()` loads the brands, runs the brand and PDP detectors once and returns a single
+ * detection record. runner.js reports that record to the background as `DETECTION_COMPLETE`;
+ * if the background decides to show the notification it hands the same record to
+ * content_main.js (see `ChachingContentScript.present()`), which never re-detects on its own.
+ * That way the page is analyzed once and the notification can't disagree with the background.
+ *
+ * @version 1.1.0
+ */
+
+/**
+ * Runs every detector over the current page.
+ *
+ * @returns {Promise<Object>} `{ url, brandResult, isPdp, pdpSignals, pdpConfidence, confidence }`, where
+ * `brandResult` is the brand detector's result (or a special-merchant result, see
+ * `BrandDetector.detectSpecialMerchant()`) and is null when the page has no supported brand, and
+ * `pdpSignals` maps each PDP signal that was evaluated to whether it fired. `pdpConfidence` is the
+ * PDP score on 0-100 (50 at the PDP threshold) and `confidence` the detection's overall 0-100
+ * confidence: the weaker of the brand's and the PDP's, 0 without a brand. The background compares
+ * it with the user's `minConfidence`.
+ */
+async function analyzePage() {
+  // Brands first: both detectors depend on them. Only the ones this page names are loaded.
+  const brandDetector = new BrandDetector();
+  await window.loadBrands(brandDetector.getBrandQuery());
+
+  // Load the PDP scoring configuration, including any override for this domain.
+  const hostname = window.location.hostname;
+  const scoringConfig = await PdpDetector.loadScoringConfig(hostname);
+
+  const brandResult = brandDetector.detectBrandOnPage() || brandDetector.detectSpecialMerchant(hostname);
+  const pdp = new PdpDetector(scoringConfig).scorePage();
+  ChachingUtils.log('info', 'Pipeline', `PDP detection: ${pdp.isPDP} (score: ${pdp.score}/${pdp.threshold}, confidence ${pdp.confidence})`, pdp.signals);
+
+  const confidence = brandResult ? Math.min(brandResult.confidence, pdp.confidence) : 0;
+
+  return {
+    url: window.location.href,
+    brandResult,
+    isPdp: pdp.isPDP,
+    pdpSignals: pdp.signals,
+    pdpConfidence: pdp.confidence,
+    confidence
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.analyzePage = analyzePage;
+}
@@ -0,0 +1,28 @@
+/**
+ * @file src/content/history-hooks.js
+ * @description Announces Single-Page Application navigations to the content scripts.
+ *
+ * SPAs change the URL with `history.pushState()`/`replaceState()`, which fire no event. The
+ * page calls them from its own JavaScript world, where the content scripts' copies of `history`
+ * can't see them, so the background injects this file into that world (`world: 'MAIN'`). It wraps
+ * both methods to dispatch a `chaching:locationchange` event on `window`; DOM events are shared
+ * between worlds, so `NavigationWatcher` (navigation-watcher.js) receives it.
+ *
+ * Nothing else from the extension is available here. The event name must match
+ * `NAVIGATION_WATCHER_CONFIG.LOCATION_CHANGE_EVENT`.
+ *
+ * @version 1.0.0
+ */
+(function installHistoryHooks() {
+  // No marker here for "already hooked": anything left in this world the page could look up.
+  // The background injects this once per document and remembers that in the content scripts'
+  // isolated world instead (see `injectDetectionScripts()` in main.js).
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('chaching:locationchange'));
+      return result;
+    };
+  }
+})();
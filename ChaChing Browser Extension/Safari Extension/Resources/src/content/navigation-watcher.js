@@ -0,0 +1,179 @@
+/**
+ * @file src/content/navigation-watcher.js
+ * @description Notices Single-Page Application (SPA) navigations and waits for the new page to render.
+ *
+ * A navigation is a change of URL (ignoring the `#fragment`) announced by `popstate` or by
+ * history-hooks.js's `chaching:locationchange` event (for `pushState`/`replaceState`). When one
+ * happens the watcher:
+ * 1. Calls `onLeave()` right away, so the previous page's notification is torn down.
+ * 2. Waits until the product region has stopped changing: no mutations inside it for
+ *    `QUIET_MS`, or `MAX_WAIT_MS` at the latest. Only the product region counts, so tickers,
+ *    carousels and ads elsewhere on the page don't hold detection back.
+ * 3. Calls `onNavigate(url)`, unless another navigation superseded this one while waiting.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Navigation watcher settings.
+ * @const {Object}
+ */
+const NAVIGATION_WATCHER_CONFIG = {
+  // Dispatched by history-hooks.js from the page's world.
+  LOCATION_CHANGE_EVENT: 'chaching:locationchange',
+  // How long the product region must stay unchanged to count as rendered.
+  QUIET_MS: 500,
+  // Detection runs after this long even if the region never settles.
+  MAX_WAIT_MS: 5000,
+  // Where SPAs render the page's main content; the first match is the product region.
+  PRODUCT_REGION_SELECTOR: 'main, [role="main"], [itemtype*="schema.org/Product"], #main-content, #content'
+};
+
+/**
+ * Watches the page for SPA navigations.
+ * @class NavigationWatcher
+ */
+class NavigationWatcher {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onNavigate - Called with the new URL once its content has settled.
+   * @param {Function} [handlers.onLeave] - Called with the new URL as soon as the URL changes.
+   * @param {Object} [config] - Overrides for `NAVIGATION_WATCHER_CONFIG`.
+   */
+  constructor({ onNavigate, onLeave = () => {} }, config = {}) {
+    this.onNavigate = onNavigate;
+    this.onLeave = onLeave;
+    this.config = { ...NAVIGATION_WATCHER_CONFIG, ...config };
+
+    /**
+     * The URL (without fragment) detection last ran for.
+     * @type {string}
+     */
+    this.currentUrl = NavigationWatcher.withoutFragment(window.location.href);
+
+    /**
+     * Increments on every navigation, so a slower, superseded wait can tell it's stale.
+     * @type {number}
+     */
+    this.navigationId = 0;
+
+    this.handleLocationChange = this.handleLocationChange.bind(this);
+  }
+
+  /**
+   * Strips the `#fragment`: in-page anchors aren't navigations.
+   * @param {string} url - A URL.
+   * @returns {string} The URL without its fragment.
+   */
+  static withoutFragment(url) {
+    return url.split('#')[0];
+  }
+
+  /**
+   * Starts listening for navigations.
+   */
+  start() {
+    window.addEventListener(this.config.LOCATION_CHANGE_EVENT, this.handleLocationChange);
+    window.addEventListener('popstate', this.handleLocationChange);
+  }
+
+  /**
+   * Stops listening. A wait already in progress still ends, but won't call `onNavigate()`.
+   */
+  stop() {
+    window.removeEventListener(this.config.LOCATION_CHANGE_EVENT, this.handleLocationChange);
+    window.removeEventListener('popstate', this.handleLocationChange);
+    this.navigationId++;
+  }
+
+  /**
+   * Handles a possible navigation: tears down, waits for the new content, then reports it.
+   * @returns {Promise<void>}
+   */
+  async handleLocationChange() {
+    const url = NavigationWatcher.withoutFragment(window.location.href);
+    if (url === this.currentUrl) return;
+    this.currentUrl = url;
+
+    const navigationId = ++this.navigationId;
+    ChachingUtils.log('info', 'Navigation', `SPA navigation to ${url}, waiting for the page to settle.`);
+    this.onLeave(url);
+
+    await this.waitForSettled();
+    if (navigationId !== this.navigationId) return;
+
+    this.onNavigate(url);
+  }
+
+  /**
+   * Finds the region of the page that holds the product, if the page marks one.
+   * @returns {Element|null} The region.
+   */
+  findProductRegion() {
+    return document.querySelector(this.config.PRODUCT_REGION_SELECTOR);
+  }
+
+  /**
+   * Decides whether a mutation is part of the page rendering its product region. When the
+   * page has no recognizable region, every mutation counts.
+   *
+   * @param {MutationRecord} mutation - The mutation.
+   * @returns {boolean} True if it should restart the quiet period.
+   */
+  isRelevantMutation(mutation) {
+    const selector = this.config.PRODUCT_REGION_SELECTOR;
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+
+    // Our own notification coming and going isn't the page rendering. Its insides are in a
+    // closed shadow root, which the observer doesn't see.
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    if (nodes.length > 0 && nodes.every(node => node.nodeName === 'CHACHING-NOTIFICATION')) return false;
+    if (!this.findProductRegion()) return true;
+    if (target?.closest(selector)) return true;
+
+    // The region itself being swapped in or out (common on SPA route changes).
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(node =>
+      node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || !!node.querySelector(selector))
+    );
+  }
+
+  /**
+   * Resolves once the product region has had no relevant mutations for `QUIET_MS`,
+   * or after `MAX_WAIT_MS` regardless.
+   *
+   * @returns {Promise<void>}
+   */
+  waitForSettled() {
+    const { QUIET_MS, MAX_WAIT_MS } = this.config;
+
+    return new Promise((resolve) => {
+      let quietTimer = null;
+      let maxTimer = null;
+      let observer = null;
+
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve();
+      };
+
+      observer = new MutationObserver((mutations) => {
+        if (!mutations.some(mutation => this.isRelevantMutation(mutation))) return;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, QUIET_MS);
+      });
+
+      // Watch the whole body so a region that is replaced wholesale is still seen;
+      // `isRelevantMutation()` does the scoping.
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+      quietTimer = setTimeout(finish, QUIET_MS);
+      maxTimer = setTimeout(finish, MAX_WAIT_MS);
+    });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.NavigationWatcher = NavigationWatcher;
+  window.NAVIGATION_WATCHER_CONFIG = NAVIGATION_WATCHER_CONFIG;
+}
@@ -3,13 +3,20 @@
  * @description The Product Detail Page (PDP) detection engine for the ChaChing Extension.
  *
  * This module uses a confidence scoring system to determine if the current page is a 
- * product detail page. It requires the presence of action buttons (add to cart, buy now, etc.)
- * as a hard requirement, then accumulates confidence points from various other signals.
+ * product detail page. Some signals are hard requirements (by default, the presence of
+ * action buttons such as add to cart or buy now); the rest add confidence points.
  * 
  * Detection Process:
- * 1. Check for action buttons (required) - if not found, immediately return false
- * 2. Calculate confidence score from other signals (0-180 possible points)
- * 3. Return true if score >= 75 points
+ * 1. Check the required signals - if any is missing, immediately return false
+ * 2. Sum the weights of every other signal that fired
+ * 3. Return true if the score reaches the threshold
+ *
+ * The weights, required signals and threshold live in `DEFAULT_PDP_SCORING` and can be
+ * overridden per domain from `chrome.storage.local` (see `PdpDetector.loadScoringConfig()`).
+ *
+ * The score is also reported as a 0-100 `confidence` (see `PdpDetector.normalizeScore()`),
+ * on which the threshold always sits at 50, so it can be compared with the brand
+ * detector's confidence and the user's `minConfidence` preference.
  *
  * Troubleshooting:
  * Use the debugDetection() method in the console to see detailed results:
@@ -18,31 +25,84 @@
  * console.log(detector.debugDetection());
  * ```
  *
- * @version 3.1.0
+ * @version 3.3.0
  */
 
+/**
+ * The default scoring configuration. This is the single source of truth for how
+ * signals are weighed; both `isProductPage()` and `debugDetection()` consume it.
+ *
+ * - `weights`: points each signal contributes when it fires.
+ * - `requiredSignals`: signals that must fire for a page to be a PDP at all.
+ * - `threshold`: the minimum total score for a PDP.
+ *
+ * Total possible with the defaults: 190 points (requires 75+ to be considered a PDP).
+ * @const {Object}
+ */
+const DEFAULT_PDP_SCORING = {
+  threshold: 75,
+  requiredSignals: ['actionButtons'],
+  weights: {
+    structuredData: 40, // Product JSON-LD with an offer (very high confidence)
+    price: 25,          // Price found (high confidence)
+    productUrl: 25,     // Product URL pattern (high confidence)
+    productImages: 20,  // Product images (medium confidence)
+    reviews: 15,        // Reviews section (medium confidence)
+    description: 15,    // Product description (medium confidence)
+    breadcrumbs: 15,    // Breadcrumb navigation (medium confidence)
+    shippingInfo: 15,   // Shipping/delivery info (medium confidence)
+    metadata: 10,       // Product metadata such as SKU (low confidence)
+    selectors: 10,      // Product selectors such as size/color (low confidence)
+    actionButtons: 0    // Required rather than scored
+  }
+};
+
+/**
+ * The `chrome.storage.local` key holding per-domain scoring overrides, e.g.
+ * `{ "example.com": { "threshold": 60, "weights": { "reviews": 0 } } }`.
+ * @const {string}
+ */
+const PDP_SCORING_OVERRIDES_KEY = 'pdpScoringOverrides';
+
 /**
  * The PdpDetector class encapsulates all logic for detecting product detail pages.
- * It uses a confidence scoring system with action buttons as a mandatory requirement.
- * 
- * Scoring System:
- * - Structured Data with offer: 40 points (very high confidence)
- * - Price found: 25 points (high confidence)
- * - Product URL pattern: 25 points (high confidence)  
- * - Product images: 20 points (medium confidence)
- * - Reviews section: 15 points (medium confidence)
- * - Product description: 15 points (medium confidence)
- * - Breadcrumb navigation: 15 points (medium confidence)
- * - Shipping/delivery info: 15 points (medium confidence)
- * - Product metadata (SKU, etc): 10 points (low confidence)
- * - Product selectors (size/color): 10 points (low confidence)
- * 
- * Total possible: 180 points (requires 75+ to be considered a PDP)
+ * It scores the page against a scoring configuration (see `DEFAULT_PDP_SCORING`).
  * 
  * @class PdpDetector
  */
 class PdpDetector {
-  constructor() {
+  /**
+   * @param {Object} [scoringConfig] - A partial scoring configuration to merge over `DEFAULT_PDP_SCORING`.
+   */
+  constructor(scoringConfig) {
+    /**
+     * The effective scoring configuration for this page.
+     * @type {{ threshold: number, requiredSignals: string[], weights: Object<string, number> }}
+     */
+    this.scoring = PdpDetector.mergeScoringConfig(DEFAULT_PDP_SCORING, scoringConfig);
+
+    /**
+     * Maps each signal name to the check that evaluates it. A check returns either a
+     * boolean or a detail object with a `found` flag.
+     * @type {Object<string, Function>}
+     */
+    this.signalDetectors = {
+      actionButtons: () => this.detectActionButtons(),
+      structuredData: () => {
+        const structuredData = this.detectStructuredData();
+        return { ...structuredData, found: structuredData.found && structuredData.hasOffer };
+      },
+      price: () => this.detectPrice(),
+      productUrl: () => this.detectProductUrlPattern(),
+      productImages: () => this.detectProductImages(),
+      reviews: () => this.detectReviews(),
+      description: () => this.detectProductDescription(),
+      breadcrumbs: () => this.detectBreadcrumbs(),
+      shippingInfo: () => this.detectShippingInfo(),
+      metadata: () => this.detectProductMetadata(),
+      selectors: () => this.detectProductSelectors()
+    };
+
     /**
      * A comprehensive dictionary of keywords, patterns, and selectors that serve as
      * indicators for different page elements. This is the "knowledge base" of the detector.
@@ -101,111 +161,194 @@ class PdpDetector {
   }
 
   /**
-   * The main detection method that determines if the current page is a Product Detail Page.
-   * 
-   * Requirements:
-   * 1. MUST have action buttons (add to cart, buy now, etc.)
-   * 2. MUST accumulate at least 75 confidence points from other signals
+   * Merges a partial scoring configuration over a base configuration. Weights are
+   * merged per signal; `threshold` and `requiredSignals` replace the base values.
+   * Unknown signals and non-numeric values are ignored with a warning.
    *
-   * @returns {boolean} True if both requirements are met, false otherwise
+   * @param {Object} base - A complete scoring configuration.
+   * @param {Object} [override] - A partial configuration, e.g. from storage.
+   * @returns {Object} A new, complete scoring configuration.
    */
-  isProductPage() {
-    // REQUIREMENT 1: Must have action buttons (add to cart, buy now, etc.)
-    const hasActionButtons = this.detectActionButtons();
-    if (!hasActionButtons) {
-      ChachingUtils.log('info', 'PdpDetector', 'No action buttons found - not a PDP');
-      return false;
-    }
-    
-    // REQUIREMENT 2: Calculate confidence score from other signals
-    let confidenceScore = 0;
-    const signals = {};
-    
-    // Check for structured data (very high confidence)
-    const structuredData = this.detectStructuredData();
-    if (structuredData.found && structuredData.hasOffer) {
-      confidenceScore += 40;
-      signals.structuredData = true;
-    }
-    
-    // Check for price (high confidence)
-    if (this.detectPrice().found) {
-      confidenceScore += 25;
-      signals.price = true;
-    }
-    
-    // Check for product images (medium confidence)
-    if (this.detectProductImages()) {
-      confidenceScore += 20;
-      signals.productImages = true;
+  static mergeScoringConfig(base, override) {
+    const merged = {
+      threshold: base.threshold,
+      requiredSignals: [...base.requiredSignals],
+      weights: { ...base.weights }
+    };
+    if (!override || typeof override !== 'object') return merged;
+
+    const knownSignals = Object.keys(DEFAULT_PDP_SCORING.weights);
+
+    if (Number.isFinite(override.threshold)) {
+      merged.threshold = override.threshold;
     }
-    
-    // Check for product URL pattern (medium-high confidence)
-    if (this.detectProductUrlPattern()) {
-      confidenceScore += 25;
-      signals.productUrl = true;
+
+    if (Array.isArray(override.requiredSignals)) {
+      merged.requiredSignals = override.requiredSignals.filter(signal => knownSignals.includes(signal));
     }
-    
-    // Check for reviews (medium confidence)
-    if (this.detectReviews()) {
-      confidenceScore += 15;
-      signals.reviews = true;
+
+    for (const [signal, weight] of Object.entries(override.weights || {})) {
+      if (knownSignals.includes(signal) && Number.isFinite(weight)) {
+        merged.weights[signal] = weight;
+      } else {
+        ChachingUtils.log('warn', 'PdpDetector', `Ignoring invalid scoring override for "${signal}".`, weight);
+      }
     }
-    
-    // Check for product description (low-medium confidence)
-    if (this.detectProductDescription()) {
-      confidenceScore += 15;
-      signals.description = true;
+
+    return merged;
+  }
+
+  /**
+   * Loads the scoring configuration for a hostname, applying any override stored under
+   * `pdpScoringOverrides` in `chrome.storage.local`. An override keyed on "example.com"
+   * also applies to its subdomains; the most specific key wins.
+   *
+   * @param {string} hostname - The page's hostname.
+   * @returns {Promise<Object>} The effective scoring configuration.
+   */
+  static async loadScoringConfig(hostname) {
+    try {
+      const stored = await chrome.storage.local.get(PDP_SCORING_OVERRIDES_KEY);
+      const overrides = stored?.[PDP_SCORING_OVERRIDES_KEY] || {};
+      const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+
+      const matchingDomain = Object.keys(overrides)
+        .filter(domain => host === domain || host.endsWith(`.${domain}`))
+        .sort((a, b) => b.length - a.length)[0];
+
+      if (matchingDomain) {
+        ChachingUtils.log('info', 'PdpDetector', `Using scoring override for "${matchingDomain}".`, overrides[matchingDomain]);
+        return PdpDetector.mergeScoringConfig(DEFAULT_PDP_SCORING, overrides[matchingDomain]);
+      }
+    } catch (error) {
+      ChachingUtils.log('warn', 'PdpDetector', 'Failed to load scoring overrides, using defaults.', error);
     }
-    
-    // Check for product metadata like SKU, availability (low confidence)
-    if (this.detectProductMetadata()) {
-      confidenceScore += 10;
-      signals.metadata = true;
+    return PdpDetector.mergeScoringConfig(DEFAULT_PDP_SCORING);
+  }
+
+  /**
+   * Scores the page against the scoring configuration.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.evaluateAll=false] - Keep evaluating after a required signal is
+   *   missing. `isProductPage()` stops early to save work; `debugDetection()` wants everything.
+   * @returns {Object} Object with properties:
+   *   - isPDP {boolean} Whether all required signals fired and the score met the threshold
+   *   - score {number} The total confidence score
+   *   - threshold {number} The threshold used
+   *   - confidence {number} The score on a 0-100 scale, 50 at the threshold (0 if a required signal is missing)
+   *   - signals {Object<string, boolean>} Whether each evaluated signal fired
+   *   - details {Object<string, boolean|Object>} The raw output of each check
+   *   - missingRequired {string[]} Required signals that did not fire
+   */
+  scorePage({ evaluateAll = false } = {}) {
+    const { weights, requiredSignals, threshold } = this.scoring;
+    const signals = {};
+    const details = {};
+    const missingRequired = [];
+    let score = 0;
+
+    const evaluate = (signal) => {
+      const detail = this.signalDetectors[signal]();
+      details[signal] = detail;
+      signals[signal] = typeof detail === 'object' && detail !== null ? !!detail.found : !!detail;
+      if (signals[signal]) score += weights[signal] || 0;
+      return signals[signal];
+    };
+
+    for (const signal of requiredSignals) {
+      if (!evaluate(signal)) {
+        missingRequired.push(signal);
+        if (!evaluateAll) break;
+      }
     }
-    
-    // Check for product selectors (size, color, etc.) (low confidence)
-    if (this.detectProductSelectors()) {
-      confidenceScore += 10;
-      signals.selectors = true;
+
+    if (missingRequired.length === 0 || evaluateAll) {
+      for (const signal of Object.keys(weights)) {
+        if (!(signal in signals) && this.signalDetectors[signal]) evaluate(signal);
+      }
     }
-    
-    // Check for breadcrumbs (medium confidence)
-    if (this.detectBreadcrumbs()) {
-      confidenceScore += 15;
-      signals.breadcrumbs = true;
+
+    const maxScore = Object.values(weights).reduce((sum, weight) => sum + Math.max(0, weight), 0);
+    return {
+      isPDP: missingRequired.length === 0 && score >= threshold,
+      score,
+      threshold,
+      confidence: missingRequired.length === 0 ? PdpDetector.normalizeScore(score, threshold, maxScore) : 0,
+      signals,
+      details,
+      missingRequired
+    };
+  }
+
+  /**
+   * Maps a score onto 0-100 with the threshold at 50: scores below it spread over 0-49,
+   * scores from it up to the maximum over 50-100. Whatever a domain's threshold and weights,
+   * a confidence of 50 or more means the page passed.
+   *
+   * @param {number} score - The page's score.
+   * @param {number} threshold - The score a PDP needs.
+   * @param {number} maxScore - The score with every signal firing.
+   * @returns {number} The confidence, an integer from 0 to 100.
+   */
+  static normalizeScore(score, threshold, maxScore) {
+    if (score < threshold) {
+      return Math.min(49, Math.max(0, Math.round(50 * score / threshold)));
     }
-    
-    // Check for shipping/delivery information (medium confidence)
-    if (this.detectShippingInfo()) {
-      confidenceScore += 15;
-      signals.shippingInfo = true;
+    if (maxScore <= threshold) return 100;
+    return Math.min(100, Math.round(50 + 50 * (score - threshold) / (maxScore - threshold)));
+  }
+
+  /**
+   * The main detection method that determines if the current page is a Product Detail Page.
+   * 
+   * Requirements:
+   * 1. MUST have every required signal (by default, action buttons)
+   * 2. MUST accumulate at least `threshold` confidence points from the weighted signals
+   *
+   * @returns {boolean} True if both requirements are met, false otherwise
+   */
+  isProductPage() {
+    const result = this.scorePage();
+
+    if (result.missingRequired.length > 0) {
+      ChachingUtils.log('info', 'PdpDetector', `Missing required signals (${result.missingRequired.join(', ')}) - not a PDP`);
+      return false;
     }
-    
-    // Need at least 75 points of confidence
-    const isPDP = confidenceScore >= 75;
-    
-    ChachingUtils.log('info', 'PdpDetector', `PDP detection: ${isPDP} (score: ${confidenceScore})`, {
-      hasActionButtons,
-      signals,
-      confidenceScore
+
+    ChachingUtils.log('info', 'PdpDetector', `PDP detection: ${result.isPDP} (score: ${result.score})`, {
+      signals: result.signals,
+      confidenceScore: result.score,
+      threshold: result.threshold
     });
-    
-    return isPDP;
+
+    return result.isPDP;
   }
 
   /**
-   * Detects price information on the page by searching for currency patterns
-   * in both the page text and meta tags.
+   * Detects price information on the page. Structured product data (JSON-LD,
+   * microdata, product meta tags) is preferred; otherwise the page text is
+   * searched for currency patterns.
    *
    * @returns {Object} Object with properties:
    *   - found {boolean} Whether a price was detected
    *   - price {string} The price string if found
+   *   - amount {number} The numeric price, when it came from structured data
    *   - currency {string} The detected currency code (USD, EUR, etc.)
    */
   detectPrice() {
+    const product = this.getProductExtractor().extract();
+    if (product.price !== null) {
+      return {
+        found: true,
+        price: String(product.price),
+        amount: product.price,
+        currency: product.currency || this.getCurrencyFromMeta()
+      };
+    }
+
     const pageText = document.body.innerText;
-    
+
     for (const pattern of this.indicators.pricePatterns) {
       const match = pageText.match(pattern);
       if (match) {
@@ -217,7 +360,7 @@ class PdpDetector {
         else if (match[0].includes('¥')) currency = 'JPY';
         else if (match[0].includes('₹')) currency = 'INR';
         else if (match[0].includes('R$')) currency = 'BRL';
-        
+
         return { found: true, price: match[0], currency: currency };
       }
     }
@@ -252,7 +395,7 @@ class PdpDetector {
     try {
       // Simply check if any action button text exists on the page
       const pageText = document.body?.innerText?.toLowerCase() || '';
-      
+
       // Check for action button keywords in page text
       for (const indicator of this.indicators.actionButtons) {
         if (pageText.includes(indicator)) {
@@ -260,7 +403,7 @@ class PdpDetector {
           return true;
         }
       }
-      
+
       // Also check button attributes as backup (for icon-only buttons)
       const elements = document.querySelectorAll('button, a, input[type="button"], input[type="submit"], [role="button"]');
       for (const element of elements) {
@@ -272,7 +415,7 @@ class PdpDetector {
           }
         }
       }
-      
+
       ChachingUtils.log('info', 'PdpDetector', 'No action buttons found on page');
       return false;
     } catch (error) {
@@ -311,7 +454,7 @@ class PdpDetector {
 
     // Also check for star rating elements, which are very common.
     const starElements = document.querySelectorAll('[class*="star"], [class*="rating"], [aria-label*="rating"]');
-    
+
     return hasReviewText || starElements.length > 0;
   }
 
@@ -326,7 +469,7 @@ class PdpDetector {
    */
   detectProductUrlPattern() {
     const url = window.location.href.toLowerCase();
-    
+
     const productUrlPatterns = [
       /\/product\//, /\/products\//, /\/item\//, /\/items\//, /\/p\//,
       /\/dp\//,        // Amazon's pattern
@@ -378,9 +521,9 @@ class PdpDetector {
     const currencyMeta = document.querySelector('meta[property="product:price:currency"], meta[property="og:price:currency"]');
     return currencyMeta?.content || 'USD'; // Default to USD if not found.
   }
-  
 
-  
+
+
   /**
    * Detects product variant selectors that allow customization.
    * Searches for: size selectors, color selectors, quantity inputs,
@@ -396,16 +539,16 @@ class PdpDetector {
       '[data-option-selector], [data-variant-selector]',
       '.product-options, .product-variants'
     ];
-    
+
     for (const selector of selectors) {
       if (document.querySelector(selector)) {
         return true;
       }
     }
-    
+
     return false;
   }
-  
+
   /**
    * Detects product images including galleries or single images.
    * Searches for:
@@ -428,7 +571,7 @@ class PdpDetector {
       '.product-image-container',
       '.pdp-image'
     ];
-    
+
     for (const selector of gallerySelectors) {
       const gallery = document.querySelector(selector);
       if (gallery) {
@@ -439,7 +582,7 @@ class PdpDetector {
         }
       }
     }
-    
+
     // Check for single product images (common on minimalist sites)
     const singleImageSelectors = [
       'img[class*="product-image"]',
@@ -450,7 +593,7 @@ class PdpDetector {
       'main img[src*="/product/"]',
       '[data-product-image] img'
     ];
-    
+
     for (const selector of singleImageSelectors) {
       const img = document.querySelector(selector);
       if (img && img.width > 200 && img.height > 200) {
@@ -458,13 +601,13 @@ class PdpDetector {
         return true;
       }
     }
-    
+
     // Check for images near the add to cart button (strong signal)
     const addToCart = document.querySelector(
       'button[class*="add-to-cart"], button[class*="add-to-bag"], ' +
       '[id*="add-to-cart"], [data-add-to-cart]'
     );
-    
+
     if (addToCart) {
       // Look for large images in the same section/container
       let container = addToCart.closest('section, article, [class*="product"], main');
@@ -477,17 +620,17 @@ class PdpDetector {
         }
       }
     }
-    
+
     // Check for thumbnail navigation (indicates gallery even if main image is single)
     const hasThumbnails = document.querySelector(
       '[class*="thumbnail"], [class*="thumb-nav"], [data-thumbnail]'
     );
-    
+
     return !!hasThumbnails;
   }
-  
 
-  
+
+
   /**
    * Detects product description sections with substantial content.
    * Searches for:
@@ -509,14 +652,14 @@ class PdpDetector {
       '#description',
       '[itemprop="description"]'
     ];
-    
+
     for (const selector of descriptionSelectors) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim().length > 50) {
         return true;
       }
     }
-    
+
     // Check for description headings followed by content
     const headings = document.querySelectorAll('h2, h3, h4');
     for (const heading of headings) {
@@ -529,10 +672,10 @@ class PdpDetector {
         }
       }
     }
-    
+
     return false;
   }
-  
+
   /**
    * Detects shipping and delivery information on the page.
    * Common indicators of product pages include shipping costs, delivery times, etc.
@@ -548,109 +691,78 @@ class PdpDetector {
       'shipping cost', 'shipping fee', 'delivery fee', 'ships from',
       'fulfilled by', 'dispatched from'
     ];
-    
+
     const pageText = document.body.innerText.toLowerCase();
     return shippingKeywords.some(keyword => pageText.includes(keyword));
   }
-  
+
   /**
-   * Debug method to get detailed detection results for troubleshooting
+   * Debug method to get detailed detection results for troubleshooting.
+   * Every signal is evaluated, even when a required one is missing.
+   *
    * @returns {Object} Detailed breakdown of all detection results
    */
   debugDetection() {
-    const results = {
+    const result = this.scorePage({ evaluateAll: true });
+
+    return {
       url: window.location.href,
-      actionButtons: {
-        found: this.detectActionButtons(),
-        pageText: document.body?.innerText?.substring(0, 500) || 'No page text'
-      },
-      scoring: {
-        structuredData: this.detectStructuredData(),
-        price: this.detectPrice(),
-        images: this.detectProductImages(),
-        urlPattern: this.detectProductUrlPattern(),
-        reviews: this.detectReviews(),
-        description: this.detectProductDescription(),
-        metadata: this.detectProductMetadata(),
-        selectors: this.detectProductSelectors(),
-        breadcrumbs: this.detectBreadcrumbs(),
-        shipping: this.detectShippingInfo()
-      },
-      totalScore: 0,
-      threshold: 75
+      pageText: document.body?.innerText?.substring(0, 500) || 'No page text',
+      scoring: this.scoring,
+      signals: result.signals,
+      details: result.details,
+      missingRequired: result.missingRequired,
+      totalScore: result.score,
+      threshold: result.threshold,
+      confidence: result.confidence,
+      isPDP: result.isPDP
     };
-    
-    // Calculate score
-    if (results.scoring.structuredData.found && results.scoring.structuredData.hasOffer) results.totalScore += 40;
-    if (results.scoring.price.found) results.totalScore += 25;
-    if (results.scoring.images) results.totalScore += 20;
-    if (results.scoring.urlPattern) results.totalScore += 25;
-    if (results.scoring.reviews) results.totalScore += 15;
-    if (results.scoring.description) results.totalScore += 15;
-    if (results.scoring.metadata) results.totalScore += 10;
-    if (results.scoring.selectors) results.totalScore += 10;
-    if (results.scoring.breadcrumbs) results.totalScore += 15;
-    if (results.scoring.shipping) results.totalScore += 15;
-    
-    results.isPDP = results.actionButtons.found && results.totalScore >= results.threshold;
-    
-    return results;
   }
-  
+
   /**
    * Detects structured data (JSON-LD) for Product schema with offers.
-   * This is the most reliable signal for product pages.
+   * This is the most reliable signal for product pages. Every JSON-LD block is
+   * considered, including arrays, `@graph` and `ProductGroup` variants
+   * (see `ProductExtractor`).
    * 
    * @returns {Object} Object with properties:
    *   - found {boolean} Whether Product schema was found
    *   - hasOffer {boolean} Whether the product has offer/price information
    *   - productName {string} The product name if found
    *   - brand {string} The brand name if found
-   *   - price {string|number} The product price if found
+   *   - price {number} The product price if found
    */
   detectStructuredData() {
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-    
-    for (const script of scripts) {
-      try {
-        const data = JSON.parse(script.textContent);
-        
-        // Check if it's a Product with an offer
-        if (data['@type'] === 'Product' && data.offers) {
-          return {
-            found: true,
-            hasOffer: true,
-            productName: data.name,
-            brand: data.brand?.name || data.brand,
-            price: data.offers?.price
-          };
-        }
-        
-        // Check in @graph
-        if (Array.isArray(data['@graph'])) {
-          const product = data['@graph'].find(item => 
-            item['@type'] === 'Product' && item.offers
-          );
-          if (product) {
-            return {
-              found: true,
-              hasOffer: true,
-              productName: product.name,
-              brand: product.brand?.name || product.brand,
-              price: product.offers?.price
-            };
-          }
-        }
-      } catch (e) {
-        // Invalid JSON, continue
-      }
+    const extractor = this.getProductExtractor();
+    const products = extractor.getJsonLdProducts();
+    if (products.length === 0) {
+      return { found: false, hasOffer: false };
+    }
+
+    const product = extractor.extractFromJsonLd();
+    return {
+      found: true,
+      hasOffer: products.some(node => extractor.hasOffer(node)),
+      productName: product.name,
+      brand: product.brand,
+      price: product.price
+    };
+  }
+
+  /**
+   * Returns a ProductExtractor for the current document, created on first use.
+   *
+   * @returns {ProductExtractor} The shared extractor.
+   */
+  getProductExtractor() {
+    if (!this.productExtractor) {
+      this.productExtractor = new ProductExtractor(document);
     }
-    
-    return { found: false, hasOffer: false };
+    return this.productExtractor;
   }
 }
 
 // Export the detector class instance for use in content.js
 if (typeof window !== 'undefined') {
   window.PdpDetector = PdpDetector;
-} 
\ No newline at end of file
+} 
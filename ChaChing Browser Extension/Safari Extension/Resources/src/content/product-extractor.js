@@ -0,0 +1,470 @@
+/**
+ * @file src/content/product-extractor.js
+ * @description Structured product extraction for the ChaChing Extension.
+ *
+ * This module reads the machine-readable product data a page publishes and returns
+ * a single normalized product record. Sources are consulted in order of reliability:
+ * 1. JSON-LD - every `application/ld+json` block, including arrays, nested `@graph`
+ *    entries, `ProductGroup`/`hasVariant` and `AggregateOffer`
+ * 2. Microdata - `itemscope` elements typed as schema.org `Product`
+ * 3. Open Graph / product meta tags - `og:*` and `product:*`
+ * A field missing from a more reliable source is filled from the next one.
+ *
+ * Usage:
+ * ```javascript
+ * const product = new ProductExtractor().extract();
+ * // { name, brand, gtin, mpn, sku, price, currency, availability, image, url, sources }
+ * ```
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Extracts a normalized product record from the current document.
+ * @class ProductExtractor
+ */
+class ProductExtractor {
+  /**
+   * @param {Document} [doc=document] - The document to read from.
+   */
+  constructor(doc = document) {
+    /**
+     * The document being analyzed.
+     * @type {Document}
+     */
+    this.doc = doc;
+
+    /**
+     * The GTIN properties schema.org allows, most specific first.
+     * @type {string[]}
+     */
+    this.gtinProperties = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin', 'isbn'];
+  }
+
+  /**
+   * Runs every extraction strategy and merges the results into one record.
+   *
+   * @returns {Object} The product record. Fields that could not be found are null:
+   *   - name {string|null} The product name
+   *   - brand {string|null} The brand name
+   *   - gtin {string|null} A GTIN/UPC/EAN/ISBN, digits only
+   *   - mpn {string|null} The manufacturer part number
+   *   - sku {string|null} The merchant's SKU
+   *   - price {number|null} The numeric price (the lowest price for an AggregateOffer)
+   *   - currency {string|null} The ISO 4217 currency code
+   *   - availability {string|null} A schema.org availability value, e.g. "InStock"
+   *   - image {string|null} An absolute image URL
+   *   - url {string} The canonical product URL
+   *   - sources {string[]} Which strategies contributed, e.g. ["jsonld", "opengraph"]
+   */
+  extract() {
+    const record = {
+      name: null,
+      brand: null,
+      gtin: null,
+      mpn: null,
+      sku: null,
+      price: null,
+      currency: null,
+      availability: null,
+      image: null,
+      url: null,
+      sources: []
+    };
+
+    const strategies = [
+      ['jsonld', () => this.extractFromJsonLd()],
+      ['microdata', () => this.extractFromMicrodata()],
+      ['opengraph', () => this.extractFromOpenGraph()]
+    ];
+
+    for (const [source, strategy] of strategies) {
+      let partial = null;
+      try {
+        partial = strategy();
+      } catch (error) {
+        ChachingUtils.log('warn', 'ProductExtractor', `The ${source} strategy failed.`, error);
+      }
+      if (!partial) continue;
+
+      let contributed = false;
+      for (const [field, value] of Object.entries(partial)) {
+        if (record[field] === null && value !== null && value !== undefined && value !== '') {
+          record[field] = value;
+          contributed = true;
+        }
+      }
+      if (contributed) record.sources.push(source);
+    }
+
+    record.url = this.getCanonicalUrl() || record.url || this.doc.location?.href || null;
+
+    return record;
+  }
+
+  // ---------------------------------------------------------------------------
+  // JSON-LD
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parses every JSON-LD block on the page and flattens it into a list of nodes.
+   * Arrays and `@graph` containers (at any depth) are unwrapped; invalid JSON is skipped.
+   *
+   * @returns {Object[]} All JSON-LD nodes found on the page.
+   */
+  getJsonLdNodes() {
+    const nodes = [];
+
+    const collect = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        nodes.push(value);
+        if (value['@graph']) collect(value['@graph']);
+      }
+    };
+
+    for (const script of this.doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch (e) {
+        // Invalid JSON, continue
+      }
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Finds the JSON-LD nodes describing products.
+   *
+   * @returns {Object[]} Nodes whose `@type` is (or includes) `Product` or `ProductGroup`.
+   */
+  getJsonLdProducts() {
+    return this.getJsonLdNodes().filter(node => this.hasType(node, 'Product') || this.hasType(node, 'ProductGroup'));
+  }
+
+  /**
+   * Extracts product fields from JSON-LD. A `ProductGroup` is resolved to the variant
+   * that best matches the page (see `selectVariant()`), inheriting the group's fields.
+   *
+   * @returns {Object|null} A partial product record, or null if there is no product.
+   */
+  extractFromJsonLd() {
+    const products = this.getJsonLdProducts();
+    if (products.length === 0) return null;
+
+    // Prefer a node that carries an offer; it is the one describing the page's product.
+    let product = products.find(node => this.hasOffer(node)) || products[0];
+
+    if (this.hasType(product, 'ProductGroup')) {
+      const variant = this.selectVariant(product);
+      if (variant) product = { ...product, ...variant, brand: variant.brand || product.brand, name: variant.name || product.name };
+    }
+
+    const offer = this.normalizeOffer(product.offers);
+
+    return {
+      name: this.asText(product.name),
+      brand: this.asText(product.brand?.name ?? product.brand),
+      gtin: this.normalizeGtin(this.gtinProperties.map(prop => product[prop]).find(Boolean)),
+      mpn: this.asText(product.mpn),
+      sku: this.asText(product.sku),
+      price: offer.price,
+      currency: offer.currency,
+      availability: offer.availability,
+      image: this.normalizeImage(product.image),
+      url: this.asText(product.url) || offer.url
+    };
+  }
+
+  /**
+   * Picks the variant of a `ProductGroup` the page is showing. A variant whose SKU or URL
+   * appears in the page URL wins; otherwise the first variant with an offer.
+   *
+   * @param {Object} group - A `ProductGroup` node.
+   * @returns {Object|null} The chosen variant node, or null if the group has none.
+   */
+  selectVariant(group) {
+    const variants = [].concat(group.hasVariant || []).filter(variant => variant && typeof variant === 'object');
+    if (variants.length === 0) return null;
+
+    const pageUrl = (this.doc.location?.href || '').toLowerCase();
+    const matchesPage = (variant) => {
+      const sku = this.asText(variant.sku);
+      const url = this.asText(variant.url);
+      return (sku && pageUrl.includes(sku.toLowerCase())) || (url && pageUrl === url.toLowerCase());
+    };
+
+    return variants.find(matchesPage) || variants.find(variant => this.hasOffer(variant)) || variants[0];
+  }
+
+  /**
+   * Normalizes a schema.org `offers` value: a single `Offer`, an array of offers, or an
+   * `AggregateOffer`. For several prices the lowest is used.
+   *
+   * @param {Object|Object[]} offers - The raw `offers` value.
+   * @returns {{ price: number|null, currency: string|null, availability: string|null, url: string|null }}
+   */
+  normalizeOffer(offers) {
+    const empty = { price: null, currency: null, availability: null, url: null };
+    const list = [].concat(offers || []).filter(offer => offer && typeof offer === 'object');
+    if (list.length === 0) return empty;
+
+    const candidates = [];
+    for (const offer of list) {
+      // An AggregateOffer carries lowPrice/highPrice and may nest its own offers.
+      if (this.hasType(offer, 'AggregateOffer') && offer.offers) {
+        const nested = this.normalizeOffer(offer.offers);
+        if (nested.price !== null) candidates.push({ ...nested, currency: nested.currency || this.asText(offer.priceCurrency) });
+      }
+
+      const spec = [].concat(offer.priceSpecification || [])[0] || {};
+      const price = ProductExtractor.parsePrice(offer.price ?? offer.lowPrice ?? spec.price);
+      candidates.push({
+        price,
+        currency: this.asText(offer.priceCurrency || spec.priceCurrency),
+        availability: this.normalizeAvailability(offer.availability),
+        url: this.asText(offer.url)
+      });
+    }
+
+    const priced = candidates.filter(candidate => candidate.price !== null);
+    if (priced.length === 0) return { ...empty, ...candidates[0], price: null };
+    return priced.reduce((lowest, candidate) => (candidate.price < lowest.price ? candidate : lowest));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Microdata
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Extracts product fields from schema.org microdata (`itemscope itemtype=".../Product"`).
+   *
+   * @returns {Object|null} A partial product record, or null if there is no microdata product.
+   */
+  extractFromMicrodata() {
+    const scope = this.doc.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+    if (!scope) return null;
+
+    // Only read properties that belong to this scope, not to nested items such as reviews.
+    const prop = (name) => {
+      for (const element of scope.querySelectorAll(`[itemprop="${name}"]`)) {
+        if (element.parentElement?.closest('[itemscope]') === scope) return element;
+      }
+      return null;
+    };
+    const value = (element) => {
+      if (!element) return null;
+      return this.asText(
+        element.getAttribute('content') ||
+        element.getAttribute('href') ||
+        element.getAttribute('src') ||
+        element.textContent
+      );
+    };
+
+    const brandElement = prop('brand');
+    const brand = brandElement?.hasAttribute('itemscope')
+      ? value(brandElement.querySelector('[itemprop="name"]'))
+      : value(brandElement);
+
+    const offerScope = scope.querySelector('[itemprop="offers"]') || scope;
+    const offerValue = (name) => value(offerScope.querySelector(`[itemprop="${name}"]`));
+
+    return {
+      name: value(prop('name')),
+      brand,
+      gtin: this.normalizeGtin(this.gtinProperties.map(name => value(prop(name))).find(Boolean)),
+      mpn: value(prop('mpn')),
+      sku: value(prop('sku')),
+      price: ProductExtractor.parsePrice(offerValue('price') ?? offerValue('lowPrice')),
+      currency: offerValue('priceCurrency'),
+      availability: this.normalizeAvailability(offerValue('availability')),
+      image: this.resolveUrl(value(prop('image'))),
+      url: value(prop('url'))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Open Graph
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Extracts product fields from Open Graph and `product:*` meta tags.
+   *
+   * @returns {Object|null} A partial product record, or null if there are no product tags.
+   */
+  extractFromOpenGraph() {
+    const meta = (...properties) => {
+      for (const property of properties) {
+        const element = this.doc.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+        if (element?.content?.trim()) return element.content.trim();
+      }
+      return null;
+    };
+
+    const record = {
+      name: meta('og:title'),
+      brand: meta('product:brand', 'og:brand'),
+      gtin: this.normalizeGtin(meta('product:gtin', 'product:upc', 'product:ean', 'og:upc', 'og:ean')),
+      mpn: meta('product:mfr_part_no'),
+      sku: meta('product:retailer_item_id', 'product:sku'),
+      price: ProductExtractor.parsePrice(meta('product:price:amount', 'og:price:amount')),
+      currency: meta('product:price:currency', 'og:price:currency'),
+      availability: this.normalizeAvailability(meta('product:availability', 'og:availability')),
+      image: this.resolveUrl(meta('og:image', 'og:image:url')),
+      url: meta('og:url')
+    };
+
+    // og:title alone is present on every page; only treat this as product data if
+    // something product-specific came with it.
+    const productFields = ['brand', 'gtin', 'mpn', 'sku', 'price', 'currency', 'availability'];
+    return productFields.some(field => record[field] !== null) ? record : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parses a price from a number or a formatted string such as "$1,299.99" or "1.299,99 €".
+   * Only the first number counts, so a range ("$1,299.99 - $1,499.99") gives its low end.
+   * When both separators appear, the last one is the decimal separator; a lone comma
+   * followed by exactly two digits is treated as a decimal comma, and dots that each precede
+   * exactly three digits ("1.299 €") as thousands separators.
+   *
+   * @param {number|string} value - The raw price.
+   * @returns {number|null} The numeric price, or null if none could be parsed.
+   */
+  static parsePrice(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    // Digits with the separators and spaces that may group them, up to the first other character.
+    const first = value.match(/\d(?:[\d.,'\s]*\d)?/);
+    if (!first) return null;
+    let numeric = first[0].replace(/[^\d.,]/g, '');
+
+    const lastComma = numeric.lastIndexOf(',');
+    const lastDot = numeric.lastIndexOf('.');
+    if (lastComma > lastDot && (lastDot !== -1 || /,\d{2}$/.test(numeric))) {
+      // Decimal comma: "1.299,99" or "49,99".
+      numeric = numeric.replace(/\./g, '').replace(',', '.');
+    } else if (lastComma === -1 && /^[1-9]\d{0,2}(\.\d{3})+$/.test(numeric)) {
+      // Thousands dots: "1.299" or "1.299.000".
+      numeric = numeric.replace(/\./g, '');
+    } else {
+      numeric = numeric.replace(/,/g, '');
+    }
+
+    const price = parseFloat(numeric);
+    return Number.isFinite(price) ? price : null;
+  }
+
+  /**
+   * Returns the page's canonical URL from `<link rel="canonical">` or `og:url`.
+   *
+   * @returns {string|null} An absolute URL, or null.
+   */
+  getCanonicalUrl() {
+    const canonical = this.doc.querySelector('link[rel="canonical"]')?.getAttribute('href');
+    const ogUrl = this.doc.querySelector('meta[property="og:url"]')?.content;
+    return this.resolveUrl(canonical || ogUrl || null);
+  }
+
+  /**
+   * Checks a JSON-LD node's `@type`, which may be a string or an array.
+   *
+   * @param {Object} node - A JSON-LD node.
+   * @param {string} type - The schema.org type name.
+   * @returns {boolean} True if the node has the type.
+   */
+  hasType(node, type) {
+    const types = [].concat(node?.['@type'] || []);
+    return types.some(t => typeof t === 'string' && t.replace(/^.*[/#]/, '') === type);
+  }
+
+  /**
+   * Checks whether a product (or any of its variants) carries an offer.
+   *
+   * @param {Object} node - A JSON-LD product node.
+   * @returns {boolean} True if an offer is present.
+   */
+  hasOffer(node) {
+    if (node.offers) return true;
+    return [].concat(node.hasVariant || []).some(variant => variant && variant.offers);
+  }
+
+  /**
+   * Reduces a schema.org availability URL to its value, e.g. "https://schema.org/InStock" → "InStock".
+   *
+   * @param {string} value - The raw availability.
+   * @returns {string|null} The availability value.
+   */
+  normalizeAvailability(value) {
+    const text = this.asText(value);
+    if (!text) return null;
+    const name = text.replace(/^.*[/#]/, '').replace(/\s+/g, '');
+    // Open Graph uses lowercase words such as "in stock" / "instock".
+    const known = ['InStock', 'OutOfStock', 'PreOrder', 'BackOrder', 'Discontinued', 'LimitedAvailability', 'SoldOut', 'InStoreOnly', 'OnlineOnly'];
+    return known.find(k => k.toLowerCase() === name.toLowerCase()) || name;
+  }
+
+  /**
+   * Normalizes a GTIN to its digits. Values that are not 8-14 digits long are discarded.
+   *
+   * @param {string|number} value - The raw GTIN/UPC/EAN.
+   * @returns {string|null} The digits, or null.
+   */
+  normalizeGtin(value) {
+    if (value === null || value === undefined) return null;
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length >= 8 && digits.length <= 14 ? digits : null;
+  }
+
+  /**
+   * Normalizes a schema.org `image` (a URL, an array, or an `ImageObject`) to one absolute URL.
+   *
+   * @param {string|Object|Array} image - The raw image value.
+   * @returns {string|null} The first image URL.
+   */
+  normalizeImage(image) {
+    const first = [].concat(image || [])[0];
+    if (!first) return null;
+    return this.resolveUrl(typeof first === 'string' ? first : (first.url || first.contentUrl || null));
+  }
+
+  /**
+   * Resolves a possibly relative URL against the document.
+   *
+   * @param {string|null} url - The URL to resolve.
+   * @returns {string|null} The absolute URL, or null if invalid.
+   */
+  resolveUrl(url) {
+    if (!url) return null;
+    try {
+      return new URL(url, this.doc.baseURI).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Coerces a JSON-LD scalar to a trimmed string.
+   *
+   * @param {*} value - The raw value.
+   * @returns {string|null} The text, or null if empty or not a scalar.
+   */
+  asText(value) {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+}
+
+// Export the extractor class for use in the detectors and runner.js
+if (typeof window !== 'undefined') {
+  window.ProductExtractor = ProductExtractor;
+}
@@ -1,26 +1,18 @@
 // An async function to orchestrate the detection process on the page.
+// The analysis itself lives in detection-pipeline.js; this reports its result to the background,
+// which decides whether to show the notification. It runs again after SPA navigations (see below)
+// and when content_main.js asks for a fresh result.
 async function runDetection() {
   console.log('[RUNNER] Starting detection.');
   try {
-    // First, wait for the `loadBrands` function (from brands.js) to complete.
-    await window.loadBrands();
+    const detection = await analyzePage();
 
-    // Now that we have the brands, we can run the detectors.
-    const brandDetector = new BrandDetector();
-    const pdpDetector = new PdpDetector();
-
-    const brandResult = brandDetector.detectBrandOnPage();
-    const isPdp = pdpDetector.isProductPage();
-
-    console.log('[RUNNER] Detection complete. Sending results to background.', { brandResult, isPdp });
+    console.log('[RUNNER] Detection complete. Sending results to background.', detection);
 
     // Send a message to the background script with the results.
     chrome.runtime.sendMessage({
       type: 'DETECTION_COMPLETE',
-      data: {
-        brandResult: brandResult,
-        isPdp: isPdp
-      }
+      data: detection
     });
 
   } catch (error) {
@@ -32,5 +24,19 @@ async function runDetection() {
   }
 }
 
+if (typeof window !== 'undefined') {
+  window.runDetection = runDetection;
+}
+
+// Re-run the whole pipeline after SPA navigations, tearing down the previous page's notification
+// first. The background may inject this script more than once per page; watch only once.
+if (typeof window !== 'undefined' && !window.chachingNavigationWatcher) {
+  window.chachingNavigationWatcher = new NavigationWatcher({
+    onLeave: () => window.chachingContentScript?.reset(),
+    onNavigate: () => runDetection()
+  });
+  window.chachingNavigationWatcher.start();
+}
+
 // Immediately execute the main function when this script is injected.
-runDetection();
\ No newline at end of file
+runDetection();
@@ -0,0 +1,384 @@
+/**
+ * @file src/options/options.js
+ * @description The logic for the extension's options page.
+ *
+ * Shows and edits every preference in `chrome.storage.sync` (see `CONFIG.DEFAULT_PREFERENCES`
+ * in utils.js), manages the blocked-site list (add, remove, import from a text file) and the
+ * snoozed and always-on sites (see site-rules.js), clears the remembered dismissals (see
+ * dismissal-store.js), and shows the extension and brand catalog versions. Every change is
+ * saved as soon as it is made.
+ *
+ * @version 1.2.0
+ */
+
+/**
+ * Options page settings.
+ * @const {Object}
+ */
+const OPTIONS_CONFIG = {
+  STATUS_DURATION: 2000  // How long "Saved" stays up, in ms.
+};
+
+/**
+ * Options page controller class
+ * @class OptionsController
+ */
+class OptionsController {
+  constructor() {
+    /**
+     * UI Elements
+     * @type {Object}
+     */
+    this.elements = {
+      enabled: document.getElementById('enabled'),
+      autoShow: document.getElementById('autoShow'),
+      minConfidence: document.getElementById('minConfidence'),
+      minConfidenceValue: document.getElementById('minConfidence-value'),
+      saveStatus: document.getElementById('save-status'),
+
+      blacklistForm: document.getElementById('blacklist-form'),
+      blacklistInput: document.getElementById('blacklist-input'),
+      blacklistError: document.getElementById('blacklist-error'),
+      blacklist: document.getElementById('blacklist'),
+      blacklistEmpty: document.getElementById('blacklist-empty'),
+      blacklistImport: document.getElementById('blacklist-import'),
+
+      siteRules: document.getElementById('site-rules'),
+      siteRulesEmpty: document.getElementById('site-rules-empty'),
+
+      resetDismissals: document.getElementById('reset-dismissals'),
+      dismissalCount: document.getElementById('dismissal-count'),
+
+      extensionVersion: document.getElementById('extension-version'),
+      catalogVersion: document.getElementById('catalog-version')
+    };
+
+    /**
+     * The stored preferences.
+     * @type {Object}
+     */
+    this.preferences = { ...ChachingUtils.CONFIG.DEFAULT_PREFERENCES };
+
+    this.statusTimer = null;
+
+    /**
+     * Resolves once the page shows the stored settings.
+     * @type {Promise<void>}
+     */
+    this.ready = this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    try {
+      this.setupEventListeners();
+      this.elements.extensionVersion.textContent = chrome.runtime.getManifest().version;
+
+      this.preferences = await chrome.storage.sync.get(ChachingUtils.CONFIG.DEFAULT_PREFERENCES);
+      this.renderPreferences();
+
+      await Promise.all([this.updateDismissalCount(), this.loadCatalogInfo()]);
+    } catch (error) {
+      console.error('[Options] Initialization error:', error);
+      this.showStatus('Settings could not be loaded', true);
+    }
+  }
+
+  /**
+   * Set up event listeners for UI elements
+   */
+  setupEventListeners() {
+    this.elements.enabled.addEventListener('change', (e) => this.savePreferences({ enabled: e.target.checked }));
+    this.elements.autoShow.addEventListener('change', (e) => this.savePreferences({ autoShow: e.target.checked }));
+
+    // Show the value while dragging, save it once released.
+    this.elements.minConfidence.addEventListener('input', (e) => {
+      this.elements.minConfidenceValue.textContent = `${e.target.value}%`;
+    });
+    this.elements.minConfidence.addEventListener('change', (e) => {
+      this.savePreferences({ minConfidence: Number(e.target.value) });
+    });
+
+    this.elements.blacklistForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addBlockedSite(this.elements.blacklistInput.value);
+    });
+    this.elements.blacklistImport.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importBlockedSites(file);
+      e.target.value = '';
+    });
+
+    this.elements.resetDismissals.addEventListener('click', () => this.resetDismissals());
+  }
+
+  /**
+   * Shows the preferences in the form.
+   */
+  renderPreferences() {
+    const { enabled, autoShow, minConfidence } = this.preferences;
+    this.elements.enabled.checked = enabled;
+    this.elements.autoShow.checked = autoShow;
+    this.elements.autoShow.disabled = !enabled;
+    this.elements.minConfidence.value = minConfidence;
+    this.elements.minConfidenceValue.textContent = `${minConfidence}%`;
+    this.renderBlacklist();
+    this.renderSiteRules();
+  }
+
+  /**
+   * Lists the blocked sites, each with a remove button.
+   */
+  renderBlacklist() {
+    const domains = this.preferences.blacklistedDomains;
+    this.elements.blacklist.replaceChildren(...domains.map(domain => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = domain;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-text';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove ${domain}`);
+      remove.addEventListener('click', () => this.removeBlockedSite(domain));
+
+      item.append(name, remove);
+      return item;
+    }));
+    this.elements.blacklistEmpty.classList.toggle('hidden', domains.length > 0);
+  }
+
+  /**
+   * Lists the snoozed and always-on sites, each with a remove button. Snoozes that are over
+   * are left out.
+   */
+  renderSiteRules() {
+    const rules = Object.keys(this.preferences.siteRules || {})
+      .sort()
+      .map(site => SiteRules.getRule(this.preferences, site))
+      .filter(Boolean);
+
+    this.elements.siteRules.replaceChildren(...rules.map(rule => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = rule.site;
+
+      const description = document.createElement('span');
+      description.className = 'option-help';
+      description.textContent = rule.action === 'snooze'
+        ? `Snoozed until ${new Date(rule.until).toLocaleString()}`
+        : 'Always shows offers';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-text';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', `Remove the rule for ${rule.site}`);
+      remove.addEventListener('click', () => this.removeSiteRule(rule.site));
+
+      item.append(name, description, remove);
+      return item;
+    }));
+    this.elements.siteRulesEmpty.classList.toggle('hidden', rules.length > 0);
+  }
+
+  /**
+   * Removes a site's snooze or always-on rule.
+   * @param {string} site - A site from the list.
+   */
+  async removeSiteRule(site) {
+    await this.savePreferences(SiteRules.applyRule(this.preferences, site, 'clear'));
+  }
+
+  /**
+   * Saves preference changes and reflects them on the page.
+   * @param {Object} changes - Preference keys and their new values.
+   */
+  async savePreferences(changes) {
+    this.preferences = { ...this.preferences, ...changes };
+    this.renderPreferences();
+
+    try {
+      await chrome.storage.sync.set(changes);
+      console.log('[Options] Saved:', changes);
+      this.showStatus('Saved');
+    } catch (error) {
+      console.error('[Options] Failed to save:', error);
+      this.showStatus('Could not save your changes', true);
+    }
+  }
+
+  /**
+   * Blocks the site the user typed.
+   * @param {string} value - A hostname or URL.
+   */
+  async addBlockedSite(value) {
+    const domain = ChachingUtils.normalizeHostname(value);
+    if (!domain) {
+      this.elements.blacklistError.textContent = `"${value.trim()}" isn't a website address.`;
+      return;
+    }
+    this.elements.blacklistError.textContent = '';
+    this.elements.blacklistInput.value = '';
+
+    if (this.preferences.blacklistedDomains.includes(domain)) return;
+    await this.savePreferences({ blacklistedDomains: [...this.preferences.blacklistedDomains, domain].sort() });
+  }
+
+  /**
+   * Unblocks a site.
+   * @param {string} domain - A domain from the list.
+   */
+  async removeBlockedSite(domain) {
+    await this.savePreferences({
+      blacklistedDomains: this.preferences.blacklistedDomains.filter(blocked => blocked !== domain)
+    });
+  }
+
+  /**
+   * Adds every site in a text file to the blocked list.
+   * @param {File} file - One site per line, or separated by commas.
+   */
+  async importBlockedSites(file) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error('[Options] Failed to read the import file:', error);
+      this.elements.blacklistError.textContent = `${file.name} could not be read.`;
+      return;
+    }
+
+    const { added, skipped } = OptionsController.parseSiteList(text, this.preferences.blacklistedDomains);
+    this.elements.blacklistError.textContent = skipped.length
+      ? `Skipped ${skipped.length} line(s) that aren't website addresses: ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? ', …' : ''}`
+      : '';
+
+    if (added.length) {
+      await this.savePreferences({ blacklistedDomains: [...this.preferences.blacklistedDomains, ...added].sort() });
+      this.showStatus(`Blocked ${added.length} site(s)`);
+    } else {
+      this.showStatus('No new sites to block');
+    }
+  }
+
+  /**
+   * Parses an imported site list.
+   *
+   * @param {string} text - The file's text: sites separated by newlines, commas, semicolons or spaces;
+   *   `#` comments are ignored.
+   * @param {string[]} existing - The sites already blocked.
+   * @returns {{ added: string[], skipped: string[] }} New normalized domains, and entries that weren't sites.
+   */
+  static parseSiteList(text, existing = []) {
+    const seen = new Set(existing);
+    const added = [];
+    const skipped = [];
+    // `#` starts a comment that runs to the end of the line.
+    const entries = text.split(/\r?\n/).flatMap(line => line.replace(/#.*/, '').split(/[\s,;]+/));
+    for (const entry of entries) {
+      if (!entry) continue;
+      const domain = ChachingUtils.normalizeHostname(entry);
+      if (!domain) {
+        skipped.push(entry);
+      } else if (!seen.has(domain)) {
+        seen.add(domain);
+        added.push(domain);
+      }
+    }
+    return { added, skipped };
+  }
+
+  /**
+   * Shows how many products and brands are held back after being dismissed. The background
+   * keeps them (see dismissal-store.js), so it is asked.
+   */
+  async updateDismissalCount() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'COUNT_DISMISSALS' });
+      if (!response?.success) throw new Error(response?.error || 'No reply');
+      const count = response.data;
+      this.elements.dismissalCount.textContent = count ? `${count} dismissed product(s) or brand(s) on hold` : 'Nothing dismissed';
+      this.elements.resetDismissals.disabled = count === 0;
+    } catch (error) {
+      // Resetting stays possible; the background may answer that.
+      console.error('[Options] Failed to count the dismissals:', error);
+      this.elements.dismissalCount.textContent = '';
+      this.elements.resetDismissals.disabled = false;
+    }
+  }
+
+  /**
+   * Forgets every dismissal (and the banner count), so offers show again. The background
+   * clears them, so the write is queued with the banners tabs are claiming.
+   */
+  async resetDismissals() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_DISMISSALS' });
+      if (!response?.success) throw new Error(response?.error || 'No reply');
+      console.log('[Options] Cleared the dismissals.');
+      this.showStatus('Dismissed offers will show again');
+    } catch (error) {
+      console.error('[Options] Failed to clear dismissals:', error);
+      this.showStatus('Could not reset dismissed offers', true);
+    }
+    await this.updateDismissalCount();
+  }
+
+  /**
+   * Asks the background which brand catalog it is serving.
+   */
+  async loadCatalogInfo() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CATALOG_INFO' });
+      if (!response?.success) throw new Error(response?.error || 'No catalog info');
+      this.elements.catalogVersion.textContent = OptionsController.describeCatalog(response.data);
+    } catch (error) {
+      console.error('[Options] Failed to get the catalog info:', error);
+      this.elements.catalogVersion.textContent = 'Unavailable';
+    }
+  }
+
+  /**
+   * Describes the catalog for the About section.
+   *
+   * @param {Object} info - `BrandCatalogSync.getCatalogInfo()`'s result.
+   * @returns {string} E.g. "Version 42 · 1,234 brands · updated 10/19/2026".
+   */
+  static describeCatalog({ source, version, brandCount, fetchedAt }) {
+    const parts = [source === 'remote' ? `Version ${version}` : `Built in (${version})`];
+    if (Number.isFinite(brandCount)) parts.push(`${brandCount.toLocaleString()} brands`);
+    if (fetchedAt) parts.push(`updated ${new Date(fetchedAt).toLocaleDateString()}`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Briefly shows a status message in the header.
+   * @param {string} message - The message.
+   * @param {boolean} [isError] - Styles it as an error.
+   */
+  showStatus(message, isError = false) {
+    const status = this.elements.saveStatus;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => { status.textContent = ''; }, OPTIONS_CONFIG.STATUS_DURATION);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.OptionsController = OptionsController;
+}
+
+// Initialize the page when the DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.chachingOptions = new OptionsController();
+  });
+} else {
+  window.chachingOptions = new OptionsController();
+}
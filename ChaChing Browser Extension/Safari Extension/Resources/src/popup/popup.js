@@ -1,24 +1,67 @@
 /**
- * @file src/popup/main.js
+ * @file src/popup/popup.js
  * @description The logic for the extension's popup UI.
  *
- * This script manages the state of the popup, handles user interactions
- * (like manual searches or toggling settings), and communicates with the
- * content and background scripts.
+ * The popup shows what the background decided for the active tab (`GET_TAB_DATA`): the detected
+ * product with its price, brand and cashback offer, and the signals behind the decision. It
+ * also offers a search on ChaChing, a free-text search, the per-site controls (snooze, never
+ * here, always here; see site-rules.js) and the on/off and auto-show toggles.
  *
- * @version 2.2.0
+ * The result is the one stored by `handleDetectionComplete()` in background/main.js:
+ * the brand detector's result (`evidence`, `productInfo`, `isSpecialMerchant`, its confidence as
+ * `brandConfidence`) plus the detection's overall `confidence`, `isPdp`, `pdpConfidence`,
+ * `pdpSignals`, `detectedAt` and `domain`. Only results that passed the user's `minConfidence`
+ * are stored.
+ *
+ * @version 3.1.0
+ */
+
+/**
+ * How each brand evidence source (see `BRAND_SOURCE_WEIGHTS` in brand-detector.js) is described.
+ * @const {Object<string, string>}
+ */
+const BRAND_EVIDENCE_LABELS = {
+  structuredData: 'Brand in the product data',
+  metaBrand: 'Brand in the page metadata',
+  itemprop: 'Brand in the product markup',
+  brandLabel: 'Brand label on the page',
+  brandElement: 'Brand element on the page',
+  title: 'Brand in the product title',
+  breadcrumb: 'Brand in the breadcrumbs',
+  officialDomain: "The brand's official store",
+  siteName: 'Brand in the site name',
+  domain: 'Brand in the domain'
+};
+
+/**
+ * How each PDP signal (see `DEFAULT_PDP_SCORING` in pdp-detector.js) is described when it fired.
+ * @const {Object<string, string>}
  */
+const PDP_SIGNAL_LABELS = {
+  actionButtons: 'Shopping actions detected',
+  structuredData: 'Structured product data present',
+  price: 'Price information found',
+  productUrl: 'Product URL pattern matched',
+  productImages: 'Product images found',
+  reviews: 'Customer reviews found',
+  description: 'Product description found',
+  breadcrumbs: 'Breadcrumb navigation found',
+  shippingInfo: 'Shipping information found',
+  metadata: 'Product metadata detected',
+  selectors: 'Size or color options found'
+};
 
 /**
- * popup.js - Popup interface logic for Chaching Product Searcher
- * 
- * Manages the popup UI state, handles user interactions, and communicates
- * with the content script and background service worker.
- * 
- * @module popup
- * @author Chaching Product Searcher Extension
- * @version 1.0.0
+ * What the per-site controls say for each site state (see `SiteRules.getStatus()`), and the
+ * label of the button that undoes it.
+ * @const {Object<string, { status: string, clear?: string }>}
  */
+const SITE_STATE_LABELS = {
+  default: { status: 'Offers show when ChaChing is confident.' },
+  always: { status: 'Offers always show here.', clear: 'Back to normal' },
+  snoozed: { status: 'Snoozed until {until}.', clear: 'Resume now' },
+  blocked: { status: 'Offers never show here.', clear: 'Allow again' }
+};
 
 /**
  * Popup controller class
@@ -36,21 +79,35 @@ class PopupController {
       noProductState: document.getElementById('no-product-state'),
       productDetectedState: document.getElementById('product-detected-state'),
       manualSearchState: document.getElementById('manual-search-state'),
-      
+
       // Product info elements
       productTitle: document.getElementById('product-title'),
+      productBrand: document.getElementById('product-brand'),
       productPrice: document.getElementById('product-price'),
+      cashbackRate: document.getElementById('cashback-rate'),
       confidenceBadge: document.getElementById('confidence-badge'),
       signalList: document.getElementById('signal-list'),
-      
+
       // Buttons
       searchChachingBtn: document.getElementById('search-chaching-btn'),
       copyTitleBtn: document.getElementById('copy-title-btn'),
-      manualSearchBtn: document.getElementById('manual-search-btn'),
+      manualSearchBtns: [
+        document.getElementById('manual-search-btn'),
+        document.getElementById('manual-search-btn-detected')
+      ],
       manualSearchSubmit: document.getElementById('manual-search-submit'),
       backBtn: document.getElementById('back-btn'),
       settingsLink: document.getElementById('settings-link'),
-      
+
+      // Per-site controls
+      siteControls: document.getElementById('site-controls'),
+      siteName: document.getElementById('site-name'),
+      siteStatusText: document.getElementById('site-status-text'),
+      siteSnoozeSelect: document.getElementById('site-snooze-select'),
+      siteNeverBtn: document.getElementById('site-never-btn'),
+      siteAlwaysBtn: document.getElementById('site-always-btn'),
+      siteClearBtn: document.getElementById('site-clear-btn'),
+
       // Form inputs
       manualSearchInput: document.getElementById('manual-search-input'),
       autoShowToggle: document.getElementById('auto-show-toggle'),
@@ -68,9 +125,10 @@ class PopupController {
     };
 
     /**
-     * Initialize the popup
+     * Resolves once the popup has shown its first state.
+     * @type {Promise<void>}
      */
-    this.init();
+    this.ready = this.init();
   }
 
   /**
@@ -80,17 +138,17 @@ class PopupController {
     try {
       // Load preferences
       await this.loadPreferences();
-      
+
       // Get current tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      this.state.currentTab = tab;
-      
+      this.state.currentTab = tab || null;
+      this.updateSiteControls();
+
       // Set up event listeners
       this.setupEventListeners();
-      
-      // Request detection results from content script
+
+      // Ask the background what it found on this tab
       await this.requestDetectionResults();
-      
     } catch (error) {
       console.error('[Popup] Initialization error:', error);
       this.showError('Failed to initialize extension');
@@ -102,18 +160,9 @@ class PopupController {
    */
   async loadPreferences() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get({
-        enabled: true,
-        autoShow: true,
-        minConfidence: 50,
-        blacklistedDomains: []
-      }, (items) => {
+      chrome.storage.sync.get(ChachingUtils.CONFIG.DEFAULT_PREFERENCES, (items) => {
         this.state.preferences = items;
-        
-        // Update UI toggles
-        this.elements.autoShowToggle.checked = items.autoShow;
-        this.elements.extensionToggle.checked = items.enabled;
-        
+        this.updateToggles();
         console.log('[Popup] Preferences loaded:', items);
         resolve();
       });
@@ -121,82 +170,148 @@ class PopupController {
   }
 
   /**
-   * Set up event listeners for UI elements
+   * Reflects the preferences in the footer toggles. Auto-show means nothing while
+   * the extension is off, so it is disabled then.
    */
-  setupEventListeners() {
-    // Search button
-    this.elements.searchChachingBtn?.addEventListener('click', () => {
-      this.searchOnChaching();
-    });
+  updateToggles() {
+    const { enabled, autoShow } = this.state.preferences;
+    this.elements.extensionToggle.checked = enabled;
+    this.elements.autoShowToggle.checked = autoShow;
+    this.elements.autoShowToggle.disabled = !enabled;
+    this.updateSiteControls();
+  }
 
-    // Copy title button
-    this.elements.copyTitleBtn?.addEventListener('click', () => {
-      this.copyProductTitle();
-    });
+  /**
+   * The active tab's hostname, if ChaChing can run there.
+   * @returns {string|null} The hostname.
+   */
+  getCurrentHostname() {
+    const url = this.state.currentTab?.url;
+    if (!/^https?:/.test(url || '')) return null;
+    return new URL(url).hostname;
+  }
 
-    // Manual search button
-    this.elements.manualSearchBtn?.addEventListener('click', () => {
-      this.showManualSearch();
-    });
+  /**
+   * Shows where the active tab's site stands (see `SiteRules.getStatus()`) and the actions that
+   * apply: snoozing and "never" while offers can show, "always" unless it is already set, and
+   * a button that undoes a snooze, block or "always". Hidden while ChaChing is off.
+   */
+  updateSiteControls() {
+    const hostname = this.getCurrentHostname();
+    const status = hostname ? SiteRules.getStatus(this.state.preferences, hostname) : null;
+    const labels = status && SITE_STATE_LABELS[status.state];
+    this.elements.siteControls.classList.toggle('hidden', !status?.site || !labels);
+    if (!status?.site || !labels) return;
+
+    this.elements.siteName.textContent = status.site;
+    this.elements.siteStatusText.textContent = labels.status.replace('{until}', this.formatSnoozeEnd(status.until));
+
+    const canShow = status.state === 'default' || status.state === 'always';
+    this.elements.siteSnoozeSelect.classList.toggle('hidden', !canShow);
+    this.elements.siteSnoozeSelect.value = '';
+    this.elements.siteNeverBtn.classList.toggle('hidden', !canShow);
+    this.elements.siteAlwaysBtn.classList.toggle('hidden', status.state === 'always');
+    this.elements.siteClearBtn.classList.toggle('hidden', !labels.clear);
+    this.elements.siteClearBtn.textContent = labels.clear || '';
+  }
 
-    // Manual search form
-    this.elements.manualSearchSubmit?.addEventListener('click', () => {
-      this.performManualSearch();
-    });
+  /**
+   * Formats when a snooze ends, e.g. "Tue 3:00 PM".
+   * @param {number|null} until - The end, in ms.
+   * @returns {string} The formatted time.
+   */
+  formatSnoozeEnd(until) {
+    if (!until) return '';
+    return new Date(until).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  }
 
-    this.elements.manualSearchInput?.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        this.performManualSearch();
-      }
-    });
+  /**
+   * Saves a per-site rule for the active tab's site. Open tabs on the site and the background
+   * follow through `storage.onChanged`.
+   *
+   * @param {string} action - `snooze`, `never`, `always` or `clear` (see `SiteRules.applyRule()`).
+   * @param {string} [duration] - For `snooze`: `1h`, `1d` or `1w`.
+   */
+  async applySiteRule(action, duration) {
+    const hostname = this.getCurrentHostname();
+    if (!hostname) return;
+
+    try {
+      const changes = SiteRules.applyRule(this.state.preferences, hostname, action, { duration });
+      this.state.preferences = { ...this.state.preferences, ...changes };
+      this.updateSiteControls();
 
-    // Back button
-    this.elements.backBtn?.addEventListener('click', () => {
-      this.hideManualSearch();
+      await chrome.storage.sync.set(changes);
+      console.log(`[Popup] Site rule saved for ${SiteRules.getSiteKey(hostname)}: ${action}${duration ? ` (${duration})` : ''}`);
+
+      chrome.runtime.sendMessage({
+        type: 'TRACK_EVENT',
+        data: { event: 'popup_site_rule', action, duration: duration || null }
+      });
+    } catch (error) {
+      console.error('[Popup] Failed to save the site rule:', error);
+    }
+  }
+
+  /**
+   * Set up event listeners for UI elements
+   */
+  setupEventListeners() {
+    this.elements.searchChachingBtn.addEventListener('click', () => this.searchOnChaching());
+    this.elements.copyTitleBtn.addEventListener('click', () => this.copyProductTitle());
+
+    for (const button of this.elements.manualSearchBtns) {
+      button.addEventListener('click', () => this.showManualSearch());
+    }
+    this.elements.manualSearchSubmit.addEventListener('click', () => this.performManualSearch());
+    this.elements.manualSearchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.performManualSearch();
     });
+    this.elements.backBtn.addEventListener('click', () => this.hideManualSearch());
 
-    // Settings link
-    this.elements.settingsLink?.addEventListener('click', (e) => {
+    this.elements.settingsLink.addEventListener('click', (e) => {
       e.preventDefault();
       this.openSettings();
     });
 
-    // Toggle switches
-    this.elements.autoShowToggle?.addEventListener('change', (e) => {
+    this.elements.autoShowToggle.addEventListener('change', (e) => {
       this.updatePreference('autoShow', e.target.checked);
     });
-
-    this.elements.extensionToggle?.addEventListener('change', (e) => {
+    this.elements.extensionToggle.addEventListener('change', (e) => {
       this.updatePreference('enabled', e.target.checked);
     });
+
+    this.elements.siteSnoozeSelect.addEventListener('change', (e) => {
+      if (e.target.value) this.applySiteRule('snooze', e.target.value);
+    });
+    this.elements.siteNeverBtn.addEventListener('click', () => this.applySiteRule('never'));
+    this.elements.siteAlwaysBtn.addEventListener('click', () => this.applySiteRule('always'));
+    this.elements.siteClearBtn.addEventListener('click', () => this.applySiteRule('clear'));
   }
 
   /**
-   * Request detection results from the content script
+   * Asks the background for the active tab's detection result and shows it.
    */
   async requestDetectionResults() {
+    const tab = this.state.currentTab;
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      this.showNoProductState("ChaChing doesn't run on this page.");
+      return;
+    }
+
     try {
-      // First check if content script is injected
-      const response = await chrome.tabs.sendMessage(this.state.currentTab.id, {
-        type: 'GET_DETECTION_RESULT'
-      });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TAB_DATA', tabId: tab.id });
+      const result = response?.data;
 
-      if (response?.success && response.data) {
-        this.state.detectionResult = response.data;
+      if (result?.isSupported && result.productInfo?.title) {
+        this.state.detectionResult = result;
         this.displayDetectionResult();
       } else {
-        // No product detected
         this.showNoProductState();
       }
     } catch (error) {
       console.error('[Popup] Failed to get detection result:', error);
-      
-      // Content script might not be injected (e.g., chrome:// pages)
-      if (error.message?.includes('Could not establish connection')) {
-        this.showNoProductState('Extension cannot run on this page');
-      } else {
-        this.showNoProductState();
-      }
+      this.showNoProductState();
     }
   }
 
@@ -204,84 +319,125 @@ class PopupController {
    * Display the detection result in the UI
    */
   displayDetectionResult() {
-    const { productInfo, confidence, signals } = this.state.detectionResult;
+    const { productInfo, confidence } = this.state.detectionResult;
 
-    // Hide loading state
     this.hideAllStates();
+    this.elements.productDetectedState.classList.remove('hidden');
+
+    this.elements.productTitle.textContent = productInfo.title;
+
+    const brand = productInfo.parentBrand && productInfo.parentBrand !== productInfo.brand
+      ? `${productInfo.brand} (${productInfo.parentBrand})`
+      : productInfo.brand;
+    this.setOptionalText(this.elements.productBrand, brand);
+    this.setOptionalText(this.elements.productPrice, this.formatPrice(productInfo.price, productInfo.currency));
+    this.setOptionalText(
+      this.elements.confidenceBadge,
+      Number.isFinite(confidence) ? `${Math.round(confidence)}% confidence` : null
+    );
+
+    // The detected brand's own cashback offer (or the default rate).
+    const cashback = ChachingUtils.getActiveCashback(productInfo.cashback);
+    const category = cashback.category ? ` · ${cashback.category}` : '';
+    this.elements.cashbackRate.textContent = `Up to ${ChachingUtils.formatCashback(cashback)} Cash Back${category}`;
+
+    this.displaySignals(this.describeSignals(this.state.detectionResult));
+  }
 
-    if (this.state.detectionResult.isProductPage && productInfo.title) {
-      // Show product detected state
-      this.elements.productDetectedState.classList.remove('hidden');
+  /**
+   * Shows `text` in `element`, or hides the element when there is nothing to show.
+   * @param {HTMLElement} element - The element.
+   * @param {string|null} text - The text.
+   */
+  setOptionalText(element, text) {
+    element.textContent = text || '';
+    element.classList.toggle('hidden', !text);
+  }
 
-      // Update product info
-      this.elements.productTitle.textContent = productInfo.title;
-      
-      if (productInfo.price) {
-        this.elements.productPrice.textContent = productInfo.price;
-        this.elements.productPrice.style.display = 'inline-block';
-      } else {
-        this.elements.productPrice.style.display = 'none';
+  /**
+   * Formats a product price for display.
+   *
+   * @param {number|string|null} price - The price; a number when it came from structured data.
+   * @param {string|null} currency - An ISO 4217 code, e.g. `USD`.
+   * @returns {string|null} The formatted price, or null if there is none.
+   */
+  formatPrice(price, currency) {
+    if (typeof price === 'string') return price.trim() || null;
+    if (!Number.isFinite(price) || price <= 0) return null;
+    if (/^[A-Z]{3}$/.test(currency || '')) {
+      try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(price);
+      } catch (error) {
+        // An unknown currency code: fall through to the plain number.
       }
+    }
+    return price.toFixed(2);
+  }
+
+  /**
+   * Lists the reasons behind a detection: the brand evidence, strongest first, then
+   * the PDP signals that fired.
+   *
+   * @param {Object} result - The detection result.
+   * @returns {string[]} One description per signal.
+   */
+  describeSignals(result) {
+    const reasons = [];
 
-      this.elements.confidenceBadge.textContent = `${confidence}% confidence`;
+    if (result.isSpecialMerchant) {
+      reasons.push(`Partner store: ${result.productInfo.brand}`);
+    }
 
-      // Display detection signals
-      this.displaySignals(signals);
-    } else {
-      // No product detected
-      this.showNoProductState();
+    const evidence = [...(result.evidence || [])].sort((a, b) => b.weight - a.weight);
+    for (const { source, value } of evidence) {
+      const label = BRAND_EVIDENCE_LABELS[source];
+      if (label) reasons.push(`${label}: ${value}`);
+    }
+
+    for (const [signal, fired] of Object.entries(result.pdpSignals || {})) {
+      if (fired && PDP_SIGNAL_LABELS[signal]) reasons.push(PDP_SIGNAL_LABELS[signal]);
     }
+
+    return reasons;
   }
 
   /**
    * Display detection signals
-   * @param {Object} signals - Detection signals
+   * @param {string[]} reasons - Signal descriptions, from `describeSignals()`.
    */
-  displaySignals(signals) {
-    this.elements.signalList.innerHTML = '';
-
-    const signalDescriptions = {
-      hasPrice: 'Price information found',
-      hasActionButton: 'Shopping actions detected',
-      hasProductImage: 'Product images found',
-      hasMetadata: 'Product metadata detected',
-      hasReviews: 'Customer reviews found',
-      hasStructuredData: 'Structured data present',
-      hasBreadcrumb: 'Breadcrumb navigation found',
-      hasProductUrl: 'Product URL pattern matched'
-    };
-
-    for (const [signal, value] of Object.entries(signals)) {
-      if (value && signalDescriptions[signal]) {
-        const li = document.createElement('li');
-        li.textContent = signalDescriptions[signal];
-        this.elements.signalList.appendChild(li);
-      }
-    }
+  displaySignals(reasons) {
+    this.elements.signalList.replaceChildren(...reasons.map(reason => {
+      const li = document.createElement('li');
+      li.textContent = reason;
+      return li;
+    }));
   }
 
   /**
-   * Search on Chaching
+   * Opens the detected product on ChaChing. With a GTIN or MPN the URL identifies the exact
+   * product; otherwise it searches by brand, then title (like the on-page notification).
    */
-  async searchOnChaching() {
-    if (!this.state.detectionResult?.productInfo?.title) return;
+  searchOnChaching() {
+    const productInfo = this.state.detectionResult?.productInfo;
+    if (!productInfo?.title) return;
+
+    const hasIdentifier = !!(productInfo.gtin || productInfo.mpn);
+    const searchUrl = hasIdentifier
+      ? ChachingUtils.generateChachingProductUrl(productInfo)
+      : ChachingUtils.generateChachingUrl(productInfo.brand || productInfo.title);
 
-    const searchUrl = this.generateChachingUrl(this.state.detectionResult.productInfo.title);
-    
-    // Open in new tab
     chrome.tabs.create({ url: searchUrl });
 
-    // Track event
     chrome.runtime.sendMessage({
       type: 'TRACK_EVENT',
       data: {
         event: 'popup_search',
-        product_title: this.state.detectionResult.productInfo.title,
+        product_title: productInfo.title,
+        type: hasIdentifier ? 'identifier' : (productInfo.brand ? 'brand' : 'title'),
         confidence: this.state.detectionResult.confidence
       }
     });
 
-    // Close popup
     window.close();
   }
 
@@ -289,19 +445,21 @@ class PopupController {
    * Copy product title to clipboard
    */
   async copyProductTitle() {
-    if (!this.state.detectionResult?.productInfo?.title) return;
+    const title = this.state.detectionResult?.productInfo?.title;
+    if (!title) return;
 
     try {
-      await navigator.clipboard.writeText(this.state.detectionResult.productInfo.title);
-      
+      await navigator.clipboard.writeText(title);
+
       // Show feedback
-      const originalText = this.elements.copyTitleBtn.innerHTML;
-      this.elements.copyTitleBtn.innerHTML = '✓ Copied!';
-      this.elements.copyTitleBtn.classList.add('btn-success');
-      
+      const button = this.elements.copyTitleBtn;
+      const originalText = button.textContent;
+      button.textContent = '✓ Copied!';
+      button.classList.add('btn-success');
+
       setTimeout(() => {
-        this.elements.copyTitleBtn.innerHTML = originalText;
-        this.elements.copyTitleBtn.classList.remove('btn-success');
+        button.textContent = originalText;
+        button.classList.remove('btn-success');
       }, 2000);
     } catch (error) {
       console.error('[Popup] Failed to copy:', error);
@@ -321,8 +479,8 @@ class PopupController {
    * Hide manual search interface
    */
   hideManualSearch() {
-    this.elements.manualSearchState.classList.add('hidden');
-    if (this.state.detectionResult?.isProductPage) {
+    this.hideAllStates();
+    if (this.state.detectionResult) {
       this.elements.productDetectedState.classList.remove('hidden');
     } else {
       this.elements.noProductState.classList.remove('hidden');
@@ -334,18 +492,14 @@ class PopupController {
    */
   performManualSearch() {
     const query = this.elements.manualSearchInput.value.trim();
-    
+
     if (!query) {
       this.elements.manualSearchInput.focus();
       return;
     }
 
-    const searchUrl = this.generateChachingUrl(query);
-    
-    // Open in new tab
-    chrome.tabs.create({ url: searchUrl });
+    chrome.tabs.create({ url: ChachingUtils.generateChachingUrl(query) });
 
-    // Track event
     chrome.runtime.sendMessage({
       type: 'TRACK_EVENT',
       data: {
@@ -354,26 +508,9 @@ class PopupController {
       }
     });
 
-    // Close popup
     window.close();
   }
 
-  /**
-   * Generate Chaching URL
-   * @param {string} query - Search query
-   * @returns {string} Chaching search URL
-   */
-  generateChachingUrl(query) {
-    const sanitized = query
-      .replace(/[^\w\s\-\.']/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .replace(/\s/g, '+');
-    
-    // Don't encode - let browser handle it to preserve + signs
-    return `https://chaching.me/us/search?query=${sanitized}`;
-  }
-
   /**
    * Show no product state
    * @param {string} [message] - Optional custom message
@@ -381,7 +518,7 @@ class PopupController {
   showNoProductState(message) {
     this.hideAllStates();
     this.elements.noProductState.classList.remove('hidden');
-    
+
     if (message) {
       const p = this.elements.noProductState.querySelector('p');
       if (p) p.textContent = message;
@@ -404,16 +541,12 @@ class PopupController {
    * @param {*} value - Preference value
    */
   updatePreference(key, value) {
+    this.state.preferences[key] = value;
+    this.updateToggles();
+
+    // Open tabs and the background follow the change through storage.onChanged.
     chrome.storage.sync.set({ [key]: value }, () => {
       console.log(`[Popup] Updated preference: ${key} = ${value}`);
-      
-      // Send message to content scripts to update
-      chrome.tabs.sendMessage(this.state.currentTab.id, {
-        type: 'PREFERENCE_UPDATED',
-        data: { [key]: value }
-      }).catch(() => {
-        // Content script might not be injected
-      });
     });
   }
 
@@ -431,16 +564,24 @@ class PopupController {
   showError(message) {
     this.hideAllStates();
     this.elements.noProductState.classList.remove('hidden');
-    
+
     const h2 = this.elements.noProductState.querySelector('h2');
     const p = this.elements.noProductState.querySelector('p');
-    
+
     if (h2) h2.textContent = 'Error';
     if (p) p.textContent = message;
   }
 }
 
+if (typeof window !== 'undefined') {
+  window.PopupController = PopupController;
+}
+
 // Initialize popup when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  new PopupController();
-}); 
\ No newline at end of file
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.chachingPopup = new PopupController();
+  });
+} else {
+  window.chachingPopup = new PopupController();
+}
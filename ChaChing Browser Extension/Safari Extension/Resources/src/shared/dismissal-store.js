@@ -0,0 +1,318 @@
+/**
+ * @file src/shared/dismissal-store.js
+ * @description Remembers which offers the user dismissed, and how many banners were shown,
+ * so the notification doesn't nag.
+ *
+ * Dismissals are kept per product and per brand rather than per URL, so the same product
+ * found on another store (or under another URL) stays quiet too:
+ *
+ * - **Product**: a dismissed (or opened) product isn't offered again for `PRODUCT_COOLDOWN`.
+ *   Products are identified by brand plus GTIN, MPN or normalized title (see `getKeys()`).
+ * - **Brand**: dismissing a brand's offer hides all of that brand's offers for `BRAND_COOLDOWN`,
+ *   doubling (`BRAND_BACKOFF`) with every further dismissal up to `MAX_BRAND_COOLDOWN`. The count
+ *   starts over after `BACKOFF_WINDOW` without a dismissal.
+ * - **Global cap**: no more than `MAX_PER_HOUR` / `MAX_PER_DAY` banners, whatever the brand.
+ *
+ * The background script owns the one store every write goes through: content_main.js asks it to
+ * claim a banner (`claimBanner()`, the check and the count in one step), to give back a claimed
+ * banner it didn't show (`releaseBanner()`) and to record dismissals, and the options page asks
+ * it to count and clear them. The store queues its writes, so callers asking at once can't
+ * overwrite each other or both take the last banner under the cap.
+ *
+ * Everything lives under one `chrome.storage.local` key (`dismissals`):
+ *
+ * ```javascript
+ * {
+ *   entries: {
+ *     'brand:nike': { count: 2, lastDismissedAt: 1792400000000, until: 1792401800000 },
+ *     'product:nike:gtin:00193151234567': { count: 1, lastDismissedAt: 1792400000000, until: 1792486400000 }
+ *   },
+ *   shown: [1792399000000, 1792400000000]   // Banner times within the last day.
+ * }
+ * ```
+ *
+ * Entries that no longer matter (cooldown over and outside the backoff window) and banner
+ * times older than a day are pruned on every write, and the oldest entries are dropped
+ * beyond `MAX_ENTRIES`. The per-URL `dismissal_<url>` keys of earlier versions are removed the
+ * first time the store is used.
+ *
+ * @version 1.0.0
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * The cooldowns and caps. They are fixed, not user settings; tests override them per store
+ * (see the constructor).
+ * @const {Object}
+ */
+const DISMISSAL_CONFIG = {
+  STORAGE_KEY: 'dismissals',
+  LEGACY_KEY_PREFIX: 'dismissal_',  // Earlier versions' per-URL keys.
+  PRODUCT_COOLDOWN: DAY,            // A dismissed or opened product stays hidden this long.
+  BRAND_COOLDOWN: 15 * MINUTE,      // The first dismissal of a brand hides its offers this long,
+  BRAND_BACKOFF: 2,                 // each further one multiplies that by this,
+  MAX_BRAND_COOLDOWN: 7 * DAY,      // up to this.
+  BACKOFF_WINDOW: 30 * DAY,         // A brand's count starts over after this long without a dismissal.
+  MAX_PER_HOUR: 3,                  // Banners shown per rolling hour, all brands together.
+  MAX_PER_DAY: 10,                  // Banners shown per rolling day.
+  MAX_ENTRIES: 500                  // Product and brand entries kept; the oldest go first.
+};
+
+/**
+ * Per-product and per-brand dismissals with a global banner cap.
+ * @class DismissalStore
+ */
+class DismissalStore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - The storage area. Defaults to `chrome.storage.local`.
+   * @param {Object} [options.config] - Overrides for `DISMISSAL_CONFIG`, e.g. `{ MAX_PER_DAY: 5 }`.
+   */
+  constructor({ storage = chrome.storage.local, config = {} } = {}) {
+    this.storage = storage;
+    this.config = { ...DISMISSAL_CONFIG, ...config };
+
+    /**
+     * The last queued write (see `update()`).
+     * @type {Promise<void>}
+     */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Builds the keys a detected product is remembered under.
+   *
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @returns {{ brand: string|null, product: string|null }} The brand key (`brand:<brand>`) and the
+   *   product key (`product:<brand>:gtin:<gtin>`, `...:mpn:<mpn>` or `...:title:<title>`); null when
+   *   there is nothing to key on.
+   */
+  static getKeys(productInfo) {
+    const brand = ChachingUtils.normalizeBrand(productInfo?.brand || '');
+    const clean = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().replace(/ /g, '-');
+
+    let product = null;
+    if (/^\d{8,14}$/.test(String(productInfo?.gtin || ''))) {
+      // GTIN-8/12/13/14 are the same number with leading zeros; compare them as GTIN-14.
+      product = `gtin:${String(productInfo.gtin).padStart(14, '0')}`;
+    } else if (clean(productInfo?.mpn)) {
+      product = `mpn:${clean(productInfo.mpn)}`;
+    } else if (clean(productInfo?.title)) {
+      product = `title:${clean(productInfo.title).slice(0, 100)}`;
+    }
+
+    return {
+      brand: brand ? `brand:${brand}` : null,
+      product: product ? `product:${brand}:${product}` : null
+    };
+  }
+
+  /**
+   * Drops what no longer matters: entries whose cooldown is over and that are outside the
+   * backoff window, banner times older than a day, and the oldest entries beyond `MAX_ENTRIES`.
+   *
+   * @param {Object} state - The stored state.
+   * @param {number} now - The current time, in ms.
+   * @returns {Object} The pruned state (a new object).
+   */
+  prune(state, now) {
+    const { BACKOFF_WINDOW, MAX_ENTRIES } = this.config;
+    const entries = Object.entries(state?.entries || {})
+      .filter(([key, entry]) => entry && (entry.until > now ||
+        (key.startsWith('brand:') && now - entry.lastDismissedAt < BACKOFF_WINDOW)))
+      .sort(([, a], [, b]) => b.lastDismissedAt - a.lastDismissedAt)
+      .slice(0, MAX_ENTRIES);
+
+    return {
+      entries: Object.fromEntries(entries),
+      shown: (state?.shown || []).filter(time => now - time < DAY).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Reads the state, pruned. The first time, removes the per-URL keys of earlier versions.
+   *
+   * @param {number} [now=Date.now()] - The current time, in ms.
+   * @returns {Promise<Object>} The state.
+   */
+  async load(now = Date.now()) {
+    const { STORAGE_KEY, LEGACY_KEY_PREFIX } = this.config;
+    const items = await this.storage.get(STORAGE_KEY);
+    if (!items[STORAGE_KEY]) {
+      // Reading everything is costly (the brand catalog lives here too), so only once:
+      // the empty state saved below marks the sweep as done.
+      const everything = await this.storage.get(null);
+      const legacyKeys = Object.keys(everything).filter(key => key.startsWith(LEGACY_KEY_PREFIX));
+      if (legacyKeys.length) await this.storage.remove(legacyKeys);
+      await this.save({}, now);
+    }
+    return this.prune(items[STORAGE_KEY], now);
+  }
+
+  /**
+   * Saves the state, pruned.
+   *
+   * @param {Object} state - The state.
+   * @param {number} now - The current time, in ms.
+   */
+  async save(state, now) {
+    await this.storage.set({ [this.config.STORAGE_KEY]: this.prune(state, now) });
+  }
+
+  /**
+   * Loads the state, lets `change` modify it and saves it, after every write queued before.
+   * Reading and writing separately would let two callers both start from the same state.
+   *
+   * @param {Function} change - Called with the state; may modify it. Its return value is passed on.
+   * @param {number} now - The current time, in ms.
+   * @returns {Promise<*>} What `change` returned.
+   */
+  update(change, now) {
+    const run = this.queue.then(async () => {
+      const state = await this.load(now);
+      const result = change(state);
+      await this.save(state, now);
+      return result;
+    });
+    // A failed write mustn't block the ones queued after it.
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Decides whether an offer may be shown now.
+   *
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @param {Object} [options]
+   * @param {boolean} [options.capped=true] - Apply the banner cap. Off for a banner that was
+   *   already counted, e.g. one shown again after a preference change.
+   * @param {number} [options.now=Date.now()] - The current time, in ms.
+   * @returns {Promise<{ allowed: boolean, reason: string|null, until: number|null }>} Whether it may;
+   *   if not, why (`product`, `brand`, `hourly-cap` or `daily-cap`) and until when.
+   */
+  async check(productInfo, { capped = true, now = Date.now() } = {}) {
+    return this.evaluate(await this.load(now), productInfo, { capped, now });
+  }
+
+  /**
+   * Decides whether an offer may be shown now and, if so, counts the banner towards the cap,
+   * as one queued write. Takes the same options as `check()`.
+   *
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @param {Object} [options]
+   * @returns {Promise<{ allowed: boolean, reason: string|null, until: number|null, shownAt: number|null }>}
+   *   The verdict, as from `check()`, and the time the banner was counted at (null if it wasn't),
+   *   which `releaseBanner()` takes.
+   */
+  claimBanner(productInfo, { capped = true, now = Date.now() } = {}) {
+    return this.update(state => {
+      const verdict = this.evaluate(state, productInfo, { capped, now });
+      const counted = verdict.allowed && capped;
+      if (counted) state.shown.push(now);
+      return { ...verdict, shownAt: counted ? now : null };
+    }, now);
+  }
+
+  /**
+   * Gives back a banner `claimBanner()` counted but that was never shown, e.g. because the page
+   * moved on while it was being claimed.
+   *
+   * @param {number} shownAt - The claim's `shownAt`.
+   * @param {number} [now=Date.now()] - The current time, in ms.
+   * @returns {Promise<boolean>} Whether a counted banner was given back.
+   */
+  releaseBanner(shownAt, now = Date.now()) {
+    return this.update(state => {
+      const index = state.shown.indexOf(shownAt);
+      if (index !== -1) state.shown.splice(index, 1);
+      return index !== -1;
+    }, now);
+  }
+
+  /**
+   * The body of `check()`, over a loaded state.
+   *
+   * @param {Object} state - The pruned state.
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @param {Object} options - `{ capped, now }`, see `check()`.
+   * @returns {{ allowed: boolean, reason: string|null, until: number|null }} The verdict.
+   */
+  evaluate(state, productInfo, { capped, now }) {
+    const keys = DismissalStore.getKeys(productInfo);
+
+    for (const reason of ['product', 'brand']) {
+      const entry = keys[reason] && state.entries[keys[reason]];
+      if (entry && entry.until > now) return { allowed: false, reason, until: entry.until };
+    }
+
+    if (!capped) return { allowed: true, reason: null, until: null };
+
+    // `prune()` sorts the shown times, so the cap lifts when the oldest one that counts ages out.
+    const caps = [['hourly-cap', HOUR, this.config.MAX_PER_HOUR], ['daily-cap', DAY, this.config.MAX_PER_DAY]];
+    for (const [reason, period, max] of caps) {
+      const recent = state.shown.filter(time => now - time < period);
+      if (recent.length >= max) return { allowed: false, reason, until: recent[recent.length - max] + period };
+    }
+
+    return { allowed: true, reason: null, until: null };
+  }
+
+  /**
+   * Remembers a dismissed offer: the product's cooldown, and the brand's, backing off with each
+   * further dismissal. An offer the user opened (`engaged`) only puts the product on cooldown,
+   * so using an offer never makes the brand's offers rarer.
+   *
+   * @param {Object} productInfo - The detection's `productInfo`.
+   * @param {Object} [options]
+   * @param {boolean} [options.engaged=false] - The user opened the offer rather than closing it.
+   * @param {number} [options.now=Date.now()] - The current time, in ms.
+   * @returns {Promise<Object>} The updated state.
+   */
+  recordDismissal(productInfo, { engaged = false, now = Date.now() } = {}) {
+    const { PRODUCT_COOLDOWN, BRAND_COOLDOWN, BRAND_BACKOFF, MAX_BRAND_COOLDOWN, BACKOFF_WINDOW } = this.config;
+    const keys = DismissalStore.getKeys(productInfo);
+    return this.update(state => {
+      if (keys.product) {
+        const previous = state.entries[keys.product];
+        state.entries[keys.product] = { count: (previous?.count || 0) + 1, lastDismissedAt: now, until: now + PRODUCT_COOLDOWN };
+      }
+
+      if (keys.brand && !engaged) {
+        const previous = state.entries[keys.brand];
+        const count = previous && now - previous.lastDismissedAt < BACKOFF_WINDOW ? previous.count + 1 : 1;
+        const cooldown = Math.min(BRAND_COOLDOWN * BRAND_BACKOFF ** (count - 1), MAX_BRAND_COOLDOWN);
+        state.entries[keys.brand] = { count, lastDismissedAt: now, until: now + cooldown };
+      }
+      return state;
+    }, now);
+  }
+
+  /**
+   * Counts the products and brands on cooldown.
+   * @param {number} [now=Date.now()] - The current time, in ms.
+   * @returns {Promise<number>} The number of entries still hiding offers.
+   */
+  async countActive(now = Date.now()) {
+    const { entries } = await this.load(now);
+    return Object.values(entries).filter(entry => entry.until > now).length;
+  }
+
+  /**
+   * Forgets every dismissal and the banner history, so offers show again.
+   */
+  clear() {
+    return this.update(state => {
+      state.entries = {};
+      state.shown = [];
+    }, Date.now());
+  }
+}
+
+// Export the store for the background script.
+if (typeof window !== 'undefined') {
+  window.DismissalStore = DismissalStore;
+  window.DISMISSAL_CONFIG = DISMISSAL_CONFIG;
+}
@@ -0,0 +1,325 @@
+/**
+ * @file src/shared/public-suffix.js
+ * @description Finds a hostname's registrable domain ("amazon.co.uk" for "www.amazon.co.uk"),
+ * the unit per-site preferences are kept under (see site-rules.js).
+ *
+ * Implements the Public Suffix List algorithm (https://publicsuffix.org/list/): normal rules
+ * (`co.uk`), wildcard rules (`*.ck`, any one label) and exception rules (`!www.ck`), plus the
+ * implicit `*` rule that makes any unlisted top-level domain a public suffix. The longest
+ * matching rule wins, and an exception beats everything.
+ *
+ * The full list is generated at build time into `src/data/public-suffix-list.js` (see
+ * `scripts/build-public-suffix-list.js`), which is loaded before this file and sets
+ * `window.PUBLIC_SUFFIX_LIST_RULES`. Without it (a page loading this file alone, or the tests)
+ * a bundled subset stands in: the second-level suffixes of the countries shoppers are most
+ * likely to browse from, and the hosting suffixes that give each customer a site of their own
+ * (`myshopify.com`). Storefront hosts the list doesn't carry (`square.site`) are added to either.
+ * Rules in the list's own format can be passed to the constructor instead.
+ *
+ * Usage:
+ * ```javascript
+ * publicSuffixList.getRegistrableDomain('www.amazon.co.uk'); // 'amazon.co.uk'
+ * publicSuffixList.getPublicSuffix('shop.example.com.au');   // 'com.au'
+ * ```
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * The bundled subset, in the Public Suffix List's format: one rule per line, `//` comments.
+ * Only used when the generated full list isn't loaded.
+ * @const {string}
+ */
+const BUNDLED_PUBLIC_SUFFIX_RULES = `
+// ar
+com.ar
+net.ar
+org.ar
+gob.ar
+// at
+co.at
+or.at
+// au
+com.au
+net.au
+org.au
+edu.au
+gov.au
+asn.au
+id.au
+// be
+ac.be
+// br
+com.br
+net.br
+org.br
+gov.br
+// ca
+gc.ca
+// cl
+gob.cl
+// cn
+com.cn
+net.cn
+org.cn
+gov.cn
+edu.cn
+// co
+com.co
+net.co
+org.co
+// ck
+*.ck
+!www.ck
+// eg
+com.eg
+// es
+com.es
+nom.es
+org.es
+// gr
+com.gr
+// hk
+com.hk
+net.hk
+org.hk
+// id
+co.id
+or.id
+web.id
+ac.id
+go.id
+// ie
+gov.ie
+// il
+co.il
+org.il
+net.il
+ac.il
+// in
+co.in
+net.in
+org.in
+firm.in
+gen.in
+ind.in
+// jp
+co.jp
+ne.jp
+or.jp
+ac.jp
+ad.jp
+ed.jp
+go.jp
+gr.jp
+lg.jp
+// kr
+co.kr
+ne.kr
+or.kr
+re.kr
+pe.kr
+go.kr
+ac.kr
+// mx
+com.mx
+net.mx
+org.mx
+gob.mx
+// my
+com.my
+net.my
+org.my
+// ng
+com.ng
+// nz
+co.nz
+net.nz
+org.nz
+ac.nz
+geek.nz
+gen.nz
+kiwi.nz
+school.nz
+// pe
+com.pe
+// ph
+com.ph
+net.ph
+org.ph
+// pk
+com.pk
+// pl
+com.pl
+net.pl
+org.pl
+// pt
+com.pt
+// ru
+com.ru
+// sa
+com.sa
+// sg
+com.sg
+net.sg
+org.sg
+edu.sg
+// th
+co.th
+in.th
+or.th
+ac.th
+go.th
+// tr
+com.tr
+net.tr
+org.tr
+// tw
+com.tw
+net.tw
+org.tw
+// ua
+com.ua
+// uk
+co.uk
+org.uk
+me.uk
+ltd.uk
+plc.uk
+net.uk
+ac.uk
+gov.uk
+nhs.uk
+sch.uk
+// vn
+com.vn
+// za
+co.za
+org.za
+net.za
+web.za
+// Hosting where every customer gets a site of their own
+appspot.com
+blogspot.com
+github.io
+herokuapp.com
+myshopify.com
+netlify.app
+pages.dev
+vercel.app
+wixsite.com
+`;
+
+/**
+ * Storefront hosts that give each merchant a subdomain of their own but aren't on the Public
+ * Suffix List, so the generated list doesn't have them either.
+ * @const {string}
+ */
+const STOREFRONT_SUFFIX_RULES = `
+square.site
+`;
+
+/**
+ * The rules `publicSuffixList` uses: the generated full list when it's loaded, else the bundled
+ * subset, plus the storefront hosts.
+ *
+ * @returns {string} Rules in the Public Suffix List's format.
+ */
+function defaultPublicSuffixRules() {
+  const fullList = typeof window !== 'undefined' ? window.PUBLIC_SUFFIX_LIST_RULES : undefined;
+  return `${typeof fullList === 'string' ? fullList : BUNDLED_PUBLIC_SUFFIX_RULES}\n${STOREFRONT_SUFFIX_RULES}`;
+}
+
+/**
+ * IPv4 addresses and bracketed IPv6 addresses (as `URL#hostname` gives them) have no suffix.
+ * @const {RegExp}
+ */
+const IP_ADDRESS_PATTERN = /^(\d{1,3}(\.\d{1,3}){3}|\[[\da-f:.]+\])$/i;
+
+/**
+ * A parsed set of public suffix rules.
+ * @class PublicSuffixList
+ */
+class PublicSuffixList {
+  /**
+   * @param {string} [rules] - Rules in the Public Suffix List's format. Defaults to
+   *   `defaultPublicSuffixRules()`.
+   */
+  constructor(rules = defaultPublicSuffixRules()) {
+    /** Normal rules, e.g. `co.uk`. @type {Set<string>} */
+    this.rules = new Set();
+    /** Wildcard rules without their `*.`, e.g. `ck` for `*.ck`. @type {Set<string>} */
+    this.wildcards = new Set();
+    /** Exception rules without their `!`, e.g. `www.ck`. @type {Set<string>} */
+    this.exceptions = new Set();
+
+    for (const line of rules.split('\n')) {
+      // A rule is the first whitespace-separated token of a line.
+      const rule = line.trim().split(/\s/)[0].toLowerCase();
+      if (!rule || rule.startsWith('//')) continue;
+
+      if (rule.startsWith('!')) this.exceptions.add(rule.slice(1));
+      else if (rule.startsWith('*.')) this.wildcards.add(rule.slice(2));
+      else this.rules.add(rule);
+    }
+  }
+
+  /**
+   * Lowercases a hostname and drops its trailing dot.
+   *
+   * @param {string} hostname - A hostname, e.g. "WWW.Amazon.co.uk.".
+   * @returns {string} The hostname, or '' if it has empty labels or is an IP address.
+   */
+  static normalize(hostname) {
+    if (typeof hostname !== 'string') return '';
+    const host = hostname.trim().toLowerCase().replace(/\.$/, '');
+    if (!host || IP_ADDRESS_PATTERN.test(host) || host.split('.').includes('')) return '';
+    return host;
+  }
+
+  /**
+   * Finds the public suffix a hostname is registered under.
+   *
+   * @param {string} hostname - A hostname, e.g. "www.amazon.co.uk".
+   * @returns {string} The suffix, e.g. "co.uk", or '' for IP addresses and invalid hostnames.
+   */
+  getPublicSuffix(hostname) {
+    const host = PublicSuffixList.normalize(hostname);
+    if (!host) return '';
+
+    // The first match from the left is the longest matching rule.
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (this.exceptions.has(candidate)) return labels.slice(i + 1).join('.');
+      if (this.rules.has(candidate)) return candidate;
+      if (i + 1 < labels.length && this.wildcards.has(labels.slice(i + 1).join('.'))) return candidate;
+    }
+
+    // The implicit `*` rule: an unlisted top-level domain.
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Finds the domain a hostname's owner registered: its public suffix plus one label.
+   *
+   * @param {string} hostname - A hostname, e.g. "www.amazon.co.uk".
+   * @returns {string} The registrable domain, e.g. "amazon.co.uk", or '' if the hostname is
+   *   itself a public suffix ("co.uk"), an IP address or invalid.
+   */
+  getRegistrableDomain(hostname) {
+    const suffix = this.getPublicSuffix(hostname);
+    if (!suffix) return '';
+
+    const labels = PublicSuffixList.normalize(hostname).split('.');
+    const suffixLength = suffix.split('.').length;
+    if (labels.length <= suffixLength) return '';
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+}
+
+// Export the class, and a shared instance over the default rules.
+if (typeof window !== 'undefined') {
+  window.PublicSuffixList = PublicSuffixList;
+  window.publicSuffixList = new PublicSuffixList();
+}
@@ -0,0 +1,206 @@
+/**
+ * @file src/shared/site-rules.js
+ * @description Per-site controls: snooze a site, never show offers there, or always show them.
+ *
+ * Rules are kept in the `siteRules` preference (`chrome.storage.sync`), keyed by the site's
+ * registrable domain (see public-suffix.js), so a rule made on "www.amazon.co.uk" also covers
+ * "smile.amazon.co.uk" but not "amazon.com":
+ *
+ * ```javascript
+ * { 'amazon.co.uk': { action: 'snooze', until: 1792400000000 }, 'rei.com': { action: 'always' } }
+ * ```
+ *
+ * - **snooze**: nothing is detected or shown on the site until `until` (1 hour, 1 day or 1 week).
+ * - **always**: offers show even when the detection is borderline. The confidence bar drops to
+ *   `ALWAYS_MIN_CONFIDENCE`, unless the user's own `minConfidence` is lower.
+ * - **never**: not a rule of its own. The site is added to `blacklistedDomains`, the blocked-site
+ *   list the options page edits.
+ *
+ * A site has one rule at a time, and "always" or clearing the rule also unblocks it.
+ * `applyRule()` only computes the storage changes; the caller saves them, and open tabs and
+ * the background follow through `storage.onChanged`. Expired snoozes are dropped on the next save.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Site rule settings.
+ * @const {Object}
+ */
+const SITE_RULES_CONFIG = {
+  // How long each snooze choice lasts, in ms.
+  SNOOZE_DURATIONS: {
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000
+  },
+  // The confidence bar on "always" sites. 25 lets through pages halfway to the PDP threshold.
+  ALWAYS_MIN_CONFIDENCE: 25
+};
+
+/**
+ * Finds the key a site's rule is stored under: its registrable domain, or the bare
+ * hostname for IP addresses and hosts that are themselves a public suffix.
+ *
+ * @param {string} hostname - A hostname or URL, e.g. "www.amazon.co.uk".
+ * @returns {string} The key, e.g. "amazon.co.uk", or '' if it isn't a site.
+ */
+function getSiteKey(hostname) {
+  const host = ChachingUtils.normalizeHostname(hostname);
+  if (!host) return '';
+  return window.publicSuffixList.getRegistrableDomain(host) || host;
+}
+
+/**
+ * Checks whether a snooze has run out.
+ *
+ * @param {Object} rule - A stored rule.
+ * @param {number} now - The current time, in ms.
+ * @returns {boolean} True for snoozes that are over.
+ */
+function isExpired(rule, now) {
+  return rule.action === 'snooze' && !(rule.until > now);
+}
+
+/**
+ * Finds the rule in force for a site.
+ *
+ * @param {Object} preferences - The user's preferences (see `CONFIG.DEFAULT_PREFERENCES`).
+ * @param {string} hostname - The page's hostname.
+ * @param {number} [now=Date.now()] - The current time, in ms.
+ * @returns {{ site: string, action: string, until?: number }|null} The rule, or null if the
+ *   site has none (or its snooze is over).
+ */
+function getRule(preferences, hostname, now = Date.now()) {
+  const site = getSiteKey(hostname);
+  const siteRules = preferences?.siteRules;
+  if (!site || !siteRules || !Object.prototype.hasOwnProperty.call(siteRules, site)) return null;
+
+  const rule = siteRules[site];
+  if (!rule || !['snooze', 'always'].includes(rule.action) || isExpired(rule, now)) return null;
+  return { site, ...rule };
+}
+
+/**
+ * Checks whether the user blocked a site ("never", or the options page's list).
+ *
+ * @param {Object} preferences - The user's preferences.
+ * @param {string} hostname - The page's hostname.
+ * @returns {boolean} True if the site is on `blacklistedDomains`.
+ */
+function isBlocked(preferences, hostname) {
+  return ChachingUtils.matchesDomainList(hostname, preferences?.blacklistedDomains);
+}
+
+/**
+ * Describes where a site stands, for the popup and the notification's menu.
+ *
+ * @param {Object} preferences - The user's preferences.
+ * @param {string} hostname - The page's hostname.
+ * @param {number} [now=Date.now()] - The current time, in ms.
+ * @returns {{ site: string, state: string, until: number|null }} The site key and one of
+ *   `off` (the extension is disabled), `blocked`, `snoozed`, `always` or `default`.
+ */
+function getStatus(preferences, hostname, now = Date.now()) {
+  const site = getSiteKey(hostname);
+  const rule = getRule(preferences, hostname, now);
+  let state = 'default';
+  if (!preferences?.enabled) state = 'off';
+  else if (isBlocked(preferences, hostname)) state = 'blocked';
+  else if (rule) state = rule.action === 'snooze' ? 'snoozed' : 'always';
+  return { site, state, until: rule?.until ?? null };
+}
+
+/**
+ * Checks whether ChaChing should run on a site: it is enabled, and the site is neither
+ * blocked nor snoozed.
+ *
+ * @param {Object} preferences - The user's preferences.
+ * @param {string} hostname - The page's hostname.
+ * @param {number} [now=Date.now()] - The current time, in ms.
+ * @returns {boolean} True if detection and notifications should run there.
+ */
+function isActive(preferences, hostname, now = Date.now()) {
+  return ['default', 'always'].includes(getStatus(preferences, hostname, now).state);
+}
+
+/**
+ * Finds the confidence a detection needs on a site (see `ChachingUtils.resolveMinConfidence()`).
+ *
+ * @param {Object} preferences - The user's preferences.
+ * @param {string} hostname - The page's hostname.
+ * @param {number} [now=Date.now()] - The current time, in ms.
+ * @returns {number} The 0-100 threshold.
+ */
+function getMinConfidence(preferences, hostname, now = Date.now()) {
+  const minConfidence = ChachingUtils.resolveMinConfidence(preferences?.minConfidence);
+  return getRule(preferences, hostname, now)?.action === 'always'
+    ? Math.min(minConfidence, SITE_RULES_CONFIG.ALWAYS_MIN_CONFIDENCE)
+    : minConfidence;
+}
+
+/**
+ * Computes the preference changes for a site action.
+ *
+ * @param {Object} preferences - The user's current preferences.
+ * @param {string} hostname - The page's hostname.
+ * @param {string} action - `snooze`, `never`, `always`, or `clear` to remove the site's rule
+ *   and unblock it.
+ * @param {Object} [options]
+ * @param {string} [options.duration] - For `snooze`: a `SNOOZE_DURATIONS` key.
+ * @param {number} [options.now=Date.now()] - The current time, in ms.
+ * @returns {{ siteRules: Object, blacklistedDomains: string[] }} The values to save in `chrome.storage.sync`.
+ * @throws {Error} If the hostname isn't a site, or the action or duration is unknown.
+ */
+function applyRule(preferences, hostname, action, { duration, now = Date.now() } = {}) {
+  const site = getSiteKey(hostname);
+  if (!site) throw new Error(`Not a website: ${hostname}`);
+
+  // Other sites keep their rules; snoozes that are over are dropped.
+  const siteRules = {};
+  for (const [key, rule] of Object.entries(preferences?.siteRules || {})) {
+    if (key !== site && rule && !isExpired(rule, now)) siteRules[key] = rule;
+  }
+
+  let blacklistedDomains = [...(preferences?.blacklistedDomains || [])];
+  const unblock = () => {
+    blacklistedDomains = blacklistedDomains.filter(domain => domain !== site && !domain.endsWith(`.${site}`));
+  };
+
+  switch (action) {
+    case 'snooze': {
+      const length = SITE_RULES_CONFIG.SNOOZE_DURATIONS[duration];
+      if (!length) throw new Error(`Unknown snooze duration: ${duration}`);
+      siteRules[site] = { action, until: now + length };
+      break;
+    }
+    case 'always':
+      siteRules[site] = { action };
+      unblock();
+      break;
+    case 'never':
+      if (!isBlocked({ blacklistedDomains }, hostname)) blacklistedDomains = [...blacklistedDomains, site].sort();
+      break;
+    case 'clear':
+      unblock();
+      break;
+    default:
+      throw new Error(`Unknown site action: ${action}`);
+  }
+
+  return { siteRules, blacklistedDomains };
+}
+
+// Export the rules for the content scripts, the popup, the options page and the background.
+if (typeof window !== 'undefined') {
+  window.SiteRules = {
+    CONFIG: SITE_RULES_CONFIG,
+    getSiteKey,
+    getRule,
+    getStatus,
+    isBlocked,
+    isActive,
+    getMinConfidence,
+    applyRule
+  };
+}
@@ -20,7 +20,17 @@ const CONFIG = {
   // The maximum allowed length for a product title.
   MAX_TITLE_LENGTH: 200,
   // The minimum allowed length for a product title.
-  MIN_TITLE_LENGTH: 3
+  MIN_TITLE_LENGTH: 3,
+  // The cashback offered when a brand has no rate of its own in BrandList.csv, or its rate has expired.
+  DEFAULT_CASHBACK: { rate: 33, type: 'percent' },
+  // The user preferences kept in chrome.storage.sync, with their defaults. Edited on the options page.
+  DEFAULT_PREFERENCES: {
+    enabled: true,            // The extension is on.
+    autoShow: true,           // Show the notification without the popup being opened.
+    minConfidence: 50,        // 0-100; detections below it are not shown. 50 is a supported brand on a product page.
+    blacklistedDomains: [],   // Sites (see normalizeHostname) the extension stays quiet on, subdomains included.
+    siteRules: {}             // Snoozed and always-show sites, by registrable domain (see site-rules.js).
+  }
 };
 
 /**
@@ -56,7 +66,7 @@ function sanitizeProductTitle(title) {
 function generateChachingUrl(productTitle) {
   // Sanitize the product title first to make it URL-safe.
   const sanitizedTitle = sanitizeProductTitle(productTitle);
-  
+
   // If the sanitized title is empty, log an error and return the base URL.
   if (!sanitizedTitle) {
     console.error('[Utils] Failed to generate URL: Invalid product title');
@@ -68,6 +78,53 @@ function generateChachingUrl(productTitle) {
   return `${CONFIG.CHACHING_BASE_URL}?query=${sanitizedTitle}`;
 }
 
+/**
+ * Generates a ChaChing search URL for a specific product. Besides the usual `query`
+ * (the brand, or the title if there is no brand), the URL carries structured
+ * parameters so ChaChing can match the exact product when the page exposes an
+ * identifier: `gtin` (GTIN/UPC/EAN) and `mpn`, plus `brand`, `title`, `price`
+ * and `currency`. Parameters that are unknown are omitted.
+ *
+ * @param {Object} productInfo - The detected product, as found in `detectionResult.productInfo`.
+ * @param {string} [productInfo.brand] - The brand name.
+ * @param {string} [productInfo.title] - The product title.
+ * @param {string} [productInfo.gtin] - The GTIN/UPC/EAN, digits only.
+ * @param {string} [productInfo.mpn] - The manufacturer part number.
+ * @param {number} [productInfo.price] - The numeric price.
+ * @param {string} [productInfo.currency] - The ISO 4217 currency code.
+ * @returns {string} The complete ChaChing search URL.
+ */
+function generateChachingProductUrl(productInfo) {
+  if (!productInfo || typeof productInfo !== 'object') {
+    console.error('[Utils] Failed to generate URL: No product info');
+    return CONFIG.CHACHING_BASE_URL;
+  }
+
+  const { brand, title, gtin, mpn, price, currency } = productInfo;
+  const clean = (value) => (typeof value === 'string' ? value.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim() : '');
+
+  const params = new URLSearchParams();
+  const query = clean(brand) || clean(title);
+  if (query) params.set('query', query);
+
+  if (gtin && /^\d{8,14}$/.test(String(gtin))) params.set('gtin', String(gtin));
+  if (clean(mpn)) params.set('mpn', clean(mpn));
+  if (clean(brand)) params.set('brand', clean(brand));
+  if (isValidProductTitle(clean(title))) params.set('title', clean(title));
+  if (Number.isFinite(price) && price > 0) {
+    params.set('price', String(price));
+    if (/^[A-Z]{3}$/.test(currency || '')) params.set('currency', currency);
+  }
+
+  const queryString = params.toString();
+  if (!queryString) {
+    console.error('[Utils] Failed to generate URL: Product info has no searchable fields');
+    return CONFIG.CHACHING_BASE_URL;
+  }
+
+  return `${CONFIG.CHACHING_BASE_URL}?${queryString}`;
+}
+
 /**
  * Validates if a string is a valid product title based on its length.
  * 
@@ -98,12 +155,12 @@ function isValidProductTitle(title) {
 function debounce(func, delay = CONFIG.DEBOUNCE_DELAY) {
   // A variable to hold the timer ID.
   let timeoutId;
-  
+
   // Return a new function that will be the debounced version.
   return function debounced(...args) {
     // `this` and `args` are preserved from the original call.
     const context = this;
-    
+
     // Clear any existing timer.
     clearTimeout(timeoutId);
     // Set a new timer.
@@ -127,10 +184,10 @@ function extractDomain(url) {
     const urlObj = new URL(url);
     // Get the hostname (e.g., "www.amazon.com").
     const hostname = urlObj.hostname;
-    
+
     // Remove the "www." prefix if it exists.
     const domain = hostname.replace(/^www\./, '');
-    
+
     // Split the domain by the dot and return the second-to-last part.
     const parts = domain.split('.');
     return parts.length > 1 ? parts[parts.length - 2] : parts[0];
@@ -141,6 +198,65 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Normalizes a site the user typed or imported (a hostname or a URL) into the form
+ * stored in `blacklistedDomains`: lowercase, without `www.`, e.g. "nike.com" from
+ * "https://www.Nike.com/t/air-max".
+ *
+ * @param {string} value - The site.
+ * @returns {string} The hostname, or an empty string if `value` isn't one.
+ */
+function normalizeHostname(value) {
+  if (typeof value !== 'string' || !value.trim()) return '';
+  const input = value.trim();
+  try {
+    const { hostname } = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+    // Single-label names ("localhost", typos like "nike") can't be a shopping site.
+    if (!hostname.includes('.')) return '';
+    return hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Checks whether a hostname is one of `domains` or a subdomain of one.
+ *
+ * @param {string} hostname - The page's hostname, e.g. "store.nike.com".
+ * @param {string[]} domains - Normalized domains (see `normalizeHostname()`).
+ * @returns {boolean} True if the hostname is covered by the list.
+ */
+function matchesDomainList(hostname, domains) {
+  const host = normalizeHostname(hostname);
+  if (!host || !Array.isArray(domains)) return false;
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Reads the user's `minConfidence` preference. A missing or out-of-range value falls back
+ * to the built-in threshold (`CONFIG.DEFAULT_PREFERENCES.minConfidence`).
+ *
+ * @param {*} minConfidence - The stored preference.
+ * @returns {number} The 0-100 threshold to apply.
+ */
+function resolveMinConfidence(minConfidence) {
+  return Number.isFinite(minConfidence) && minConfidence >= 0 && minConfidence <= 100
+    ? minConfidence
+    : CONFIG.DEFAULT_PREFERENCES.minConfidence;
+}
+
+/**
+ * Checks a detection's confidence against the user's `minConfidence` preference
+ * (see `resolveMinConfidence()`).
+ *
+ * @param {number} confidence - The detection's 0-100 confidence.
+ * @param {*} minConfidence - The stored preference.
+ * @returns {boolean} True if the detection is confident enough to show.
+ */
+function meetsMinConfidence(confidence, minConfidence) {
+  return Number.isFinite(confidence) && confidence >= resolveMinConfidence(minConfidence);
+}
+
 /**
  * A standardized logging function for the extension.
  * 
@@ -154,7 +270,7 @@ function log(level, module, message, data) {
   const timestamp = new Date().toISOString();
   // Create a consistent prefix for all log messages.
   const prefix = `[${timestamp}] [${module}]`;
-  
+
   // Use a switch statement to call the appropriate console method.
   switch (level) {
     case 'info':
@@ -183,24 +299,24 @@ function throttle(func, limit) {
   let inThrottle;
   // A variable to store the result of the last successful call.
   let lastResult;
-  
+
   // Return the new throttled function.
   return function throttled(...args) {
     const context = this;
-    
+
     // If we are not currently throttled...
     if (!inThrottle) {
       // Set the flag to true.
       inThrottle = true;
       // Execute the original function and store its result.
       lastResult = func.apply(context, args);
-      
+
       // Set a timer to reset the throttle flag after the limit has passed.
       setTimeout(() => {
         inThrottle = false;
       }, limit);
     }
-    
+
     // Return the result of the last execution.
     return lastResult;
   };
@@ -208,10 +324,10 @@ function throttle(func, limit) {
 
 /**
  * Normalizes a brand name for consistent, case-insensitive comparison.
- * It converts the string to lowercase and removes all common special characters,
- * symbols, and whitespace to create a canonical key for matching.
+ * It converts the string to lowercase, folds accented letters to their base letter and
+ * removes all common special characters, symbols, and whitespace to create a canonical key for matching.
  * e.g., "Levi's®", "levi-strauss", and "Levi Strauss" would all be normalized
- * to a similar base for comparison.
+ * to a similar base for comparison, and "L'Oréal" becomes "loreal".
  *
  * @param {string} brandName - The raw brand name.
  * @returns {string} The normalized brand name.
@@ -221,12 +337,87 @@ function normalizeBrand(brandName) {
   if (!brandName || typeof brandName !== 'string') return '';
   // Chain several replacement and trimming operations for normalization.
   return brandName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents left over from decomposing "é" into "e" + "´".
     .toLowerCase()
-    .replace(/[''®™&©\-\.,]/g, '') // Remove common symbols and punctuation.
+    .replace(/['\u2019®™&©\-\.,]/g, '') // Remove common symbols and punctuation.
     .replace(/\s+/g, '')          // Remove all whitespace.
     .trim();                      // Trim any remaining whitespace from the ends.
 }
 
+/**
+ * Returns the cashback offer that applies right now: the brand's own rate until it expires,
+ * then the default rate (keeping the brand's category).
+ *
+ * @param {Object} [cashback] - A brand's `{ rate, type, category, expires }` from `BrandList.csv`.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {Object} The active `{ rate, type, category, expires }`.
+ */
+function getActiveCashback(cashback, now = Date.now()) {
+  if (!cashback || !(cashback.rate > 0)) {
+    return { ...CONFIG.DEFAULT_CASHBACK, category: cashback?.category || null, expires: null };
+  }
+  if (cashback.expires && Date.parse(cashback.expires) < now) {
+    return { ...CONFIG.DEFAULT_CASHBACK, category: cashback.category || null, expires: null };
+  }
+  return cashback;
+}
+
+/**
+ * Formats a cashback offer for display, e.g. "33%" for a percent rate or "$15" for a flat amount.
+ * Expired offers are formatted as the default rate.
+ *
+ * @param {Object} [cashback] - A brand's `{ rate, type, category, expires }`.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {string} The formatted amount.
+ */
+function formatCashback(cashback, now = Date.now()) {
+  const { rate, type } = getActiveCashback(cashback, now);
+  if (type === 'flat') return `$${Number.isInteger(rate) ? rate : rate.toFixed(2)}`;
+  return `${Number(rate.toFixed(2))}%`;
+}
+
+/**
+ * Parses CSV text into row objects keyed by the header row.
+ * Handles quoted fields (including commas, newlines and doubled `""` quotes inside them),
+ * CRLF line endings and rows with fewer columns than the header (missing fields are '').
+ * Blank lines are skipped.
+ *
+ * @param {string} text - The raw CSV text, header row first.
+ * @returns {Object[]} One object per data row, e.g. `{ brand_name: 'Nike', aliases: '' }`.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') inQuotes = true;
+    else if (char === ',') endField();
+    else if (char === '\n') endRow();
+    else if (char !== '\r') field += char;
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  const header = (rows.shift() || []).map(name => name.trim());
+  return rows.map(values => Object.fromEntries(
+    header.map((name, index) => [name, (values[index] || '').trim()])
+  ));
+}
+
 // Make the utility functions and config available on the global `window` object
 // so they can be easily accessed by all other content scripts.
 if (typeof window !== 'undefined') {
@@ -234,11 +425,19 @@ if (typeof window !== 'undefined') {
     CONFIG,
     sanitizeProductTitle,
     generateChachingUrl,
+    generateChachingProductUrl,
     isValidProductTitle,
     debounce,
     throttle,
     extractDomain,
+    normalizeHostname,
+    matchesDomainList,
+    resolveMinConfidence,
+    meetsMinConfidence,
     log,
-    normalizeBrand
+    normalizeBrand,
+    parseCsv,
+    getActiveCashback,
+    formatCashback
   };
-} 
\ No newline at end of file
+} 
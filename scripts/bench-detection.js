@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/bench-detection.js
+ * @description Benchmarks brand candidate discovery on large pages, comparing the
+ * per-brand `RegExp` title loop the detector used before with the `BrandIndex` it uses now.
+ *
+ * Every fixture in `test/fixtures/pages/` is inflated by repeating its `<main>` content
+ * (`--copies`, default 40) and its title is padded with extra words, then
+ * `BrandDetector.findAllBrandCandidates()` is timed with each title strategy. Both strategies
+ * see the same page; only `findTitleCandidates()` is swapped.
+ *
+ * Usage:
+ *   node scripts/bench-detection.js [--copies <n>] [--iterations <n>] [--json]
+ */
+const {
+  createExtensionEnvironment,
+  loadFixtureManifest,
+  loadFixtureHtml
+} = require('../test/helpers/extension-env');
+
+/**
+ * The title strategy as it was before the index: one `RegExp` per supported brand key on every run.
+ * Keys that are not valid patterns threw inside the old loop; here they are skipped and counted.
+ *
+ * @param {Window} window - The page's window, with brands loaded.
+ * @param {string} title - The product title.
+ * @returns {string[]} The matched brand spellings.
+ */
+function legacyTitleCandidates(window, title) {
+  const names = [];
+  const lowerCaseTitle = title.toLowerCase();
+  for (const brand of window.SUPPORTED_BRANDS_ARRAY) {
+    let brandRegex;
+    try {
+      brandRegex = new RegExp(`\\b${brand}\\b`, 'i');
+    } catch (error) {
+      legacyTitleCandidates.invalidPatterns.add(brand);
+      continue;
+    }
+    const match = lowerCaseTitle.match(brandRegex);
+    if (match) names.push(title.substring(match.index, match.index + match[0].length));
+  }
+  return names;
+}
+legacyTitleCandidates.invalidPatterns = new Set();
+
+/**
+ * Repeats the page's `<main>` (or `<body>`) content and lengthens its `<h1>`.
+ *
+ * @param {string} html - The fixture markup.
+ * @param {number} copies - How many times to repeat the content.
+ * @returns {string} The inflated markup.
+ */
+function inflatePage(html, copies) {
+  const padding = ' Limited Edition Everyday Comfort Collection Classic Fit Premium Recycled Materials';
+  const withTitle = html.replace(/<h1>([^<]*)<\/h1>/, (match, title) => `<h1>${title}${padding}</h1>`);
+  return withTitle.replace(/<(main|body)>([\s\S]*?)<\/\1>/, (match, tag, content) => `<${tag}>${content.repeat(copies)}</${tag}>`);
+}
+
+/**
+ * Times a function and returns the median of several runs, in milliseconds.
+ *
+ * @param {Function} fn - The work to time.
+ * @param {number} iterations - How many timed runs.
+ * @returns {number} The median duration.
+ */
+function medianTime(fn, iterations) {
+  fn(); // Warm up.
+  const times = [];
+  for (let i = 0; i < iterations; i++) {
+    const start = performance.now();
+    fn();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Benchmarks one fixture.
+ *
+ * @param {Object} fixture - A `fixtures.json` entry.
+ * @param {Object} options - `{ copies, iterations }`.
+ * @returns {Promise<Object>} `{ file, pageKb, brands, beforeMs, afterMs, speedup, sameCandidates }`.
+ */
+async function benchmarkFixture(fixture, { copies, iterations }) {
+  const html = inflatePage(loadFixtureHtml(fixture.file), copies);
+  const { window, close } = createExtensionEnvironment({ html, url: fixture.url });
+
+  try {
+    await window.loadBrands();
+    const detector = new window.BrandDetector();
+    const indexed = detector.findTitleCandidates.bind(detector);
+    const legacy = (title) => legacyTitleCandidates(window, title);
+
+    detector.findTitleCandidates = legacy;
+    const beforeMs = medianTime(() => detector.findAllBrandCandidates(), iterations);
+    const beforeNames = detector.findAllBrandCandidates().map(c => window.ChachingUtils.normalizeBrand(c.name));
+
+    detector.findTitleCandidates = indexed;
+    const afterMs = medianTime(() => detector.findAllBrandCandidates(), iterations);
+    const afterNames = detector.findAllBrandCandidates().map(c => window.ChachingUtils.normalizeBrand(c.name));
+
+    return {
+      file: fixture.file,
+      pageKb: Math.round(html.length / 1024),
+      brands: window.SUPPORTED_BRANDS_ARRAY.length,
+      beforeMs,
+      afterMs,
+      speedup: afterMs > 0 ? beforeMs / afterMs : null,
+      // The index also finds multi-word brands the old loop could never match, so this may differ.
+      sameCandidates: beforeNames.join('|') === afterNames.join('|')
+    };
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Formats the results as a table.
+ * @param {Object[]} rows - The per-fixture results.
+ * @returns {string} The report.
+ */
+function formatBenchmark(rows) {
+  const lines = [
+    `${'page'.padEnd(32)} ${'size'.padStart(7)} ${'before'.padStart(10)} ${'after'.padStart(10)} ${'speedup'.padStart(8)}`
+  ];
+  for (const row of rows) {
+    lines.push(
+      `${row.file.padEnd(32)} ${`${row.pageKb}KB`.padStart(7)} ${`${row.beforeMs.toFixed(2)}ms`.padStart(10)} ` +
+      `${`${row.afterMs.toFixed(2)}ms`.padStart(10)} ${row.speedup ? `${row.speedup.toFixed(1)}x`.padStart(8) : 'n/a'.padStart(8)}`
+    );
+  }
+  if (rows.length) lines.push('', `Brands and aliases indexed: ${rows[0].brands}`);
+  if (legacyTitleCandidates.invalidPatterns.size) {
+    lines.push(`Brand names the old RegExp loop could not compile: ${[...legacyTitleCandidates.invalidPatterns].join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CLI entry point.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const numberArg = (name, fallback) => {
+    const index = args.indexOf(name);
+    const value = index !== -1 ? parseInt(args[index + 1], 10) : NaN;
+    return value > 0 ? value : fallback;
+  };
+  const options = { copies: numberArg('--copies', 40), iterations: numberArg('--iterations', 15) };
+
+  const rows = [];
+  for (const fixture of loadFixtureManifest()) {
+    rows.push(await benchmarkFixture(fixture, options));
+  }
+  console.log(args.includes('--json') ? JSON.stringify({ options, rows }, null, 2) : formatBenchmark(rows));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('[Bench] Failed to run the detection benchmark:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { benchmarkFixture, inflatePage, legacyTitleCandidates };
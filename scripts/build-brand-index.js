@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/build-brand-index.js
+ * @description Compiles `BrandList.csv` into `src/data/brand-index.json`, the bundled catalog
+ * the background script serves to tabs (see `src/background/catalog-sync.js`).
+ *
+ * The compiled file holds the merged brand list and the serialized `BrandIndex`, produced by
+ * the extension's own `compileBrandCatalog()` so the build and the runtime can't drift apart.
+ * Its `version` is derived from a hash of the CSV (`bundled-<hash>`), so the log line in each
+ * tab tells which list it is running.
+ *
+ * Usage:
+ *   node scripts/build-brand-index.js [--csv <file>] [--out <file>]
+ */
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { RESOURCES_DIR, evaluateScripts } = require('./resources');
+
+/**
+ * Default input and output locations.
+ * @const {{ csv: string, out: string }}
+ */
+const BRAND_INDEX_PATHS = {
+  csv: path.join(RESOURCES_DIR, 'src', 'assets', 'BrandList.csv'),
+  out: path.join(RESOURCES_DIR, 'src', 'data', 'brand-index.json')
+};
+
+/**
+ * Compiles CSV text into the bundled catalog file's contents.
+ *
+ * @param {string} csvText - The contents of `BrandList.csv`.
+ * @returns {Object} `{ version, sourceHash, compiled }`.
+ */
+function buildBrandIndex(csvText) {
+  const window = evaluateScripts(['src/shared/utils.js', 'src/content/brand-index.js', 'src/content/brands.js']);
+  const sourceHash = crypto.createHash('sha256').update(csvText).digest('hex');
+  const compiled = window.compileBrandCatalog(window.ChachingUtils.parseCsv(csvText));
+  // Round-trip through JSON to leave the scripts' realm behind.
+  return JSON.parse(JSON.stringify({ version: `bundled-${sourceHash.slice(0, 8)}`, sourceHash, compiled }));
+}
+
+/**
+ * Reads the CSV, compiles it and writes the result.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.csv] - The CSV to compile.
+ * @param {string} [options.out] - Where to write the JSON.
+ * @returns {Object} `{ out, version, brandCount, bytes }`.
+ */
+function writeBrandIndex({ csv = BRAND_INDEX_PATHS.csv, out = BRAND_INDEX_PATHS.out } = {}) {
+  const bundled = buildBrandIndex(fs.readFileSync(csv, 'utf8'));
+  const json = JSON.stringify(bundled);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, json);
+  return { out, version: bundled.version, brandCount: bundled.compiled.brandCount, bytes: Buffer.byteLength(json) };
+}
+
+/**
+ * CLI entry point.
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const stringArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? path.resolve(args[index + 1]) : undefined;
+  };
+
+  const result = writeBrandIndex({ csv: stringArg('--csv'), out: stringArg('--out') });
+  console.log(
+    `[BrandIndex] Wrote ${result.brandCount} brands (${Math.round(result.bytes / 1024)}KB, ${result.version}) ` +
+    `to ${path.relative(process.cwd(), result.out)}`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[BrandIndex] Failed to build the brand index:', error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { BRAND_INDEX_PATHS, buildBrandIndex, writeBrandIndex };
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/build-extension.js
+ * @description Assembles the runtime bundle from `src/` and checks it against the manifest.
+ *
+ * The manifest and `chrome.scripting` calls use flat paths (`utils.js`, `runner.js`, ...) while
+ * the sources live in `src/<area>/`. This script:
+ * 1. Compiles `BrandList.csv` into `src/data/brand-index.json` (see `build-brand-index.js`) and
+ *    writes the Public Suffix List into `src/data/public-suffix-list.js` (see `build-public-suffix-list.js`).
+ * 2. Copies every file under `src/background`, `content`, `popup`, `options`, `shared` and `assets` into the
+ *    bundle root, failing if two of them share a name. `src/data/` keeps its path, since the code
+ *    fetches it as `src/data/...`.
+ * 3. Writes every icon size the manifest references, copying `src/assets/<name>` when it has the
+ *    right dimensions and otherwise resizing the master logo.
+ * 4. Checks that every path the extension refers to exists in the bundle: the manifest (background
+ *    scripts, popup, options page, icons, `web_accessible_resources`), the `files` lists passed to
+ *    `executeScript`/`insertCSS`, literal `chrome.runtime.getURL()` paths and the popup's and
+ *    options page's `<script>`/`<link>` tags. Any mismatch fails the build with the full list.
+ *
+ * One source tree is built for three browsers (`--target`):
+ * - `safari` (default): written in place, into the `Resources/` root the Xcode project packages.
+ *   `manifest.json` is used as is, with its `background.scripts` list.
+ * - `chrome`: `dist/chrome/`. Chrome MV3 only runs a service worker, so the build generates
+ *   `service-worker.js`, which loads the same `background.scripts` with `importScripts()`.
+ * - `firefox`: `dist/firefox/`. Firefox MV3 keeps `background.scripts` and needs
+ *   `browser_specific_settings.gecko`.
+ * Runtime differences between the three are handled in `src/background/compat.js`.
+ * `--zip` also writes `dist/chaching-<target>-<version>.zip` for store uploads.
+ *
+ * Usage:
+ *   node scripts/build-extension.js [--target safari|chrome|firefox|all] [--out <dir>] [--zip]
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { RESOURCES_DIR } = require('./resources');
+const { writeBrandIndex } = require('./build-brand-index');
+const { writePublicSuffixList } = require('./build-public-suffix-list');
+const { readPngSize, resizePng } = require('./png');
+const { zipDirectory } = require('./zip');
+
+/**
+ * Where the sources live and which of their directories are flattened or kept.
+ * @const {Object}
+ */
+const BUILD_CONFIG = {
+  SRC_DIR: path.join(RESOURCES_DIR, 'src'),
+  MANIFEST: path.join(RESOURCES_DIR, 'manifest.json'),
+  FLATTENED_DIRS: ['shared', 'background', 'content', 'popup', 'options', 'assets'],
+  KEPT_DIRS: ['data'],
+  // Documentation next to the sources is not part of the bundle.
+  IGNORED_EXTENSIONS: ['.md'],
+  MASTER_ICON: path.join(RESOURCES_DIR, 'src', 'assets', 'ChaChing_Logo.png'),
+  DIST_DIR: path.join(__dirname, '..', 'dist'),
+  SERVICE_WORKER: 'service-worker.js',
+  FIREFOX_ID: 'browser-extension@chaching.me',
+  FIREFOX_MIN_VERSION: '128.0' // executeScript's `world: 'MAIN'` (history-hooks.js) arrived in Firefox 128.
+};
+
+/**
+ * The browsers the extension is built for. `manifest(base)` turns the Safari manifest into the
+ * target's; `files(base)` returns extra generated files as `{ name: contents }`; `archive` says
+ * whether `--zip` applies (Safari bundles are packaged by Xcode).
+ * @const {Object<string, Object>}
+ */
+const BUILD_TARGETS = {
+  safari: {
+    out: RESOURCES_DIR,
+    manifest: base => base,
+    files: () => ({}),
+    archive: false
+  },
+  chrome: {
+    out: path.join(BUILD_CONFIG.DIST_DIR, 'chrome'),
+    manifest: base => ({ ...base, background: { service_worker: BUILD_CONFIG.SERVICE_WORKER } }),
+    files: base => ({
+      [BUILD_CONFIG.SERVICE_WORKER]:
+        '// Generated by scripts/build-extension.js: Chrome runs the background scripts as one service worker.\n' +
+        `importScripts(${base.background.scripts.map(script => `'${script}'`).join(', ')});\n`
+    }),
+    archive: true
+  },
+  firefox: {
+    out: path.join(BUILD_CONFIG.DIST_DIR, 'firefox'),
+    manifest: base => ({
+      ...base,
+      browser_specific_settings: {
+        gecko: { id: BUILD_CONFIG.FIREFOX_ID, strict_min_version: BUILD_CONFIG.FIREFOX_MIN_VERSION }
+      }
+    }),
+    files: () => ({}),
+    archive: true
+  }
+};
+
+/**
+ * Lists the files to copy into the bundle.
+ *
+ * @param {string} [srcDir] - The `src/` directory.
+ * @returns {Array<{ from: string, to: string }>} Absolute source paths and bundle-relative targets.
+ * @throws {Error} If two flattened files would land on the same name.
+ */
+function collectRuntimeFiles(srcDir = BUILD_CONFIG.SRC_DIR) {
+  const files = [];
+  const list = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return list(fullPath);
+    return BUILD_CONFIG.IGNORED_EXTENSIONS.includes(path.extname(entry.name)) ? [] : [fullPath];
+  });
+
+  for (const area of BUILD_CONFIG.FLATTENED_DIRS) {
+    const dir = path.join(srcDir, area);
+    if (!fs.existsSync(dir)) continue;
+    for (const from of list(dir)) files.push({ from, to: path.basename(from) });
+  }
+  for (const area of BUILD_CONFIG.KEPT_DIRS) {
+    const dir = path.join(srcDir, area);
+    if (!fs.existsSync(dir)) continue;
+    for (const from of list(dir)) files.push({ from, to: path.posix.join('src', path.relative(srcDir, from).split(path.sep).join('/')) });
+  }
+
+  const seen = new Map();
+  const collisions = [];
+  for (const file of files) {
+    if (seen.has(file.to)) {
+      collisions.push(`${file.to}: ${path.relative(srcDir, seen.get(file.to))} and ${path.relative(srcDir, file.from)}`);
+    }
+    seen.set(file.to, file.from);
+  }
+  if (collisions.length) {
+    throw new Error(`Files in src/ would overwrite each other when flattened:\n  ${collisions.join('\n  ')}`);
+  }
+
+  return files;
+}
+
+/**
+ * The icon files a manifest references, with the size each must be.
+ *
+ * @param {Object} manifest - The parsed manifest.
+ * @returns {Array<{ file: string, size: number }>} One entry per distinct file and size.
+ */
+function collectIcons(manifest) {
+  const icons = new Map();
+  const add = (sizes) => {
+    if (typeof sizes === 'string') return; // A single icon of unspecified size; checked as a plain path.
+    for (const [size, file] of Object.entries(sizes || {})) icons.set(`${file}@${size}`, { file, size: Number(size) });
+  };
+  add(manifest.icons);
+  add(manifest.action?.default_icon);
+  return [...icons.values()];
+}
+
+/**
+ * Writes every icon the manifest references into the bundle, at the declared size.
+ *
+ * @param {Object} manifest - The parsed manifest.
+ * @param {string} outDir - The bundle directory.
+ * @returns {Array<{ file: string, size: number, resized: boolean }>} What was written.
+ */
+function writeIcons(manifest, outDir) {
+  let master = null;
+  return collectIcons(manifest).map(({ file, size }) => {
+    const target = path.join(outDir, file);
+    if (fs.existsSync(target)) {
+      const actual = readPngSize(fs.readFileSync(target));
+      if (actual.width === size && actual.height === size) return { file, size, resized: false };
+    }
+    master = master || fs.readFileSync(BUILD_CONFIG.MASTER_ICON);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, resizePng(master, size));
+    return { file, size, resized: true };
+  });
+}
+
+/**
+ * Every path the manifest refers to, relative to the bundle root.
+ *
+ * @param {Object} manifest - The parsed manifest.
+ * @returns {Array<{ path: string, from: string }>} The paths and where each was referenced.
+ */
+function collectManifestReferences(manifest) {
+  const references = [];
+  const add = (value, from) => {
+    for (const item of [].concat(value || [])) references.push({ path: item, from });
+  };
+
+  add(manifest.background?.scripts, 'manifest background.scripts');
+  add(manifest.background?.service_worker, 'manifest background.service_worker');
+  add(manifest.action?.default_popup, 'manifest action.default_popup');
+  add(manifest.options_page, 'manifest options_page');
+  add(manifest.options_ui?.page, 'manifest options_ui.page');
+  for (const icon of collectIcons(manifest)) add(icon.file, 'manifest icons');
+  if (typeof manifest.action?.default_icon === 'string') add(manifest.action.default_icon, 'manifest action.default_icon');
+  for (const script of manifest.content_scripts || []) {
+    add(script.js, 'manifest content_scripts.js');
+    add(script.css, 'manifest content_scripts.css');
+  }
+  for (const entry of manifest.web_accessible_resources || []) {
+    // Wildcard patterns match whatever exists; only literal paths can be missing.
+    add((entry.resources || []).filter(resource => !resource.includes('*')), 'manifest web_accessible_resources');
+  }
+
+  return references;
+}
+
+/**
+ * Every path the bundled code and pages refer to: `files` lists passed to `executeScript` and
+ * `insertCSS`, string-literal `chrome.runtime.getURL()` calls, `importScripts()` and HTML
+ * `<script>`/`<link>` tags.
+ *
+ * @param {string} outDir - The bundle directory.
+ * @returns {Array<{ path: string, from: string }>} The paths and the file that referenced each.
+ */
+function collectCodeReferences(outDir) {
+  const references = [];
+  const quoted = /(['"`])([^'"`]+)\1/g;
+
+  for (const name of fs.readdirSync(outDir)) {
+    const ext = path.extname(name);
+    if (ext !== '.js' && ext !== '.html') continue;
+    const source = fs.readFileSync(path.join(outDir, name), 'utf8');
+
+    if (ext === '.js') {
+      for (const [, list] of source.matchAll(/files\s*:\s*\[([^\]]*)\]/g)) {
+        for (const [, , file] of list.matchAll(quoted)) references.push({ path: file, from: `${name} (files)` });
+      }
+      for (const [, , file] of source.matchAll(/getURL\(\s*(['"`])([^'"`$]+)\1\s*\)/g)) {
+        references.push({ path: file, from: `${name} (getURL)` });
+      }
+      for (const [, list] of source.matchAll(/importScripts\(([^)]*)\)/g)) {
+        for (const [, , file] of list.matchAll(quoted)) references.push({ path: file, from: `${name} (importScripts)` });
+      }
+    } else {
+      for (const [, file] of source.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)=["']([^"']+)["']/g)) {
+        if (!/^[a-z]+:|^\/\//i.test(file)) references.push({ path: file, from: name });
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Checks that everything the manifest and code refer to exists in the bundle.
+ *
+ * @param {string} outDir - The bundle directory.
+ * @param {Object} manifest - The parsed manifest.
+ * @returns {string[]} One message per missing file or mis-sized icon; empty when the bundle is complete.
+ */
+function validateBundle(outDir, manifest) {
+  const errors = [];
+  for (const reference of [...collectManifestReferences(manifest), ...collectCodeReferences(outDir)]) {
+    const file = path.join(outDir, reference.path.replace(/^\//, ''));
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      errors.push(`${reference.path} (referenced by ${reference.from}) is missing`);
+    }
+  }
+  for (const { file, size } of collectIcons(manifest)) {
+    const target = path.join(outDir, file);
+    if (!fs.existsSync(target)) continue; // Already reported above.
+    const actual = readPngSize(fs.readFileSync(target));
+    if (actual.width !== size || actual.height !== size) {
+      errors.push(`${file} is ${actual.width}x${actual.height}, but the manifest declares it as ${size}x${size}`);
+    }
+  }
+  return [...new Set(errors)];
+}
+
+/**
+ * Builds the bundle for one browser.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.target] - `safari`, `chrome` or `firefox`.
+ * @param {string} [options.out] - The bundle directory. Defaults to the target's (see `BUILD_TARGETS`).
+ * @param {boolean} [options.zip] - Also archive the bundle into `dist/` (Chrome and Firefox only).
+ * @returns {{ target: string, out: string, files: number, icons: Object[], zip: Object|null }} What was built.
+ * @throws {Error} For an unknown target, or listing every problem found if the bundle is incomplete.
+ */
+function buildExtension({ target = 'safari', out, zip = false } = {}) {
+  const buildTarget = BUILD_TARGETS[target];
+  if (!buildTarget) throw new Error(`Unknown target "${target}" (expected ${Object.keys(BUILD_TARGETS).join(', ')})`);
+
+  const base = JSON.parse(fs.readFileSync(BUILD_CONFIG.MANIFEST, 'utf8'));
+  const manifest = buildTarget.manifest(base);
+  const outDir = out || buildTarget.out;
+  // Default dist/ bundles are rebuilt from scratch so removed sources don't linger.
+  if (!out && outDir !== RESOURCES_DIR) fs.rmSync(outDir, { recursive: true, force: true });
+
+  writeBrandIndex();
+  writePublicSuffixList();
+  const files = collectRuntimeFiles();
+  for (const { from, to } of files) {
+    const destination = path.join(outDir, to);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.copyFileSync(from, destination);
+  }
+  for (const [name, contents] of Object.entries(buildTarget.files(base))) {
+    fs.writeFileSync(path.join(outDir, name), contents);
+  }
+  if (path.resolve(outDir) !== path.resolve(RESOURCES_DIR)) {
+    fs.writeFileSync(path.join(outDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+  const icons = writeIcons(manifest, outDir);
+
+  const errors = validateBundle(outDir, manifest);
+  if (errors.length) {
+    throw new Error(`The ${target} bundle in ${outDir} is incomplete:\n  ${errors.join('\n  ')}`);
+  }
+
+  const archive = zip && buildTarget.archive
+    ? zipDirectory(outDir, path.join(BUILD_CONFIG.DIST_DIR, `chaching-${target}-${manifest.version}.zip`))
+    : null;
+  return { target, out: outDir, files: files.length, icons, zip: archive };
+}
+
+/**
+ * CLI entry point.
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const stringArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const target = stringArg('--target') || 'safari';
+  const out = stringArg('--out') ? path.resolve(stringArg('--out')) : undefined;
+  if (target === 'all' && out) throw new Error('--out can only be used with a single --target');
+
+  for (const name of target === 'all' ? Object.keys(BUILD_TARGETS) : [target]) {
+    const result = buildExtension({ target: name, out, zip: args.includes('--zip') });
+    const resized = result.icons.filter(icon => icon.resized).map(icon => icon.file);
+    console.log(`[Build] ${name}: copied ${result.files} files to ${path.relative(process.cwd(), result.out) || '.'}`);
+    if (resized.length) console.log(`[Build] ${name}: resized the master logo for ${resized.join(', ')}`);
+    if (result.zip) console.log(`[Build] ${name}: wrote ${path.relative(process.cwd(), result.zip.zipPath)} (${Math.round(result.zip.bytes / 1024)}KB)`);
+  }
+  console.log('[Build] Manifest, executeScript and getURL references all resolve.');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`[Build] ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  BUILD_CONFIG,
+  BUILD_TARGETS,
+  buildExtension,
+  collectCodeReferences,
+  collectManifestReferences,
+  collectRuntimeFiles,
+  validateBundle
+};
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/build-public-suffix-list.js
+ * @description Writes the full Public Suffix List into `src/data/public-suffix-list.js`, which
+ * every context loads before `public-suffix.js` (see `src/shared/public-suffix.js`).
+ *
+ * The rules come from the `psl` package's copy of the list (a devDependency, so updating the
+ * list is a version bump). Internationalized rules are converted to the punycode form
+ * `URL#hostname` uses. The output is a classic script that sets `window.PUBLIC_SUFFIX_LIST_RULES`
+ * to the rules in the list's own format, one per line, because `publicSuffixList` is built
+ * synchronously when the scripts load and can't wait for a `fetch`.
+ *
+ * Usage:
+ *   node scripts/build-public-suffix-list.js [--out <file>]
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const url = require('node:url');
+const { RESOURCES_DIR } = require('./resources');
+
+/**
+ * Default input and output locations. `psl` only exports its parser (`dist/psl.cjs`), so its
+ * rules file is found from there.
+ * @const {{ rules: string, out: string }}
+ */
+const PUBLIC_SUFFIX_LIST_PATHS = {
+  rules: path.join(path.dirname(require.resolve('psl')), '..', 'data', 'rules.js'),
+  out: path.join(RESOURCES_DIR, 'src', 'data', 'public-suffix-list.js')
+};
+
+/**
+ * A list with fewer rules than this is not the real one.
+ * @const {number}
+ */
+const MIN_RULE_COUNT = 5000;
+
+/**
+ * Converts one rule to the form hostnames arrive in: lowercase, labels in punycode, with its
+ * `!` or `*.` kept.
+ *
+ * @param {string} rule - A rule, e.g. "*.ck", "!www.ck" or "公司.cn".
+ * @returns {string} The rule, or '' if it can't be converted.
+ */
+function toAsciiRule(rule) {
+  const [, prefix, domain] = rule.match(/^(!|\*\.)?(.*)$/);
+  const ascii = url.domainToASCII(domain);
+  return ascii ? `${prefix || ''}${ascii}` : '';
+}
+
+/**
+ * Reads `psl`'s rules into the list's text format.
+ *
+ * @param {string} [rulesFile] - The `psl` rules module, an array of rule strings.
+ * @returns {{ version: string, rules: string[] }} The `psl` version and the converted rules.
+ * @throws {Error} If the file doesn't look like the full list.
+ */
+function buildPublicSuffixList(rulesFile = PUBLIC_SUFFIX_LIST_PATHS.rules) {
+  const source = fs.readFileSync(rulesFile, 'utf8');
+  const rules = [...new Set([...source.matchAll(/"([^"\\]+)"/g)].map(([, rule]) => toAsciiRule(rule)).filter(Boolean))];
+  if (rules.length < MIN_RULE_COUNT || !rules.includes('co.uk')) {
+    throw new Error(`${rulesFile} has ${rules.length} rules; expected the full Public Suffix List`);
+  }
+  const { version } = JSON.parse(fs.readFileSync(path.join(path.dirname(rulesFile), '..', 'package.json'), 'utf8'));
+  return { version, rules };
+}
+
+/**
+ * Builds the list and writes it as a script.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.rules] - The `psl` rules module.
+ * @param {string} [options.out] - Where to write the script.
+ * @returns {Object} `{ out, version, ruleCount, bytes }`.
+ */
+function writePublicSuffixList({ rules: rulesFile = PUBLIC_SUFFIX_LIST_PATHS.rules, out = PUBLIC_SUFFIX_LIST_PATHS.out } = {}) {
+  const { version, rules } = buildPublicSuffixList(rulesFile);
+  const script =
+    `// Generated by scripts/build-public-suffix-list.js from psl ${version}. Do not edit.\n` +
+    `window.PUBLIC_SUFFIX_LIST_RULES = ${JSON.stringify(rules.join('\n'))};\n`;
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, script);
+  return { out, version, ruleCount: rules.length, bytes: Buffer.byteLength(script) };
+}
+
+/**
+ * CLI entry point.
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const index = args.indexOf('--out');
+  const out = index !== -1 && args[index + 1] ? path.resolve(args[index + 1]) : undefined;
+
+  const result = writePublicSuffixList({ out });
+  console.log(
+    `[PublicSuffixList] Wrote ${result.ruleCount} rules (${Math.round(result.bytes / 1024)}KB, psl ${result.version}) ` +
+    `to ${path.relative(process.cwd(), result.out)}`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[PublicSuffixList] Failed to build the public suffix list:', error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { PUBLIC_SUFFIX_LIST_PATHS, buildPublicSuffixList, writePublicSuffixList };
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * @file scripts/detection-report.js
+ * @description Batch accuracy report for the brand and PDP detectors.
+ *
+ * Runs `PdpDetector.debugDetection()` and `BrandDetector.findAllBrandCandidates()`
+ * over a labeled fixture corpus (a directory with a `fixtures.json`, see
+ * `test/fixtures/pages/`) and prints:
+ * - a per-page score breakdown with the signals that fired,
+ * - PDP and brand false positives / false negatives,
+ * - precision and recall of every individual PDP signal.
+ *
+ * Usage:
+ *   node scripts/detection-report.js [--fixtures <dir>] [--json]
+ */
+const path = require('node:path');
+const {
+  FIXTURES_DIR,
+  createExtensionEnvironment,
+  loadFixtureManifest,
+  loadFixtureHtml
+} = require('../test/helpers/extension-env');
+
+/**
+ * Precision and recall from raw counts. A ratio with an empty denominator is null.
+ *
+ * @param {{ tp: number, fp: number, fn: number }} counts - True/false positive and false negative counts.
+ * @returns {{ precision: number|null, recall: number|null }} The two ratios.
+ */
+function precisionRecall({ tp, fp, fn }) {
+  return {
+    precision: tp + fp > 0 ? tp / (tp + fp) : null,
+    recall: tp + fn > 0 ? tp / (tp + fn) : null
+  };
+}
+
+/**
+ * Runs both detectors over a single fixture page.
+ *
+ * @param {Object} fixture - A `fixtures.json` entry.
+ * @param {string} fixturesDir - The directory holding the fixture file.
+ * @returns {Promise<Object>} The page's row in the report.
+ */
+async function analyzeFixture(fixture, fixturesDir) {
+  const { window, close } = createExtensionEnvironment({
+    html: loadFixtureHtml(fixture.file, fixturesDir),
+    url: fixture.url
+  });
+
+  try {
+    await window.loadBrands();
+    const brandDetector = new window.BrandDetector();
+    const candidates = brandDetector.findAllBrandCandidates();
+    const vote = brandDetector.scoreBrandCandidates(candidates);
+    const scoringConfig = await window.PdpDetector.loadScoringConfig(window.location.hostname);
+    const debug = new window.PdpDetector(scoringConfig).debugDetection();
+
+    return {
+      file: fixture.file,
+      url: fixture.url,
+      expected: fixture.expected,
+      isPdp: debug.isPDP,
+      score: debug.totalScore,
+      threshold: debug.threshold,
+      signals: debug.signals,
+      brand: vote ? vote.brand.name : null,
+      brandConfidence: vote ? vote.confidence : null,
+      brandRanking: vote ? vote.ranking.map(({ name, score }) => ({ name, score })) : [],
+      candidates: candidates.map(({ name, source, weight }) => ({ name, source, weight }))
+    };
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Compares a page's predicted brand with its label. Brand names are compared
+ * case-insensitively since the display casing depends on the CSV row order.
+ *
+ * @param {Object} row - A page row from `analyzeFixture()`.
+ * @returns {'tp'|'tn'|'fp'|'fn'|'wrong'|null} The outcome, or null if the page has no brand label.
+ */
+function classifyBrand(row) {
+  if (!('brand' in row.expected)) return null;
+  const expected = row.expected.brand;
+  if (expected === null) return row.brand === null ? 'tn' : 'fp';
+  if (row.brand === null) return 'fn';
+  return row.brand.toLowerCase() === expected.toLowerCase() ? 'tp' : 'wrong';
+}
+
+/**
+ * Aggregates page rows into PDP, brand and per-signal metrics.
+ *
+ * @param {Object[]} rows - Page rows from `analyzeFixture()`.
+ * @returns {Object} The summary section of the report.
+ */
+function summarize(rows) {
+  const pdpRows = rows.filter(row => typeof row.expected.isPdp === 'boolean');
+
+  const pdp = { tp: 0, fp: 0, fn: 0, tn: 0, falsePositives: [], falseNegatives: [] };
+  for (const row of pdpRows) {
+    if (row.isPdp && row.expected.isPdp) pdp.tp++;
+    else if (!row.isPdp && !row.expected.isPdp) pdp.tn++;
+    else if (row.isPdp) { pdp.fp++; pdp.falsePositives.push(row.file); }
+    else { pdp.fn++; pdp.falseNegatives.push(row.file); }
+  }
+  Object.assign(pdp, precisionRecall(pdp));
+
+  // A wrong brand counts against both precision (we showed a brand) and recall (we missed the right one).
+  const brand = { tp: 0, fp: 0, fn: 0, tn: 0, falsePositives: [], falseNegatives: [] };
+  for (const row of rows) {
+    const outcome = classifyBrand(row);
+    if (!outcome) continue;
+    if (outcome === 'wrong') {
+      brand.fp++; brand.fn++;
+      brand.falsePositives.push(row.file);
+      brand.falseNegatives.push(row.file);
+    } else {
+      brand[outcome]++;
+      if (outcome === 'fp') brand.falsePositives.push(row.file);
+      if (outcome === 'fn') brand.falseNegatives.push(row.file);
+    }
+  }
+  Object.assign(brand, precisionRecall(brand));
+
+  // Each signal is scored as a standalone classifier of "is this a PDP?".
+  const signals = {};
+  const signalNames = new Set(pdpRows.flatMap(row => Object.keys(row.signals)));
+  for (const signal of signalNames) {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    for (const row of pdpRows) {
+      const fired = row.signals[signal];
+      if (fired && row.expected.isPdp) counts.tp++;
+      else if (fired) counts.fp++;
+      else if (row.expected.isPdp) counts.fn++;
+      else counts.tn++;
+    }
+    signals[signal] = { ...counts, ...precisionRecall(counts) };
+  }
+
+  return { pages: rows.length, pdp, brand, signals };
+}
+
+/**
+ * Builds the full report for a fixture corpus.
+ *
+ * @param {string} [fixturesDir] - A directory containing `fixtures.json` and the saved pages.
+ * @returns {Promise<{ pages: Object[], summary: Object }>} Per-page rows and aggregate metrics.
+ */
+async function buildReport(fixturesDir = FIXTURES_DIR) {
+  const rows = [];
+  for (const fixture of loadFixtureManifest(fixturesDir)) {
+    rows.push(await analyzeFixture(fixture, fixturesDir));
+  }
+  return { pages: rows, summary: summarize(rows) };
+}
+
+/**
+ * Formats a ratio for the text report.
+ *
+ * @param {number|null} value - A ratio between 0 and 1.
+ * @returns {string} A percentage, or "n/a".
+ */
+function formatRatio(value) {
+  return value === null ? '  n/a' : `${(value * 100).toFixed(0).padStart(4)}%`;
+}
+
+/**
+ * Renders the report as plain text for the terminal.
+ *
+ * @param {{ pages: Object[], summary: Object }} report - The output of `buildReport()`.
+ * @returns {string} The formatted report.
+ */
+function formatReport({ pages, summary }) {
+  const lines = [];
+
+  lines.push('Per-page results', '================');
+  for (const row of pages) {
+    const pdpMark = typeof row.expected.isPdp === 'boolean' && row.isPdp !== row.expected.isPdp ? '  <-- PDP MISMATCH' : '';
+    const brandOutcome = classifyBrand(row);
+    const brandMark = ['fp', 'fn', 'wrong'].includes(brandOutcome) ? '  <-- BRAND MISMATCH' : '';
+    const fired = Object.entries(row.signals).filter(([, value]) => value).map(([signal]) => signal);
+
+    lines.push(`${row.file}  (${row.url})`);
+    lines.push(`  PDP:    ${row.isPdp} (score ${row.score}/${row.threshold}, expected ${row.expected.isPdp})${pdpMark}`);
+    const confidence = row.brand ? `, confidence ${row.brandConfidence}` : '';
+    lines.push(`  Brand:  ${row.brand} (expected ${row.expected.brand}${confidence})${brandMark}`);
+    if (row.brandRanking.length > 1) {
+      lines.push(`  Ranking: ${row.brandRanking.map(({ name, score }) => `${name} ${score}`).join(' > ')}`);
+    }
+    lines.push(`  Signals: ${fired.join(', ') || 'none'}`);
+    lines.push(`  Candidates: ${row.candidates.map(({ name, source, weight }) => `${name} [${source} ${weight}]`).join(' | ') || 'none'}`);
+  }
+
+  const { pdp, brand, signals } = summary;
+  lines.push('', 'PDP detection', '=============');
+  lines.push(`  TP ${pdp.tp}  FP ${pdp.fp}  FN ${pdp.fn}  TN ${pdp.tn}   precision ${formatRatio(pdp.precision)}  recall ${formatRatio(pdp.recall)}`);
+  if (pdp.falsePositives.length) lines.push(`  False positives: ${pdp.falsePositives.join(', ')}`);
+  if (pdp.falseNegatives.length) lines.push(`  False negatives: ${pdp.falseNegatives.join(', ')}`);
+
+  lines.push('', 'Brand detection', '===============');
+  lines.push(`  TP ${brand.tp}  FP ${brand.fp}  FN ${brand.fn}  TN ${brand.tn}   precision ${formatRatio(brand.precision)}  recall ${formatRatio(brand.recall)}`);
+  if (brand.falsePositives.length) lines.push(`  False positives: ${brand.falsePositives.join(', ')}`);
+  if (brand.falseNegatives.length) lines.push(`  False negatives: ${brand.falseNegatives.join(', ')}`);
+
+  lines.push('', 'Per-signal precision / recall (as a standalone PDP classifier)', '==============================================================');
+  lines.push(`  ${'signal'.padEnd(16)} ${'TP'.padStart(4)} ${'FP'.padStart(4)} ${'FN'.padStart(4)}  precision  recall`);
+  for (const [signal, counts] of Object.entries(signals)) {
+    lines.push(`  ${signal.padEnd(16)} ${String(counts.tp).padStart(4)} ${String(counts.fp).padStart(4)} ${String(counts.fn).padStart(4)}      ${formatRatio(counts.precision)}   ${formatRatio(counts.recall)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI entry point.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const fixturesIndex = args.indexOf('--fixtures');
+  const fixturesDir = fixturesIndex !== -1 ? path.resolve(args[fixturesIndex + 1]) : FIXTURES_DIR;
+
+  const report = await buildReport(fixturesDir);
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('[Report] Failed to build detection report:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildReport, summarize, formatReport, precisionRecall };
@@ -0,0 +1,220 @@
+/**
+ * @file scripts/png.js
+ * @description Just enough PNG support for the build to produce icon sizes from the master logo
+ * without an image library: decoding 8-bit RGB/RGBA non-interlaced images, area-averaged
+ * resizing and encoding back to RGBA.
+ */
+const zlib = require('node:zlib');
+
+/**
+ * The eight bytes every PNG file starts with.
+ * @const {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Lazily-built CRC-32 lookup table for chunk checksums.
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks (and zip entries, see zip.js).
+ * @param {Buffer} bytes - The checksummed bytes.
+ * @returns {number} The checksum.
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Reads a PNG's dimensions from its header.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @returns {{ width: number, height: number }} The size.
+ * @throws {Error} If the buffer is not a PNG.
+ */
+function readPngSize(buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * The Paeth predictor from the PNG specification.
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decodes a PNG into RGBA pixels.
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @returns {{ width: number, height: number, pixels: Uint8Array }} Four bytes per pixel, row by row.
+ * @throws {Error} For anything other than 8-bit, non-interlaced RGB or RGBA.
+ */
+function decodePng(buffer) {
+  const { width, height } = readPngSize(buffer);
+  const idat = [];
+  let colorType;
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      const [bitDepth, color, , , interlace] = data.subarray(8, 13);
+      if (bitDepth !== 8 || (color !== 2 && color !== 6) || interlace !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${color}, interlace ${interlace})`);
+      }
+      colorType = color;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = colorType === 6 ? 4 : 3;
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = new Uint8Array(width * height * 4);
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = new Uint8Array(stride);
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? row[i - channels] : 0;
+      const up = previous[i];
+      const upLeft = i >= channels ? previous[i - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) throw new Error(`Unknown PNG filter ${filter} on row ${y}`);
+      row[i] = (line[i] + predictor) & 0xff;
+    }
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4;
+      pixels[target] = row[x * channels];
+      pixels[target + 1] = row[x * channels + 1];
+      pixels[target + 2] = row[x * channels + 2];
+      pixels[target + 3] = channels === 4 ? row[x * channels + 3] : 255;
+    }
+    previous = row;
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Encodes RGBA pixels as a PNG.
+ *
+ * @param {{ width: number, height: number, pixels: Uint8Array }} image - The image.
+ * @returns {Buffer} The file contents.
+ */
+function encodePng({ width, height, pixels }) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace.
+
+  // Every row uses filter 0 (none); deflate does the work.
+  const raw = Buffer.alloc(height * (width * 4 + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Resizes an image by averaging the source area under each target pixel, weighting colors by
+ * alpha so transparent edges don't darken.
+ *
+ * @param {{ width: number, height: number, pixels: Uint8Array }} image - The source image.
+ * @param {number} width - The target width.
+ * @param {number} height - The target height.
+ * @returns {{ width: number, height: number, pixels: Uint8Array }} The resized image.
+ */
+function resizeImage(image, width, height) {
+  const pixels = new Uint8Array(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = y * scaleY;
+    const bottom = top + scaleY;
+    for (let x = 0; x < width; x++) {
+      const left = x * scaleX;
+      const right = left + scaleX;
+      let r = 0, g = 0, b = 0, a = 0, area = 0;
+
+      for (let sy = Math.floor(top); sy < Math.min(Math.ceil(bottom), image.height); sy++) {
+        const coverY = Math.min(bottom, sy + 1) - Math.max(top, sy);
+        for (let sx = Math.floor(left); sx < Math.min(Math.ceil(right), image.width); sx++) {
+          const weight = coverY * (Math.min(right, sx + 1) - Math.max(left, sx));
+          const source = (sy * image.width + sx) * 4;
+          const alpha = image.pixels[source + 3] * weight;
+          r += image.pixels[source] * alpha;
+          g += image.pixels[source + 1] * alpha;
+          b += image.pixels[source + 2] * alpha;
+          a += alpha;
+          area += weight;
+        }
+      }
+
+      const target = (y * width + x) * 4;
+      if (a > 0) {
+        pixels[target] = Math.round(r / a);
+        pixels[target + 1] = Math.round(g / a);
+        pixels[target + 2] = Math.round(b / a);
+      }
+      pixels[target + 3] = area > 0 ? Math.round(a / area) : 0;
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Resizes a PNG file to a square icon.
+ *
+ * @param {Buffer} buffer - The source PNG.
+ * @param {number} size - The icon's width and height.
+ * @returns {Buffer} The resized PNG.
+ */
+function resizePng(buffer, size) {
+  return encodePng(resizeImage(decodePng(buffer), size, size));
+}
+
+module.exports = { crc32, decodePng, encodePng, readPngSize, resizeImage, resizePng };
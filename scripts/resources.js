@@ -0,0 +1,36 @@
+/**
+ * @file scripts/resources.js
+ * @description Where the extension's sources live, and a way to run its shared scripts from
+ * Node without a browser, for the build scripts that reuse the extension's own code.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Absolute path to the extension's `Resources/` directory.
+ * @const {string}
+ */
+const RESOURCES_DIR = path.join(
+  __dirname, '..', 'ChaChing Browser Extension', 'Safari Extension', 'Resources'
+);
+
+/**
+ * Evaluates extension scripts, in order, in one fresh global whose `window` is itself, the
+ * way they share a page. Only scripts that need nothing from the DOM or `chrome` at load time
+ * can run here.
+ *
+ * @param {string[]} scripts - Paths relative to `Resources/`, e.g. `src/shared/utils.js`.
+ * @returns {Object} The global the scripts ran in.
+ */
+function evaluateScripts(scripts) {
+  const context = vm.createContext({ console });
+  context.window = context;
+  for (const script of scripts) {
+    const filename = path.join(RESOURCES_DIR, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  }
+  return context;
+}
+
+module.exports = { RESOURCES_DIR, evaluateScripts };
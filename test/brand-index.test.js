@@ -0,0 +1,54 @@
+/**
+ * @file test/brand-index.test.js
+ * @description Checks the Aho-Corasick brand index used for title matching.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment, loadBrandWindow } = require('./helpers/extension-env');
+
+const found = (index, text) => [...index.findAll(text)].map(match => `${match.brand.name}@${match.start}-${match.end}:${match.text}`);
+
+test('matches whole words only, including multi-word names and aliases', async (t) => {
+  const window = await loadBrandWindow(t);
+  const index = window.SUPPORTED_BRANDS_INDEX;
+
+  assert.deepEqual(found(index, 'The North Face Nuptse 1996 Jacket'), ['THE NORTH FACE@0-3:The North Face']);
+  assert.deepEqual([...index.findAll('Levinson Levis-style denim')].map(match => match.brand.name), [], 'no match inside a word');
+  const levis = [...index.findAll('Levi Strauss & Co. 501 Original Jeans')]
+    .filter(match => match.brand === window.resolveBrand("Levi's"))
+    .map(match => match.text);
+  assert.deepEqual(levis, ['Levi Strauss', 'Levi Strauss Co.'], 'matched through both aliases');
+});
+
+test('names with regex metacharacters match literally', async (t) => {
+  const window = await loadBrandWindow(t);
+  const index = window.SUPPORTED_BRANDS_INDEX;
+  const names = (text) => [...index.findAll(text)].map(match => match.brand.name);
+
+  assert.deepEqual(names('10.Deep Division Hoodie'), ['10.Deep']);
+  assert.deepEqual(names('10xDeep Division Hoodie'), [], 'the dot is not a wildcard');
+  assert.ok(names('Dr. Jart+ Cicapair Cream').includes('Dr. Jart+'));
+  assert.deepEqual(names('Dr. Jarttt Cream').filter(name => name === 'Dr. Jart+'), [], 'the plus is not a quantifier');
+  assert.ok(names('Alice + Olivia Willa Top').includes('Alice + Olivia'));
+});
+
+test('reports overlapping names that end at the same word', (t) => {
+  const { window, close } = createExtensionEnvironment({ html: '<html><body></body></html>', url: 'https://shop.example.com/' });
+  t.after(close);
+  const brands = [{ name: 'North Face' }, { name: 'Face' }, { name: 'The North' }];
+  const index = new window.BrandIndex(brands);
+
+  assert.deepEqual(found(index, 'the North Face jacket'), [
+    'The North@0-2:the North',
+    'North Face@1-3:North Face',
+    'Face@2-3:Face'
+  ]);
+  assert.equal(index.size, 3);
+});
+
+test('the title strategy reports each brand once, spelled as on the page', async (t) => {
+  const window = await loadBrandWindow(t);
+  const detector = new window.BrandDetector();
+
+  assert.deepEqual([...detector.findTitleCandidates('YETI Rambler - yeti tumbler by Nike')], ['YETI', 'Nike']);
+});
@@ -0,0 +1,77 @@
+/**
+ * @file test/brand-scoring.test.js
+ * @description Checks the weighted brand vote: source reliability, tie-breaking, confidence and evidence.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment, runDetection, loadFixtureHtml } = require('./helpers/extension-env');
+
+const NORDSTROM_URL = 'https://www.nordstrom.com/s/the-north-face-nuptse-1996-packable-down-jacket/7071245';
+
+async function createDetector(t) {
+  const { window, close } = createExtensionEnvironment({ html: '<html><body></body></html>', url: 'https://shop.example.com/' });
+  t.after(close);
+  await window.loadBrands();
+  return new window.BrandDetector();
+}
+
+test('one reliable source outweighs several store-level candidates', async (t) => {
+  const detector = await createDetector(t);
+  const vote = detector.scoreBrandCandidates([
+    { name: 'Nordstrom', source: 'brandElement', weight: 4 },
+    { name: 'Nordstrom', source: 'siteName', weight: 1 },
+    { name: 'nordstrom', source: 'domain', weight: 1 },
+    { name: 'The North Face', source: 'structuredData', weight: 10 }
+  ]);
+
+  assert.equal(vote.brand.name, 'THE NORTH FACE');
+  assert.equal(vote.score, 10);
+  assert.deepEqual([...vote.ranking].map(({ name, score }) => [name, score]), [['THE NORTH FACE', 10], ['Nordstrom', 6]]);
+  assert.equal(vote.confidence, 81);
+});
+
+test('ties on score go to the strongest single source, then to more sources, then to the first seen', async (t) => {
+  const detector = await createDetector(t);
+
+  const strongest = detector.scoreBrandCandidates([
+    { name: 'Patagonia', source: 'title', weight: 3 },
+    { name: 'Patagonia', source: 'breadcrumb', weight: 2 },
+    { name: 'YETI', source: 'brandLabel', weight: 5 }
+  ]);
+  assert.equal(strongest.brand.name, 'YETI');
+
+  const moreSources = detector.scoreBrandCandidates([
+    { name: 'YETI', source: 'title', weight: 3 },
+    { name: 'Patagonia', source: 'title', weight: 3 },
+    { name: 'Patagonia', source: 'siteName', weight: 1 },
+    { name: 'YETI', source: 'title', weight: 1 }
+  ]);
+  assert.equal(moreSources.brand.name, 'Patagonia');
+
+  // Plain strings count once each, so only page order separates them.
+  assert.equal(detector.scoreBrandCandidates(['Patagonia', 'YETI']).brand.name, 'Patagonia');
+  assert.equal(detector.scoreBrandCandidates(['YETI', 'Patagonia']).brand.name, 'YETI');
+});
+
+test('no matching candidate returns null', async (t) => {
+  const detector = await createDetector(t);
+  assert.equal(detector.scoreBrandCandidates([{ name: 'Kettlewood', source: 'structuredData', weight: 10 }]), null);
+  assert.equal(detector.determineBestBrandByVotes([]), null);
+});
+
+test('detectBrandOnPage reports confidence and the evidence behind the winner', async (t) => {
+  const { window, close } = createExtensionEnvironment({ html: loadFixtureHtml('nordstrom-north-face-pdp.html'), url: NORDSTROM_URL });
+  t.after(close);
+
+  const { brandResult } = await runDetection(window);
+
+  assert.equal(brandResult.productInfo.brand, 'THE NORTH FACE');
+  assert.ok(brandResult.confidence > 50 && brandResult.confidence <= 100);
+  assert.deepEqual(
+    [...brandResult.evidence].map(({ source, value, weight }) => ({ source, value, weight })),
+    [
+      { source: 'structuredData', value: 'The North Face', weight: 10 },
+      { source: 'title', value: 'The North Face', weight: 3 }
+    ]
+  );
+});
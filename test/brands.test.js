@@ -0,0 +1,65 @@
+/**
+ * @file test/brands.test.js
+ * @description Checks BrandList.csv loading: aliases, parent brands, official domains and offers.
+ * The brand data is the sample from `test/fixtures/brand-catalog.csv`.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrandWindow } = require('./helpers/extension-env');
+
+test('aliases resolve to the canonical brand', async (t) => {
+  const window = await loadBrandWindow(t);
+  const levis = window.resolveBrand("Levi's");
+
+  assert.ok(levis);
+  for (const alias of ['Levis', 'Levi Strauss & Co.', 'levi strauss']) {
+    assert.equal(window.resolveBrand(alias), levis, alias);
+  }
+  assert.equal(window.resolveBrand("L'Oréal").name, "L'Oreal Paris");
+  assert.equal(window.resolveBrand('Loreal').name, "L'Oreal Paris");
+  assert.equal(window.resolveBrand('Not A Listed Brand'), null);
+});
+
+test('duplicate rows merge and a parent brand is kept', async (t) => {
+  const window = await loadBrandWindow(t);
+
+  const nike = window.resolveBrand('Nike');
+  assert.equal(nike.name, 'NIKE', 'the last duplicate row keeps the display name');
+  assert.deepEqual([...nike.domains], ['nike.com']);
+  assert.equal(window.resolveBrand('DENIZEN').parentBrand, "Levi's");
+});
+
+test('official domains match the site and its subdomains only', async (t) => {
+  const window = await loadBrandWindow(t);
+
+  assert.equal(window.findBrandByDomain('www.thenorthface.com').name, 'THE NORTH FACE');
+  assert.equal(window.findBrandByDomain('eu.levi.com').name, window.resolveBrand('Levis').name);
+  assert.equal(window.findBrandByDomain('notlevi.com'), null);
+  assert.equal(window.findBrandByDomain('www.nordstrom.com'), null);
+});
+
+test('votes for different aliases add up for one brand', async (t) => {
+  const window = await loadBrandWindow(t);
+  const vote = new window.BrandDetector().scoreBrandCandidates([
+    { name: 'Levi Strauss & Co.', source: 'structuredData', weight: 10 },
+    { name: 'Levis', source: 'title', weight: 3 },
+    { name: 'Nordstrom', source: 'siteName', weight: 1 }
+  ]);
+
+  assert.equal(vote.brand, window.resolveBrand("Levi's"));
+  assert.equal(vote.score, 13);
+  assert.equal(vote.evidence.length, 2);
+});
+
+test('each brand carries its own cashback offer, or the default', async (t) => {
+  const window = await loadBrandWindow(t);
+  const offer = (name) => ({ ...window.resolveBrand(name).cashback });
+
+  assert.deepEqual(offer('Nike'), { rate: 8, type: 'percent', category: 'Shoes', expires: null });
+  assert.deepEqual(offer('YETI'), { rate: 15, type: 'flat', category: 'Outdoor', expires: null });
+  assert.deepEqual(offer("Levi'S"), offer('Levis'), 'a duplicate row without a rate keeps the earlier rate');
+  assert.equal(offer("Levi's").rate, 12);
+  assert.deepEqual(offer('Yeti Coolers'), offer('YETI'));
+  assert.deepEqual(offer('111SKIN'), { rate: 33, type: 'percent', category: null, expires: null });
+  assert.equal(window.findBrandByDomain('www.steals.com').cashback.rate, 20);
+});
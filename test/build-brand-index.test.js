@@ -0,0 +1,85 @@
+/**
+ * @file test/build-brand-index.test.js
+ * @description Checks that the build-time brand index matches pages exactly like the CSV does.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createBackground, createExtensionEnvironment, fetchWithTestBrands, readTestBrandCsv } = require('./helpers/extension-env');
+const { buildBrandIndex, writeBrandIndex } = require('../scripts/build-brand-index');
+
+const TITLES = [
+  'The North Face Nuptse 1996 Retro Puffer Jacket',
+  'Levi Strauss & Co. 501 Original Fit Jeans',
+  "L'Oréal Paris Revitalift Night Cream",
+  'Dr. Jart+ Cicapair Tiger Grass Cream'
+];
+
+/**
+ * A background catalog updater serving `bundled` as its brand index, and no remote catalog.
+ */
+function createCatalogSync(t, bundled) {
+  const { window } = createBackground(t, {
+    fetch: (input) => String(input).endsWith('brand-index.json')
+      ? Promise.resolve(new Response(JSON.stringify(bundled)))
+      : fetchWithTestBrands(input)
+  });
+  return new window.BrandCatalogSync();
+}
+
+/**
+ * A tab whose brand lookups `respond` answers.
+ */
+async function loadWith(t, respond) {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://shop.example.com/',
+    respondToMessage: respond,
+    fetch: fetchWithTestBrands
+  });
+  t.after(close);
+  await window.loadBrands();
+  return window;
+}
+
+const matches = (window, title) => [...window.SUPPORTED_BRANDS_INDEX.findAll(title)]
+  .map(match => `${match.brand.name}@${match.start}-${match.end}`);
+
+test('the compiled index matches the same brands, aliases, domains and titles as the CSV', async (t) => {
+  const bundled = buildBrandIndex(readTestBrandCsv());
+  assert.match(bundled.version, /^bundled-[0-9a-f]{8}$/);
+
+  const sync = createCatalogSync(t, bundled);
+  const fromIndex = await loadWith(t, async (message) => ({
+    success: true,
+    data: JSON.parse(JSON.stringify(await sync.lookupBrands(message.query)))
+  }));
+  const fromCsv = await loadWith(t, () => ({ success: true, data: null }));
+
+  assert.equal(new Set(fromCsv.SUPPORTED_BRANDS_MAP.values()).size, bundled.compiled.brandCount);
+  await fromIndex.loadBrands({ names: ['Levi Strauss & Co.'], hostname: 'www.yeti.com' });
+  assert.equal(fromIndex.BRAND_CATALOG_VERSION, bundled.version);
+  const levis = (window) => JSON.stringify(window.resolveBrand('Levi Strauss & Co.'));
+  assert.equal(levis(fromIndex), levis(fromCsv));
+  assert.deepEqual({ ...fromIndex.findBrandByDomain('www.yeti.com').cashback }, { ...fromCsv.findBrandByDomain('www.yeti.com').cashback });
+  for (const title of TITLES) {
+    await fromIndex.loadBrands({ title });
+    assert.deepEqual(matches(fromIndex, title), matches(fromCsv, title), title);
+  }
+});
+
+test('writes the compiled index to the requested file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chaching-brand-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const csv = path.join(dir, 'brands.csv');
+  fs.writeFileSync(csv, '"brand_name","aliases","domains","cashback_rate"\n"Kettlewood Goods","Kettlewood","kettlewoodgoods.com","9"\n');
+
+  const result = writeBrandIndex({ csv, out: path.join(dir, 'data', 'brand-index.json') });
+  const written = JSON.parse(fs.readFileSync(result.out, 'utf8'));
+
+  assert.equal(result.brandCount, 1);
+  assert.equal(written.version, result.version);
+  assert.deepEqual(written.compiled.brands, [['kettlewoodgoods', 'Kettlewood Goods', ['Kettlewood'], null, ['kettlewoodgoods.com'], [9, 'percent', null, null]]]);
+});
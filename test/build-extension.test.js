@@ -0,0 +1,111 @@
+/**
+ * @file test/build-extension.test.js
+ * @description Builds the extension bundle into a temporary directory and checks the
+ * manifest validation catches broken references.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { BUILD_CONFIG, buildExtension, collectRuntimeFiles, validateBundle } = require('../scripts/build-extension');
+const { decodePng, readPngSize, resizePng } = require('../scripts/png');
+const { zipDirectory } = require('../scripts/zip');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chaching-build-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const readManifest = () => JSON.parse(fs.readFileSync(BUILD_CONFIG.MANIFEST, 'utf8'));
+
+test('the bundle flattens src/, keeps src/data and satisfies the manifest', (t) => {
+  const out = tempDir(t);
+  const result = buildExtension({ out });
+
+  for (const file of ['manifest.json', 'utils.js', 'main.js', 'runner.js', 'index.html', 'options.html', 'options.js', 'BrandList.csv', 'src/data/excluded-domains.json', 'src/data/brand-index.json', 'src/data/public-suffix-list.js']) {
+    assert.ok(fs.existsSync(path.join(out, file)), file);
+  }
+  assert.ok(!fs.existsSync(path.join(out, 'BLACKLIST.md')), 'docs are left out');
+  assert.deepEqual(result.icons.map(icon => `${icon.file}@${icon.size}`), ['ChaChing_Logo_16.png@16', 'ChaChing_Logo_48.png@48', 'ChaChing_Logo_128.png@128']);
+  assert.deepEqual(validateBundle(out, readManifest()), []);
+});
+
+test('the Chrome bundle runs the background scripts as a service worker', (t) => {
+  const out = tempDir(t);
+  buildExtension({ target: 'chrome', out });
+  const manifest = JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'));
+
+  assert.deepEqual(manifest.background, { service_worker: 'service-worker.js' });
+  const worker = fs.readFileSync(path.join(out, 'service-worker.js'), 'utf8');
+  assert.match(worker, /importScripts\('compat\.js', 'utils\.js', .*'main\.js'\);/);
+  assert.equal(manifest.browser_specific_settings, undefined);
+});
+
+test('the Firefox bundle keeps background scripts and declares its add-on ID', (t) => {
+  const out = tempDir(t);
+  buildExtension({ target: 'firefox', out });
+  const manifest = JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'));
+
+  assert.deepEqual(manifest.background, readManifest().background);
+  assert.equal(manifest.browser_specific_settings.gecko.id, BUILD_CONFIG.FIREFOX_ID);
+  // main.js injects history-hooks.js with `world: "MAIN"`, which Firefox supports from 128 on.
+  assert.ok(parseFloat(manifest.browser_specific_settings.gecko.strict_min_version) >= 128);
+  assert.ok(!fs.existsSync(path.join(out, 'service-worker.js')));
+  assert.throws(() => buildExtension({ target: 'edge', out }), /Unknown target "edge"/);
+});
+
+test('bundles are zipped with every file readable', (t) => {
+  const dir = tempDir(t);
+  fs.mkdirSync(path.join(dir, 'bundle', 'src'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'bundle', 'manifest.json'), '{"manifest_version":3}');
+  fs.writeFileSync(path.join(dir, 'bundle', 'src', 'data.json'), '[1,2,3]');
+
+  const { zipPath, entries } = zipDirectory(path.join(dir, 'bundle'), path.join(dir, 'bundle.zip'));
+  const archive = fs.readFileSync(zipPath);
+
+  assert.equal(entries, 2);
+  assert.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50, 'ends with a central directory');
+  const nameLength = archive.readUInt16LE(26);
+  const dataStart = 30 + nameLength;
+  assert.equal(archive.toString('utf8', 30, dataStart), 'manifest.json');
+  const inflated = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + archive.readUInt32LE(18)));
+  assert.equal(inflated.toString(), '{"manifest_version":3}');
+});
+
+test('missing files and mis-sized icons are all reported', (t) => {
+  const out = tempDir(t);
+  buildExtension({ out });
+  fs.rmSync(path.join(out, 'runner.js'));
+  const manifest = readManifest();
+  manifest.background.scripts.push('missing.js');
+  manifest.icons['32'] = 'ChaChing_Logo_48.png';
+
+  assert.deepEqual(validateBundle(out, manifest), [
+    'missing.js (referenced by manifest background.scripts) is missing',
+    'runner.js (referenced by manifest web_accessible_resources) is missing',
+    'runner.js (referenced by main.js (files)) is missing',
+    'ChaChing_Logo_48.png is 48x48, but the manifest declares it as 32x32'
+  ]);
+});
+
+test('files that would collide when flattened fail the build', (t) => {
+  const src = tempDir(t);
+  for (const file of ['content/utils.js', 'shared/utils.js', 'popup/popup.js']) {
+    fs.mkdirSync(path.dirname(path.join(src, file)), { recursive: true });
+    fs.writeFileSync(path.join(src, file), '');
+  }
+  assert.throws(() => collectRuntimeFiles(src), /utils\.js: shared\/utils\.js and content\/utils\.js/);
+});
+
+test('icons missing from src/assets are resized from the master logo', () => {
+  const master = fs.readFileSync(BUILD_CONFIG.MASTER_ICON);
+  const icon = resizePng(master, 32);
+
+  assert.deepEqual(readPngSize(icon), { width: 32, height: 32 });
+  const { pixels } = decodePng(icon);
+  assert.equal(pixels[3], 0, 'transparent corners stay transparent');
+  assert.ok(pixels.some((value, i) => i % 4 === 3 && value === 255), 'the logo itself stays opaque');
+});
@@ -0,0 +1,280 @@
+/**
+ * @file test/catalog-sync.test.js
+ * @description Runs the background brand catalog updater against a local stand-in for the
+ * catalog endpoint, and checks that brands.js loads the brands it matches for each page.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createBackground, createExtensionEnvironment, fetchResource } = require('./helpers/extension-env');
+
+/**
+ * Starts a local catalog server. `handler(req, res)` decides each response; every request is recorded.
+ * @returns {Promise<{ url: string, requests: Object[], setHandler: Function, close: Function }>}
+ */
+async function startCatalogServer(handler) {
+  const requests = [];
+  let currentHandler = handler;
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    currentHandler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/brand-catalog.json`,
+    requests,
+    setHandler: (next) => { currentHandler = next; },
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); })
+  };
+}
+
+function sendJson(res, body, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function catalog(version, brands = [{ brand_name: 'Kettlewood Goods', domains: ['kettlewoodgoods.com'], cashback_rate: 9 }]) {
+  return { version, brands };
+}
+
+/**
+ * Network fetch for the jsdom window. Node's fetch won't take a jsdom AbortSignal, so abort is relayed.
+ */
+function networkFetch(input, init = {}) {
+  if (String(input).startsWith('chrome-extension://')) return fetchResource(input);
+  const controller = new AbortController();
+  init.signal?.addEventListener('abort', () => controller.abort());
+  return fetch(input, { ...init, signal: controller.signal });
+}
+
+test('a new catalog is validated, stored and served, then revalidated with its ETag', async (t) => {
+  const server = await startCatalogServer((req, res) => {
+    if (req.headers['if-none-match'] === '"v3"') {
+      res.writeHead(304);
+      res.end();
+    } else {
+      sendJson(res, catalog(3), { ETag: '"v3"' });
+    }
+  });
+  t.after(server.close);
+  const { window, chrome } = createBackground(t, { fetch: networkFetch });
+  const sync = new window.BrandCatalogSync({ endpoint: server.url, minBrands: 1 });
+
+  assert.equal(await sync.getCatalog(), null, 'nothing stored yet: use the bundled CSV');
+  assert.equal((await sync.sync()).status, 'updated');
+
+  const served = await sync.getCatalog();
+  assert.equal(served.source, 'remote');
+  assert.equal(served.version, 3);
+  assert.equal(served.brands[0].brand_name, 'Kettlewood Goods');
+  assert.equal(chrome.storage.local.data.brandCatalog.etag, '"v3"');
+
+  assert.equal((await sync.sync()).status, 'not-modified');
+  assert.equal(server.requests[1].headers['if-none-match'], '"v3"');
+  assert.equal((await sync.getCatalog()).version, 3);
+});
+
+test('older, invalid or truncated catalogs never replace the stored one', async (t) => {
+  const server = await startCatalogServer((req, res) => sendJson(res, catalog(5)));
+  t.after(server.close);
+  const { window } = createBackground(t, { fetch: networkFetch });
+  const sync = new window.BrandCatalogSync({ endpoint: server.url, minBrands: 1 });
+  await sync.sync();
+
+  server.setHandler((req, res) => sendJson(res, catalog(4)));
+  assert.equal((await sync.sync()).status, 'outdated');
+
+  server.setHandler((req, res) => sendJson(res, { version: 6, brands: [{ brand_name: 'Ok' }, { aliases: 'no name' }] }));
+  const invalid = await sync.sync();
+  assert.equal(invalid.status, 'invalid');
+  assert.match(invalid.error, /index 1/);
+
+  server.setHandler((req, res) => sendJson(res, { version: '7', brands: [{ brand_name: 'Ok' }] }));
+  assert.equal((await sync.sync()).status, 'invalid');
+
+  const strict = new window.BrandCatalogSync({ endpoint: server.url, minBrands: 2 });
+  server.setHandler((req, res) => sendJson(res, catalog(8)));
+  assert.equal((await strict.sync()).status, 'invalid');
+
+  assert.equal((await sync.getCatalog()).version, 5);
+});
+
+test('offline, HTTP errors and timeouts keep the stored catalog and are retried', async (t) => {
+  const server = await startCatalogServer((req, res) => sendJson(res, catalog(2)));
+  const { window, chrome } = createBackground(t, { fetch: networkFetch });
+  const sync = new window.BrandCatalogSync({ endpoint: server.url, minBrands: 1, requestTimeoutMs: 200 });
+  await sync.sync();
+  const checkedAt = chrome.storage.local.data.brandCatalogCheckedAt;
+
+  server.setHandler((req, res) => { res.writeHead(503); res.end(); });
+  assert.deepEqual({ ...(await sync.sync()) }, { status: 'failed', error: 'HTTP 503' });
+
+  server.setHandler(() => {}); // Never answers.
+  assert.equal((await sync.sync()).error, 'timeout');
+
+  await server.close();
+  assert.equal((await sync.sync()).status, 'failed');
+
+  assert.equal((await sync.getCatalog()).version, 2);
+  assert.equal(chrome.storage.local.data.brandCatalogCheckedAt, checkedAt, 'failed checks are not recorded');
+});
+
+test('syncIfStale respects the refresh interval and the endpoint can be overridden from storage', async (t) => {
+  const server = await startCatalogServer((req, res) => sendJson(res, catalog(1)));
+  t.after(server.close);
+  const { window } = createBackground(t, { storage: { local: { brandCatalogEndpoint: server.url } }, fetch: networkFetch });
+  const sync = new window.BrandCatalogSync({ minBrands: 1, refreshIntervalMs: 60 * 1000 });
+
+  assert.equal(await sync.getEndpoint(), server.url);
+  assert.equal((await sync.syncIfStale()).status, 'updated');
+  assert.equal((await sync.syncIfStale()).status, 'fresh');
+  assert.equal(server.requests.length, 1);
+});
+
+test('the remote catalog is compiled once per version and replaces the bundled list', async (t) => {
+  const server = await startCatalogServer((req, res) => sendJson(res, catalog(3)));
+  t.after(server.close);
+  const { window } = createBackground(t, { fetch: networkFetch });
+  const sync = new window.BrandCatalogSync({ endpoint: server.url, minBrands: 1 });
+  await sync.sync();
+
+  const first = await sync.getCompiledCatalog();
+  assert.equal(first.source, 'remote');
+  assert.equal(first.version, 3);
+  assert.equal(first.compiled.brandCount, 1);
+  assert.equal(await sync.getCompiledCatalog(), first, 'served from memory until the version changes');
+
+  server.setHandler((req, res) => sendJson(res, catalog(4, [{ brand_name: 'Kettlewood Goods' }, { brand_name: 'Marrow & Pine' }])));
+  await sync.sync();
+  assert.equal((await sync.getCompiledCatalog()).compiled.brandCount, 2);
+
+  const info = await sync.getCatalogInfo();
+  assert.equal(info.source, 'remote');
+  assert.equal(info.version, 4);
+  assert.equal(info.brandCount, 2);
+  assert.ok(info.fetchedAt && info.checkedAt, 'the options page can show when it was updated');
+});
+
+test('without a remote catalog the bundled index is served, or BrandList.csv compiled once', async (t) => {
+  const bundledIndex = { version: 'bundled-test', compiled: { format: 1, brandCount: 0, brands: [], index: { size: 0, nodes: [[{}, 0, []]] } } };
+  const requested = [];
+  const { window } = createBackground(t, {
+    fetch: (input) => {
+      requested.push(String(input));
+      return String(input).endsWith('brand-index.json')
+        ? Promise.resolve(new Response(JSON.stringify(bundledIndex)))
+        : fetchResource(input);
+    }
+  });
+  const bundled = await new window.BrandCatalogSync().getCompiledCatalog();
+  assert.equal(bundled.version, 'bundled-test');
+  assert.deepEqual({ ...await new window.BrandCatalogSync().getCatalogInfo() }, {
+    source: 'bundled', version: 'bundled-test', brandCount: 0, fetchedAt: null, checkedAt: null
+  });
+  assert.ok(!requested.some(url => url.endsWith('BrandList.csv')), 'the CSV is not read when the index is bundled');
+
+  const unbuilt = createBackground(t, {
+    fetch: (input) => String(input).endsWith('brand-index.json')
+      ? Promise.resolve(new Response('Not found', { status: 404 }))
+      : fetchResource(input)
+  });
+  const sync = new unbuilt.window.BrandCatalogSync();
+  const compiled = await sync.getCompiledCatalog();
+  assert.equal(compiled.source, 'bundled');
+  assert.equal(compiled.version, 'bundled');
+  assert.ok(compiled.compiled.brandCount > 1000);
+  assert.equal(await sync.getCompiledCatalog(), compiled);
+});
+
+test('brands.js loads only the brands the background matches, or parses the bundled CSV when it has none', async (t) => {
+  const background = createBackground(t, {
+    storage: { local: { brandCatalog: catalog(9, [
+      { brand_name: 'Kettlewood Goods', domains: ['kettlewoodgoods.com'], cashback_rate: 9 },
+      { brand_name: 'Marrow & Pine', aliases: 'Marrow' }
+    ]) } },
+    fetch: networkFetch
+  });
+  const sync = new background.window.BrandCatalogSync({ minBrands: 1 });
+  const replies = [];
+  const remote = createExtensionEnvironment({
+    html: '<html><head><title>Canvas Tote</title></head><body></body></html>',
+    url: 'https://www.kettlewoodgoods.com/',
+    respondToMessage: async (message) => {
+      if (message.type !== 'LOOKUP_BRANDS') return { success: true };
+      // Messages are copied between the tab and the background.
+      const reply = JSON.parse(JSON.stringify({ success: true, data: await sync.lookupBrands(message.query) }));
+      replies.push(reply.data);
+      return reply;
+    }
+  });
+  t.after(remote.close);
+
+  await remote.window.loadBrands({ names: ['Nike', 'Marrow'], hostname: 'www.kettlewoodgoods.com' });
+  assert.equal(remote.window.BRAND_CATALOG_VERSION, 9);
+  assert.deepEqual(replies[0].brands.map(([, name]) => name), ['Marrow & Pine', 'Kettlewood Goods']);
+  assert.equal(remote.window.findBrandByDomain('www.kettlewoodgoods.com').cashback.rate, 9);
+  assert.equal(remote.window.resolveBrand('Nike'), null, 'the remote catalog replaces the bundled list');
+
+  // Each detection asks again with what its page names, title included.
+  await remote.window.loadBrands({ title: 'Kettlewood Goods Canvas Tote' });
+  assert.deepEqual([...remote.window.SUPPORTED_BRANDS_MAP.keys()], ['kettlewoodgoods']);
+  assert.equal(remote.window.SUPPORTED_BRANDS_INDEX.findAll('Kettlewood Goods Canvas Tote')[0].brand.name, 'Kettlewood Goods');
+
+  const bundled = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://www.nike.com/',
+    respondToMessage: () => ({ success: true, data: null })
+  });
+  t.after(bundled.close);
+  await bundled.window.loadBrands();
+
+  assert.equal(bundled.window.BRAND_CATALOG_VERSION, 'bundled');
+  assert.equal(bundled.window.resolveBrand('Nike').name, 'NIKE');
+});
+
+test('the analyzed page is what the background is asked about', async (t) => {
+  const queries = [];
+  const { window, close } = createExtensionEnvironment({
+    html: `<html><head>
+      <title>Trail Runner</title>
+      <meta property="og:site_name" content="Outfitters">
+    </head><body><h1>Nike Trail Runner</h1></body></html>`,
+    url: 'https://shop.example.com/products/trail-runner',
+    respondToMessage: (message) => {
+      if (message.type === 'LOOKUP_BRANDS') queries.push(message.query);
+      return { success: true, data: null };
+    }
+  });
+  t.after(close);
+
+  await window.analyzePage();
+  assert.equal(queries.length, 1);
+  assert.deepEqual({ ...queries[0], names: [...queries[0].names] }, {
+    names: ['Outfitters', 'example'],
+    title: 'Nike Trail Runner',
+    hostname: 'shop.example.com'
+  });
+});
+
+test('the bundled CSV is parsed once per page, and a failed load is retried', async (t) => {
+  let csvRequests = 0;
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://shop.example.com/',
+    respondToMessage: () => ({ success: true, data: null }),
+    fetch: (input) => {
+      if (!String(input).endsWith('BrandList.csv')) return fetchResource(input);
+      csvRequests++;
+      return csvRequests === 1 ? Promise.resolve(new Response('Not found', { status: 404 })) : fetchResource(input);
+    }
+  });
+  t.after(close);
+
+  await window.loadBrands();
+  assert.equal(window.SUPPORTED_BRANDS_MAP.size, 0, 'this detection runs without brands');
+
+  await Promise.all([window.loadBrands(), window.loadBrands()]);
+  assert.equal(window.resolveBrand('Nike').name, 'NIKE');
+  await window.loadBrands();
+  assert.equal(csvRequests, 2);
+});
@@ -0,0 +1,73 @@
+/**
+ * @file test/compat.test.js
+ * @description Checks the background compatibility layer behaves per browser.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment } = require('./helpers/extension-env');
+
+/**
+ * Loads compat.js with the extension running under the given URL scheme.
+ * Records opened tabs and created notifications; `notifications: false` removes that API (Safari).
+ */
+function loadCompat(t, scheme, { notifications = true } = {}) {
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://background.invalid/',
+    scripts: ['src/background/compat.js']
+  });
+  t.after(close);
+
+  const opened = [];
+  const created = [];
+  const listeners = { button: [], click: [] };
+  chrome.runtime.getURL = (resourcePath) => `${scheme}//chaching-test/${resourcePath}`;
+  chrome.tabs = { create: (options) => opened.push(options.url) };
+  if (notifications) {
+    chrome.notifications = {
+      create: (id, options) => created.push({ id, options }),
+      onButtonClicked: { addListener: (listener) => listeners.button.push(listener) },
+      onClicked: { addListener: (listener) => listeners.click.push(listener) }
+    };
+  }
+  return { compat: window.ExtensionCompat, opened, created, listeners };
+}
+
+test('the browser is identified from the extension URL scheme', (t) => {
+  assert.equal(loadCompat(t, 'safari-web-extension:').compat.getBrowser(), 'safari');
+  assert.equal(loadCompat(t, 'chrome-extension:').compat.getBrowser(), 'chrome');
+  assert.equal(loadCompat(t, 'moz-extension:').compat.getBrowser(), 'firefox');
+});
+
+test('a URL change only counts as page-ready on Safari', (t) => {
+  const safari = loadCompat(t, 'safari-web-extension:').compat;
+  const chrome = loadCompat(t, 'chrome-extension:').compat;
+
+  assert.equal(safari.isPageReady({ url: 'https://shop.example.com/p/1' }), true);
+  assert.equal(chrome.isPageReady({ status: 'loading', url: 'https://shop.example.com/p/1' }), false);
+  assert.equal(chrome.isPageReady({ status: 'complete' }), true);
+  assert.equal(safari.isPageReady({ title: 'Shop' }), false);
+});
+
+test('notifications fall back to opening a tab on Safari and to plain clicks on Firefox', (t) => {
+  const options = { type: 'basic', title: 'Updated', message: 'v3', buttons: [{ title: 'View Changes' }] };
+
+  const safari = loadCompat(t, 'safari-web-extension:', { notifications: false });
+  safari.compat.showNotification('update', options, 'https://chaching.me/extension-changelog');
+  assert.deepEqual(safari.opened, ['https://chaching.me/extension-changelog']);
+
+  const firefox = loadCompat(t, 'moz-extension:');
+  let actions = 0;
+  firefox.compat.showNotification('update', options);
+  firefox.compat.onNotificationAction('update', () => actions++);
+  assert.equal(firefox.created[0].options.buttons, undefined);
+  firefox.listeners.click.forEach(listener => listener('update'));
+  assert.equal(actions, 1);
+
+  const chrome = loadCompat(t, 'chrome-extension:');
+  chrome.compat.showNotification('update', options);
+  chrome.compat.onNotificationAction('update', () => actions++);
+  assert.equal(chrome.created[0].options.buttons.length, 1);
+  chrome.listeners.button.forEach(listener => listener('update', 0));
+  assert.equal(actions, 2);
+});
@@ -0,0 +1,48 @@
+/**
+ * @file test/detection-report.test.js
+ * @description Checks the metric arithmetic in scripts/detection-report.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarize, precisionRecall } = require('../scripts/detection-report');
+
+/**
+ * Builds a minimal page row as produced by the report.
+ */
+function row(file, { isPdp, expectedPdp, brand = null, expectedBrand = null, signals = {} }) {
+  return { file, isPdp, brand, signals, expected: { isPdp: expectedPdp, brand: expectedBrand } };
+}
+
+test('precisionRecall returns null for empty denominators', () => {
+  assert.deepEqual(precisionRecall({ tp: 0, fp: 0, fn: 0 }), { precision: null, recall: null });
+  assert.deepEqual(precisionRecall({ tp: 3, fp: 1, fn: 1 }), { precision: 0.75, recall: 0.75 });
+});
+
+test('summarize tallies PDP outcomes and per-signal precision/recall', () => {
+  const summary = summarize([
+    row('a.html', { isPdp: true, expectedPdp: true, signals: { price: true, reviews: true } }),
+    row('b.html', { isPdp: true, expectedPdp: false, signals: { price: true, reviews: false } }),
+    row('c.html', { isPdp: false, expectedPdp: true, signals: { price: false, reviews: true } }),
+    row('d.html', { isPdp: false, expectedPdp: false, signals: { price: false, reviews: false } })
+  ]);
+
+  assert.equal(summary.pdp.tp, 1);
+  assert.deepEqual(summary.pdp.falsePositives, ['b.html']);
+  assert.deepEqual(summary.pdp.falseNegatives, ['c.html']);
+  assert.equal(summary.signals.price.precision, 0.5);
+  assert.equal(summary.signals.price.recall, 0.5);
+  assert.equal(summary.signals.reviews.precision, 1);
+  assert.equal(summary.signals.reviews.recall, 1);
+});
+
+test('summarize counts a wrong brand as both a false positive and a false negative', () => {
+  const summary = summarize([
+    row('store.html', { isPdp: true, expectedPdp: true, brand: 'Nordstrom', expectedBrand: 'The North Face' }),
+    row('nike.html', { isPdp: true, expectedPdp: true, brand: 'NIKE', expectedBrand: 'Nike' })
+  ]);
+
+  assert.equal(summary.brand.tp, 1);
+  assert.equal(summary.brand.fp, 1);
+  assert.equal(summary.brand.fn, 1);
+  assert.deepEqual(summary.brand.falsePositives, ['store.html']);
+});
@@ -0,0 +1,33 @@
+/**
+ * @file test/detection.test.js
+ * @description Runs BrandDetector and PdpDetector over every saved page in
+ * `test/fixtures/pages/` and checks each against its expected outcome in
+ * `fixtures.json`. Add a fixture here before changing detection weights.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createExtensionEnvironment,
+  runDetection,
+  loadFixtureManifest,
+  loadFixtureHtml
+} = require('./helpers/extension-env');
+
+for (const fixture of loadFixtureManifest()) {
+  test(`detection: ${fixture.file}`, async (t) => {
+    const { window, close } = createExtensionEnvironment({
+      html: loadFixtureHtml(fixture.file),
+      url: fixture.url
+    });
+    t.after(close);
+
+    const { brandResult, isPdp } = await runDetection(window);
+
+    if ('brand' in fixture.expected) {
+      assert.equal(brandResult?.productInfo?.brand ?? null, fixture.expected.brand, 'detected brand');
+    }
+    if ('isPdp' in fixture.expected) {
+      assert.equal(isPdp, fixture.expected.isPdp, 'product page decision');
+    }
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * @file test/dismissal-store.test.js
+ * @description Checks dismissals are remembered per product and brand, back off, cap the banners and get pruned.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment } = require('./helpers/extension-env');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const AIR_MAX = { brand: 'NIKE', title: 'Air Max 90', gtin: '193151234567' };
+const PEGASUS = { brand: 'Nike', title: 'Pegasus 41', mpn: 'FD2722-002' };
+const YETI = { brand: 'YETI', title: 'Rambler 20 oz Tumbler' };
+
+/**
+ * Loads dismissal-store.js into a blank page and returns a store over its `chrome.storage.local`.
+ */
+function createStore(t, { local = {}, config } = {}) {
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://www.example.com/',
+    scripts: ['src/shared/utils.js', 'src/shared/dismissal-store.js'],
+    storage: { local }
+  });
+  t.after(close);
+  return { store: new window.DismissalStore({ config }), DismissalStore: window.DismissalStore, chrome };
+}
+
+test('products are keyed by brand plus GTIN, MPN or title', (t) => {
+  const { DismissalStore } = createStore(t);
+  assert.deepEqual({ ...DismissalStore.getKeys(AIR_MAX) }, { brand: 'brand:nike', product: 'product:nike:gtin:00193151234567' });
+  assert.equal(DismissalStore.getKeys({ ...AIR_MAX, gtin: '00193151234567' }).product, 'product:nike:gtin:00193151234567', 'GTIN-12 and GTIN-14 agree');
+  assert.equal(DismissalStore.getKeys(PEGASUS).product, 'product:nike:mpn:fd2722-002');
+  assert.equal(DismissalStore.getKeys({ brand: "Levi's", title: '  501® Original  Jeans ' }).product, 'product:levis:title:501-original-jeans');
+  assert.deepEqual({ ...DismissalStore.getKeys({}) }, { brand: null, product: null });
+});
+
+test('a dismissed product stays hidden everywhere for the product cooldown', async (t) => {
+  const { store } = createStore(t, { config: { BRAND_COOLDOWN: 0 } });
+  await store.recordDismissal(AIR_MAX, { now: NOW });
+
+  assert.deepEqual({ ...(await store.check({ ...AIR_MAX, title: 'Air Max 90 (other store)' }, { now: NOW + HOUR })) },
+    { allowed: false, reason: 'product', until: NOW + DAY });
+  assert.equal((await store.check(PEGASUS, { now: NOW + HOUR })).allowed, true, 'other products of the brand show');
+  assert.equal((await store.check(AIR_MAX, { now: NOW + DAY })).allowed, true);
+});
+
+test('repeated dismissals of a brand back off exponentially, up to the maximum', async (t) => {
+  const { store } = createStore(t);
+  const cooldowns = [];
+  let now = NOW;
+  for (let i = 0; i < 12; i++) {
+    const state = await store.recordDismissal(YETI, { now });
+    cooldowns.push((state.entries['brand:yeti'].until - now) / MINUTE);
+    now = state.entries['brand:yeti'].until + MINUTE;
+  }
+  assert.deepEqual(cooldowns.slice(0, 5), [15, 30, 60, 120, 240]);
+  assert.equal(cooldowns.at(-1), 7 * 24 * 60, 'capped at a week');
+
+  const { reason } = await store.check({ brand: 'Yeti', title: 'Hopper Flip 12' }, { now: now - 2 * MINUTE });
+  assert.equal(reason, 'brand', 'the whole brand is held back');
+});
+
+test('the backoff starts over after a quiet month, and opening an offer never backs off', async (t) => {
+  const { store } = createStore(t);
+  await store.recordDismissal(YETI, { now: NOW });
+  await store.recordDismissal(YETI, { now: NOW + HOUR });
+  const state = await store.recordDismissal(YETI, { now: NOW + 31 * DAY });
+  assert.equal(state.entries['brand:yeti'].count, 1);
+
+  const engaged = await store.recordDismissal(AIR_MAX, { engaged: true, now: NOW });
+  assert.equal(engaged.entries['brand:nike'], undefined);
+  assert.equal((await store.check(AIR_MAX, { now: NOW + MINUTE })).reason, 'product');
+});
+
+test('the hourly and daily caps hold back any brand', async (t) => {
+  const { store, chrome } = createStore(t, { config: { MAX_PER_HOUR: 2, MAX_PER_DAY: 3 } });
+  assert.equal((await store.claimBanner(AIR_MAX, { now: NOW })).allowed, true);
+  assert.equal((await store.claimBanner(PEGASUS, { now: NOW + 10 * MINUTE })).allowed, true);
+
+  assert.deepEqual({ ...(await store.check(YETI, { now: NOW + 20 * MINUTE })) }, { allowed: false, reason: 'hourly-cap', until: NOW + HOUR });
+  assert.equal((await store.check(YETI, { capped: false, now: NOW + 20 * MINUTE })).allowed, true);
+  assert.equal((await store.check(YETI, { now: NOW + HOUR })).allowed, true, 'the oldest banner aged out');
+
+  await store.claimBanner(YETI, { now: NOW + 2 * HOUR });
+  assert.deepEqual({ ...(await store.check(YETI, { now: NOW + 3 * HOUR })) }, { allowed: false, reason: 'daily-cap', until: NOW + DAY });
+  assert.equal((await store.claimBanner(YETI, { now: NOW + 3 * HOUR })).allowed, false);
+  assert.equal(chrome.storage.local.data.dismissals.shown.length, 3, 'a refused banner is not counted');
+});
+
+test('banners claimed at once never exceed the cap, and the cap reads unordered times', async (t) => {
+  const { store, chrome } = createStore(t, { config: { MAX_PER_HOUR: 2 } });
+  const verdicts = await Promise.all([AIR_MAX, PEGASUS, YETI].map(product => store.claimBanner(product, { now: NOW })));
+  assert.deepEqual(verdicts.map(verdict => verdict.allowed), [true, true, false]);
+
+  // E.g. written by another version: the cap lifts when the oldest of the last two ages out.
+  chrome.storage.local.data.dismissals.shown = [NOW + 20 * MINUTE, NOW - 50 * MINUTE, NOW + 10 * MINUTE];
+  assert.deepEqual({ ...(await store.check(YETI, { now: NOW + 30 * MINUTE })) }, { allowed: false, reason: 'hourly-cap', until: NOW + 70 * MINUTE });
+});
+
+test('a claimed banner that was never shown can be given back', async (t) => {
+  const { store, chrome } = createStore(t, { config: { MAX_PER_HOUR: 1 } });
+  const claim = await store.claimBanner(AIR_MAX, { now: NOW });
+  assert.equal(claim.shownAt, NOW);
+  assert.equal((await store.claimBanner(PEGASUS, { now: NOW + MINUTE })).reason, 'hourly-cap');
+  assert.equal((await store.claimBanner(PEGASUS, { capped: false, now: NOW + MINUTE })).shownAt, null, 'an uncapped claim counts nothing');
+
+  assert.equal(await store.releaseBanner(claim.shownAt, NOW + 2 * MINUTE), true);
+  assert.deepEqual([...chrome.storage.local.data.dismissals.shown], []);
+  assert.equal(await store.releaseBanner(claim.shownAt, NOW + 2 * MINUTE), false, 'only once');
+  assert.equal((await store.claimBanner(PEGASUS, { now: NOW + 3 * MINUTE })).allowed, true);
+});
+
+test('stale entries and old banners are pruned, and the oldest go beyond the limit', async (t) => {
+  const { store, chrome } = createStore(t, { config: { MAX_ENTRIES: 3 } });
+  await store.recordDismissal(AIR_MAX, { now: NOW });
+  await store.claimBanner(AIR_MAX, { now: NOW });
+
+  // A month and a day later the product cooldown, the brand's backoff and the banner are all over.
+  await store.recordDismissal(YETI, { now: NOW + 31 * DAY });
+  assert.deepEqual(Object.keys(chrome.storage.local.data.dismissals.entries).sort(), ['brand:yeti', 'product:yeti:title:rambler-20-oz-tumbler']);
+  assert.deepEqual([...chrome.storage.local.data.dismissals.shown], []);
+
+  await store.recordDismissal(PEGASUS, { now: NOW + 31 * DAY + MINUTE });
+  const kept = Object.keys(chrome.storage.local.data.dismissals.entries);
+  assert.equal(kept.length, 3);
+  assert.ok(kept.includes('brand:nike') && kept.includes('product:nike:mpn:fd2722-002'), 'the newest entries are kept');
+});
+
+test('the old per-URL keys are removed the first time, and clearing forgets everything', async (t) => {
+  const { store, chrome } = createStore(t, {
+    local: { 'dismissal_https://www.nike.com/t/a': { timestamp: '2025-01-01T00:00:00Z' }, brandCatalog: { version: 3 } }
+  });
+  assert.equal((await store.check(AIR_MAX, { now: NOW })).allowed, true);
+  assert.deepEqual(Object.keys(chrome.storage.local.data).sort(), ['brandCatalog', 'dismissals']);
+
+  await store.recordDismissal(AIR_MAX, { now: NOW });
+  assert.equal(await store.countActive(NOW + MINUTE), 2);
+  await store.clear();
+  assert.equal(await store.countActive(NOW + MINUTE), 0);
+  assert.equal((await store.check(AIR_MAX, { now: NOW + MINUTE })).allowed, true);
+});
@@ -0,0 +1,391 @@
+/**
+ * @file test/helpers/extension-env.js
+ * @description Loads the extension's content scripts into a jsdom window so the
+ * detectors can be exercised from Node without Safari.
+ *
+ * The window gets a minimal `chrome` stub whose `runtime.getURL()` resolves to
+ * files under `Resources/`, and a `fetch` that serves those files from disk.
+ * Runtime (flattened) names such as `BrandList.csv` are mapped back to their
+ * `src/` location the same way the Safari build flattens them.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { RESOURCES_DIR } = require('../../scripts/resources');
+
+/**
+ * Absolute path to the saved product-page fixtures.
+ * @const {string}
+ */
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+
+/**
+ * Sample aliases, parent brands, domains and offers for real brands, layered over the bundled
+ * list by `fetchWithTestBrands()`. They are made up for the tests: the shipped `BrandList.csv`
+ * carries names only, and the real data comes from the remote catalog.
+ * @const {string}
+ */
+const TEST_BRANDS_CSV = path.join(__dirname, '..', 'fixtures', 'brand-catalog.csv');
+
+/**
+ * The URL prefix returned by the stubbed `chrome.runtime.getURL()`.
+ * @const {string}
+ */
+const EXTENSION_ORIGIN = 'chrome-extension://chaching-test/';
+
+/**
+ * The detection scripts, in the order background/main.js injects them (minus runner.js,
+ * which only messages the pipeline's result; the harness calls `analyzePage()` directly).
+ * @const {string[]}
+ */
+const DETECTION_SCRIPTS = [
+  'src/shared/utils.js',
+  'src/data/public-suffix-list.js',
+  'src/shared/public-suffix.js',
+  'src/shared/site-rules.js',
+  'src/content/brand-index.js',
+  'src/content/brands.js',
+  'src/content/product-extractor.js',
+  'src/content/brand-detector.js',
+  'src/content/pdp-detector.js',
+  'src/content/detection-pipeline.js',
+  'src/content/navigation-watcher.js'
+];
+
+/**
+ * The background's scripts, in manifest order, minus compat.js (browser shims), main.js (which
+ * registers listeners the stub doesn't support) and the tab bookkeeping that only main.js uses.
+ * @const {string[]}
+ */
+const BACKGROUND_SCRIPTS = [
+  'src/shared/utils.js',
+  'src/data/public-suffix-list.js',
+  'src/shared/public-suffix.js',
+  'src/shared/site-rules.js',
+  'src/content/brand-index.js',
+  'src/content/brands.js',
+  'src/background/catalog-sync.js',
+  'src/shared/dismissal-store.js'
+];
+
+/**
+ * Lazily-built map of runtime file names (e.g. `BrandList.csv`) to their paths under `src/`.
+ * @type {Map<string, string>|null}
+ */
+let runtimeFileIndex = null;
+
+/**
+ * Walks `src/` and indexes every file by its base name, mirroring how the Safari
+ * build flattens the tree into the Resources root.
+ *
+ * @returns {Map<string, string>} Base name to absolute path.
+ */
+function getRuntimeFileIndex() {
+  if (runtimeFileIndex) return runtimeFileIndex;
+
+  runtimeFileIndex = new Map();
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (!runtimeFileIndex.has(entry.name)) {
+        runtimeFileIndex.set(entry.name, fullPath);
+      }
+    }
+  };
+  walk(path.join(RESOURCES_DIR, 'src'));
+  return runtimeFileIndex;
+}
+
+/**
+ * Resolves a path as the extension would see it at runtime to a file on disk.
+ *
+ * @param {string} resourcePath - A path relative to the Resources root, or an extension URL.
+ * @returns {string|null} The absolute file path, or null if nothing matches.
+ */
+function resolveResource(resourcePath) {
+  const relativePath = resourcePath.startsWith(EXTENSION_ORIGIN)
+    ? resourcePath.slice(EXTENSION_ORIGIN.length)
+    : resourcePath;
+
+  // Flat names come from src/ even after `npm run build` has copied them to the root,
+  // so tests never run against a stale build.
+  const sourcePath = getRuntimeFileIndex().get(path.basename(relativePath));
+  if (!relativePath.includes('/') && sourcePath) return sourcePath;
+
+  const directPath = path.join(RESOURCES_DIR, relativePath);
+  if (fs.existsSync(directPath) && fs.statSync(directPath).isFile()) return directPath;
+
+  return sourcePath || null;
+}
+
+/**
+ * Creates a minimal `chrome` namespace covering the APIs the content scripts touch.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial contents for `chrome.storage.local`, `sync` and `session`.
+ * @param {Function} [options.respondToMessage] - Builds the reply to `runtime.sendMessage()`, standing
+ *   in for the background script. May return a promise. Defaults to `{ success: true }`.
+ * @returns {Object} The stub, with sent messages recorded on `chrome.sentMessages`. Storage writes
+ *   notify `storage.onChanged` listeners.
+ */
+function createChromeStub(options = {}) {
+  const sentMessages = [];
+  const storageListeners = new Set();
+
+  // Tells the `storage.onChanged` listeners, as the browser does after the write.
+  const notifyStorageChange = (areaName, changes) => {
+    if (Object.keys(changes).length === 0) return;
+    storageListeners.forEach(listener => listener(changes, areaName));
+  };
+
+  const createStorageArea = (areaName, initial = {}) => {
+    const data = { ...initial };
+    return {
+      data,
+      get(keys, callback) {
+        let result;
+        if (keys === null || keys === undefined) {
+          result = { ...data };
+        } else if (typeof keys === 'string') {
+          result = keys in data ? { [keys]: data[keys] } : {};
+        } else if (Array.isArray(keys)) {
+          result = {};
+          keys.forEach(key => { if (key in data) result[key] = data[key]; });
+        } else {
+          // An object of defaults.
+          result = { ...keys };
+          Object.keys(keys).forEach(key => { if (key in data) result[key] = data[key]; });
+        }
+        if (callback) callback(result);
+        return Promise.resolve(result);
+      },
+      set(items, callback) {
+        const changes = {};
+        Object.keys(items).forEach(key => { changes[key] = { oldValue: data[key], newValue: items[key] }; });
+        Object.assign(data, items);
+        if (callback) callback();
+        notifyStorageChange(areaName, changes);
+        return Promise.resolve();
+      },
+      remove(keys, callback) {
+        const changes = {};
+        [].concat(keys).forEach(key => {
+          if (key in data) changes[key] = { oldValue: data[key] };
+          delete data[key];
+        });
+        if (callback) callback();
+        notifyStorageChange(areaName, changes);
+        return Promise.resolve();
+      }
+    };
+  };
+
+  return {
+    sentMessages,
+    runtime: {
+      id: 'chaching-test',
+      getURL: (resourcePath) => EXTENSION_ORIGIN + resourcePath.replace(/^\//, ''),
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(RESOURCES_DIR, 'manifest.json'), 'utf8')),
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        const reply = Promise.resolve(options.respondToMessage ? options.respondToMessage(message) : { success: true });
+        if (callback) reply.then(callback);
+        return reply;
+      },
+      onMessage: { addListener() {}, removeListener() {} }
+    },
+    storage: {
+      local: createStorageArea('local', options.storage?.local),
+      sync: createStorageArea('sync', options.storage?.sync),
+      session: createStorageArea('session', options.storage?.session),
+      onChanged: {
+        addListener: (listener) => storageListeners.add(listener),
+        removeListener: (listener) => storageListeners.delete(listener)
+      }
+    }
+  };
+}
+
+/**
+ * A `fetch` replacement that serves extension resources from disk.
+ *
+ * @param {string|URL} input - The requested URL.
+ * @returns {Promise<Response>} A 200 response with the file body, or a 404.
+ */
+async function fetchResource(input) {
+  const filePath = resolveResource(String(input));
+  if (!filePath) return new Response('Not found', { status: 404 });
+  return new Response(fs.readFileSync(filePath));
+}
+
+/**
+ * The bundled `BrandList.csv` with the rows of `TEST_BRANDS_CSV` appended, so they win any merge.
+ *
+ * @returns {string} The combined CSV.
+ */
+function readTestBrandCsv() {
+  const [, ...rows] = fs.readFileSync(TEST_BRANDS_CSV, 'utf8').trimEnd().split('\n');
+  return `${fs.readFileSync(resolveResource('BrandList.csv'), 'utf8').trimEnd()}\n${rows.join('\n')}\n`;
+}
+
+/**
+ * `fetchResource()`, except that `BrandList.csv` is served as `readTestBrandCsv()`.
+ *
+ * @param {string|URL} input - The requested URL.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetchWithTestBrands(input) {
+  return resolveResource(String(input)) === resolveResource('BrandList.csv')
+    ? new Response(readTestBrandCsv())
+    : fetchResource(input);
+}
+
+/**
+ * Builds a jsdom window for a page and loads the extension's scripts into it.
+ *
+ * @param {Object} options
+ * @param {string} options.html - The page markup.
+ * @param {string} options.url - The page URL, used for `window.location`.
+ * @param {string[]} [options.scripts] - Scripts to evaluate, relative to Resources.
+ * @param {Object} [options.storage] - Initial storage contents for the `chrome` stub.
+ * @param {Function} [options.respondToMessage] - Stands in for the background's message replies.
+ * @param {Function} [options.fetch] - Replaces the default `fetch`, which serves extension files from disk.
+ * @param {boolean} [options.verbose] - Forward the page console to Node's console.
+ * @returns {{ window: Window, chrome: Object, close: Function }} The environment.
+ */
+function createExtensionEnvironment({
+  html,
+  url,
+  scripts = DETECTION_SCRIPTS,
+  storage,
+  respondToMessage,
+  fetch = fetchResource,
+  verbose = !!process.env.CHACHING_TEST_VERBOSE
+}) {
+  const virtualConsole = new VirtualConsole();
+  if (verbose) virtualConsole.sendTo(console);
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+
+  // jsdom does no layout, so `innerText` is missing. The detectors lean on it heavily;
+  // `textContent` is a close enough stand-in for saved pages.
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return this.textContent; }
+  });
+
+  const chrome = createChromeStub({ storage, respondToMessage });
+  window.chrome = chrome;
+  window.fetch = fetch;
+
+  for (const script of scripts) {
+    const source = fs.readFileSync(path.join(RESOURCES_DIR, script), 'utf8');
+    window.eval(`${source}\n//# sourceURL=${script}`);
+  }
+
+  return { window, chrome, close: () => window.close() };
+}
+
+/**
+ * Builds a stand-in for the background page: a blank window with `BACKGROUND_SCRIPTS` loaded, so a
+ * test can create the `BrandCatalogSync` or `DismissalStore` main.js would. Closed after the test.
+ *
+ * @param {Object} t - The test context.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial storage contents for the `chrome` stub.
+ * @param {Function} [options.fetch] - Replaces the default `fetch`, which serves extension files from disk.
+ * @returns {{ window: Window, chrome: Object, close: Function }} The environment.
+ */
+function createBackground(t, { storage, fetch = fetchResource } = {}) {
+  const env = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://background.invalid/',
+    scripts: BACKGROUND_SCRIPTS,
+    storage,
+    fetch
+  });
+  t.after(env.close);
+  return env;
+}
+
+/**
+ * Builds a tab with the detection scripts and loads the brands from the bundled list plus the
+ * test catalog (see `fetchWithTestBrands()`), with no background to match them. Closed after the test.
+ *
+ * @param {Object} t - The test context.
+ * @param {Object} [options]
+ * @param {string} [options.url] - The page URL.
+ * @returns {Promise<Window>} The window, brands loaded.
+ */
+async function loadBrandWindow(t, { url = 'https://shop.example.com/' } = {}) {
+  const { window, close } = createExtensionEnvironment({ html: '<html><body></body></html>', url, fetch: fetchWithTestBrands });
+  t.after(close);
+  await window.loadBrands();
+  return window;
+}
+
+/**
+ * Runs the same pipeline as runner.js and returns the result instead of messaging it.
+ *
+ * @param {Window} window - A window created by `createExtensionEnvironment()`.
+ * @returns {Promise<{ url: string, brandResult: Object|null, isPdp: boolean }>} The detection result.
+ */
+async function runDetection(window) {
+  return window.analyzePage();
+}
+
+/**
+ * Finds the notifications content_main.js has put on the page. They live in closed shadow
+ * roots, which only the content script keeps a reference to.
+ *
+ * @param {Window} window - A window created by `createExtensionEnvironment()`.
+ * @returns {HTMLElement[]} Each host's `.chaching-notification` element, hiding ones included.
+ */
+function getNotifications(window) {
+  return [...window.document.querySelectorAll('chaching-notification')]
+    .map(host => window.chachingContentScript.shadowRoots.get(host)?.querySelector('.chaching-notification'))
+    .filter(Boolean);
+}
+
+/**
+ * Reads the fixture manifest describing each saved page and its expected outcome.
+ *
+ * @param {string} [fixturesDir] - A directory containing `fixtures.json`. Defaults to the bundled corpus.
+ * @returns {Object[]} Fixture entries with `file`, `url` and `expected` fields.
+ */
+function loadFixtureManifest(fixturesDir = FIXTURES_DIR) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, 'fixtures.json'), 'utf8')).fixtures;
+}
+
+/**
+ * Reads a saved page from a fixtures directory.
+ *
+ * @param {string} file - The fixture file name.
+ * @param {string} [fixturesDir] - The directory holding the file. Defaults to the bundled corpus.
+ * @returns {string} The page markup.
+ */
+function loadFixtureHtml(file, fixturesDir = FIXTURES_DIR) {
+  return fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+}
+
+module.exports = {
+  RESOURCES_DIR,
+  FIXTURES_DIR,
+  BACKGROUND_SCRIPTS,
+  DETECTION_SCRIPTS,
+  createBackground,
+  createChromeStub,
+  createExtensionEnvironment,
+  fetchResource,
+  fetchWithTestBrands,
+  getNotifications,
+  loadBrandWindow,
+  runDetection,
+  loadFixtureManifest,
+  loadFixtureHtml,
+  readTestBrandCsv,
+  resolveResource
+};
@@ -0,0 +1,174 @@
+/**
+ * @file test/navigation.test.js
+ * @description Checks SPA navigations are noticed through the history hooks, wait for the
+ * product region to settle, and re-run detection after tearing down the old notification.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  DETECTION_SCRIPTS,
+  RESOURCES_DIR,
+  createExtensionEnvironment,
+  getNotifications,
+  loadFixtureHtml
+} = require('./helpers/extension-env');
+
+const WATCHER_SCRIPTS = ['src/shared/utils.js', 'src/content/history-hooks.js', 'src/content/navigation-watcher.js'];
+
+/**
+ * Waits `ms` milliseconds.
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Starts a watcher over a page with a product region, recording its callbacks.
+ */
+function watchPage(t, config = { QUIET_MS: 40, MAX_WAIT_MS: 1000 }) {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body><nav id="ticker"></nav><main id="region"></main></body></html>',
+    url: 'https://shop.example.com/',
+    scripts: WATCHER_SCRIPTS
+  });
+  const calls = [];
+  const watcher = new window.NavigationWatcher({
+    onLeave: (url) => calls.push({ type: 'leave', url, at: Date.now() }),
+    onNavigate: (url) => calls.push({ type: 'navigate', url, at: Date.now() })
+  }, config);
+  watcher.start();
+  t.after(() => { watcher.stop(); close(); });
+  return { window, calls };
+}
+
+test('pushState navigations are reported once the page is quiet', async (t) => {
+  const { window, calls } = watchPage(t);
+
+  window.history.pushState({}, '', '/p/shoe-1');
+  assert.deepEqual(calls.map(call => call.type), ['leave']);
+
+  await sleep(100);
+  assert.deepEqual(calls.map(call => `${call.type} ${call.url}`), [
+    'leave https://shop.example.com/p/shoe-1',
+    'navigate https://shop.example.com/p/shoe-1'
+  ]);
+});
+
+test('the history hooks leave nothing in the page for it to look up', (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://shop.example.com/',
+    scripts: []
+  });
+  t.after(close);
+  const globals = Object.getOwnPropertyNames(window);
+  const globalSymbols = Object.getOwnPropertySymbols(window);
+
+  window.eval(fs.readFileSync(path.join(RESOURCES_DIR, 'src/content/history-hooks.js'), 'utf8'));
+  assert.deepEqual(Object.getOwnPropertyNames(window), globals);
+  assert.deepEqual(Object.getOwnPropertySymbols(window), globalSymbols);
+  const plain = Object.getOwnPropertyNames(window.eval('(function () {})')).sort();
+  for (const method of ['pushState', 'replaceState']) {
+    const hooked = window.history[method];
+    assert.deepEqual(Object.getOwnPropertySymbols(hooked), [], `${method} carries no symbol`);
+    assert.deepEqual(Object.getOwnPropertyNames(hooked).sort(), plain, `${method} carries no mark`);
+  }
+
+  let events = 0;
+  window.addEventListener('chaching:locationchange', () => events++);
+  window.history.pushState({}, '', '/p/shoe-1');
+  assert.equal(events, 1);
+});
+
+test('fragment changes and replaceState to the same URL are not navigations', async (t) => {
+  const { window, calls } = watchPage(t);
+
+  window.history.pushState({}, '', '#reviews');
+  window.history.replaceState({}, '', '/');
+  await sleep(100);
+  assert.equal(calls.length, 0);
+});
+
+test('mutations in the product region hold detection back; others do not', async (t) => {
+  const { window, calls } = watchPage(t);
+  const region = window.document.getElementById('region');
+  const ticker = window.document.getElementById('ticker');
+
+  window.history.pushState({}, '', '/p/shoe-2');
+  const started = Date.now();
+  for (let i = 0; i < 5; i++) {
+    await sleep(20);
+    region.appendChild(window.document.createElement('div'));
+  }
+  await sleep(100);
+  const navigated = calls.find(call => call.type === 'navigate');
+  assert.ok(navigated.at - started >= 100, 'waited for the region to settle');
+
+  // A busy element outside the region doesn't delay anything.
+  window.history.pushState({}, '', '/p/shoe-3');
+  const ticking = setInterval(() => { ticker.textContent = String(Date.now()); }, 10);
+  await sleep(100);
+  clearInterval(ticking);
+  assert.equal(calls.filter(call => call.type === 'navigate').length, 2);
+});
+
+test('a navigation that is superseded while waiting is not reported', async (t) => {
+  const { window, calls } = watchPage(t);
+
+  window.history.pushState({}, '', '/p/first');
+  await sleep(10);
+  window.history.pushState({}, '', '/p/second');
+  await sleep(100);
+  assert.deepEqual(calls.filter(call => call.type === 'navigate').map(call => call.url), [
+    'https://shop.example.com/p/second'
+  ]);
+});
+
+test('back/forward navigations are reported', async (t) => {
+  const { window, calls } = watchPage(t);
+
+  window.history.pushState({}, '', '/p/newer');
+  await sleep(100);
+  calls.length = 0;
+
+  window.history.back();
+  await sleep(100);
+  assert.deepEqual(calls.map(call => `${call.type} ${call.url}`), [
+    'leave https://shop.example.com/',
+    'navigate https://shop.example.com/'
+  ]);
+});
+
+test('an SPA navigation tears down the notification and re-runs the full pipeline', async (t) => {
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: loadFixtureHtml('nike-air-max-pdp.html'),
+    url: 'https://www.nike.com/t/air-max-90-mens-shoes-6n3vKB/CN8490-100',
+    scripts: [
+      'src/content/history-hooks.js',
+      ...DETECTION_SCRIPTS,
+      'src/content/runner.js',
+      'src/content/content_main.js'
+    ]
+  });
+  t.after(() => { window.chachingNavigationWatcher.stop(); close(); });
+
+  const reports = () => chrome.sentMessages.filter(message => message.type === 'DETECTION_COMPLETE');
+  for (let i = 0; i < 200 && reports().length === 0; i++) await sleep(5);
+  assert.equal(reports().length, 1);
+
+  // The background decided to notify and handed the result over.
+  await window.chachingContentScript.present(reports()[0].data);
+  assert.equal(getNotifications(window).length, 1);
+
+  // The SPA moves to a listing page and renders it.
+  window.history.pushState({}, '', '/w/mens-shoes');
+  window.document.body.innerHTML = '<main><h1>Men\'s Shoes</h1><ul><li>Shoe</li></ul></main>';
+  assert.equal(window.chachingContentScript.detectionResult, null);
+
+  for (let i = 0; i < 400 && reports().length < 2; i++) await sleep(5);
+  assert.equal(reports().length, 2);
+  assert.equal(reports()[1].data.url, 'https://www.nike.com/w/mens-shoes');
+  assert.equal(reports()[1].data.isPdp, false);
+  await sleep(350);
+  assert.deepEqual(getNotifications(window), []);
+});
@@ -0,0 +1,112 @@
+/**
+ * @file test/notification.test.js
+ * @description Checks brand and merchant names reach the notification as text only, however
+ * hostile the page or the brand catalog makes them.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DETECTION_SCRIPTS,
+  createExtensionEnvironment,
+  getNotifications
+} = require('./helpers/extension-env');
+
+/**
+ * Brand names that would add elements, or run script, if they were parsed as markup.
+ */
+const HOSTILE_BRANDS = [
+  '<img src=x onerror="window.pwned = 1">',
+  'Acme</div><script>window.pwned = 2</script>',
+  '"><svg onload="window.pwned = 3"></svg>',
+  'Acme <a href="javascript:window.pwned = 4">Deals</a> & <b>Co</b>'
+];
+
+/**
+ * Detects a product page for `brand` with the real detectors, against a brand catalog that
+ * lists it, and hands the result to content_main.js.
+ *
+ * @returns {Promise<{ window: Window, brandResult: Object }>}
+ */
+async function presentBrand(t, brand) {
+  const env = createExtensionEnvironment({
+    html: `<html><head>
+      <title>Trail Runner</title>
+      <script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Trail Runner',
+        brand: { '@type': 'Brand', name: brand },
+        offers: { '@type': 'Offer', price: '120.00', priceCurrency: 'USD' }
+      }).replace(/</g, '\\u003c')}</script>
+    </head><body>
+      <h1>Trail Runner</h1>
+      <button>Add to Cart</button>
+    </body></html>`,
+    url: 'https://shop.example.com/products/trail-runner',
+    scripts: [...DETECTION_SCRIPTS, 'src/content/content_main.js'],
+    respondToMessage: (message) => message.type === 'LOOKUP_BRANDS'
+      ? { success: true, data: { source: 'remote', version: 1, format: 1, brands: env.window.compileBrandCatalog([{ brand_name: brand, cashback_rate: 7 }]).brands } }
+      : { success: true }
+  });
+  t.after(env.close);
+
+  const detector = new env.window.BrandDetector();
+  await env.window.loadBrands(detector.getBrandQuery());
+  const brandResult = detector.detectBrandOnPage();
+  assert.ok(brandResult, `detected ${brand}`);
+  await env.window.chachingContentScript.present({ isPdp: true, confidence: 90, brandResult });
+  return { window: env.window, brandResult };
+}
+
+/**
+ * Lists the tag names of every element in a notification.
+ */
+const tagsOf = (notification) => [notification, ...notification.querySelectorAll('*')].map(element => element.localName);
+
+test('hostile brand names from the page are shown as text, not markup', async (t) => {
+  for (const brand of HOSTILE_BRANDS) {
+    const { window, brandResult } = await presentBrand(t, brand);
+    assert.equal(brandResult.productInfo.brand, brand, 'the detector passes the name through');
+
+    const [notification] = getNotifications(window);
+    assert.ok(notification, `shown for ${brand}`);
+    assert.deepEqual(tagsOf(notification).filter(tag => ['img', 'script', 'svg', 'a', 'b'].includes(tag)), ['img'], 'only the logo');
+    assert.equal(notification.querySelector('img').getAttribute('src'), 'chrome-extension://chaching-test/ChaChing_Logo.png');
+    assert.equal(notification.querySelector('.chaching-subtitle').textContent, `On ${brand} products TODAY from a similar store`);
+    assert.equal(notification.querySelector('.chaching-title').textContent, 'Up to 7% Cash Back - Big, Fast, Reliable');
+    assert.equal(window.pwned, undefined);
+  }
+});
+
+test('the notification keeps its structure and controls', async (t) => {
+  const { window } = await presentBrand(t, HOSTILE_BRANDS[1]);
+  const [notification] = getNotifications(window);
+
+  assert.deepEqual(tagsOf(notification).slice(0, 10), [
+    'div', 'button', 'div', 'div', 'img', 'div', 'div', 'div', 'div', 'div'
+  ]);
+  assert.equal(notification.querySelector('#chaching-search').textContent, 'See it');
+  assert.equal(notification.querySelector('.chaching-site-toggle').textContent, 'Options for example.com');
+
+  notification.querySelector('#chaching-close').click();
+  assert.ok(notification.classList.contains('chaching-hide'));
+});
+
+test('special merchant names are shown as text too', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><head><title>Daily deals</title></head><body><h1>Deals</h1></body></html>',
+    url: 'https://www.steals.com/deal/1',
+    scripts: [...DETECTION_SCRIPTS, 'src/content/content_main.js']
+  });
+  t.after(close);
+
+  const brandResult = new window.BrandDetector().detectSpecialMerchant(window.location.hostname);
+  brandResult.productInfo.brand = HOSTILE_BRANDS[0];
+  await window.chachingContentScript.present({ isPdp: false, confidence: 100, brandResult });
+
+  const [notification] = getNotifications(window);
+  assert.equal(notification.querySelector('.chaching-subtitle').textContent,
+    `Earn cashback at ${HOSTILE_BRANDS[0]} when you shop through ChaChing.`);
+  assert.equal(notification.querySelector('#chaching-search').textContent, 'Activate Cashback');
+  assert.deepEqual(tagsOf(notification).filter(tag => tag === 'img'), ['img']);
+});
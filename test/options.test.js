@@ -0,0 +1,198 @@
+/**
+ * @file test/options.test.js
+ * @description Checks the options page shows and saves the stored preferences, blocked sites and dismissals.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { RESOURCES_DIR, createBackground, createExtensionEnvironment } = require('./helpers/extension-env');
+
+const OPTIONS_HTML = fs.readFileSync(path.join(RESOURCES_DIR, 'src/options/options.html'), 'utf8');
+
+const CATALOG_INFO = { source: 'remote', version: 42, brandCount: 1234, fetchedAt: '2026-10-01T12:00:00.000Z', checkedAt: null };
+
+/**
+ * Answers the options page's messages the way background/main.js does, describing `catalogInfo`
+ * and keeping the dismissals in a store over the page's `chrome.storage.local`.
+ */
+function createBackgroundResponder(t, catalogInfo) {
+  const background = createBackground(t);
+
+  let dismissals = null;
+  const respond = async (message) => {
+    switch (message.type) {
+      case 'GET_CATALOG_INFO':
+        return catalogInfo ? { success: true, data: catalogInfo } : { success: false, error: 'Unknown message type' };
+      case 'COUNT_DISMISSALS':
+        return { success: true, data: await dismissals.countActive() };
+      case 'CLEAR_DISMISSALS':
+        await dismissals.clear();
+        return { success: true };
+      default:
+        return { success: true };
+    }
+  };
+  const useStorage = (storage) => { dismissals = new background.window.DismissalStore({ storage }); };
+  return { respond, useStorage };
+}
+
+/**
+ * Opens the options page over the given storage, with the background describing `catalogInfo`.
+ */
+async function openOptions(t, { storage = {}, catalogInfo = CATALOG_INFO } = {}) {
+  const background = createBackgroundResponder(t, catalogInfo);
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: OPTIONS_HTML,
+    url: 'chrome-extension://chaching-test/options.html',
+    scripts: [],
+    storage,
+    respondToMessage: background.respond
+  });
+  t.after(close);
+  background.useStorage(chrome.storage.local);
+
+  const { document } = window;
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+  for (const script of ['src/shared/utils.js', 'src/data/public-suffix-list.js', 'src/shared/public-suffix.js', 'src/shared/site-rules.js', 'src/options/options.js']) {
+    window.eval(fs.readFileSync(path.join(RESOURCES_DIR, script), 'utf8'));
+  }
+  const options = window.chachingOptions;
+  await options.ready;
+
+  const $ = (id) => document.getElementById(id);
+  const blocked = () => [...$('blacklist').querySelectorAll('li span')].map(span => span.textContent);
+  return { window, chrome, options, $, blocked };
+}
+
+test('the stored preferences, versions and dismissals are shown', async (t) => {
+  const { chrome, $, blocked } = await openOptions(t, {
+    storage: {
+      sync: { autoShow: false, minConfidence: 70, blacklistedDomains: ['example.com'] },
+      local: { dismissals: { entries: { 'brand:nike': { count: 1, lastDismissedAt: Date.now(), until: Date.now() + 60000 } }, shown: [] }, brandCatalogCheckedAt: 1 }
+    }
+  });
+
+  assert.equal($('enabled').checked, true, 'unset preferences use the defaults');
+  assert.equal($('autoShow').checked, false);
+  assert.equal($('minConfidence').value, '70');
+  assert.equal($('minConfidence-value').textContent, '70%');
+  assert.deepEqual(blocked(), ['example.com']);
+  assert.ok($('blacklist-empty').classList.contains('hidden'));
+
+  assert.equal($('extension-version').textContent, chrome.runtime.getManifest().version);
+  assert.match($('catalog-version').textContent, /^Version 42 · 1,234 brands · updated /);
+  assert.equal($('dismissal-count').textContent, '1 dismissed product(s) or brand(s) on hold');
+});
+
+test('changing a preference saves it to sync storage', async (t) => {
+  const { window, chrome, $ } = await openOptions(t);
+  const change = (id, value) => {
+    const input = $(id);
+    if (input.type === 'checkbox') input.checked = value; else input.value = value;
+    input.dispatchEvent(new window.Event('change'));
+  };
+
+  change('enabled', false);
+  change('minConfidence', '35');
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(chrome.storage.sync.data.enabled, false);
+  assert.equal(chrome.storage.sync.data.minConfidence, 35);
+  assert.equal($('autoShow').disabled, true, 'auto-show means nothing while the extension is off');
+  assert.equal($('save-status').textContent, 'Saved');
+});
+
+test('sites are added normalized, removed, and rejected when invalid', async (t) => {
+  const { chrome, options, $, blocked } = await openOptions(t);
+
+  await options.addBlockedSite('https://www.Example.com/some/page');
+  await options.addBlockedSite('shop.test.org');
+  await options.addBlockedSite('example.com');
+  assert.deepEqual(blocked(), ['example.com', 'shop.test.org']);
+  assert.deepEqual([...chrome.storage.sync.data.blacklistedDomains], ['example.com', 'shop.test.org']);
+
+  await options.addBlockedSite('not a site');
+  assert.match($('blacklist-error').textContent, /isn't a website address/);
+  assert.equal(blocked().length, 2);
+
+  $('blacklist').querySelector('li button').click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual([...chrome.storage.sync.data.blacklistedDomains], ['shop.test.org']);
+});
+
+test('an imported list adds new sites and reports the lines it skipped', async (t) => {
+  const { chrome, options, $, blocked } = await openOptions(t, { storage: { sync: { blacklistedDomains: ['example.com'] } } });
+  const file = {
+    name: 'sites.txt',
+    text: async () => '# my list\nexample.com\nwww.deals.net, https://coupons.io/path\nlocalhost\n\ndeals.net\n'
+  };
+
+  await options.importBlockedSites(file);
+
+  assert.deepEqual(blocked(), ['coupons.io', 'deals.net', 'example.com']);
+  assert.equal(chrome.storage.sync.data.blacklistedDomains.length, 3);
+  assert.match($('blacklist-error').textContent, /Skipped 1 line\(s\).*localhost/);
+  assert.equal($('save-status').textContent, 'Blocked 2 site(s)');
+});
+
+test('resetting dismissals clears them, and the old per-page keys are swept', async (t) => {
+  const now = Date.now();
+  const { chrome, options, $ } = await openOptions(t, {
+    storage: { local: { 'dismissal_https://a.com/': { timestamp: 1 }, 'dismissal_https://b.com/': { timestamp: 2 }, brandCatalog: { version: 1 } } }
+  });
+  assert.deepEqual(Object.keys(chrome.storage.local.data).sort(), ['brandCatalog', 'dismissals'], 'legacy keys removed on first use');
+  assert.equal($('dismissal-count').textContent, 'Nothing dismissed');
+
+  chrome.storage.local.data.dismissals = {
+    entries: { 'product:nike:title:air-max-90': { count: 1, lastDismissedAt: now, until: now + 60000 } },
+    shown: [now]
+  };
+  await options.updateDismissalCount();
+  assert.equal($('reset-dismissals').disabled, false);
+
+  $('reset-dismissals').click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.deepEqual({ ...chrome.storage.local.data.dismissals.entries }, {});
+  assert.deepEqual([...chrome.storage.local.data.dismissals.shown], []);
+  assert.equal(chrome.storage.local.data.brandCatalog.version, 1);
+  assert.equal($('dismissal-count').textContent, 'Nothing dismissed');
+  assert.equal($('reset-dismissals').disabled, true);
+  assert.deepEqual(chrome.sentMessages.map(message => message.type).filter(type => /DISMISSALS/.test(type)),
+    ['COUNT_DISMISSALS', 'COUNT_DISMISSALS', 'CLEAR_DISMISSALS', 'COUNT_DISMISSALS'], 'the background counts and clears them');
+});
+
+test('the bundled catalog is named as such, and a failed lookup says so', async (t) => {
+  const bundled = await openOptions(t, { catalogInfo: { source: 'bundled', version: 'bundled-abc123', brandCount: 1500, fetchedAt: null } });
+  assert.equal(bundled.$('catalog-version').textContent, 'Built in (bundled-abc123) · 1,500 brands');
+
+  const failed = await openOptions(t, { catalogInfo: null });
+  assert.equal(failed.$('catalog-version').textContent, 'Unavailable');
+});
+
+test('snoozed and always-on sites are listed and can be removed', async (t) => {
+  const { chrome, $ } = await openOptions(t, {
+    storage: {
+      sync: {
+        siteRules: {
+          'rei.com': { action: 'always' },
+          'amazon.co.uk': { action: 'snooze', until: Date.now() + 60 * 60 * 1000 },
+          'expired.com': { action: 'snooze', until: Date.now() - 1 }
+        }
+      }
+    }
+  });
+  const sites = () => [...$('site-rules').querySelectorAll('li span:first-child')].map(span => span.textContent);
+
+  assert.deepEqual(sites(), ['amazon.co.uk', 'rei.com']);
+  assert.match($('site-rules').textContent, /Snoozed until .*Always shows offers/);
+
+  $('site-rules').querySelector('li button').click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(sites(), ['rei.com']);
+  assert.deepEqual(Object.keys(chrome.storage.sync.data.siteRules), ['rei.com']);
+  assert.ok($('site-rules-empty').classList.contains('hidden'));
+});
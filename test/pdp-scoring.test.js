@@ -0,0 +1,93 @@
+/**
+ * @file test/pdp-scoring.test.js
+ * @description Checks the declarative PDP scoring configuration and its per-domain overrides.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment, runDetection, loadFixtureHtml } = require('./helpers/extension-env');
+
+const NIKE_URL = 'https://www.nike.com/t/air-max-90-mens-shoes-6n3vKB/CN8490-100';
+
+test('isProductPage and debugDetection agree on score and decision', async (t) => {
+  const { window, close } = createExtensionEnvironment({ html: loadFixtureHtml('nike-air-max-pdp.html'), url: NIKE_URL });
+  t.after(close);
+
+  const detector = new window.PdpDetector();
+  const debug = detector.debugDetection();
+  const scored = detector.scorePage();
+
+  assert.equal(detector.isProductPage(), debug.isPDP);
+  assert.equal(scored.score, debug.totalScore);
+  assert.equal(scored.confidence, debug.confidence);
+  assert.equal(debug.threshold, 75);
+});
+
+test('the score is normalized to a 0-100 confidence with the threshold at 50', (t) => {
+  const { window, close } = createExtensionEnvironment({ html: '<html><body></body></html>', url: 'https://www.example.com/' });
+  t.after(close);
+  const { normalizeScore } = window.PdpDetector;
+
+  assert.equal(normalizeScore(0, 75, 190), 0);
+  assert.equal(normalizeScore(74, 75, 190), 49, 'just below the threshold stays below 50');
+  assert.equal(normalizeScore(75, 75, 190), 50);
+  assert.equal(normalizeScore(190, 75, 190), 100);
+  assert.equal(normalizeScore(30, 20, 20), 100, 'a threshold at the maximum');
+  for (const score of [10, 60, 90, 140]) {
+    assert.equal(normalizeScore(score, 60, 190) >= 50, score >= 60, `score ${score} with threshold 60`);
+  }
+});
+
+test('a missing required signal means zero confidence', async (t) => {
+  const html = '<html><body><h1>Harbor Pour-Over Set</h1><p class="price">$48.00</p><img src="a.jpg" alt="Harbor Pour-Over Set"></body></html>';
+  const { window, close } = createExtensionEnvironment({ html, url: 'https://www.example.com/products/harbor-pour-over-set' });
+  t.after(close);
+
+  const result = new window.PdpDetector().scorePage();
+  assert.deepEqual([...result.missingRequired], ['actionButtons']);
+  assert.equal(result.confidence, 0);
+});
+
+test('a stored override for a domain applies to its subdomains', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: loadFixtureHtml('nike-air-max-pdp.html'),
+    url: NIKE_URL,
+    storage: { local: { pdpScoringOverrides: { 'nike.com': { threshold: 500 } } } }
+  });
+  t.after(close);
+
+  const config = await window.PdpDetector.loadScoringConfig('www.nike.com');
+  assert.equal(config.threshold, 500);
+  assert.equal(config.weights.price, 25, 'unrelated weights keep their defaults');
+
+  const { isPdp } = await runDetection(window);
+  assert.equal(isPdp, false);
+});
+
+test('overrides can drop a required signal and reweigh others', async (t) => {
+  const { window, close } = createExtensionEnvironment({ html: loadFixtureHtml('yeti-homepage.html'), url: 'https://www.yeti.com/' });
+  t.after(close);
+
+  const config = window.PdpDetector.mergeScoringConfig(
+    { threshold: 75, requiredSignals: ['actionButtons'], weights: { metadata: 10 } },
+    { threshold: 5, requiredSignals: [], weights: { metadata: 5, bogusSignal: 100, reviews: 'high' } }
+  );
+
+  assert.deepEqual(config.requiredSignals, []);
+  assert.equal(config.threshold, 5);
+  assert.equal(config.weights.metadata, 5);
+  assert.equal('bogusSignal' in config.weights, false);
+  assert.equal('reviews' in config.weights, false);
+});
+
+test('loadScoringConfig falls back to the defaults without a matching override', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://www.yeti.com/',
+    storage: { local: { pdpScoringOverrides: { 'notyeti.com': { threshold: 1 } } } }
+  });
+  t.after(close);
+
+  const config = await window.PdpDetector.loadScoringConfig('www.yeti.com');
+  assert.equal(config.threshold, 75);
+  assert.deepEqual([...config.requiredSignals], ['actionButtons']);
+});
@@ -0,0 +1,293 @@
+/**
+ * @file test/pipeline.test.js
+ * @description Checks a page is analyzed once: runner.js reports one DETECTION_COMPLETE and
+ * content_main.js shows what it is handed instead of running the detectors again.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DETECTION_SCRIPTS,
+  createExtensionEnvironment,
+  getNotifications,
+  loadFixtureHtml
+} = require('./helpers/extension-env');
+
+/**
+ * What the background injects for the UI, after the detection scripts content_main.js relies on.
+ */
+const UI_SCRIPTS = [
+  'src/shared/utils.js',
+  'src/data/public-suffix-list.js',
+  'src/shared/public-suffix.js',
+  'src/shared/site-rules.js',
+  'src/content/content_main.js'
+];
+
+const NIKE_PDP = {
+  html: loadFixtureHtml('nike-air-max-pdp.html'),
+  url: 'https://www.nike.com/t/air-max-90-mens-shoes-6n3vKB/CN8490-100'
+};
+
+/**
+ * Resolves once `predicate()` holds, polling the event loop.
+ */
+async function waitFor(predicate) {
+  for (let i = 0; i < 200 && !predicate(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+  assert.ok(predicate(), 'timed out waiting for the page');
+}
+
+test('runner.js reports the whole detection once', async (t) => {
+  const { chrome, close } = createExtensionEnvironment({
+    ...NIKE_PDP,
+    scripts: [...DETECTION_SCRIPTS, 'src/content/runner.js']
+  });
+  t.after(close);
+
+  const reports = () => chrome.sentMessages.filter(message => message.type === 'DETECTION_COMPLETE');
+  await waitFor(() => reports().length > 0);
+
+  assert.equal(reports().length, 1);
+  const { url, brandResult, isPdp, pdpConfidence, confidence } = reports()[0].data;
+  assert.equal(url, NIKE_PDP.url);
+  assert.equal(isPdp, true);
+  assert.equal(brandResult.productInfo.brand, 'NIKE');
+  assert.ok(brandResult.productInfo.title);
+  assert.ok(pdpConfidence >= 50, 'a PDP is at least 50% confident');
+  assert.equal(confidence, Math.min(brandResult.confidence, pdpConfidence), 'the weaker detector sets the overall confidence');
+});
+
+test('a page without a supported brand has zero confidence', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: loadFixtureHtml('unlisted-brand-pdp.html'),
+    url: 'https://kettlewoodgoods.com/products/harbor-pour-over-set'
+  });
+  t.after(close);
+
+  const { brandResult, isPdp, confidence } = await window.analyzePage();
+  assert.equal(brandResult, null);
+  assert.equal(isPdp, true);
+  assert.equal(confidence, 0);
+});
+
+test('a product page naming a supported brand only in its title shows at the default bar', async (t) => {
+  // The shipped BrandList.csv has names only, so the title is all the brand evidence there is.
+  const { window, close } = createExtensionEnvironment({
+    html: `<html><head><title>Patagonia Men's Nano Puff Jacket | REI Co-op</title></head><body>
+      <nav class="breadcrumbs"><a href="/">Home</a> / <a href="/c/jackets">Jackets</a></nav>
+      <main>
+        <h1>Patagonia Men's Nano Puff Jacket</h1>
+        <div class="product-price">$239.00</div>
+        <select name="size"><option>S</option><option>M</option></select>
+        <button type="submit">Add to Cart</button>
+        <div class="product-images"><img src="/media/nano-puff.jpg" alt="Nano Puff"></div>
+      </main>
+    </body></html>`,
+    url: 'https://www.rei.com/product/216011/patagonia-mens-nano-puff-jacket',
+    scripts: [...DETECTION_SCRIPTS, 'src/content/content_main.js']
+  });
+  t.after(close);
+
+  const detection = await window.analyzePage();
+  assert.equal(detection.isPdp, true);
+  assert.equal(detection.pdpSignals.structuredData, false);
+  assert.deepEqual([...detection.brandResult.evidence.map(vote => vote.source)], ['title']);
+  assert.ok(detection.brandResult.confidence >= 50, `brand confidence ${detection.brandResult.confidence}`);
+
+  // The background's decision, at the default minConfidence.
+  const { meetsMinConfidence, CONFIG } = window.ChachingUtils;
+  assert.ok(meetsMinConfidence(detection.confidence, CONFIG.DEFAULT_PREFERENCES.minConfidence), `confidence ${detection.confidence}`);
+
+  await window.chachingContentScript.present(detection);
+  const [notification] = getNotifications(window);
+  assert.ok(notification, 'notification shown');
+  assert.match(notification.textContent, /On Patagonia products/);
+});
+
+test('content_main.js presents the handed-over result without re-detecting', async (t) => {
+  const { window, chrome, close } = createExtensionEnvironment({
+    ...NIKE_PDP,
+    scripts: UI_SCRIPTS
+  });
+  t.after(close);
+
+  // A result that differs from what the detectors would find, to prove it's used as-is.
+  const detection = {
+    url: NIKE_PDP.url,
+    isPdp: true,
+    brandResult: {
+      isSupported: true,
+      confidence: 90,
+      productInfo: { brand: 'Handed Over', title: 'Handed Over Shoe', cashback: { rate: 12, type: 'percent' } }
+    }
+  };
+  await window.chachingContentScript.present(detection);
+
+  const [notification] = getNotifications(window);
+  assert.ok(notification, 'notification shown');
+  assert.match(notification.textContent, /Handed Over/);
+  assert.match(notification.textContent, /12%/);
+  assert.equal(window.chachingContentScript.detectionResult.isPdp, true);
+  assert.deepEqual(chrome.sentMessages.map(message => message.type), ['CLAIM_BANNER'], 'only the banner cap is asked');
+});
+
+test('a banner claimed for a page that moved on meanwhile is given back', async (t) => {
+  let answerClaim;
+  const { window, chrome, close } = createExtensionEnvironment({
+    ...NIKE_PDP,
+    scripts: UI_SCRIPTS,
+    respondToMessage: (message) => message.type === 'CLAIM_BANNER'
+      ? new Promise(resolve => { answerClaim = resolve; })
+      : { success: true }
+  });
+  t.after(close);
+
+  const presenting = window.chachingContentScript.present({
+    isPdp: true,
+    confidence: 80,
+    brandResult: { isSupported: true, productInfo: { brand: 'NIKE', title: 'Air Max 90' } }
+  });
+  await waitFor(() => answerClaim);
+
+  // An SPA navigation resets the page while the background counts the banner.
+  window.chachingContentScript.reset();
+  answerClaim({ success: true, data: { allowed: true, reason: null, until: null, shownAt: 1792400000000 } });
+  await presenting;
+  await waitFor(() => chrome.sentMessages.some(message => message.type === 'RELEASE_BANNER'));
+
+  assert.deepEqual(getNotifications(window), []);
+  assert.deepEqual(chrome.sentMessages.map(message => message.type), ['CLAIM_BANNER', 'RELEASE_BANNER']);
+  assert.equal(chrome.sentMessages[1].shownAt, 1792400000000);
+});
+
+test('the notification is walled off in a closed shadow root in the top layer', async (t) => {
+  const { window, close } = createExtensionEnvironment({ ...NIKE_PDP, scripts: UI_SCRIPTS });
+  t.after(close);
+
+  // jsdom has no Popover API; record what would go in the top layer.
+  const topLayer = [];
+  window.HTMLElement.prototype.showPopover = function () { topLayer.push(this); };
+  // The page's z-indexes aren't scanned any more.
+  const getComputedStyle = window.getComputedStyle;
+  let styleLookups = 0;
+  window.getComputedStyle = (...args) => { styleLookups++; return getComputedStyle(...args); };
+  window.document.head.insertAdjacentHTML('beforeend', '<style>.chaching-notification { display: none; }</style>');
+
+  await window.chachingContentScript.present({
+    isPdp: true,
+    confidence: 80,
+    brandResult: { isSupported: true, productInfo: { brand: 'NIKE', title: 'Air Max 90' } }
+  });
+
+  const host = window.document.querySelector('chaching-notification');
+  assert.equal(host.shadowRoot, null, 'the page cannot open the shadow root');
+  assert.equal(window.document.querySelector('.chaching-notification'), null, 'page selectors do not reach inside');
+  assert.deepEqual(topLayer, [host]);
+  assert.equal(host.getAttribute('popover'), 'manual');
+  assert.equal(styleLookups, 0);
+
+  const [notification] = getNotifications(window);
+  assert.match(notification.parentNode.querySelector('style').textContent, /:host\s*{/, 'the styles are inside the shadow root');
+  assert.match(notification.textContent, /On NIKE products/);
+
+  // Closing takes the host off the page again.
+  notification.querySelector('#chaching-close').click();
+  await new Promise(resolve => setTimeout(resolve, 350));
+  assert.equal(window.document.querySelector('chaching-notification'), null);
+});
+
+test('content_main.js respects auto-show and the domain blacklist', async (t) => {
+  const detection = {
+    isPdp: true,
+    brandResult: { isSupported: true, productInfo: { brand: 'NIKE', title: 'Air Max 90' } }
+  };
+
+  for (const sync of [{ autoShow: false }, { blacklistedDomains: ['nike.com'] }]) {
+    const { window, close } = createExtensionEnvironment({
+      ...NIKE_PDP,
+      scripts: UI_SCRIPTS,
+      storage: { sync }
+    });
+    t.after(close);
+
+    await window.chachingContentScript.present(detection);
+    assert.deepEqual(getNotifications(window), [], JSON.stringify(sync));
+  }
+});
+
+test('content_main.js follows preference changes made while the page is open', async (t) => {
+  const { window, chrome, close } = createExtensionEnvironment({
+    ...NIKE_PDP,
+    scripts: UI_SCRIPTS
+  });
+  t.after(close);
+
+  const visible = () => getNotifications(window).filter(notification => !notification.classList.contains('chaching-hide'));
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+  await window.chachingContentScript.present({
+    isPdp: true,
+    confidence: 80,
+    brandResult: { isSupported: true, productInfo: { brand: 'NIKE', title: 'Air Max 90' } }
+  });
+  assert.equal(visible().length, 1, 'shown at first');
+
+  const changes = [
+    [{ enabled: false }, false],
+    [{ enabled: true }, true],
+    [{ autoShow: false }, false],
+    [{ autoShow: true }, true],
+    [{ blacklistedDomains: ['nike.com'] }, false],
+    [{ blacklistedDomains: [] }, true]
+  ];
+  for (const [change, shown] of changes) {
+    await chrome.storage.sync.set(change);
+    await settle();
+    assert.equal(visible().length > 0, shown, JSON.stringify(change));
+  }
+  assert.equal(visible().length, 1);
+
+  // Other storage doesn't concern it.
+  await chrome.storage.local.set({ enabled: false });
+  assert.equal(visible().length, 1);
+});
+
+test('the notification snoozes or blocks the whole site', async (t) => {
+  for (const [action, check] of [
+    ['snooze', (sync) => assert.equal(sync.siteRules['nike.com'].action, 'snooze')],
+    ['never', (sync) => assert.deepEqual([...sync.blacklistedDomains], ['nike.com'])]
+  ]) {
+    const { window, chrome, close } = createExtensionEnvironment({ ...NIKE_PDP, scripts: UI_SCRIPTS });
+    t.after(close);
+
+    await window.chachingContentScript.present({
+      isPdp: true,
+      confidence: 80,
+      brandResult: { isSupported: true, productInfo: { brand: 'NIKE', title: 'Air Max 90' } }
+    });
+    const [notification] = getNotifications(window);
+    const toggle = notification.querySelector('.chaching-site-toggle');
+    assert.equal(toggle.textContent, 'Options for nike.com');
+
+    toggle.click();
+    assert.equal(notification.querySelector('.chaching-site-menu').hidden, false);
+    notification.querySelector(`.chaching-site-btn[data-action="${action}"]`).click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    check(chrome.storage.sync.data);
+    assert.ok(notification.classList.contains('chaching-hide'), `${action} hides the notification`);
+    assert.equal(chrome.sentMessages.at(-1).data.event, 'site_rule_set');
+  }
+});
+
+test('special merchants are recognized by the pipeline', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><head><title>Daily deals</title></head><body><h1>Deals</h1></body></html>',
+    url: 'https://www.videoshops.com/deal/1'
+  });
+  t.after(close);
+
+  const { brandResult } = await window.analyzePage();
+  assert.equal(brandResult.isSpecialMerchant, true);
+  assert.equal(brandResult.confidence, 100);
+  assert.equal(brandResult.productInfo.brand, 'videoshops.com');
+  assert.match(brandResult.productInfo.title, /cash back at videoshops\.com/);
+});
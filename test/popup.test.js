@@ -0,0 +1,165 @@
+/**
+ * @file test/popup.test.js
+ * @description Checks the popup renders the background's result for the active tab and saves its toggles.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { RESOURCES_DIR, createExtensionEnvironment } = require('./helpers/extension-env');
+
+const POPUP_HTML = fs.readFileSync(path.join(RESOURCES_DIR, 'src/popup/index.html'), 'utf8');
+
+const NIKE_RESULT = {
+  isSupported: true,
+  isPdp: true,
+  confidence: 82,
+  evidence: [
+    { source: 'domain', value: 'nike.com', weight: 10 },
+    { source: 'structuredData', value: 'Nike', weight: 35 }
+  ],
+  productInfo: {
+    brand: 'NIKE',
+    title: 'Air Max 90',
+    price: 130,
+    currency: 'USD',
+    cashback: { rate: 12, type: 'percent', category: 'Footwear' }
+  },
+  pdpSignals: { structuredData: true, price: true, reviews: false },
+  detectedAt: new Date().toISOString(),
+  tabId: 7,
+  domain: 'www.nike.com'
+};
+
+/**
+ * Opens the popup for a tab, with the background replying `tabData` to `GET_TAB_DATA`.
+ */
+async function openPopup(t, { tabUrl = 'https://www.nike.com/t/air-max-90', tabData, sync = {} } = {}) {
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: POPUP_HTML,
+    url: 'chrome-extension://chaching-test/index.html',
+    scripts: [],
+    storage: { sync },
+    respondToMessage: (message) => (message.type === 'GET_TAB_DATA' ? { success: true, data: tabData } : { success: true })
+  });
+  t.after(close);
+
+  const createdTabs = [];
+  chrome.tabs = {
+    query: async () => [{ id: 7, url: tabUrl }],
+    create: (options) => createdTabs.push(options),
+    sendMessage: () => Promise.resolve()
+  };
+  window.close = () => {};
+
+  const { document } = window;
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+
+  for (const script of ['src/shared/utils.js', 'src/data/public-suffix-list.js', 'src/shared/public-suffix.js', 'src/shared/site-rules.js', 'src/popup/popup.js']) {
+    window.eval(fs.readFileSync(path.join(RESOURCES_DIR, script), 'utf8'));
+  }
+  await window.chachingPopup.ready;
+
+  const $ = (id) => document.getElementById(id);
+  const visible = (id) => !$(id).classList.contains('hidden');
+  return { window, chrome, createdTabs, $, visible };
+}
+
+test('a detected product shows its title, brand, price, cashback and signals', async (t) => {
+  const { chrome, createdTabs, $, visible } = await openPopup(t, { tabData: NIKE_RESULT });
+
+  assert.deepEqual({ ...chrome.sentMessages[0] }, { type: 'GET_TAB_DATA', tabId: 7 });
+  assert.ok(visible('product-detected-state'));
+  assert.ok(!visible('loading-state'));
+  assert.equal($('product-title').textContent, 'Air Max 90');
+  assert.equal($('product-brand').textContent, 'NIKE');
+  assert.match($('product-price').textContent, /130/);
+  assert.equal($('confidence-badge').textContent, '82% confidence');
+  assert.equal($('cashback-rate').textContent, 'Up to 12% Cash Back · Footwear');
+
+  const signals = [...$('signal-list').children].map(li => li.textContent);
+  assert.deepEqual(signals, [
+    'Brand in the product data: Nike',
+    'Brand in the domain: nike.com',
+    'Structured product data present',
+    'Price information found'
+  ]);
+
+  $('search-chaching-btn').click();
+  assert.equal(createdTabs.length, 1);
+  assert.match(createdTabs[0].url, /query=NIKE/);
+  assert.equal(chrome.sentMessages.at(-1).data.event, 'popup_search');
+});
+
+test('missing price and confidence are hidden rather than shown empty', async (t) => {
+  const { productInfo } = NIKE_RESULT;
+  const tabData = { ...NIKE_RESULT, confidence: undefined, productInfo: { ...productInfo, price: null } };
+  const { visible } = await openPopup(t, { tabData });
+
+  assert.ok(visible('product-detected-state'));
+  assert.ok(!visible('product-price'));
+  assert.ok(!visible('confidence-badge'));
+});
+
+test('a tab without a supported product shows the empty state', async (t) => {
+  const { $, visible } = await openPopup(t, { tabData: undefined });
+  assert.ok(visible('no-product-state'));
+  assert.ok(!visible('product-detected-state'));
+
+  // Manual search is still available from there.
+  $('manual-search-btn').click();
+  assert.ok(visible('manual-search-state'));
+});
+
+test("pages the extension can't run on are not asked about", async (t) => {
+  const { chrome, $, visible } = await openPopup(t, { tabUrl: 'chrome://extensions/' });
+  assert.ok(visible('no-product-state'));
+  assert.match($('no-product-state').querySelector('p').textContent, /doesn't run on this page/);
+  assert.ok(!chrome.sentMessages.some(message => message.type === 'GET_TAB_DATA'));
+});
+
+test('the toggles reflect and save the sync preferences', async (t) => {
+  const { window, chrome, $ } = await openPopup(t, { tabData: NIKE_RESULT, sync: { autoShow: false } });
+  assert.equal($('extension-toggle').checked, true);
+  assert.equal($('auto-show-toggle').checked, false);
+
+  $('extension-toggle').checked = false;
+  $('extension-toggle').dispatchEvent(new window.Event('change'));
+
+  assert.equal(chrome.storage.sync.data.enabled, false);
+  assert.equal($('auto-show-toggle').disabled, true);
+});
+
+test('the site controls show and change the rule for the active site', async (t) => {
+  const { chrome, $, visible } = await openPopup(t, { tabUrl: 'https://www.amazon.co.uk/dp/B01', tabData: null });
+
+  assert.ok(visible('site-controls'));
+  assert.equal($('site-name').textContent, 'amazon.co.uk');
+  assert.ok(!visible('site-clear-btn'));
+
+  const snooze = $('site-snooze-select');
+  snooze.value = '1d';
+  snooze.dispatchEvent(new snooze.ownerDocument.defaultView.Event('change'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(chrome.storage.sync.data.siteRules['amazon.co.uk'].action, 'snooze');
+  assert.match($('site-status-text').textContent, /^Snoozed until /);
+  assert.ok(!visible('site-snooze-select') && !visible('site-never-btn'));
+  assert.equal($('site-clear-btn').textContent, 'Resume now');
+
+  $('site-clear-btn').click();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(chrome.storage.sync.data.siteRules['amazon.co.uk'], undefined);
+  assert.equal($('site-status-text').textContent, 'Offers show when ChaChing is confident.');
+});
+
+test('a blocked site offers to allow it again, and the controls hide while ChaChing is off', async (t) => {
+  const blocked = await openPopup(t, { tabData: null, sync: { blacklistedDomains: ['nike.com'] } });
+  assert.equal(blocked.$('site-status-text').textContent, 'Offers never show here.');
+  assert.equal(blocked.$('site-clear-btn').textContent, 'Allow again');
+
+  const off = await openPopup(t, { tabData: null, sync: { enabled: false } });
+  assert.ok(!off.visible('site-controls'));
+});
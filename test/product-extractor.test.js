@@ -0,0 +1,164 @@
+/**
+ * @file test/product-extractor.test.js
+ * @description Checks ProductExtractor against the JSON-LD, microdata and Open Graph shapes merchants publish.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment, loadFixtureHtml } = require('./helpers/extension-env');
+
+/**
+ * Extracts the product record from a page, returned as a plain Node object.
+ */
+function extract(t, html, url = 'https://shop.example.com/products/widget') {
+  const { window, close } = createExtensionEnvironment({ html, url });
+  t.after(close);
+  return JSON.parse(JSON.stringify(new window.ProductExtractor(window.document).extract()));
+}
+
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+test('reads a top-level Product with a single Offer', (t) => {
+  const product = extract(t, loadFixtureHtml('nike-air-max-pdp.html'), 'https://www.nike.com/t/air-max-90/CN8490-100');
+
+  assert.equal(product.name, 'Nike Air Max 90');
+  assert.equal(product.brand, 'Nike');
+  assert.equal(product.sku, 'CN8490-100');
+  assert.equal(product.gtin, '0193151234567');
+  assert.equal(product.price, 130);
+  assert.equal(product.currency, 'USD');
+  assert.equal(product.availability, 'InStock');
+  assert.equal(product.image, 'https://static.nike.com/a/images/air-max-90.png');
+  assert.deepEqual(product.sources, ['jsonld']);
+});
+
+test('finds a Product inside an array and a nested @graph', (t) => {
+  const html = `<html><head>
+    ${jsonLd({ '@type': 'WebSite', name: 'Example' })}
+    ${jsonLd([{ '@type': 'BreadcrumbList' }, { '@graph': [{ '@graph': [{ '@type': ['Product', 'Thing'], name: 'Deep Widget', brand: 'Acme', offers: { price: '19.50', priceCurrency: 'EUR' } }] }] }])}
+  </head><body></body></html>`;
+  const product = extract(t, html);
+
+  assert.equal(product.name, 'Deep Widget');
+  assert.equal(product.brand, 'Acme');
+  assert.equal(product.price, 19.5);
+  assert.equal(product.currency, 'EUR');
+});
+
+test('resolves a ProductGroup to the variant in the page URL', (t) => {
+  const html = `<html><head>${jsonLd({
+    '@type': 'ProductGroup',
+    name: 'Trail Runner',
+    brand: { '@type': 'Brand', name: 'Hoka' },
+    hasVariant: [
+      { '@type': 'Product', sku: 'TR-BLK-9', gtin12: '012345678905', offers: { price: 140, priceCurrency: 'USD' } },
+      { '@type': 'Product', sku: 'TR-RED-10', mpn: 'MPN-RED', offers: { price: 120, priceCurrency: 'USD', availability: 'https://schema.org/OutOfStock' } }
+    ]
+  })}</head><body></body></html>`;
+  const product = extract(t, html, 'https://shop.example.com/trail-runner?variant=TR-RED-10');
+
+  assert.equal(product.name, 'Trail Runner');
+  assert.equal(product.brand, 'Hoka');
+  assert.equal(product.sku, 'TR-RED-10');
+  assert.equal(product.mpn, 'MPN-RED');
+  assert.equal(product.price, 120);
+  assert.equal(product.availability, 'OutOfStock');
+});
+
+test('uses the lowest price of an AggregateOffer', (t) => {
+  const html = `<html><head>${jsonLd({
+    '@type': 'Product',
+    name: 'Sofa',
+    image: [{ '@type': 'ImageObject', url: '/img/sofa.jpg' }],
+    offers: { '@type': 'AggregateOffer', lowPrice: '899.00', highPrice: '1,299.00', priceCurrency: 'USD' }
+  })}</head><body></body></html>`;
+  const product = extract(t, html);
+
+  assert.equal(product.price, 899);
+  assert.equal(product.image, 'https://shop.example.com/img/sofa.jpg');
+});
+
+test('falls back to microdata and fills gaps from Open Graph', (t) => {
+  const html = `<html><head>
+    <link rel="canonical" href="https://shop.example.com/widget">
+    <meta property="og:image" content="https://cdn.example.com/widget.jpg">
+    <meta property="product:price:currency" content="GBP">
+  </head><body>
+    <div itemscope itemtype="https://schema.org/Product">
+      <h1 itemprop="name">Micro Widget</h1>
+      <div itemprop="brand" itemscope itemtype="https://schema.org/Brand"><span itemprop="name">Acme</span></div>
+      <meta itemprop="gtin13" content="5012345678900">
+      <span itemprop="sku">MW-1</span>
+      <div itemprop="review" itemscope itemtype="https://schema.org/Review"><span itemprop="name">Great!</span></div>
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <span itemprop="price" content="1.299,99">1.299,99</span>
+        <link itemprop="availability" href="https://schema.org/InStock">
+      </div>
+    </div>
+  </body></html>`;
+  const product = extract(t, html);
+
+  assert.equal(product.name, 'Micro Widget');
+  assert.equal(product.brand, 'Acme');
+  assert.equal(product.gtin, '5012345678900');
+  assert.equal(product.sku, 'MW-1');
+  assert.equal(product.price, 1299.99);
+  assert.equal(product.currency, 'GBP');
+  assert.equal(product.availability, 'InStock');
+  assert.equal(product.image, 'https://cdn.example.com/widget.jpg');
+  assert.equal(product.url, 'https://shop.example.com/widget');
+  assert.deepEqual(product.sources, ['microdata', 'opengraph']);
+});
+
+test('returns an empty record on a page without product data', (t) => {
+  const product = extract(t, loadFixtureHtml('running-blog-article.html'));
+
+  assert.equal(product.name, null);
+  assert.equal(product.price, null);
+  assert.deepEqual(product.sources, []);
+});
+
+test('parsePrice handles common formats', (t) => {
+  const { window, close } = createExtensionEnvironment({ html: '<html></html>', url: 'https://example.com/' });
+  t.after(close);
+  const { parsePrice } = window.ProductExtractor;
+
+  assert.equal(parsePrice('$1,299.99'), 1299.99);
+  assert.equal(parsePrice('49,99 €'), 49.99);
+  assert.equal(parsePrice('1.299,00'), 1299);
+  assert.equal(parsePrice('¥12,800'), 12800);
+  assert.equal(parsePrice(42), 42);
+  assert.equal(parsePrice('Call for price'), null);
+});
+
+test('parsePrice takes the low end of a range and reads thousands dots', (t) => {
+  const { window, close } = createExtensionEnvironment({ html: '<html></html>', url: 'https://example.com/' });
+  t.after(close);
+  const { parsePrice } = window.ProductExtractor;
+
+  assert.equal(parsePrice('$1,299.99 - $1,499.99'), 1299.99);
+  assert.equal(parsePrice('$49.99–$59.99'), 49.99);
+  assert.equal(parsePrice('From 19,99 € to 29,99 €'), 19.99);
+  assert.equal(parsePrice('1.299 €'), 1299);
+  assert.equal(parsePrice('1.299.000 ₫'), 1299000);
+  assert.equal(parsePrice('1 299,99 €'), 1299.99);
+  assert.equal(parsePrice('CHF 1\'299.50'), 1299.5);
+
+  // A decimal dot stays one.
+  assert.equal(parsePrice('12.99'), 12.99);
+  assert.equal(parsePrice('0.500'), 0.5);
+  assert.equal(parsePrice('1299.990'), 1299.99);
+});
+
+test('detected brands carry the structured product fields', async (t) => {
+  const { window, close } = createExtensionEnvironment({
+    html: loadFixtureHtml('nike-air-max-pdp.html'),
+    url: 'https://www.nike.com/t/air-max-90/CN8490-100'
+  });
+  t.after(close);
+
+  await window.loadBrands();
+  const { productInfo } = new window.BrandDetector().detectBrandOnPage();
+  assert.equal(productInfo.price, 130);
+  assert.equal(productInfo.currency, 'USD');
+  assert.equal(productInfo.gtin, '0193151234567');
+});
@@ -0,0 +1,186 @@
+/**
+ * @file test/site-rules.test.js
+ * @description Checks registrable domains (public-suffix.js) and the per-site rules built on them (site-rules.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment } = require('./helpers/extension-env');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Loads the site rule scripts into a blank page, with the generated full public suffix list
+ * unless `fullList` is false.
+ */
+function loadSiteRules(t, { fullList = true } = {}) {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://www.example.com/',
+    scripts: [
+      'src/shared/utils.js',
+      ...(fullList ? ['src/data/public-suffix-list.js'] : []),
+      'src/shared/public-suffix.js',
+      'src/shared/site-rules.js'
+    ]
+  });
+  t.after(close);
+  return window;
+}
+
+/**
+ * Preferences with the defaults filled in.
+ */
+function preferences(window, overrides = {}) {
+  return { ...window.ChachingUtils.CONFIG.DEFAULT_PREFERENCES, ...overrides };
+}
+
+test('registrable domains follow the public suffix rules', (t) => {
+  const { publicSuffixList } = loadSiteRules(t);
+  const cases = {
+    'www.amazon.co.uk': 'amazon.co.uk',
+    'smile.amazon.co.uk': 'amazon.co.uk',
+    'WWW.Amazon.COM.': 'amazon.com',
+    'shop.example.com.au': 'example.com.au',
+    'store.nike.de': 'nike.de',
+    'cool-store.myshopify.com': 'cool-store.myshopify.com',
+    'a.b.foo.ck': 'b.foo.ck',     // wildcard rule *.ck
+    'www.ck': 'www.ck',           // exception rule !www.ck
+    'sub.www.ck': 'www.ck',
+    'co.uk': '',
+    'foo.ck': '',
+    '192.168.1.10': '',
+    '[::1]': '',
+    'bad..host.com': '',
+    '': ''
+  };
+  for (const [hostname, expected] of Object.entries(cases)) {
+    assert.equal(publicSuffixList.getRegistrableDomain(hostname), expected, hostname);
+  }
+  assert.equal(publicSuffixList.getPublicSuffix('www.amazon.co.uk'), 'co.uk');
+  assert.equal(publicSuffixList.getPublicSuffix('shop.example.unlistedtld'), 'unlistedtld');
+});
+
+test('stores on shared storefront hosts and country suffixes are separate sites', (t) => {
+  const window = loadSiteRules(t);
+  const { publicSuffixList, SiteRules } = window;
+  const cases = {
+    'my-store.wixsite.com': 'my-store.wixsite.com',
+    'other-store.wixsite.com': 'other-store.wixsite.com',
+    'shop.square.site': 'shop.square.site',
+    'cool-store.webflow.io': 'cool-store.webflow.io',
+    'shop.example.com.ve': 'example.com.ve',
+    'www.example.co.ve': 'example.co.ve',
+    'www.example.xn--55qx5d.cn': 'example.xn--55qx5d.cn' // 公司.cn, as URL#hostname gives it
+  };
+  for (const [hostname, expected] of Object.entries(cases)) {
+    assert.equal(publicSuffixList.getRegistrableDomain(hostname), expected, hostname);
+  }
+  assert.equal(publicSuffixList.getPublicSuffix('my-store.wixsite.com'), 'wixsite.com');
+
+  const prefs = preferences(window, SiteRules.applyRule(preferences(window), 'my-store.wixsite.com', 'snooze', { duration: '1h', now: NOW }));
+  assert.deepEqual(Object.keys(prefs.siteRules), ['my-store.wixsite.com']);
+  assert.equal(SiteRules.isActive(prefs, 'my-store.wixsite.com', NOW), false);
+  assert.equal(SiteRules.isActive(prefs, 'other-store.wixsite.com', NOW), true, 'snoozing one store leaves the others alone');
+
+  const blocked = preferences(window, SiteRules.applyRule(preferences(window), 'www.example.com.ve', 'never', { now: NOW }));
+  assert.deepEqual([...blocked.blacklistedDomains], ['example.com.ve']);
+  assert.equal(SiteRules.isActive(blocked, 'www.other.com.ve', NOW), true);
+});
+
+test('without the generated list, the bundled subset still separates storefront stores', (t) => {
+  const { publicSuffixList } = loadSiteRules(t, { fullList: false });
+  assert.equal(publicSuffixList.getRegistrableDomain('www.amazon.co.uk'), 'amazon.co.uk');
+  assert.equal(publicSuffixList.getRegistrableDomain('my-store.wixsite.com'), 'my-store.wixsite.com');
+  assert.equal(publicSuffixList.getRegistrableDomain('shop.square.site'), 'shop.square.site');
+  assert.equal(publicSuffixList.getRegistrableDomain('cool-store.myshopify.com'), 'cool-store.myshopify.com');
+});
+
+test('a custom rule list replaces the bundled one', (t) => {
+  const { PublicSuffixList } = loadSiteRules(t);
+  const list = new PublicSuffixList('// comment\nexample.org\n*.wild.test\n!keep.wild.test\n');
+  assert.equal(list.getRegistrableDomain('a.b.example.org'), 'b.example.org');
+  assert.equal(list.getRegistrableDomain('a.b.wild.test'), 'a.b.wild.test');
+  assert.equal(list.getRegistrableDomain('x.keep.wild.test'), 'keep.wild.test');
+  assert.equal(list.getRegistrableDomain('www.amazon.co.uk'), 'co.uk', 'co.uk is not in the custom list');
+});
+
+test('rules are keyed on the registrable domain', (t) => {
+  const window = loadSiteRules(t);
+  const { SiteRules } = window;
+  assert.equal(SiteRules.getSiteKey('www.amazon.co.uk'), 'amazon.co.uk');
+  assert.equal(SiteRules.getSiteKey('https://smile.amazon.co.uk/dp/1'), 'amazon.co.uk');
+  assert.equal(SiteRules.getSiteKey('192.168.1.10'), '192.168.1.10');
+  assert.equal(SiteRules.getSiteKey('localhost'), '');
+
+  const changes = SiteRules.applyRule(preferences(window), 'smile.amazon.co.uk', 'always', { now: NOW });
+  const prefs = preferences(window, changes);
+  assert.equal(SiteRules.getRule(prefs, 'www.amazon.co.uk', NOW).action, 'always');
+  assert.equal(SiteRules.getRule(prefs, 'www.amazon.com', NOW), null);
+});
+
+test('a snooze silences the site until it runs out', (t) => {
+  const window = loadSiteRules(t);
+  const { SiteRules } = window;
+  const prefs = preferences(window, SiteRules.applyRule(preferences(window), 'www.nike.com', 'snooze', { duration: '1h', now: NOW }));
+
+  assert.deepEqual({ ...prefs.siteRules['nike.com'] }, { action: 'snooze', until: NOW + HOUR });
+  assert.equal(SiteRules.isActive(prefs, 'store.nike.com', NOW), false);
+  assert.equal(SiteRules.getStatus(prefs, 'www.nike.com', NOW).state, 'snoozed');
+  assert.equal(SiteRules.isActive(prefs, 'www.nike.com', NOW + HOUR), true, 'active again once the hour is up');
+  assert.equal(SiteRules.getStatus(prefs, 'www.nike.com', NOW + HOUR).state, 'default');
+
+  const week = SiteRules.applyRule(prefs, 'www.nike.com', 'snooze', { duration: '1w', now: NOW });
+  assert.equal(week.siteRules['nike.com'].until, NOW + 7 * 24 * HOUR);
+  assert.throws(() => SiteRules.applyRule(prefs, 'www.nike.com', 'snooze', { duration: '2y' }), /Unknown snooze duration/);
+});
+
+test('never blocks the site, and always or clearing unblocks it', (t) => {
+  const window = loadSiteRules(t);
+  const { SiteRules } = window;
+
+  let prefs = preferences(window, { blacklistedDomains: ['example.com'] });
+  prefs = { ...prefs, ...SiteRules.applyRule(prefs, 'www.shop.nike.co.uk', 'never', { now: NOW }) };
+  assert.deepEqual([...prefs.blacklistedDomains], ['example.com', 'nike.co.uk']);
+  assert.equal(SiteRules.getStatus(prefs, 'nike.co.uk', NOW).state, 'blocked');
+  assert.equal(SiteRules.isActive(prefs, 'www.nike.co.uk', NOW), false);
+
+  prefs = { ...prefs, ...SiteRules.applyRule(prefs, 'www.nike.co.uk', 'always', { now: NOW }) };
+  assert.deepEqual([...prefs.blacklistedDomains], ['example.com']);
+  assert.equal(SiteRules.getStatus(prefs, 'www.nike.co.uk', NOW).state, 'always');
+
+  prefs = { ...prefs, ...SiteRules.applyRule(prefs, 'www.nike.co.uk', 'never', { now: NOW }) };
+  assert.equal(prefs.siteRules['nike.co.uk'], undefined, 'never replaces always');
+
+  prefs = { ...prefs, ...SiteRules.applyRule(prefs, 'www.nike.co.uk', 'clear', { now: NOW }) };
+  assert.equal(SiteRules.getStatus(prefs, 'www.nike.co.uk', NOW).state, 'default');
+  assert.equal(SiteRules.getStatus({ ...prefs, enabled: false }, 'www.nike.co.uk', NOW).state, 'off');
+});
+
+test('always lowers the confidence bar on that site only', (t) => {
+  const window = loadSiteRules(t);
+  const { SiteRules } = window;
+  const prefs = preferences(window, SiteRules.applyRule(preferences(window), 'rei.com', 'always', { now: NOW }));
+
+  assert.equal(SiteRules.getMinConfidence(prefs, 'www.rei.com', NOW), SiteRules.CONFIG.ALWAYS_MIN_CONFIDENCE);
+  assert.equal(SiteRules.getMinConfidence(prefs, 'www.nike.com', NOW), 50);
+  assert.equal(SiteRules.getMinConfidence({ ...prefs, minConfidence: 10 }, 'www.rei.com', NOW), 10, "the user's lower bar still wins");
+  assert.equal(SiteRules.getMinConfidence({ ...prefs, minConfidence: 'junk' }, 'www.nike.com', NOW), 50);
+});
+
+test('saving a rule drops expired snoozes and keeps the other sites', (t) => {
+  const window = loadSiteRules(t);
+  const { SiteRules } = window;
+  const prefs = preferences(window, {
+    siteRules: {
+      'old.com': { action: 'snooze', until: NOW - 1 },
+      'rei.com': { action: 'always' },
+      'later.com': { action: 'snooze', until: NOW + HOUR }
+    }
+  });
+
+  const { siteRules } = SiteRules.applyRule(prefs, 'nike.com', 'never', { now: NOW });
+  assert.deepEqual(Object.keys(siteRules).sort(), ['later.com', 'rei.com']);
+  assert.throws(() => SiteRules.applyRule(prefs, 'localhost', 'never'), /Not a website/);
+  assert.throws(() => SiteRules.applyRule(prefs, 'nike.com', 'forever'), /Unknown site action/);
+});
@@ -0,0 +1,68 @@
+/**
+ * @file test/tab-results.test.js
+ * @description Checks tab detection results survive a background restart via session storage.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment } = require('./helpers/extension-env');
+
+/**
+ * Starts a "background" with tab-results.js loaded over the given session storage contents.
+ */
+function startBackground(t, session = {}) {
+  const { window, chrome, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://background.invalid/',
+    scripts: ['src/background/tab-results.js'],
+    storage: { session }
+  });
+  t.after(close);
+  return { store: new window.TabResultStore(), session: chrome.storage.session.data, window };
+}
+
+const result = (tabId, detectedAt = new Date().toISOString()) => ({
+  isSupported: true,
+  isPdp: true,
+  productInfo: { brand: 'NIKE', title: 'Air Max 90' },
+  tabId,
+  detectedAt
+});
+
+test('results written before a restart are read back after it', async (t) => {
+  const first = startBackground(t);
+  await first.store.set(12, result(12));
+  await first.store.set(13, result(13));
+  await first.store.delete(13);
+
+  // A new background (e.g. a restarted service worker) over the same session storage.
+  const restarted = startBackground(t, { ...first.session, unrelatedKey: true });
+  assert.equal((await restarted.store.get(12)).productInfo.brand, 'NIKE');
+  assert.equal(await restarted.store.get(13), undefined);
+});
+
+test('a result written while restoring is not overwritten by the stored one', async (t) => {
+  const stored = { tabResult_5: { ...result(5), productInfo: { brand: 'OLD' } } };
+  const { store } = startBackground(t, stored);
+
+  await store.set(5, result(5));
+  assert.equal((await store.get(5)).productInfo.brand, 'NIKE');
+});
+
+test('stale results are pruned from the cache and from storage', async (t) => {
+  const { store, session } = startBackground(t);
+  await store.set(1, result(1, new Date(Date.now() - 60 * 60 * 1000).toISOString()));
+  await store.set(2, result(2));
+
+  assert.deepEqual([...await store.prune()], [1]);
+  assert.equal(await store.get(1), undefined);
+  assert.deepEqual(Object.keys(session), ['tabResult_2']);
+});
+
+test('without session storage, results are kept in memory', async (t) => {
+  const { window } = startBackground(t);
+  const store = new window.TabResultStore(null);
+
+  await store.set(3, result(3));
+  assert.equal((await store.get(3)).tabId, 3);
+  assert.equal(await store.delete(3), true);
+});
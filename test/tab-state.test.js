@@ -0,0 +1,90 @@
+/**
+ * @file test/tab-state.test.js
+ * @description Checks the background's per-tab detection states, and that the scripts loaded
+ * together into one page (or the background) don't collide.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const {
+  RESOURCES_DIR,
+  createExtensionEnvironment,
+  resolveResource
+} = require('./helpers/extension-env');
+
+/**
+ * Loads tab-state.js and returns a fresh tracker.
+ */
+function createTracker(t) {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://background.invalid/',
+    scripts: ['src/background/tab-state.js']
+  });
+  t.after(close);
+  return { tracker: new window.TabDetectionStates(), STATES: window.TAB_DETECTION_STATES };
+}
+
+test('a URL is injected once until it has a result, a new document or an error', (t) => {
+  const { tracker, STATES } = createTracker(t);
+  const url = 'https://shop.example.com/p/1';
+
+  assert.equal(tracker.get(7).state, STATES.IDLE);
+  assert.equal(tracker.beginInjection(7, url), true);
+  assert.equal(tracker.get(7).state, STATES.INJECTING);
+
+  // Safari's URL change and `complete` for the same load; fragments don't matter.
+  assert.equal(tracker.beginInjection(7, url), false);
+  assert.equal(tracker.beginInjection(7, `${url}#reviews`), false);
+
+  tracker.setResult(7, url, true);
+  assert.equal(tracker.get(7).state, STATES.DETECTED);
+  assert.equal(tracker.beginInjection(7, url), false);
+
+  // A reload starts a new document.
+  tracker.reset(7);
+  assert.equal(tracker.beginInjection(7, url), true);
+});
+
+test('results follow SPA navigations and other tabs are independent', (t) => {
+  const { tracker, STATES } = createTracker(t);
+
+  tracker.beginInjection(1, 'https://shop.example.com/');
+  tracker.setResult(1, 'https://shop.example.com/p/2', false);
+  assert.equal(tracker.get(1).url, 'https://shop.example.com/p/2');
+  assert.equal(tracker.get(1).state, STATES.NOT_DETECTED);
+
+  assert.equal(tracker.beginInjection(2, 'https://shop.example.com/p/2'), true);
+  assert.equal(tracker.beginInjection(1, 'https://shop.example.com/p/3'), true);
+
+  const snapshot = tracker.snapshot();
+  assert.deepEqual(Object.keys(snapshot), ['1', '2']);
+  assert.equal(snapshot[1].state, STATES.INJECTING);
+});
+
+test('the scripts sharing a page or the background declare nothing twice', () => {
+  // jsdom's `eval` gives each file its own lexical scope; `vm` scripts share one, like
+  // <script> tags and `executeScript` files do, so a clashing top-level `const` throws here.
+  const mainSource = fs.readFileSync(path.join(RESOURCES_DIR, 'src/background/main.js'), 'utf8');
+  const injected = [...mainSource.matchAll(/files:\s*\[([^\]]*)\]/g)]
+    .flatMap(([, list]) => [...list.matchAll(/"([^"]+\.js)"/g)].map(([, file]) => file))
+    .filter(file => file !== 'history-hooks.js'); // The page's own world, see history-hooks.js.
+  const manifest = JSON.parse(fs.readFileSync(path.join(RESOURCES_DIR, 'manifest.json'), 'utf8'));
+
+  for (const [name, files] of Object.entries({ page: injected, background: manifest.background.scripts })) {
+    assert.ok(files.includes('utils.js'), name);
+    const context = vm.createContext({});
+    context.window = context;
+    for (const file of files) {
+      const source = fs.readFileSync(resolveResource(file), 'utf8');
+      try {
+        new vm.Script(source, { filename: file }).runInContext(context);
+      } catch (error) {
+        // The stub global lacks the browser APIs; only a redeclaration matters here.
+        assert.doesNotMatch(error.message, /has already been declared/, `${name}: ${file}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,120 @@
+/**
+ * @file test/utils.test.js
+ * @description Checks the ChaChing search URL builders in utils.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtensionEnvironment } = require('./helpers/extension-env');
+
+/**
+ * Loads utils.js into a blank page and returns `window.ChachingUtils`.
+ */
+function loadUtils(t) {
+  const { window, close } = createExtensionEnvironment({
+    html: '<html><body></body></html>',
+    url: 'https://www.example.com/',
+    scripts: ['src/shared/utils.js']
+  });
+  t.after(close);
+  return window.ChachingUtils;
+}
+
+test('generateChachingUrl keeps the plain query format', (t) => {
+  const utils = loadUtils(t);
+  assert.equal(utils.generateChachingUrl("Levi's 501 Jeans"), "https://chaching.me/us/search?query=Levi's+501+Jeans");
+});
+
+test('generateChachingProductUrl carries identifiers, brand, title and price', (t) => {
+  const utils = loadUtils(t);
+  const url = new URL(utils.generateChachingProductUrl({
+    brand: 'Nike',
+    title: 'Nike Air Max 90 & More',
+    gtin: '0193151234567',
+    mpn: 'CN8490-100',
+    price: 130,
+    currency: 'USD'
+  }));
+
+  assert.equal(url.origin + url.pathname, 'https://chaching.me/us/search');
+  assert.equal(url.searchParams.get('query'), 'Nike');
+  assert.equal(url.searchParams.get('gtin'), '0193151234567');
+  assert.equal(url.searchParams.get('mpn'), 'CN8490-100');
+  assert.equal(url.searchParams.get('brand'), 'Nike');
+  assert.equal(url.searchParams.get('title'), 'Nike Air Max 90 & More');
+  assert.equal(url.searchParams.get('price'), '130');
+  assert.equal(url.searchParams.get('currency'), 'USD');
+});
+
+test('generateChachingProductUrl omits unknown or malformed fields', (t) => {
+  const utils = loadUtils(t);
+  const url = new URL(utils.generateChachingProductUrl({ title: 'Pour-Over Set', gtin: 'n/a', price: null }));
+
+  assert.equal(url.searchParams.get('query'), 'Pour-Over Set');
+  assert.equal(url.searchParams.has('gtin'), false);
+  assert.equal(url.searchParams.has('brand'), false);
+  assert.equal(url.searchParams.has('price'), false);
+  assert.equal(utils.generateChachingProductUrl({}), 'https://chaching.me/us/search');
+});
+
+test('parseCsv handles quoted commas, doubled quotes, CRLF and short rows', (t) => {
+  const utils = loadUtils(t);
+  const rows = utils.parseCsv('"brand_name","aliases"\r\n"Cufflinks, Inc.",\r\n"The ""Real"" Co","A|B"\r\n\r\nNike\r\n');
+  assert.deepEqual([...rows].map(row => ({ ...row })), [
+    { brand_name: 'Cufflinks, Inc.', aliases: '' },
+    { brand_name: 'The "Real" Co', aliases: 'A|B' },
+    { brand_name: 'Nike', aliases: '' }
+  ]);
+});
+
+test('normalizeBrand folds accents and curly apostrophes', (t) => {
+  const utils = loadUtils(t);
+  assert.equal(utils.normalizeBrand("L'Oréal Paris"), 'lorealparis');
+  assert.equal(utils.normalizeBrand('Levi’s®'), 'levis');
+});
+
+test('formatCashback shows percent and flat rates and falls back once a rate expires', (t) => {
+  const utils = loadUtils(t);
+  const now = Date.parse('2026-06-01T00:00:00Z');
+
+  assert.equal(utils.formatCashback({ rate: 8, type: 'percent' }, now), '8%');
+  assert.equal(utils.formatCashback({ rate: 7.5, type: 'percent' }, now), '7.5%');
+  assert.equal(utils.formatCashback({ rate: 12.5, type: 'flat' }, now), '$12.50');
+  assert.equal(utils.formatCashback(undefined, now), '33%');
+  assert.equal(utils.formatCashback({ rate: 15, type: 'flat', expires: '2026-12-31' }, now), '$15');
+
+  const expired = utils.getActiveCashback({ rate: 15, type: 'flat', category: 'Outdoor', expires: '2026-01-31' }, now);
+  assert.deepEqual({ ...expired }, { rate: 33, type: 'percent', category: 'Outdoor', expires: null });
+});
+
+test('normalizeHostname turns typed sites and URLs into bare hostnames', (t) => {
+  const utils = loadUtils(t);
+  assert.equal(utils.normalizeHostname('https://www.Nike.com/t/air-max'), 'nike.com');
+  assert.equal(utils.normalizeHostname('  store.nike.com '), 'store.nike.com');
+  assert.equal(utils.normalizeHostname('nike.com/us'), 'nike.com');
+  for (const invalid of ['', 'nike', 'not a site', null]) {
+    assert.equal(utils.normalizeHostname(invalid), '', String(invalid));
+  }
+});
+
+test('matchesDomainList covers listed domains and their subdomains only', (t) => {
+  const utils = loadUtils(t);
+  const list = ['nike.com', 'shop.example.org'];
+  assert.ok(utils.matchesDomainList('www.nike.com', list));
+  assert.ok(utils.matchesDomainList('store.nike.com', list));
+  assert.ok(utils.matchesDomainList('a.shop.example.org', list));
+  assert.ok(!utils.matchesDomainList('example.org', list));
+  assert.ok(!utils.matchesDomainList('notnike.com', list));
+  assert.ok(!utils.matchesDomainList('nike.com', undefined));
+});
+
+test('meetsMinConfidence applies the preference, or the built-in threshold when it is unusable', (t) => {
+  const utils = loadUtils(t);
+  assert.ok(utils.meetsMinConfidence(70, 70));
+  assert.ok(!utils.meetsMinConfidence(69, 70));
+  assert.ok(utils.meetsMinConfidence(20, 10), 'power users can lower the bar');
+  for (const unusable of [undefined, null, '80', -5, 150, NaN]) {
+    assert.ok(utils.meetsMinConfidence(50, unusable), String(unusable));
+    assert.ok(!utils.meetsMinConfidence(49, unusable), String(unusable));
+  }
+  assert.ok(!utils.meetsMinConfidence(undefined, 0), 'no confidence never passes');
+});